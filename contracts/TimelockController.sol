@@ -2,6 +2,7 @@
 pragma solidity ^0.8.30;
 
 import "@openzeppelin/contracts/governance/TimelockController.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
 
 /**
  * @title XPassTimelockController
@@ -14,8 +15,38 @@ import "@openzeppelin/contracts/governance/TimelockController.sol";
  * - Provides careful review time for pause/unpause operations with 48-hour delay
  * - Requires multi-signature through MultiSig wallet
  * - Transparent governance process
+ * - Uniform propose* API for every sensitive governance action (pause, unpause, ownership,
+ *   timelock rotation, delay update, role grants/revokes), each with a unique salt; ownership
+ *   and timelock rotation proposals require this timelock to own the token
+ * - On-chain proposal metadata (target, calldata, salt, proposer, timestamps, kind) that can be
+ *   enumerated by index or state, so pending operations are visible without scanning events
  */
 contract XPassTimelockController is TimelockController {
+
+    /**
+     * @dev Metadata of a scheduled proposal
+     * @notice `kind` is the tag of the propose* function (e.g. bytes4(keccak256("PAUSE"))),
+     *         or bytes4(0) for operations scheduled directly with schedule()
+     */
+    struct Proposal {
+        address target;
+        uint256 value;
+        bytes data;
+        bytes32 predecessor;
+        bytes32 salt;
+        address proposer;
+        uint64 createdAt;
+        uint64 readyAt;
+        bytes4 kind;
+    }
+
+    // Proposal IDs in scheduling order, and their metadata
+    bytes32[] private _proposalIds;
+    mapping(bytes32 => Proposal) private _proposals;
+
+    // Proposer and kind of the propose* call in progress, read by schedule()
+    address private _pendingProposer;
+    bytes4 private _pendingKind;
     
     /**
      * @dev TimelockController constructor for XPassToken
@@ -55,16 +86,62 @@ contract XPassTimelockController is TimelockController {
     }
     // --------------------------------------------------------------------
     
+    /**
+     * @dev Schedules a call with the minimum delay and a unique salt
+     * @param target Call target
+     * @param data Calldata
+     * @param tag Proposal kind, mixed into the salt
+     * @return proposalId Generated proposal ID
+     */
+    function _propose(address target, bytes memory data, bytes4 tag) private returns (bytes32 proposalId) {
+        bytes32 salt = _nextSalt(tag);
+        proposalId = this.hashOperation(target, 0, data, bytes32(0), salt);
+        _pendingProposer = msg.sender;
+        _pendingKind = tag;
+        this.schedule(target, 0, data, bytes32(0), salt, getMinDelay());
+        delete _pendingProposer;
+        delete _pendingKind;
+    }
+
+    /**
+     * @dev Schedules an operation and records its metadata
+     * @notice Operations scheduled with scheduleBatch() are not recorded
+     */
+    function schedule(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        bytes32 predecessor,
+        bytes32 salt,
+        uint256 delay
+    ) public override {
+        super.schedule(target, value, data, predecessor, salt, delay);
+
+        bytes32 proposalId = hashOperation(target, value, data, predecessor, salt);
+        // A cancelled operation can be scheduled again: keep its index, refresh its metadata
+        if (_proposals[proposalId].createdAt == 0) {
+            _proposalIds.push(proposalId);
+        }
+        _proposals[proposalId] = Proposal({
+            target: target,
+            value: value,
+            data: data,
+            predecessor: predecessor,
+            salt: salt,
+            proposer: _pendingProposer != address(0) ? _pendingProposer : msg.sender,
+            createdAt: uint64(block.timestamp),
+            readyAt: uint64(block.timestamp + delay),
+            kind: _pendingKind
+        });
+    }
+
     /**
      * @dev Creates a proposal to call pause function
      * @param xpassToken Token contract address (XPassToken)
      * @return proposalId Generated proposal ID
      */
     function proposePause(address xpassToken) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
-        bytes memory data = abi.encodeWithSignature("pause()");
-        bytes32 salt = _nextSalt(bytes4(keccak256("PAUSE")));
-        proposalId = this.hashOperation(xpassToken, 0, data, bytes32(0), salt);
-        this.schedule(xpassToken, 0, data, bytes32(0), salt, getMinDelay());
+        return _propose(xpassToken, abi.encodeWithSignature("pause()"), bytes4(keccak256("PAUSE")));
     }
     
     /**
@@ -73,10 +150,91 @@ contract XPassTimelockController is TimelockController {
      * @return proposalId Generated proposal ID
      */
     function proposeUnpause(address xpassToken) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
-        bytes memory data = abi.encodeWithSignature("unpause()");
-        bytes32 salt = _nextSalt(bytes4(keccak256("UNPAUSE")));
-        proposalId = this.hashOperation(xpassToken, 0, data, bytes32(0), salt);
-        this.schedule(xpassToken, 0, data, bytes32(0), salt, getMinDelay());
+        return _propose(xpassToken, abi.encodeWithSignature("unpause()"), bytes4(keccak256("UNPAUSE")));
+    }
+
+    /**
+     * @dev Reverts unless this timelock owns the token
+     * @notice Owner-only token calls scheduled while the Multi-Sig owns the token could reach
+     *         Ready but would always revert on execution; the Multi-Sig calls them directly instead
+     * @param xpassToken Token contract address (XPassToken)
+     */
+    function _requireTokenOwner(address xpassToken) private view {
+        require(Ownable(xpassToken).owner() == address(this), "XPassTimelockController: timelock does not own the token");
+    }
+
+    /**
+     * @dev Creates a proposal to transfer the token ownership
+     * @notice Only possible while this timelock owns the token
+     * @param xpassToken Token contract address (XPassToken)
+     * @param newOwner New token owner
+     * @return proposalId Generated proposal ID
+     */
+    function proposeTransferOwnership(address xpassToken, address newOwner) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
+        require(newOwner != address(0), "XPassTimelockController: new owner cannot be zero address");
+        _requireTokenOwner(xpassToken);
+        return _propose(
+            xpassToken,
+            abi.encodeWithSignature("transferOwnership(address)", newOwner),
+            bytes4(keccak256("TRANSFER_OWNERSHIP"))
+        );
+    }
+
+    /**
+     * @dev Creates a proposal to rotate the token's timelock controller
+     * @notice Only possible while this timelock owns the token
+     * @param xpassToken Token contract address (XPassToken)
+     * @param newTimelockController New timelock controller
+     * @return proposalId Generated proposal ID
+     */
+    function proposeChangeTimelockController(address xpassToken, address newTimelockController) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
+        require(newTimelockController != address(0), "XPassTimelockController: new timelock controller cannot be zero address");
+        _requireTokenOwner(xpassToken);
+        return _propose(
+            xpassToken,
+            abi.encodeWithSignature("changeTimelockController(address)", newTimelockController),
+            bytes4(keccak256("CHANGE_TIMELOCK"))
+        );
+    }
+
+    /**
+     * @dev Creates a proposal to update the minimum delay of this timelock
+     * @param newDelay New minimum delay (in seconds)
+     * @return proposalId Generated proposal ID
+     */
+    function proposeUpdateDelay(uint256 newDelay) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
+        return _propose(
+            address(this),
+            abi.encodeCall(this.updateDelay, (newDelay)),
+            bytes4(keccak256("UPDATE_DELAY"))
+        );
+    }
+
+    /**
+     * @dev Creates a proposal to grant a role of this timelock
+     * @param role Role to grant (e.g. PROPOSER_ROLE)
+     * @param account Account receiving the role
+     * @return proposalId Generated proposal ID
+     */
+    function proposeGrantRole(bytes32 role, address account) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
+        require(account != address(0), "XPassTimelockController: account cannot be zero address");
+        return _propose(address(this), abi.encodeCall(this.grantRole, (role, account)), bytes4(keccak256("GRANT_ROLE")));
+    }
+
+    /**
+     * @dev Creates a proposal to revoke a role of this timelock
+     * @param role Role to revoke (e.g. PROPOSER_ROLE)
+     * @param account Account losing the role
+     * @return proposalId Generated proposal ID
+     */
+    function proposeRevokeRole(bytes32 role, address account) external onlyRole(PROPOSER_ROLE) returns (bytes32 proposalId) {
+        require(hasRole(role, account), "XPassTimelockController: account does not have the role");
+        // The propose* functions schedule through this.schedule(), which needs PROPOSER_ROLE
+        require(
+            role != PROPOSER_ROLE || account != address(this),
+            "XPassTimelockController: cannot revoke its own proposer role"
+        );
+        return _propose(address(this), abi.encodeCall(this.revokeRole, (role, account)), bytes4(keccak256("REVOKE_ROLE")));
     }
 
     /**
@@ -95,4 +253,129 @@ contract XPassTimelockController is TimelockController {
     function getProposalState(bytes32 proposalId) external view returns (uint8) {
         return uint8(getOperationState(proposalId));
     }
+
+    /**
+     * @dev Describes a proposal in human-readable form
+     * @notice Recorded proposals that read as Unset were cancelled and are reported as "Cancelled".
+     *         The called function is only known for recorded proposals (see getProposal).
+     * @param proposalId Proposal ID to describe
+     * @return state "Unset", "Waiting", "Ready", "Done" or "Cancelled"
+     * @return secondsRemaining Seconds until the proposal is ready (0 unless Waiting)
+     * @return selector Selector of the scheduled call (0 if unknown)
+     * @return functionName Name of the scheduled function (e.g. "pause"), or "unknown"
+     */
+    function describeProposal(bytes32 proposalId) external view returns (
+        string memory state,
+        uint256 secondsRemaining,
+        bytes4 selector,
+        string memory functionName
+    ) {
+        Proposal storage proposal = _proposals[proposalId];
+        OperationState operationState = getOperationState(proposalId);
+
+        if (operationState == OperationState.Waiting) {
+            state = "Waiting";
+            secondsRemaining = getTimestamp(proposalId) - block.timestamp;
+        } else if (operationState == OperationState.Ready) {
+            state = "Ready";
+        } else if (operationState == OperationState.Done) {
+            state = "Done";
+        } else {
+            state = proposal.createdAt != 0 ? "Cancelled" : "Unset";
+        }
+
+        selector = bytes4(proposal.data);
+        functionName = _functionName(selector);
+    }
+
+    /**
+     * @dev Returns the name of a function proposable through the propose* API
+     */
+    function _functionName(bytes4 selector) private pure returns (string memory) {
+        if (selector == bytes4(keccak256("pause()"))) {
+            return "pause";
+        }
+        if (selector == bytes4(keccak256("unpause()"))) {
+            return "unpause";
+        }
+        if (selector == bytes4(keccak256("transferOwnership(address)"))) {
+            return "transferOwnership";
+        }
+        if (selector == bytes4(keccak256("changeTimelockController(address)"))) {
+            return "changeTimelockController";
+        }
+        if (selector == this.updateDelay.selector) {
+            return "updateDelay";
+        }
+        if (selector == this.grantRole.selector) {
+            return "grantRole";
+        }
+        if (selector == this.revokeRole.selector) {
+            return "revokeRole";
+        }
+        return "unknown";
+    }
+
+    /**
+     * @dev Returns the number of recorded proposals
+     */
+    function proposalCount() external view returns (uint256) {
+        return _proposalIds.length;
+    }
+
+    /**
+     * @dev Returns the ID of a proposal by its scheduling index
+     * @param index Index in scheduling order (0-based)
+     */
+    function proposalIdAt(uint256 index) external view returns (bytes32) {
+        require(index < _proposalIds.length, "XPassTimelockController: proposal index out of bounds");
+        return _proposalIds[index];
+    }
+
+    /**
+     * @dev Returns the metadata of a proposal
+     * @param proposalId Proposal ID to look up
+     * @return Recorded metadata (see Proposal)
+     */
+    function getProposal(bytes32 proposalId) external view returns (Proposal memory) {
+        require(_proposals[proposalId].createdAt != 0, "XPassTimelockController: unknown proposal");
+        return _proposals[proposalId];
+    }
+
+    /**
+     * @dev Returns the proposals in a given state within an index window
+     * @notice Scans at most `limit` proposals starting at `offset`, so callers page through
+     *         large histories. Cancelled proposals are in the Unset state.
+     * @param state Operation state to match
+     * @param offset First index to scan
+     * @param limit Maximum number of proposals to scan
+     * @return proposalIds Matching proposal IDs, in scheduling order
+     */
+    function getProposalIds(
+        OperationState state,
+        uint256 offset,
+        uint256 limit
+    ) external view returns (bytes32[] memory proposalIds) {
+        uint256 end = _proposalIds.length;
+        if (offset > end) {
+            offset = end;
+        }
+        if (limit < end - offset) {
+            end = offset + limit;
+        }
+        uint256 count = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (getOperationState(_proposalIds[i]) == state) {
+                count++;
+            }
+        }
+
+        proposalIds = new bytes32[](count);
+        count = 0;
+        for (uint256 i = offset; i < end; i++) {
+            if (getOperationState(_proposalIds[i]) == state) {
+                proposalIds[count++] = _proposalIds[i];
+            }
+        }
+    }
 }
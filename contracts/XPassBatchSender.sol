@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title XPassBatchSender
+ * @dev Stateless batch disbursement contract for treasury distributions
+ *
+ * Key features:
+ * - Sends many transfers in a single transaction using the caller's allowance (transferFrom)
+ * - Holds no tokens and has no owner: every transfer goes from the caller to the recipients
+ * - The whole batch reverts if any transfer fails (e.g. zero address receiver)
+ */
+contract XPassBatchSender {
+    using SafeERC20 for IERC20;
+
+    event BatchTransferred(address indexed token, address indexed sender, uint256 recipientCount, uint256 totalAmount);
+
+    /**
+     * @dev Transfers `amounts[i]` of `token` from the caller to `recipients[i]`
+     * @notice The caller must approve this contract for the sum of `amounts` first
+     * @param token Token to distribute (XPassToken)
+     * @param recipients Receiving addresses
+     * @param amounts Amounts to send, in token units
+     */
+    function batchTransfer(IERC20 token, address[] calldata recipients, uint256[] calldata amounts) external {
+        require(recipients.length > 0, "XPassBatchSender: no recipients");
+        require(recipients.length == amounts.length, "XPassBatchSender: recipients and amounts length mismatch");
+
+        uint256 totalAmount;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            token.safeTransferFrom(msg.sender, recipients[i], amounts[i]);
+            totalAmount += amounts[i];
+        }
+
+        emit BatchTransferred(address(token), msg.sender, recipients.length, totalAmount);
+    }
+}
@@ -0,0 +1,105 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
+
+/**
+ * @title XPassMerkleDistributor
+ * @dev Merkle-claim airdrop distributor for XPassToken
+ *
+ * Key features:
+ * - One claim per account, proven against a Merkle root of (address, uint256) leaves
+ *   (OpenZeppelin StandardMerkleTree encoding)
+ * - Anyone can submit a claim on behalf of an account; tokens always go to the account
+ * - Claims close at the deadline, after which the owner (TimelockController) can sweep
+ *   the unclaimed tokens back to the treasury
+ */
+contract XPassMerkleDistributor is Ownable {
+    using SafeERC20 for IERC20;
+
+    // Distributed token (XPassToken)
+    IERC20 public immutable token;
+
+    // Root of the (account, amount) Merkle tree
+    bytes32 public immutable merkleRoot;
+
+    // Last timestamp at which claims are accepted
+    uint256 public immutable claimDeadline;
+
+    // Receiver of the unclaimed tokens (Multi-Sig treasury)
+    address public immutable treasury;
+
+    // Accounts that have claimed
+    mapping(address => bool) private _claimed;
+
+    event Claimed(address indexed account, uint256 amount, address indexed caller);
+    event Swept(address indexed treasury, uint256 amount);
+
+    /**
+     * @dev Contract constructor
+     * @param token_ Distributed token (XPassToken)
+     * @param merkleRoot_ Root of the (account, amount) Merkle tree
+     * @param claimDeadline_ Last timestamp at which claims are accepted
+     * @param treasury_ Receiver of the unclaimed tokens after the deadline
+     * @param timelockController Owner allowed to sweep (XPassTimelockController)
+     */
+    constructor(
+        address token_,
+        bytes32 merkleRoot_,
+        uint256 claimDeadline_,
+        address treasury_,
+        address timelockController
+    ) Ownable(timelockController) {
+        require(token_ != address(0), "XPassMerkleDistributor: token cannot be zero address");
+        require(treasury_ != address(0), "XPassMerkleDistributor: treasury cannot be zero address");
+        require(claimDeadline_ > block.timestamp, "XPassMerkleDistributor: deadline must be in the future");
+
+        token = IERC20(token_);
+        merkleRoot = merkleRoot_;
+        claimDeadline = claimDeadline_;
+        treasury = treasury_;
+    }
+
+    /**
+     * @dev Returns true if `account` has already claimed
+     */
+    function isClaimed(address account) public view returns (bool) {
+        return _claimed[account];
+    }
+
+    /**
+     * @dev Claims the airdrop of `account`
+     * @notice Can be called by anyone (e.g. a relayer); the tokens are always sent to `account`
+     * @param account Recipient listed in the Merkle tree
+     * @param amount Amount listed for `account`
+     * @param proof Merkle proof of the (account, amount) leaf
+     */
+    function claim(address account, uint256 amount, bytes32[] calldata proof) external {
+        require(block.timestamp <= claimDeadline, "XPassMerkleDistributor: claim period has ended");
+        require(!_claimed[account], "XPassMerkleDistributor: already claimed");
+
+        bytes32 leaf = keccak256(bytes.concat(keccak256(abi.encode(account, amount))));
+        require(MerkleProof.verifyCalldata(proof, merkleRoot, leaf), "XPassMerkleDistributor: invalid proof");
+
+        _claimed[account] = true;
+        token.safeTransfer(account, amount);
+
+        emit Claimed(account, amount, msg.sender);
+    }
+
+    /**
+     * @dev Sends the unclaimed tokens to the treasury once the claim period has ended
+     * @notice Only callable by the owner (TimelockController), i.e. through a scheduled operation
+     */
+    function sweep() external onlyOwner {
+        require(block.timestamp > claimDeadline, "XPassMerkleDistributor: claim period has not ended");
+
+        uint256 amount = token.balanceOf(address(this));
+        token.safeTransfer(treasury, amount);
+
+        emit Swept(treasury, amount);
+    }
+}
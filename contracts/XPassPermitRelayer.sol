@@ -0,0 +1,132 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
+/**
+ * @title XPassPermitRelayer
+ * @dev Gasless XPassToken transfers: the holder signs off-chain, a relayer submits and pays the gas
+ *
+ * Key features:
+ * - The holder signs an EIP-2612 permit (allowance for this contract) and an EIP-712 TransferIntent
+ * - Any relayer, or only the one designated in the intent, submits both in one transaction
+ * - The relayer can be paid a fee in XPASS, taken from the holder and sent to the submitting relayer
+ * - Intents are single use (per-holder nonces) and expire at their deadline
+ * - A permit front-run by a third party does not block the relay: the allowance is already set
+ */
+contract XPassPermitRelayer is EIP712, Nonces {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant TRANSFER_INTENT_TYPEHASH = keccak256(
+        "TransferIntent(address owner,address to,uint256 amount,uint256 fee,address relayer,uint256 nonce,uint256 deadline)"
+    );
+
+    // Relayed token (XPassToken)
+    IERC20 public immutable token;
+
+    /**
+     * @dev Transfer signed by the holder
+     * @param owner Holder of the tokens (signer)
+     * @param to Receiver of `amount`
+     * @param amount Amount to transfer
+     * @param fee Amount paid to the relayer
+     * @param relayer Relayer allowed to submit the intent, or the zero address for any relayer
+     * @param nonce Current nonce of the holder in this contract
+     * @param deadline Last timestamp at which the intent can be submitted
+     */
+    struct TransferIntent {
+        address owner;
+        address to;
+        uint256 amount;
+        uint256 fee;
+        address relayer;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    /**
+     * @dev EIP-2612 permit of the holder for this contract; a zero deadline means no permit
+     *      (the allowance is already set)
+     */
+    struct PermitSignature {
+        uint256 value;
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    event TransferRelayed(
+        address indexed owner,
+        address indexed to,
+        address indexed relayer,
+        uint256 amount,
+        uint256 fee,
+        uint256 nonce
+    );
+
+    /**
+     * @dev Contract constructor
+     * @param token_ Relayed token (XPassToken)
+     */
+    constructor(address token_) EIP712("XPassPermitRelayer", "1") {
+        require(token_ != address(0), "XPassPermitRelayer: token cannot be zero address");
+        token = IERC20(token_);
+    }
+
+    /**
+     * @dev Submits a signed transfer intent, using the holder's permit for the allowance
+     * @notice The permit must cover `amount + fee`. The fee is paid to the caller.
+     * @param intent Transfer signed by the holder
+     * @param signature EIP-712 signature of `intent` by `intent.owner`
+     * @param permit EIP-2612 permit of the holder for this contract (zero deadline to skip)
+     */
+    function relay(TransferIntent calldata intent, bytes calldata signature, PermitSignature calldata permit) external {
+        require(block.timestamp <= intent.deadline, "XPassPermitRelayer: intent expired");
+        require(
+            intent.relayer == address(0) || intent.relayer == msg.sender,
+            "XPassPermitRelayer: caller is not the designated relayer"
+        );
+        require(
+            ECDSA.recover(hashTransferIntent(intent), signature) == intent.owner,
+            "XPassPermitRelayer: invalid intent signature"
+        );
+        require(intent.nonce == _useNonce(intent.owner), "XPassPermitRelayer: invalid nonce");
+
+        if (permit.deadline != 0) {
+            // Anyone can submit a permit seen in the mempool first; the allowance is then already
+            // set and the transfers below succeed, so a failed permit is not fatal
+            try IERC20Permit(address(token)).permit(
+                intent.owner, address(this), permit.value, permit.deadline, permit.v, permit.r, permit.s
+            ) {} catch {}
+        }
+
+        token.safeTransferFrom(intent.owner, intent.to, intent.amount);
+        if (intent.fee > 0) {
+            token.safeTransferFrom(intent.owner, msg.sender, intent.fee);
+        }
+
+        emit TransferRelayed(intent.owner, intent.to, msg.sender, intent.amount, intent.fee, intent.nonce);
+    }
+
+    /**
+     * @dev Returns the EIP-712 digest of a transfer intent, as signed by the holder
+     */
+    function hashTransferIntent(TransferIntent calldata intent) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            TRANSFER_INTENT_TYPEHASH,
+            intent.owner,
+            intent.to,
+            intent.amount,
+            intent.fee,
+            intent.relayer,
+            intent.nonce,
+            intent.deadline
+        )));
+    }
+}
@@ -16,6 +16,10 @@ import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
  * 3. Signature-based delegation (permit)
  * 4. Owner-based access control (Ownable) - Multi-sig ready
  * 5. Fixed supply (no additional minting or burning)
+ * 6. Guardian emergency pause (immediate, time-boxed, confirmed or lifted through the TimelockController).
+ *    Worst case without governance: the guardian alone freezes transfers once, for EMERGENCY_PAUSE_DURATION;
+ *    the next emergency pause requires the TimelockController to review the previous one first
+ * 7. Bounded pauses: transfers resume automatically after MAX_PAUSE_DURATION unless the pause is renewed
  */
 contract XPassToken is ERC20, ERC20Pausable, Ownable, ERC20Permit {
 
@@ -26,14 +30,46 @@ contract XPassToken is ERC20, ERC20Pausable, Ownable, ERC20Permit {
     
     // Maximum supply (1,000,000,000 tokens)
     uint256 private constant MAX_SUPPLY = 1_000_000_000 * 10**18;
+
+    // Length of a guardian emergency pause. Longer than the 48-hour timelock delay, so that a
+    // pause scheduled through the TimelockController right away can confirm it before it expires.
+    uint256 public constant EMERGENCY_PAUSE_DURATION = 72 hours;
+
+    // Minimum time between the end of a guardian emergency pause and the next one (once reviewed)
+    uint256 public constant EMERGENCY_PAUSE_COOLDOWN = 7 days;
+
+    // Maximum length of a pause executed through the TimelockController. Transfers resume on their own
+    // afterwards, so holders keep a guaranteed upper bound on freezes even if the Multi-Sig loses quorum.
+    uint256 public constant MAX_PAUSE_DURATION = 30 days;
     
     // Custom events
     event TokensPaused();
     event TokensUnpaused();
     event TimelockControllerChanged(address indexed oldTimelockController, address indexed newTimelockController);
+    event GuardianChanged(address indexed oldGuardian, address indexed newGuardian);
+    event EmergencyPaused(address indexed guardian, uint256 endsAt);
+    event EmergencyPauseEnded(bool confirmed);
+    event EmergencyPauseRearmed();
+    event PauseDeadlineSet(uint256 pausedUntil);
     
     // State variable to hold the address of the TimelockController contract
     address public timelockController;
+
+    // Account allowed to trigger an emergency pause without the timelock delay (zero address: none)
+    address public guardian;
+
+    // End of the current guardian emergency pause (zero when none is active or it was ended by the timelock)
+    uint256 public emergencyPauseEndsAt;
+
+    // Start of the last guardian emergency pause (used for the cooldown)
+    uint256 public lastEmergencyPauseAt;
+
+    // True from a guardian emergency pause until the TimelockController confirms, lifts or rearms it.
+    // Blocks further emergency pauses, so the guardian alone can never freeze transfers repeatedly.
+    bool public emergencyPauseAwaitingReview;
+
+    // End of the current TimelockController pause (only meaningful while the Pausable flag is set)
+    uint256 private _timelockPauseEndsAt;
     
     /**
      * @dev Modifier to restrict function calls to only the TimelockController address.
@@ -42,6 +78,14 @@ contract XPassToken is ERC20, ERC20Pausable, Ownable, ERC20Permit {
         require(msg.sender == timelockController, "XPassToken: caller is not the timelock controller");
         _;
     }
+
+    /**
+     * @dev Modifier to restrict function calls to the guardian.
+     */
+    modifier onlyGuardian() {
+        require(guardian != address(0) && msg.sender == guardian, "XPassToken: caller is not the guardian");
+        _;
+    }
     
     /**
      * @dev Contract constructor
@@ -64,23 +108,144 @@ contract XPassToken is ERC20, ERC20Pausable, Ownable, ERC20Permit {
      * @dev Pause token transfer function (TimelockController only)
      * When using Kaia Safe, this requires a proposal and a time-locked execution.
      * @notice If TimelockController is removed (zero address), this function becomes inactive
+     * @notice The pause ends automatically after MAX_PAUSE_DURATION. Executing a fresh pause while
+     *         paused renews it for MAX_PAUSE_DURATION from now.
+     * @notice During a guardian emergency pause, this confirms it as a regular (bounded) pause
+     *         and rearms the guardian
      */
     function pause() public onlyTimelock {
         require(timelockController != address(0), "XPassToken: TimelockController has been removed");
-        _pause();
+        if (_emergencyPauseActive()) {
+            _endEmergencyPause(true);
+            _rearmEmergencyPause();
+        }
+        if (!_timelockPauseActive()) {
+            _pause();
+        }
+        _timelockPauseEndsAt = block.timestamp + MAX_PAUSE_DURATION;
         emit TokensPaused();
+        emit PauseDeadlineSet(_timelockPauseEndsAt);
     }
     
     /**
      * @dev Resume token transfer function (TimelockController only)
      * When using Kaia Safe, this requires a proposal and a time-locked execution.
      * @notice If TimelockController is removed (zero address), this function becomes inactive
+     * @notice Also ends an active guardian emergency pause before it expires, and rearms the guardian
      */
     function unpause() public onlyTimelock {
         require(timelockController != address(0), "XPassToken: TimelockController has been removed");
-        _unpause();
+        _requirePaused();
+        if (_emergencyPauseActive()) {
+            _endEmergencyPause(false);
+            _rearmEmergencyPause();
+        }
+        if (_timelockPauseActive()) {
+            _unpause();
+        }
+        _timelockPauseEndsAt = 0;
         emit TokensUnpaused();
     }
+
+    /**
+     * @dev Immediately pauses token transfers for EMERGENCY_PAUSE_DURATION (guardian only)
+     * @notice The pause expires on its own unless the TimelockController confirms it with pause();
+     *         the guardian cannot unpause, and must wait EMERGENCY_PAUSE_COOLDOWN after the end of
+     *         a pause before triggering the next one
+     * @notice Each emergency pause must be reviewed by the TimelockController (pause(), unpause()
+     *         or rearmEmergencyPause()) before the next one: if the Multi-Sig loses quorum, the
+     *         guardian can freeze transfers at most once, for EMERGENCY_PAUSE_DURATION
+     */
+    function emergencyPause() external onlyGuardian {
+        require(timelockController != address(0), "XPassToken: TimelockController has been removed");
+        _requireNotPaused();
+        require(
+            lastEmergencyPauseAt == 0 ||
+                block.timestamp >= lastEmergencyPauseAt + EMERGENCY_PAUSE_DURATION + EMERGENCY_PAUSE_COOLDOWN,
+            "XPassToken: emergency pause cooldown"
+        );
+        require(!emergencyPauseAwaitingReview, "XPassToken: previous emergency pause awaits timelock review");
+
+        lastEmergencyPauseAt = block.timestamp;
+        emergencyPauseEndsAt = block.timestamp + EMERGENCY_PAUSE_DURATION;
+        emergencyPauseAwaitingReview = true;
+        emit EmergencyPaused(msg.sender, emergencyPauseEndsAt);
+    }
+
+    /**
+     * @dev Allows the guardian to trigger another emergency pause (TimelockController only)
+     * @notice For an emergency pause that expired without being confirmed or lifted; the
+     *         cooldown still applies
+     */
+    function rearmEmergencyPause() external onlyTimelock {
+        require(emergencyPauseAwaitingReview, "XPassToken: no emergency pause awaits review");
+        require(!_emergencyPauseActive(), "XPassToken: emergency pause still active");
+        _rearmEmergencyPause();
+    }
+
+    /**
+     * @dev Sets the guardian (owner only, immediate so that a compromised guardian can be removed at once)
+     * @param newGuardian New guardian address, or the zero address to disable emergency pauses
+     */
+    function setGuardian(address newGuardian) external onlyOwner {
+        require(newGuardian != guardian, "XPassToken: new guardian cannot be current guardian");
+        address oldGuardian = guardian;
+        guardian = newGuardian;
+        emit GuardianChanged(oldGuardian, newGuardian);
+    }
+
+    /**
+     * @dev Returns true if transfers are paused, by the TimelockController or by an active emergency pause
+     * @notice An expired pause reads as not paused; no Unpaused event is emitted when it expires
+     */
+    function paused() public view override returns (bool) {
+        return _timelockPauseActive() || _emergencyPauseActive();
+    }
+
+    /**
+     * @dev Returns the timestamp at which transfers resume on their own
+     * @return End of the current pause (TimelockController or emergency), or 0 when not paused
+     */
+    function pausedUntil() external view returns (uint256) {
+        if (_timelockPauseActive()) {
+            return _timelockPauseEndsAt;
+        }
+        if (_emergencyPauseActive()) {
+            return emergencyPauseEndsAt;
+        }
+        return 0;
+    }
+
+    /**
+     * @dev Returns true while a TimelockController pause is in effect
+     */
+    function _timelockPauseActive() internal view returns (bool) {
+        return super.paused() && block.timestamp < _timelockPauseEndsAt;
+    }
+
+    /**
+     * @dev Returns true while a guardian emergency pause is in effect
+     */
+    function _emergencyPauseActive() internal view returns (bool) {
+        return block.timestamp < emergencyPauseEndsAt;
+    }
+
+    /**
+     * @dev Ends the active emergency pause
+     * @param confirmed True when the TimelockController turns it into a regular pause
+     */
+    function _endEmergencyPause(bool confirmed) internal {
+        emergencyPauseEndsAt = 0;
+        emit EmergencyPauseEnded(confirmed);
+    }
+
+    /**
+     * @dev Marks the last emergency pause as reviewed by the TimelockController
+     */
+    function _rearmEmergencyPause() internal {
+        emergencyPauseAwaitingReview = false;
+        emit EmergencyPauseRearmed();
+    }
         
     /**
      * @dev Internal function override to check pause status before token transfer
@@ -165,6 +330,12 @@ contract XPassToken is ERC20, ERC20Pausable, Ownable, ERC20Permit {
         if (timelockController != address(0)) {
             _removeTimelockController();
         }
+
+        // Remove the guardian: without an owner it could no longer be replaced
+        if (guardian != address(0)) {
+            emit GuardianChanged(guardian, address(0));
+            guardian = address(0);
+        }
         
         // Call parent renounceOwnership
         super.renounceOwnership();
@@ -0,0 +1,91 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/finance/VestingWallet.sol";
+import "@openzeppelin/contracts/finance/VestingWalletCliff.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title XPassVestingWallet
+ * @dev Vesting wallet for the XPASS token allocation buckets (team, marketing, community, ...)
+ *
+ * Key features:
+ * - Linear vesting between start and start + duration (OpenZeppelin VestingWallet)
+ * - Nothing is releasable before the cliff; at the cliff the linearly vested amount unlocks
+ * - Optionally revocable: the revoker (Multi-Sig) can reclaim the unvested part of a token
+ * - Released tokens always go to the beneficiary (the wallet owner)
+ */
+contract XPassVestingWallet is VestingWalletCliff {
+    using SafeERC20 for IERC20;
+
+    // Address allowed to revoke the unvested allocation (zero address if not revocable)
+    address public immutable revoker;
+
+    // Tokens whose vesting has been revoked
+    mapping(address => bool) private _revoked;
+
+    event VestingRevoked(address indexed token, address indexed revoker, uint256 unvestedAmount);
+
+    /**
+     * @dev Contract constructor
+     * @param beneficiary Address receiving the vested tokens
+     * @param startTimestamp Vesting start (unix timestamp)
+     * @param durationSeconds Total vesting duration, cliff included
+     * @param cliffSeconds Cliff duration counted from the start
+     * @param revoker_ Address allowed to revoke (Multi-Sig), or the zero address for a non-revocable wallet
+     */
+    constructor(
+        address beneficiary,
+        uint64 startTimestamp,
+        uint64 durationSeconds,
+        uint64 cliffSeconds,
+        address revoker_
+    ) VestingWallet(beneficiary, startTimestamp, durationSeconds) VestingWalletCliff(cliffSeconds) {
+        revoker = revoker_;
+    }
+
+    /**
+     * @dev Returns true if the unvested allocation can be revoked
+     */
+    function revocable() external view returns (bool) {
+        return revoker != address(0);
+    }
+
+    /**
+     * @dev Returns true if the vesting of `token` has been revoked
+     */
+    function revoked(address token) public view returns (bool) {
+        return _revoked[token];
+    }
+
+    /**
+     * @dev Revokes the vesting of `token`: the unvested amount is sent to the revoker
+     * @notice The amount vested at revocation time stays in the wallet and remains releasable by the beneficiary
+     * @param token Token to revoke (XPassToken)
+     */
+    function revoke(address token) external {
+        require(revoker != address(0), "XPassVestingWallet: vesting is not revocable");
+        require(msg.sender == revoker, "XPassVestingWallet: caller is not the revoker");
+        require(!_revoked[token], "XPassVestingWallet: vesting already revoked");
+
+        uint256 vested = vestedAmount(token, uint64(block.timestamp));
+        uint256 unvested = IERC20(token).balanceOf(address(this)) + released(token) - vested;
+
+        _revoked[token] = true;
+        IERC20(token).safeTransfer(revoker, unvested);
+
+        emit VestingRevoked(token, revoker, unvested);
+    }
+
+    /**
+     * @dev Amount of `token` vested at `timestamp`
+     * @notice After revocation only the vested part is left, so the whole remaining balance counts as vested
+     */
+    function vestedAmount(address token, uint64 timestamp) public view override returns (uint256) {
+        if (_revoked[token]) {
+            return IERC20(token).balanceOf(address(this)) + released(token);
+        }
+        return super.vestedAmount(token, timestamp);
+    }
+}
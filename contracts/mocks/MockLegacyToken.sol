@@ -0,0 +1,28 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title MockLegacyToken
+ * @dev Stand-in for an XPassToken deployed before the guardian and timed emergency pauses,
+ *      used by the governance audit tests
+ *
+ * Key features:
+ * - Exposes only the governance getters of the original token: owner(), timelockController(), paused()
+ * - No guardian() or pausedUntil(): calls to them revert
+ * - Test-only: never deploy it to a public network
+ */
+contract MockLegacyToken is Ownable {
+    address public immutable timelockController;
+    bool public paused;
+
+    /**
+     * @dev Sets the owner and the timelock controller
+     * @param initialOwner Token owner (Multi-Sig)
+     * @param timelockController_ Timelock controller address
+     */
+    constructor(address initialOwner, address timelockController_) Ownable(initialOwner) {
+        timelockController = timelockController_;
+    }
+}
@@ -0,0 +1,55 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.30;
+
+/**
+ * @title MockSafe
+ * @dev Minimal stand-in for a Safe (Gnosis Safe) Multi-Sig, used by the deployment pre-flight tests
+ *
+ * Key features:
+ * - Exposes the read-only Safe interface probed before deployment: getOwners(), getThreshold(), isOwner(), VERSION()
+ * - Owners and threshold are fixed at construction; it cannot execute transactions
+ * - Test-only: never deploy it to a public network
+ */
+contract MockSafe {
+    string public constant VERSION = "1.4.1";
+
+    address[] private _owners;
+    uint256 private _threshold;
+
+    /**
+     * @dev Sets the owners and the confirmation threshold
+     * @param owners_ Owner addresses
+     * @param threshold_ Number of owner confirmations required
+     */
+    constructor(address[] memory owners_, uint256 threshold_) {
+        require(threshold_ <= owners_.length, "MockSafe: threshold exceeds owner count");
+        _owners = owners_;
+        _threshold = threshold_;
+    }
+
+    /**
+     * @dev Returns the owners of the Safe
+     */
+    function getOwners() external view returns (address[] memory) {
+        return _owners;
+    }
+
+    /**
+     * @dev Returns the number of owner confirmations required
+     */
+    function getThreshold() external view returns (uint256) {
+        return _threshold;
+    }
+
+    /**
+     * @dev Returns true if `owner` is an owner of the Safe
+     */
+    function isOwner(address owner) external view returns (bool) {
+        for (uint256 i = 0; i < _owners.length; i++) {
+            if (_owners[i] == owner) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
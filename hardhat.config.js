@@ -1,6 +1,23 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+const { loadProfiles, toHardhatNetworks, toCustomChains } = require("./scripts/lib/profiles");
+
+require("./tasks/xpass");
+require("./tasks/safe");
+require("./tasks/timelock");
+require("./tasks/events");
+require("./tasks/snapshot");
+require("./tasks/audit");
+require("./tasks/reproduce");
+require("./tasks/vesting");
+require("./tasks/airdrop");
+require("./tasks/disburse");
+require("./tasks/relayer");
+require("./tasks/sdk");
+
+const profiles = loadProfiles();
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -9,86 +26,38 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
+      },
+      // Storage layouts for xpass:reproduce (not part of the metadata: the bytecode is unaffected)
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"]
+        }
       }
     }
   },
   networks: {
     hardhat: {
-      chainId: 1337
+      chainId: 1337,
+      // Optional fork of a live chain for deployment dry runs (xpass:deploy --dry-run)
+      ...(process.env.FORK_RPC_URL && {
+        forking: {
+          url: process.env.FORK_RPC_URL,
+          blockNumber: process.env.FORK_BLOCK_NUMBER ? parseInt(process.env.FORK_BLOCK_NUMBER) : undefined
+        }
+      })
     },
     localhost: {
       url: process.env.LOCAL_RPC_URL || "http://127.0.0.1:8545",
       chainId: parseInt(process.env.LOCAL_CHAIN_ID) || 1337
     },
-    testnet: {
-      url: process.env.BSC_TESTNET_RPC_URL || "https://data-seed-prebsc-1-s1.binance.org:8545",
-      chainId: parseInt(process.env.BSC_TESTNET_CHAIN_ID) || 97,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      timeout: 60000,
-      gas: 8000000,
-      gasPrice: 10000000000
-    },
-    mainnet: {
-      url: process.env.BSC_MAINNET_RPC_URL || "https://bsc-dataseed1.binance.org",
-      chainId: parseInt(process.env.BSC_MAINNET_CHAIN_ID) || 56,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      timeout: 60000,
-      gas: 8000000,
-      gasPrice: 5000000000
-    },
-    bscTestnet: {
-      url: process.env.BSC_TESTNET_RPC_URL || "https://data-seed-prebsc-1-s1.binance.org:8545",
-      chainId: parseInt(process.env.BSC_TESTNET_CHAIN_ID) || 97,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      timeout: 60000,
-      gas: 8000000,
-      gasPrice: 10000000000
-    },
-    bscMainnet: {
-      url: process.env.BSC_MAINNET_RPC_URL || "https://bsc-dataseed1.binance.org",
-      chainId: parseInt(process.env.BSC_MAINNET_CHAIN_ID) || 56,
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      timeout: 60000,
-      gas: 8000000,
-      gasPrice: 5000000000
-    }
+    // Deployment targets: one profile per chain in config/networks/ (see scripts/lib/profiles.js)
+    ...toHardhatNetworks(profiles)
   },
   etherscan: {
-    apiKey: process.env.BSCSCAN_API_KEY || "",
-    customChains: [
-      {
-        network: "testnet",
-        chainId: 97,
-        urls: {
-          apiURL: "https://api-testnet.bscscan.com/api",
-          browserURL: "https://testnet.bscscan.com",
-        }
-      },
-      {
-        network: "mainnet",
-        chainId: 56,
-        urls: {
-          apiURL: "https://api.bscscan.com/api",
-          browserURL: "https://bscscan.com",
-        }
-      },
-      {
-        network: "bscTestnet",
-        chainId: 97,
-        urls: {
-          apiURL: "https://api-testnet.bscscan.com/api",
-          browserURL: "https://testnet.bscscan.com",
-        }
-      },
-      {
-        network: "bscMainnet",
-        chainId: 56,
-        urls: {
-          apiURL: "https://api.bscscan.com/api",
-          browserURL: "https://bscscan.com",
-        }
-      }
-    ]
+    // A single Etherscan v2 API key verifies on every supported chain: each profile's
+    // apiURL is the v2 endpoint with its chainid (enforced by scripts/lib/profiles.js)
+    apiKey: process.env.ETHERSCAN_API_KEY || process.env.BSCSCAN_API_KEY || "",
+    customChains: toCustomChains(profiles)
   },
   sourcify: {
     enabled: false
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const path = require("path");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+const { parseRecipients } = require("./recipients");
+const { LEAF_ENCODING } = require("./snapshot");
+const { describePendingDeployment, describeDeployment, resumeRecordedDeployment } = require("./deployments");
+const { getShortfalls, fundFromOwner } = require("./funding");
+
+/**
+ * Merkle airdrops through XPassMerkleDistributor
+ *
+ * Turns a CSV of recipients/amounts into a Merkle tree and per-account proofs, deploys a
+ * distributor for the root and funds it from the token owner. Airdrops are recorded under
+ * `airdrops.<name>` in the deployment manifest; the claim data is written to
+ * airdrops/<network>/<name>/ so that it can be published for the claim UI.
+ */
+
+const AIRDROPS_DIR = path.join(__dirname, "..", "..", "airdrops");
+
+/**
+ * @dev Builds the Merkle tree and proofs of an airdrop
+ * @return { tree, root, total, claims: { [address]: { amount, proof } } }
+ */
+function buildAirdrop(recipients) {
+  const tree = StandardMerkleTree.of(
+    recipients.map((recipient) => [recipient.address, recipient.amount.toString()]),
+    LEAF_ENCODING
+  );
+
+  const claims = {};
+  for (const [index, [address, amount]] of tree.entries()) {
+    claims[address] = { amount, proof: tree.getProof(index) };
+  }
+
+  return {
+    tree,
+    root: tree.root,
+    total: recipients.reduce((sum, recipient) => sum + recipient.amount, 0n),
+    claims
+  };
+}
+
+/**
+ * @dev Writes claims.json (root, total and per-account proofs) and merkle-tree.json
+ * @return Paths of the written files
+ */
+function writeAirdrop(airdrop, outDir, extra = {}) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const claimsPath = path.join(outDir, "claims.json");
+  fs.writeFileSync(claimsPath, JSON.stringify({
+    ...extra,
+    merkleRoot: airdrop.root,
+    leafEncoding: LEAF_ENCODING,
+    total: airdrop.total.toString(),
+    recipientCount: Object.keys(airdrop.claims).length,
+    claims: airdrop.claims
+  }, null, 2) + "\n");
+
+  const treePath = path.join(outDir, "merkle-tree.json");
+  fs.writeFileSync(treePath, JSON.stringify(airdrop.tree.dump(), null, 2) + "\n");
+
+  return { claimsPath, treePath };
+}
+
+/**
+ * @dev Deploys (or resumes) the distributor of an airdrop and funds it from the token owner
+ * @param hre Hardhat runtime environment
+ * @param manifest Deployment manifest (XPassToken and XPassTimelockController deployed); updated in place
+ * @param name Airdrop name (key under `airdrops` in the manifest)
+ * @param airdrop Airdrop returned by buildAirdrop
+ * @param options.deadline Claim deadline (unix timestamp)
+ * @param options.treasury Receiver of unclaimed tokens (defaults to the manifest multisig)
+ * @param options.deployer Signer to deploy from (defaults to the first configured account)
+ * @param options.onCheckpoint Called whenever the manifest changes (used to persist it)
+ * @return { entry, batch }: manifest entry and Safe funding batch (null when funded directly)
+ */
+async function deployDistributor(hre, manifest, name, airdrop, options) {
+  const { ethers: hreEthers } = hre;
+  const deployer = options.deployer || (await hreEthers.getSigners())[0];
+  const checkpoint = options.onCheckpoint || (() => {});
+  const XPassMerkleDistributor = await hreEthers.getContractFactory("XPassMerkleDistributor", deployer);
+
+  const treasury = options.treasury || manifest.multisig;
+  const args = [
+    manifest.contracts.XPassToken.address,
+    airdrop.root,
+    options.deadline,
+    treasury,
+    manifest.contracts.XPassTimelockController.address
+  ];
+  const details = {
+    merkleRoot: airdrop.root,
+    total: airdrop.total.toString(),
+    recipientCount: Object.keys(airdrop.claims).length,
+    deadline: options.deadline,
+    treasury
+  };
+
+  manifest.airdrops = manifest.airdrops || {};
+  const recorded = manifest.airdrops[name];
+  if (recorded && recorded.merkleRoot !== airdrop.root) {
+    throw new Error(`Airdrop "${name}" was deployed with Merkle root ${recorded.merkleRoot}; use a new airdrop name for a different recipient list`);
+  }
+  const deployment = recorded
+    ? await resumeRecordedDeployment(hreEthers.provider, XPassMerkleDistributor, `distributor "${name}"`, recorded, args)
+    : null;
+  if (deployment) {
+    manifest.airdrops[name] = { ...deployment, ...details, funding: recorded.funding || null };
+    console.log(`♻️  Distributor for "${name}" already deployed at ${recorded.address}, skipping`);
+  } else {
+    const distributor = await XPassMerkleDistributor.deploy(...args);
+    manifest.airdrops[name] = { ...(await describePendingDeployment(distributor, args)), ...details, funding: null };
+    checkpoint(manifest);
+
+    await distributor.waitForDeployment();
+    manifest.airdrops[name] = { ...(await describeDeployment(distributor, args)), ...details, funding: null };
+    console.log(`✅ Distributor for "${name}" deployed at ${await distributor.getAddress()}`);
+  }
+  checkpoint(manifest);
+
+  const entry = manifest.airdrops[name];
+  const token = await hreEthers.getContractAt("XPassToken", manifest.contracts.XPassToken.address, deployer);
+  const distributor = XPassMerkleDistributor.attach(entry.address);
+
+  // Tokens already claimed count as received, so a resumed run never over-funds
+  const claimed = (await distributor.queryFilter(distributor.filters.Claimed(), entry.blockNumber))
+    .reduce((sum, event) => sum + event.args.amount, 0n);
+  const shortfalls = await getShortfalls(token, [{
+    name: `distributor "${name}"`,
+    address: entry.address,
+    amount: entry.total,
+    received: (await token.balanceOf(entry.address)) + claimed
+  }]);
+
+  const { batch } = await fundFromOwner(token, shortfalls, {
+    deployer,
+    chainId: manifest.chainId,
+    batchName: `fundAirdrop-${name}`,
+    onFunded: (target, txHash) => {
+      entry.funding = { status: "funded", txHash };
+    }
+  });
+  if (shortfalls.length === 0) {
+    entry.funding = { ...(entry.funding || {}), status: "funded" };
+  } else if (batch) {
+    entry.funding = { status: "pending-safe" };
+  }
+  checkpoint(manifest);
+
+  return { entry, batch };
+}
+
+module.exports = {
+  AIRDROPS_DIR,
+  parseRecipients,
+  buildAirdrop,
+  writeAirdrop,
+  deployDistributor
+};
@@ -0,0 +1,206 @@
+const { queryInChunks, fetchOperations } = require("./timelock-operations");
+
+/**
+ * Governance health audit
+ *
+ * Re-runs the deploy-time "Security Verification" against a live deployment and extends it
+ * with the min delay, paused state, pending timelock operations and role grants replayed
+ * from RoleGranted/RoleRevoked events. The result is a machine-readable report; any failed
+ * check with "error" severity means the live state drifted from the expected configuration.
+ */
+
+const TIMELOCK_ROLES = ["PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE", "DEFAULT_ADMIN_ROLE"];
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * @dev Calls a view function that older deployments may not have
+ * @notice Tokens deployed before a feature was added have no such function: the call reverts
+ *         (no fallback) or returns no data (fallback), which is reported as "not supported"
+ *         rather than a failed audit. Other errors (e.g. network failures) are rethrown
+ * @return { supported, value } value is null when the function is not supported
+ */
+async function callIfSupported(contract, method) {
+  const fragment = contract.interface.getFunction(method);
+  let result;
+  try {
+    result = await contract.runner.provider.call({
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(fragment)
+    });
+  } catch (error) {
+    // ethers reports reverts as CALL_EXCEPTION; the in-process Hardhat network attaches the revert data
+    const reverted = error.code === "CALL_EXCEPTION" || (typeof error.data === "string" && error.data.startsWith("0x"));
+    if (!reverted) {
+      throw error;
+    }
+    return { supported: false, value: null };
+  }
+  if (result === "0x") {
+    return { supported: false, value: null };
+  }
+  return { supported: true, value: contract.interface.decodeFunctionResult(fragment, result)[0] };
+}
+
+/**
+ * @dev Fetches the timelock's RoleGranted/RoleRevoked events in chain order
+ * @return Events shaped like the event index entries ({ event, blockNumber, args: { role, account } })
+ */
+async function fetchRoleEvents(timelock, fromBlock, chunkSize) {
+  const toBlock = await timelock.runner.provider.getBlockNumber();
+  const events = [];
+  for (const name of ["RoleGranted", "RoleRevoked"]) {
+    for (const event of await queryInChunks(timelock, timelock.filters[name](), fromBlock, toBlock, chunkSize)) {
+      events.push({
+        event: name,
+        blockNumber: event.blockNumber,
+        logIndex: event.index,
+        transactionHash: event.transactionHash,
+        args: { role: event.args.role, account: event.args.account, sender: event.args.sender }
+      });
+    }
+  }
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * @dev Replays RoleGranted/RoleRevoked events into the current role holders
+ * @return Map of role id to a Set of lowercased holder addresses
+ */
+function replayRoles(roleEvents) {
+  const holders = new Map();
+  for (const event of roleEvents) {
+    const { role, account } = event.args;
+    if (!holders.has(role)) {
+      holders.set(role, new Set());
+    }
+    if (event.event === "RoleGranted") {
+      holders.get(role).add(account.toLowerCase());
+    } else if (event.event === "RoleRevoked") {
+      holders.get(role).delete(account.toLowerCase());
+    }
+  }
+  return holders;
+}
+
+/**
+ * @dev Audits a deployment against its expected governance configuration
+ * @param params.token XPassToken contract instance
+ * @param params.timelock XPassTimelockController contract instance
+ * @param params.expected.multisig Address expected to own the token and hold all timelock roles
+ * @param params.expected.deployer Deployer address, expected to hold no roles
+ * @param params.expected.minDelay Expected timelock min delay (seconds)
+ * @param params.fromBlock First block to scan for role grants and timelock operations
+ * @param params.chunkSize Maximum block range per eth_getLogs request
+ * @return Audit report
+ */
+async function auditGovernance({ token, timelock, expected, fromBlock = 0, chunkSize = 5000 }) {
+  const checks = [];
+  const check = (id, description, passed, details, severity = "error") => {
+    checks.push({ id, description, severity, passed, ...details });
+  };
+
+  const timelockAddress = await timelock.getAddress();
+  const roleIds = {};
+  for (const role of TIMELOCK_ROLES) {
+    roleIds[role] = await timelock[role]();
+  }
+
+  // Deployer must not hold any governance role
+  if (expected.deployer && !sameAddress(expected.deployer, expected.multisig)) {
+    for (const role of TIMELOCK_ROLES) {
+      const hasRole = await timelock.hasRole(roleIds[role], expected.deployer);
+      check(`deployer-no-${role}`, `Deployer has no ${role}`, !hasRole, { expected: false, actual: hasRole });
+    }
+  }
+
+  // The guardian can pause without the timelock delay: it must not be the deployer either
+  // (tokens deployed before the guardian was introduced have none)
+  const guardian = await callIfSupported(token, "guardian");
+  if (!guardian.supported) {
+    check("guardian-not-deployer", "XPassToken guardian is not the deployer (not supported by this token)", true, {
+      supported: false, expected: `not ${expected.deployer}`, actual: "not supported"
+    });
+  } else if (expected.deployer && !sameAddress(expected.deployer, expected.multisig)) {
+    check("guardian-not-deployer", "XPassToken guardian is not the deployer", !sameAddress(guardian.value, expected.deployer), {
+      expected: `not ${expected.deployer}`, actual: guardian.value
+    });
+  }
+
+  // Multi-Sig must hold every governance role
+  for (const role of TIMELOCK_ROLES) {
+    const hasRole = await timelock.hasRole(roleIds[role], expected.multisig);
+    check(`multisig-${role}`, `Multi-Sig has ${role}`, hasRole, { expected: true, actual: hasRole });
+  }
+
+  // Token ownership and timelock wiring
+  const owner = await token.owner();
+  check("token-owner", "XPassToken owner is the Multi-Sig", sameAddress(owner, expected.multisig), {
+    expected: expected.multisig, actual: owner
+  });
+
+  const tokenTimelock = await token.timelockController();
+  check("token-timelock", "XPassToken timelockController() is the deployed timelock", sameAddress(tokenTimelock, timelockAddress), {
+    expected: timelockAddress, actual: tokenTimelock
+  });
+
+  const minDelay = Number(await timelock.getMinDelay());
+  check("min-delay", "Timelock min delay matches the deployment", minDelay === Number(expected.minDelay), {
+    expected: Number(expected.minDelay), actual: minDelay
+  });
+
+  // No role holders beyond the expected ones (replayed from RoleGranted/RoleRevoked events)
+  const expectedHolders = {
+    PROPOSER_ROLE: [expected.multisig, timelockAddress],
+    EXECUTOR_ROLE: [expected.multisig],
+    CANCELLER_ROLE: [expected.multisig],
+    DEFAULT_ADMIN_ROLE: [expected.multisig, timelockAddress]
+  };
+  const holders = replayRoles(await fetchRoleEvents(timelock, fromBlock, chunkSize));
+  for (const role of TIMELOCK_ROLES) {
+    const allowed = expectedHolders[role].map((address) => address.toLowerCase());
+    const unexpected = [...(holders.get(roleIds[role]) || [])].filter((holder) => !allowed.includes(holder));
+    check(`unexpected-${role}`, `No unexpected ${role} holders`, unexpected.length === 0, {
+      expected: [], actual: unexpected
+    });
+  }
+
+  // Operational state: reported as warnings, not as configuration drift
+  // pausedUntil (timed emergency pauses) is null on tokens deployed before they were introduced
+  const paused = await token.paused();
+  const pausedUntil = await callIfSupported(token, "pausedUntil");
+  check("not-paused", "XPassToken is not paused", !paused, {
+    expected: false, actual: paused, pausedUntil: pausedUntil.supported ? Number(pausedUntil.value) : null
+  }, "warning");
+
+  const pendingOperations = (await fetchOperations(timelock, { fromBlock, chunkSize }))
+    .filter((operation) => operation.state === "Waiting" || operation.state === "Ready")
+    .map((operation) => ({
+      id: operation.id,
+      state: operation.state,
+      readyAt: operation.readyAt,
+      calls: operation.calls.map((call) => ({ target: call.target, value: call.value.toString(), data: call.data }))
+    }));
+  check("no-pending-operations", "No pending timelock operations", pendingOperations.length === 0, {
+    expected: 0, actual: pendingOperations.length
+  }, "warning");
+
+  const failed = checks.filter((entry) => !entry.passed);
+  return {
+    token: await token.getAddress(),
+    timelock: timelockAddress,
+    ok: failed.every((entry) => entry.severity !== "error"),
+    errors: failed.filter((entry) => entry.severity === "error").length,
+    warnings: failed.filter((entry) => entry.severity === "warning").length,
+    checks,
+    pendingOperations
+  };
+}
+
+module.exports = {
+  TIMELOCK_ROLES,
+  callIfSupported,
+  fetchRoleEvents,
+  replayRoles,
+  auditGovernance
+};
@@ -0,0 +1,216 @@
+const { ethers } = require("ethers");
+
+/**
+ * Deterministic (CREATE2) deployment helpers
+ *
+ * Contracts are deployed through Arachnid's deterministic deployment proxy, which exists at
+ * the same address on BNB Smart Chain, opBNB, Ethereum, Base, Arbitrum and most EVM chains.
+ * The resulting address only depends on the proxy, the salt and the init code (creation
+ * bytecode + constructor arguments): with the same compiler output, Multi-Sig address and
+ * timelock delay, XPassTimelockController and XPassToken land on the same addresses on every
+ * chain, independently of the deployer account and its nonce.
+ *
+ * Proxy calldata is `salt (32 bytes) ++ initCode`; the call reverts if the creation fails.
+ */
+
+// https://github.com/Arachnid/deterministic-deployment-proxy
+const CREATE2_FACTORY = "0x4e59b44847b379578588920cA78FbF26c0B4956C";
+
+// Runtime code of the proxy, installed on local networks where it does not exist
+const CREATE2_FACTORY_CODE =
+  "0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3";
+
+// Networks on which the proxy may be installed with hardhat_setCode
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @dev Normalizes a salt
+ * @param value 32-byte hex salt, or any other string (label such as "xpass-v1") hashed with keccak256
+ * @return 32-byte hex salt
+ */
+function toSalt(value) {
+  if (typeof value !== "string" || value.length === 0) {
+    throw new Error("CREATE2 salt must be a non-empty string");
+  }
+  if (ethers.isHexString(value, 32)) {
+    return value.toLowerCase();
+  }
+  if (value.startsWith("0x")) {
+    throw new Error(`CREATE2 salt ${value} must be 32 bytes (64 hex characters), or a plain label`);
+  }
+  return ethers.id(value);
+}
+
+/**
+ * @dev Resolves the salts of a deterministic deployment
+ * @param options.salt Salt of XPassTimelockController (and of XPassToken unless tokenSalt is set)
+ * @param options.tokenSalt Salt of XPassToken (e.g. a mined vanity salt)
+ * @param env Environment fallback (CREATE2_SALT, CREATE2_TOKEN_SALT)
+ * @return { XPassTimelockController, XPassToken } 32-byte salts, or null for a regular (CREATE) deployment
+ */
+function resolveCreate2Salts(options = {}, env = process.env) {
+  const salt = options.salt || env.CREATE2_SALT;
+  const tokenSalt = options.tokenSalt || env.CREATE2_TOKEN_SALT;
+  if (!salt) {
+    if (tokenSalt) {
+      throw new Error("A token salt requires the timelock salt (--salt or CREATE2_SALT) as well");
+    }
+    return null;
+  }
+  return {
+    XPassTimelockController: toSalt(salt),
+    XPassToken: toSalt(tokenSalt || salt)
+  };
+}
+
+/**
+ * @dev Returns the init code (creation bytecode + encoded constructor arguments) of a contract
+ * @param factory ethers ContractFactory
+ * @param args Constructor arguments
+ */
+async function getInitCode(factory, args) {
+  return (await factory.getDeployTransaction(...args)).data;
+}
+
+/**
+ * @dev Predicts the address of a CREATE2 deployment through the proxy
+ * @param salt 32-byte salt
+ * @param initCodeHash keccak256 of the init code
+ */
+function predictCreate2Address(salt, initCodeHash, factory = CREATE2_FACTORY) {
+  return ethers.getCreate2Address(factory, salt, initCodeHash);
+}
+
+/**
+ * @dev Returns the init code hash of a compiled contract
+ * @notice Built from the artifact, without a signer: predictions need no RPC connection
+ * @param hre Hardhat runtime environment (artifacts must be compiled)
+ */
+async function getInitCodeHash(hre, contractName, constructorArgs) {
+  const { abi, bytecode } = await hre.artifacts.readArtifact(contractName);
+  return ethers.keccak256(await getInitCode(new ethers.ContractFactory(abi, bytecode), constructorArgs));
+}
+
+/**
+ * @dev Predicts the deterministic addresses of XPassTimelockController and XPassToken
+ * @notice The token's constructor takes the timelock address, so its address depends on both salts
+ * @param hre Hardhat runtime environment (artifacts must be compiled)
+ * @param config.minDelay Timelock delay (from the deployment profile)
+ * @param config.multisig Multi-Sig address
+ * @param config.salts Result of resolveCreate2Salts()
+ * @return { <Contract>: { address, salt, initCodeHash, constructorArgs } }
+ */
+async function predictXPassAddresses(hre, { minDelay, multisig, salts }) {
+  const predict = async (contractName, constructorArgs) => {
+    const initCodeHash = await getInitCodeHash(hre, contractName, constructorArgs);
+    const salt = salts[contractName];
+    return { address: predictCreate2Address(salt, initCodeHash), salt, initCodeHash, constructorArgs };
+  };
+
+  const timelock = await predict("XPassTimelockController", [minDelay, multisig]);
+  const token = await predict("XPassToken", [multisig, timelock.address]);
+  return { XPassTimelockController: timelock, XPassToken: token };
+}
+
+/**
+ * @dev Makes sure the deterministic deployment proxy exists on the connected network
+ * @notice On local networks the proxy is installed with hardhat_setCode; elsewhere it must
+ *         already be deployed (see the proxy repository for its keyless deployment transaction)
+ * @return True if the proxy was installed
+ */
+async function ensureCreate2Factory(hre) {
+  const code = await hre.ethers.provider.getCode(CREATE2_FACTORY);
+  if (code !== "0x") {
+    return false;
+  }
+  if (!LOCAL_NETWORKS.includes(hre.network.name)) {
+    throw new Error(
+      `CREATE2 factory ${CREATE2_FACTORY} is not deployed on "${hre.network.name}": ` +
+      "deploy it first (https://github.com/Arachnid/deterministic-deployment-proxy) or deploy without a salt"
+    );
+  }
+  await hre.network.provider.send("hardhat_setCode", [CREATE2_FACTORY, CREATE2_FACTORY_CODE]);
+  return true;
+}
+
+/**
+ * @dev Finds the block in which a contract was created, by binary search over historical code
+ * @notice Needs an archive node; returns null when historical state is not available
+ * @param provider Ethers provider
+ * @param address Address holding code at the latest block
+ * @return Block number, or null if it cannot be determined
+ */
+async function findDeploymentBlock(provider, address) {
+  let high = await provider.getBlockNumber();
+  let low = 0;
+  try {
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if ((await provider.getCode(address, middle)) === "0x") {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+  } catch (error) {
+    return null;
+  }
+  return low;
+}
+
+/**
+ * @dev Sends a CREATE2 deployment through the proxy
+ * @param signer Deployer
+ * @param salt 32-byte salt
+ * @param initCode Init code (see getInitCode)
+ * @return Transaction response
+ */
+async function sendCreate2Deployment(signer, salt, initCode) {
+  return signer.sendTransaction({ to: CREATE2_FACTORY, data: ethers.concat([salt, initCode]) });
+}
+
+/**
+ * @dev Searches for a salt giving a CREATE2 address with the requested prefix
+ * @notice Each extra hex character multiplies the expected number of attempts by 16
+ *         (4 characters: ~65k attempts, 6 characters: ~16.8M attempts)
+ * @param initCodeHash keccak256 of the init code
+ * @param prefix Hex address prefix, with or without 0x (case-insensitive)
+ * @param options.start First salt to try (counts upwards, default 0)
+ * @param options.maxAttempts Attempts before giving up (default 1,000,000)
+ * @return { salt, address, attempts }, or null if no salt was found
+ */
+function mineSalt(initCodeHash, prefix, options = {}) {
+  const wanted = prefix.toLowerCase().replace(/^0x/, "");
+  if (!/^[0-9a-f]{1,40}$/.test(wanted)) {
+    throw new Error(`Vanity prefix "${prefix}" must be 1-40 hex characters`);
+  }
+  const maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : 1000000;
+  const start = BigInt(options.start || 0);
+
+  // 0xff ++ factory ++ salt ++ initCodeHash, hashed with the salt (bytes 21-52) rewritten in place
+  const buffer = ethers.getBytes(ethers.concat(["0xff", CREATE2_FACTORY, ethers.ZeroHash, initCodeHash]));
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const salt = ethers.toBeHex(start + BigInt(attempt), 32);
+    buffer.set(ethers.getBytes(salt), 21);
+    const address = ethers.keccak256(buffer).slice(26);
+    if (address.startsWith(wanted)) {
+      return { salt, address: ethers.getAddress(`0x${address}`), attempts: attempt + 1 };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  CREATE2_FACTORY,
+  CREATE2_FACTORY_CODE,
+  toSalt,
+  resolveCreate2Salts,
+  getInitCode,
+  getInitCodeHash,
+  predictCreate2Address,
+  predictXPassAddresses,
+  ensureCreate2Factory,
+  findDeploymentBlock,
+  sendCreate2Deployment,
+  mineSalt
+};
@@ -0,0 +1,100 @@
+/**
+ * Minimal CSV helpers for distribution lists and exports
+ *
+ * Supports a header row, comma separators and double-quoted fields; that is all the
+ * address/amount files used by this project need.
+ */
+
+/**
+ * @dev Quotes a field when it contains a separator, quote or newline
+ */
+function escapeField(value) {
+  const text = value === undefined || value === null ? "" : value.toString();
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * @dev Serializes rows to CSV
+ * @param headers Column names
+ * @param rows Array of objects keyed by column name
+ */
+function toCsv(headers, rows) {
+  const lines = [headers.map(escapeField).join(",")];
+  for (const row of rows) {
+    lines.push(headers.map((header) => escapeField(row[header])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * @dev Parses CSV text with a header row
+ * @return Array of objects keyed by header, each with its 1-based source `line` number
+ */
+function parseCsv(text) {
+  const records = [];
+  let field = "";
+  let record = [];
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0].trim() !== "") {
+      records.push({ fields: record, line: recordLine });
+    }
+    record = [];
+    field = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i++;
+      } else if (char === "\"") {
+        inQuotes = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === "\"") {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || record.length > 0) {
+    endRecord();
+  }
+
+  if (records.length === 0) {
+    return [];
+  }
+  const headers = records[0].fields.map((header) => header.trim());
+  return records.slice(1).map(({ fields, line: sourceLine }) => {
+    const row = { line: sourceLine };
+    headers.forEach((header, index) => {
+      row[header] = fields[index] !== undefined ? fields[index].trim() : "";
+    });
+    return row;
+  });
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,468 @@
+const {
+  MANIFEST_VERSION,
+  readManifest,
+  writeManifest,
+  archiveManifest,
+  getGitInfo,
+  getCompilerInfo,
+  describePendingDeployment,
+  describeDeployment,
+  resumeRecordedDeployment
+} = require("./deployments");
+const { PRODUCTION_POLICY, resolveDeploymentPolicy, resolveMinDelay } = require("./profiles");
+const { waitForConfirmations } = require("./verify");
+const { inspectMultisig, checkMultisig, printMultisig } = require("./multisig");
+const {
+  CREATE2_FACTORY,
+  resolveCreate2Salts,
+  getInitCode,
+  predictCreate2Address,
+  predictXPassAddresses,
+  ensureCreate2Factory,
+  findDeploymentBlock,
+  sendCreate2Deployment
+} = require("./create2");
+
+/**
+ * @dev Loads the checkpoint manifest of a previous (possibly interrupted) run
+ * @notice The in-process "hardhat" network is ephemeral, so it only resumes when asked to (tests)
+ * @notice With `fresh` (or DEPLOY_FRESH=true) the existing manifest is archived and the deployment starts over
+ */
+function loadCheckpoint(networkName, chainId, fresh, resume) {
+  if (networkName === "hardhat" && !resume) {
+    return null;
+  }
+
+  if (fresh || process.env.DEPLOY_FRESH === "true") {
+    const archivePath = archiveManifest(networkName);
+    if (archivePath) {
+      console.log("🗄️  Fresh deployment requested: previous manifest archived to", archivePath);
+    }
+    return null;
+  }
+
+  const manifest = readManifest(networkName);
+  if (!manifest) {
+    return null;
+  }
+  if (manifest.chainId !== chainId) {
+    throw new Error(
+      `Manifest for network "${networkName}" was recorded on chain ${manifest.chainId}, but the connected chain is ${chainId}`
+    );
+  }
+  return manifest;
+}
+
+/**
+ * @dev Deploys XPassTimelockController and XPassToken, resuming from the manifest checkpoint if present
+ * @param hre Hardhat runtime environment (connected to the target network)
+ * @param options.fresh Archive any existing manifest instead of resuming from it
+ * @param options.dryRun Simulation mode: never reads or writes the manifest (see dry-run.js)
+ * @param options.resume Resume from the manifest checkpoint on the in-process "hardhat" network too
+ * @param options.deployer Signer to deploy from (defaults to the first configured account)
+ * @param options.policyChainId Chain ID whose security policy applies (defaults to the connected chain)
+ * @param options.create2 { salt, tokenSalt }: deploy through the CREATE2 factory (defaults to CREATE2_SALT / CREATE2_TOKEN_SALT)
+ * @return Deployment manifest
+ */
+async function deployXPass(hre, options = {}) {
+  const { ethers, network: hardhatNetwork, config } = hre;
+
+  console.log(options.dryRun ? "Starting XPass token deployment (DRY RUN)..." : "Starting XPass token deployment...");
+
+  // Get deployer account
+  const deployer = options.deployer || (await ethers.getSigners())[0];
+  console.log("Deployer account:", deployer.address);
+  console.log("Account balance:", ethers.formatEther(await ethers.provider.getBalance(deployer.address)), "BNB");
+
+  // Step 1: Deploy TimelockController
+  console.log("\n=== Step 1: Deploying TimelockController ===");
+  const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController", deployer);
+  
+  // TimelockController parameters
+  // The deployment profile of the target chain (config/networks/) decides the delay
+  const network = await ethers.provider.getNetwork();
+  const policyChainId = options.policyChainId !== undefined ? BigInt(options.policyChainId) : network.chainId;
+  const { profile, production } = resolveDeploymentPolicy(policyChainId);
+  
+  const { minDelay, overridden, ignoredOverride } = resolveMinDelay(profile);
+  if (profile) {
+    console.log(`📋 Deployment profile: ${profile.name} (${profile.description}, chain ${profile.chainId})`);
+    if (production) {
+      console.log(`🔒 PRODUCTION CHAIN: ${minDelay}-second delay, Safe ≥ ${PRODUCTION_POLICY.minSafeThreshold}-of-${PRODUCTION_POLICY.minSafeOwners} required, ${profile.confirmations} confirmations`);
+    }
+  } else {
+    console.log(`🧪 No deployment profile for chain ${policyChainId}: using the development defaults`);
+  }
+  if (ignoredOverride) {
+    console.log(`🔒 TIMELOCK_DELAY is not allowed by the ${profile.name} profile: using the required ${minDelay}-second delay`);
+  } else if (overridden) {
+    console.log("🧪 Using the TIMELOCK_DELAY override");
+  }
+  
+  // Convert to human readable format for logging
+  const delayHours = minDelay / 3600;
+  const delayMinutes = (minDelay % 3600) / 60;
+  const delaySeconds = minDelay % 60;
+  
+  // IMPORTANT: For production deployment, use Multi-Sig addresses
+  // Deployer should NOT have any roles in production
+  const multisigAddress = process.env.MULTISIG_ADDRESS;
+  
+  if (!multisigAddress) {
+    throw new Error(`
+❌ MULTISIG_ADDRESS environment variable is required!
+
+Please set the Multi-Sig address in your .env file:
+MULTISIG_ADDRESS=0x1234567890123456789012345678901234567890
+
+For testnet/mainnet deployment, you MUST use a Multi-Sig address for security.
+The deployer address should only be used for deployment, not for governance roles.
+    `);
+  }
+  
+  const admin = multisigAddress; // Multi-Sig as admin (will be used for all roles)
+
+  // Pre-flight: checksum, contract code and Safe configuration of the Multi-Sig
+  // (a malformed address or bad checksum is always fatal)
+  console.log("\nMulti-Sig pre-flight:");
+  const multisig = await inspectMultisig(ethers.provider, multisigAddress);
+  printMultisig(multisig);
+  const multisigProblems = checkMultisig(multisig, {
+    minThreshold: PRODUCTION_POLICY.minSafeThreshold,
+    minOwners: PRODUCTION_POLICY.minSafeOwners
+  });
+  if (production && PRODUCTION_POLICY.requireSafe && multisigProblems.length > 0) {
+    const message = `Production chains require a deployed Safe Multi-Sig:\n   ${multisigProblems.join("\n   ")}`;
+    if (!options.dryRun) {
+      throw new Error(`❌ ${message}`);
+    }
+    // Without a fork of the target chain the Safe does not exist in the simulation
+    console.log(`⚠️  ${message}\n   (the real deployment would be refused)`);
+  } else if (profile) {
+    // Public test networks: the same checks, as warnings
+    for (const problem of multisigProblems) {
+      console.log(`⚠️  ${problem}`);
+    }
+  }
+
+  // Production chains: wait for the profile's confirmation depth before recording a deployment
+  const confirmations = production && !options.dryRun ? profile.confirmations : 0;
+  const waitForDepth = async (txHash) => {
+    if (confirmations > 1) {
+      console.log(`⏳ Waiting for ${confirmations} confirmations...`);
+      await waitForConfirmations(hre, txHash, confirmations);
+    }
+  };
+
+  // Deterministic deployment: addresses depend on the salts and init code only, not on the deployer nonce
+  const salts = resolveCreate2Salts(options.create2);
+  if (salts) {
+    await ensureCreate2Factory(hre);
+    const predicted = await predictXPassAddresses(hre, { minDelay, multisig: multisigAddress, salts });
+    console.log(`\n🎯 Deterministic deployment through the CREATE2 factory ${CREATE2_FACTORY}:`);
+    for (const [name, prediction] of Object.entries(predicted)) {
+      console.log(`- ${name}: ${prediction.address} (salt ${prediction.salt})`);
+    }
+  }
+  
+  console.log("TimelockController parameters:");
+  console.log("- Min Delay:", minDelay, "seconds");
+  if (delayHours >= 1) {
+    console.log(`  (${delayHours} hours ${delayMinutes} minutes ${delaySeconds} seconds)`);
+  } else if (delayMinutes >= 1) {
+    console.log(`  (${delayMinutes} minutes ${delaySeconds} seconds)`);
+  } else {
+    console.log(`  (${delaySeconds} seconds)`);
+  }
+  console.log("- Admin (Multi-Sig):", admin);
+  console.log("- Note: Admin will be used for all roles (proposer, executor, admin)");
+  
+  // Resume from the checkpoint of a previous run, if any
+  const gitInfo = getGitInfo();
+  const checkpoint = options.dryRun ? null : loadCheckpoint(hardhatNetwork.name, Number(network.chainId), options.fresh, options.resume);
+  const manifest = checkpoint || {
+    manifestVersion: MANIFEST_VERSION,
+    network: hardhatNetwork.name,
+    chainId: Number(network.chainId),
+    profile: profile ? profile.name : null,
+    deployer: deployer.address,
+    multisig: multisigAddress,
+    minDelay,
+    create2: salts ? { factory: CREATE2_FACTORY, salts } : null,
+    status: "in-progress",
+    startedAt: new Date().toISOString(),
+    completedAt: null,
+    gitCommit: gitInfo.commit,
+    gitDirty: gitInfo.dirty,
+    compiler: getCompilerInfo(config.solidity),
+    steps: {
+      timelockDeployed: false,
+      tokenDeployed: false,
+      rolesVerified: false
+    },
+    contracts: {}
+  };
+  if (checkpoint) {
+    console.log(`\n♻️  Resuming deployment checkpoint (status: ${checkpoint.status})`);
+  }
+  const saveCheckpoint = () => (options.dryRun ? null : writeManifest(hardhatNetwork.name, manifest));
+
+  // Confirms a checkpointed contract; a pending deployment that was dropped or reverted is
+  // cleared from the checkpoint so that only that contract is deployed again
+  const resumeCheckpointed = async (name, factory, constructorArgs) => {
+    const entry = manifest.contracts[name];
+    if (!entry) {
+      return false;
+    }
+    console.log(`Found checkpointed ${name}, verifying on-chain deployment...`);
+    const recorded = await resumeRecordedDeployment(ethers.provider, factory, name, entry, constructorArgs, salts && salts[name]);
+    if (!recorded) {
+      delete manifest.contracts[name];
+      saveCheckpoint();
+      return false;
+    }
+    manifest.contracts[name] = recorded;
+    console.log(`${name} already deployed, skipping.`);
+    return true;
+  };
+
+  // Deploys a contract through the CREATE2 factory, checkpointing the transaction before waiting for it
+  const deployDeterministic = async (name, factory, constructorArgs) => {
+    const salt = salts[name];
+    const initCode = await getInitCode(factory, constructorArgs);
+    const initCodeHash = ethers.keccak256(initCode);
+    const address = predictCreate2Address(salt, initCodeHash);
+    const entry = {
+      address,
+      constructorArgs: constructorArgs.map((arg) => arg.toString()),
+      create2: { factory: CREATE2_FACTORY, salt, initCodeHash }
+    };
+
+    // Same salt and init code: whatever holds code at this address is this exact contract
+    if ((await ethers.provider.getCode(address)) !== "0x") {
+      // No transaction of ours: record the creation block so that event scans start there
+      const blockNumber = await findDeploymentBlock(ethers.provider, address);
+      console.log(`♻️  ${name} already exists at ${address} (same salt and init code, block ${blockNumber !== null ? blockNumber : "unknown"}), skipping.`);
+      return { status: "deployed", ...entry, txHash: null, blockNumber, gasUsed: "0" };
+    }
+
+    const tx = await sendCreate2Deployment(deployer, salt, initCode);
+    manifest.contracts[name] = { status: "pending", ...entry, txHash: tx.hash };
+    saveCheckpoint();
+
+    const receipt = await tx.wait();
+    await waitForDepth(tx.hash);
+    if ((await ethers.provider.getCode(address)) === "0x") {
+      throw new Error(`CREATE2 deployment ${tx.hash} did not create ${name} at ${address}`);
+    }
+    return {
+      status: "deployed",
+      ...entry,
+      txHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    };
+  };
+
+  let timelockController;
+  const timelockArgs = [minDelay, admin];
+  if (await resumeCheckpointed("XPassTimelockController", XPassTimelockController, timelockArgs)) {
+    timelockController = XPassTimelockController.attach(manifest.contracts.XPassTimelockController.address);
+  } else if (salts) {
+    manifest.contracts.XPassTimelockController = await deployDeterministic("XPassTimelockController", XPassTimelockController, timelockArgs);
+    timelockController = XPassTimelockController.attach(manifest.contracts.XPassTimelockController.address);
+    console.log("TimelockController deployed successfully!");
+  } else {
+    timelockController = await XPassTimelockController.deploy(...timelockArgs);
+    manifest.contracts.XPassTimelockController = await describePendingDeployment(timelockController, timelockArgs);
+    saveCheckpoint();
+
+    await timelockController.waitForDeployment();
+    await waitForDepth(timelockController.deploymentTransaction().hash);
+    manifest.contracts.XPassTimelockController = await describeDeployment(timelockController, timelockArgs);
+    console.log("TimelockController deployed successfully!");
+  }
+  manifest.steps.timelockDeployed = true;
+  saveCheckpoint();
+
+  const timelockAddress = await timelockController.getAddress();
+  console.log("TimelockController address:", timelockAddress);
+
+  // Step 2: Deploy XPassToken with TimelockController as initial owner
+  console.log("\n=== Step 2: Deploying XPassToken ===");
+  const XPassToken = await ethers.getContractFactory("XPassToken", deployer);
+  
+  let xpassToken;
+  const tokenArgs = [multisigAddress, timelockAddress];
+  if (await resumeCheckpointed("XPassToken", XPassToken, tokenArgs)) {
+    xpassToken = XPassToken.attach(manifest.contracts.XPassToken.address);
+  } else if (salts) {
+    console.log("Deploying XPassToken with Multi-Sig as owner and TimelockController as timelock controller...");
+    manifest.contracts.XPassToken = await deployDeterministic("XPassToken", XPassToken, tokenArgs);
+    xpassToken = XPassToken.attach(manifest.contracts.XPassToken.address);
+    console.log("XPassToken deployed successfully!");
+  } else {
+    console.log("Deploying XPassToken with Multi-Sig as owner and TimelockController as timelock controller...");
+    xpassToken = await XPassToken.deploy(...tokenArgs);
+    manifest.contracts.XPassToken = await describePendingDeployment(xpassToken, tokenArgs);
+    saveCheckpoint();
+
+    await xpassToken.waitForDeployment();
+    await waitForDepth(xpassToken.deploymentTransaction().hash);
+    manifest.contracts.XPassToken = await describeDeployment(xpassToken, tokenArgs);
+    console.log("XPassToken deployed successfully!");
+  }
+  manifest.steps.tokenDeployed = true;
+  saveCheckpoint();
+
+  const xpassAddress = await xpassToken.getAddress();
+  console.log("XPassToken address:", xpassAddress);
+
+  // Step 3: Verify ownership setup
+  console.log("\n=== Step 3: Verifying Ownership Setup ===");
+  
+  // Verify XPassToken owner is Multi-Sig
+  const xpassOwner = await xpassToken.owner();
+  console.log("XPassToken owner:", xpassOwner);
+  console.log("Multi-Sig address:", multisigAddress);
+  console.log("Ownership correctly set:", xpassOwner.toLowerCase() === multisigAddress.toLowerCase());
+  
+  // Verify TimelockController address
+  const xpassTimelockController = await xpassToken.timelockController();
+  console.log("XPassToken timelock controller:", xpassTimelockController);
+  console.log("TimelockController address:", timelockAddress);
+  console.log("Timelock controller correctly set:", xpassTimelockController.toLowerCase() === timelockAddress.toLowerCase());
+  
+  // Note: All tokens are minted to Multi-Sig (owner)
+  console.log("\n=== Token Distribution ===");
+  console.log("All tokens are held by Multi-Sig (owner)");
+  console.log("Multi-Sig can distribute tokens immediately without timelock delay");
+  console.log("Only pause/unpause functions require timelock delay");
+  console.log("\nExample immediate token transfer (Multi-Sig can execute directly):");
+  console.log(`xpassToken.transfer(recipient, amount)`);
+  console.log("\nExample pause operation (requires timelock delay):");
+  console.log(`timelockController.schedule("${xpassAddress}", 0, pauseData, salt, predecessor, ${minDelay})`);
+  
+  // Step 4: Verify security configuration
+  console.log("\n=== Security Verification ===");
+  
+  // Check TimelockController roles
+  const PROPOSER_ROLE = await timelockController.PROPOSER_ROLE();
+  const EXECUTOR_ROLE = await timelockController.EXECUTOR_ROLE();
+  const ADMIN_ROLE = await timelockController.DEFAULT_ADMIN_ROLE();
+  
+  const deployerHasProposerRole = await timelockController.hasRole(PROPOSER_ROLE, deployer.address);
+  const deployerHasExecutorRole = await timelockController.hasRole(EXECUTOR_ROLE, deployer.address);
+  const deployerHasAdminRole = await timelockController.hasRole(ADMIN_ROLE, deployer.address);
+  
+  const multisigHasProposerRole = await timelockController.hasRole(PROPOSER_ROLE, multisigAddress);
+  const multisigHasExecutorRole = await timelockController.hasRole(EXECUTOR_ROLE, multisigAddress);
+  const multisigHasAdminRole = await timelockController.hasRole(ADMIN_ROLE, multisigAddress);
+  
+  console.log("Role verification:");
+  console.log(`- Deployer (${deployer.address}):`);
+  console.log(`  - PROPOSER_ROLE: ${deployerHasProposerRole ? '❌ YES (SECURITY RISK!)' : '✅ NO'}`);
+  console.log(`  - EXECUTOR_ROLE: ${deployerHasExecutorRole ? '❌ YES (SECURITY RISK!)' : '✅ NO'}`);
+  console.log(`  - ADMIN_ROLE: ${deployerHasAdminRole ? '❌ YES (SECURITY RISK!)' : '✅ NO'}`);
+  console.log(`- Multi-Sig (${multisigAddress}):`);
+  console.log(`  - PROPOSER_ROLE: ${multisigHasProposerRole ? '✅ YES' : '❌ NO'}`);
+  console.log(`  - EXECUTOR_ROLE: ${multisigHasExecutorRole ? '✅ YES' : '❌ NO'}`);
+  console.log(`  - ADMIN_ROLE: ${multisigHasAdminRole ? '✅ YES' : '❌ NO'}`);
+  
+  // Security warnings
+  if (deployerHasProposerRole || deployerHasExecutorRole || deployerHasAdminRole) {
+    console.log("\n⚠️  SECURITY WARNING: Deployer has governance roles!");
+    console.log("⚠️  This is a security risk. Consider revoking deployer roles after deployment.");
+  } else {
+    console.log("\n✅ SECURITY: Deployer has no governance roles - Good!");
+  }
+  
+  if (!multisigHasProposerRole || !multisigHasExecutorRole || !multisigHasAdminRole) {
+    console.log("\n❌ CRITICAL: Multi-Sig is missing required roles!");
+    console.log("❌ This deployment is NOT secure for production use!");
+  } else {
+    console.log("\n✅ SECURITY: Multi-Sig has all required roles - Secure!");
+  }
+  
+  // Final checkpoint: the manifest is complete only when the role setup is secure
+  manifest.steps.rolesVerified = !deployerHasProposerRole && !deployerHasExecutorRole && !deployerHasAdminRole &&
+    multisigHasProposerRole && multisigHasExecutorRole && multisigHasAdminRole;
+  if (manifest.steps.rolesVerified) {
+    manifest.status = "complete";
+    manifest.completedAt = manifest.completedAt || new Date().toISOString();
+  }
+  const manifestPath = saveCheckpoint();
+
+  // Output deployment information
+  console.log("\n=== Deployment Summary ===");
+  console.log("TimelockController address:", timelockAddress);
+  console.log("XPassToken address:", xpassAddress);
+  console.log("XPassToken owner:", xpassOwner);
+  if (manifestPath) {
+    console.log("Deployment manifest:", manifestPath);
+  }
+  
+  // Output token information
+  const name = await xpassToken.name();
+  const symbol = await xpassToken.symbol();
+  const decimals = await xpassToken.decimals();
+  const totalSupply = await xpassToken.totalSupply();
+  
+  console.log("\n=== Token Information ===");
+  console.log("Name:", name);
+  console.log("Symbol:", symbol);
+  console.log("Decimals:", decimals);
+  console.log("Total Supply:", ethers.formatUnits(totalSupply, decimals), symbol);
+  
+  // Check Multi-Sig balance
+  const multisigBalance = await xpassToken.balanceOf(multisigAddress);
+  console.log("Multi-Sig Balance:", ethers.formatUnits(multisigBalance, decimals), symbol);
+  
+  // Check deployer balance
+  const deployerBalance = await xpassToken.balanceOf(deployer.address);
+  console.log("Deployer Balance:", ethers.formatUnits(deployerBalance, decimals), symbol);
+  
+  console.log("\n=== Verification Commands ===");
+  console.log("To verify TimelockController:");
+  console.log(`npx hardhat verify --network <network_name> ${timelockAddress} "${minDelay}" "${admin}"`);
+  console.log("\nTo verify XPassToken:");
+  console.log(`npx hardhat verify --network <network_name> ${xpassAddress} "${multisigAddress}" "${timelockAddress}"`);
+  
+  console.log("\n=== Post-Deployment Guide ===");
+  console.log("1. Verify all contracts on block explorer");
+  console.log("2. Test Multi-Sig functionality:");
+  console.log("   - Create a proposal through Multi-Sig");
+  console.log("   - Execute proposal after 48-hour delay");
+  console.log("3. Monitor contract interactions");
+  console.log("4. Keep deployer private key secure but separate from governance");
+  
+  console.log("\n=== Multi-Sig Operations ===");
+  console.log("=== Immediate Operations (No delay) ===");
+  console.log("To transfer tokens immediately:");
+  console.log(`xpassToken.transfer(recipient, amount)`);
+  console.log("To approve tokens immediately:");
+  console.log(`xpassToken.approve(spender, amount)`);
+  console.log("To transfer ownership immediately:");
+  console.log(`xpassToken.transferOwnership(newOwner)`);
+  console.log("To renounce ownership immediately:");
+  console.log(`xpassToken.renounceOwnership()`);
+  
+  console.log("\n=== Timelock Operations (48-hour delay) ===");
+  console.log("To pause tokens:");
+  console.log(`timelockController.schedule(${xpassAddress}, 0, pauseData, salt, predecessor, delay)`);
+  console.log("To unpause tokens:");
+  console.log(`timelockController.schedule(${xpassAddress}, 0, unpauseData, salt, predecessor, delay)`);
+  
+  console.log("\n=== Usage Guidelines ===");
+  console.log("• Multi-Sig can execute most functions immediately (transfer, approve, ownership)");
+  console.log("• Only pause/unpause require timelock delay for security");
+  console.log("• All timelock operations require PROPOSER_ROLE and 48-hour delay");
+  
+  console.log("\nDeployment completed successfully!");
+
+  return manifest;
+}
+
+module.exports = {
+  deployXPass
+};
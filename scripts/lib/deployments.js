@@ -0,0 +1,328 @@
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const { keccak256 } = require("ethers");
+
+const { getInitCode, predictCreate2Address, findDeploymentBlock } = require("./create2");
+
+/**
+ * Deployment manifest helpers
+ *
+ * Every deployment writes a single JSON manifest to deployments/<network>/deployment.json.
+ * Downstream scripts (verification, audits, tooling) read contract addresses and
+ * constructor arguments from this file instead of parsing console output.
+ */
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const MANIFEST_FILE = "deployment.json";
+const MANIFEST_VERSION = 1;
+
+/**
+ * @dev Returns the manifest path for a network
+ * @param networkName Hardhat network name (e.g. "testnet", "mainnet")
+ */
+function getManifestPath(networkName) {
+  return path.join(DEPLOYMENTS_DIR, networkName, MANIFEST_FILE);
+}
+
+/**
+ * @dev Reads the manifest for a network
+ * @return Parsed manifest, or null if the network has no deployment yet
+ */
+function readManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+}
+
+/**
+ * @dev Reads the manifest for a network and fails if it does not exist
+ */
+function requireManifest(networkName) {
+  const manifest = readManifest(networkName);
+  if (!manifest) {
+    throw new Error(`No deployment manifest found for network "${networkName}" (expected ${getManifestPath(networkName)})`);
+  }
+  return manifest;
+}
+
+/**
+ * @dev Writes the manifest for a network, creating deployments/<network>/ if needed
+ * @return Path of the written manifest
+ */
+function writeManifest(networkName, manifest) {
+  const manifestPath = getManifestPath(networkName);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+  fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2) + "\n");
+  return manifestPath;
+}
+
+/**
+ * @dev Returns the current git commit and whether the working tree has local changes
+ * @notice Returns null values when git is not available (e.g. source archive)
+ */
+function getGitInfo() {
+  try {
+    const commit = execSync("git rev-parse HEAD", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+    const status = execSync("git status --porcelain", { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+    return { commit, dirty: status.length > 0 };
+  } catch (error) {
+    return { commit: null, dirty: null };
+  }
+}
+
+/**
+ * @dev Returns the solidity compiler settings used for the contracts
+ * @param solidityConfig Resolved hre.config.solidity
+ */
+function getCompilerInfo(solidityConfig) {
+  const compiler = solidityConfig.compilers[0];
+  return {
+    version: compiler.version,
+    settings: {
+      optimizer: compiler.settings.optimizer,
+      evmVersion: compiler.settings.evmVersion || null
+    }
+  };
+}
+
+/**
+ * @dev Returns the first block of an event scan over a deployed contract
+ * @notice Reused CREATE2 deployments may have no recorded block (no archive node at deployment
+ *         time): those require an explicit start block rather than a scan from genesis
+ * @param name Contract name, for the error message
+ * @param entry Manifest entry of the contract, or null when the address was given explicitly
+ * @param fromBlock Explicit start block (--fromBlock), undefined if not given
+ */
+function resolveFromBlock(name, entry, fromBlock) {
+  if (fromBlock !== undefined) {
+    return fromBlock;
+  }
+  if (!entry) {
+    return 0;
+  }
+  if (entry.blockNumber === null || entry.blockNumber === undefined) {
+    throw new Error(`${name} has no recorded deployment block in the manifest: pass --fromBlock explicitly`);
+  }
+  return entry.blockNumber;
+}
+
+/**
+ * @dev Moves an existing manifest aside so that a fresh deployment can start
+ * @return Path of the archived manifest, or null if there was nothing to archive
+ */
+function archiveManifest(networkName) {
+  const manifestPath = getManifestPath(networkName);
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const archivePath = path.join(path.dirname(manifestPath), `deployment.${stamp}.json`);
+  fs.renameSync(manifestPath, archivePath);
+  return archivePath;
+}
+
+/**
+ * @dev Builds the checkpoint entry of a contract whose deployment transaction was just broadcast
+ * @notice Written before waiting for the receipt so that a crash never loses the transaction hash
+ */
+async function describePendingDeployment(contract, constructorArgs) {
+  return {
+    status: "pending",
+    address: await contract.getAddress(),
+    constructorArgs: constructorArgs.map((arg) => arg.toString()),
+    txHash: contract.deploymentTransaction().hash
+  };
+}
+
+/**
+ * @dev Builds the manifest entry of a freshly deployed contract
+ * @param contract Deployed ethers contract (waitForDeployment already awaited)
+ * @param constructorArgs Arguments passed to the constructor
+ */
+async function describeDeployment(contract, constructorArgs) {
+  const deploymentTx = contract.deploymentTransaction();
+  const receipt = await deploymentTx.wait();
+  return {
+    status: "deployed",
+    address: await contract.getAddress(),
+    constructorArgs: constructorArgs.map((arg) => arg.toString()),
+    txHash: deploymentTx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+}
+
+/**
+ * @dev Waits for the recorded deployment transaction of a checkpoint entry
+ * @notice A transaction that was dropped from the mempool, replaced by another one or
+ *         reverted created nothing: it is reported as failed (null) instead of throwing
+ * @return { tx, receipt } of the mined deployment, or null if it failed
+ */
+async function waitForRecordedTransaction(provider, txHash) {
+  const tx = await provider.getTransaction(txHash);
+  if (!tx) {
+    return null;
+  }
+  try {
+    return { tx, receipt: await tx.wait() };
+  } catch (error) {
+    // Same transaction resent with a higher gas price: the replacement is the deployment
+    if (error.code === "TRANSACTION_REPLACED" && !error.cancelled) {
+      return { tx: error.replacement, receipt: error.receipt };
+    }
+    // ethers v6 throws on a reverted receipt
+    if (error.code === "CALL_EXCEPTION" || error.code === "TRANSACTION_REPLACED") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * @dev Confirms that a checkpointed contract really exists on-chain as recorded
+ *
+ * Checks that the recorded transaction was mined successfully, created the recorded
+ * address, that code is present there, and that its creation data equals the
+ * compiled bytecode with the expected constructor arguments.
+ *
+ * A pending entry whose transaction was dropped or reverted is not an error: the
+ * contract was never created, so null is returned and the caller redeploys only
+ * that contract. A deployed entry whose transaction is missing still throws (wrong
+ * network or chain reorganization).
+ *
+ * @param provider Ethers provider of the target network
+ * @param factory Contract factory of the checkpointed contract
+ * @param entry Manifest entry (pending or deployed)
+ * @param constructorArgs Constructor arguments expected from the current configuration
+ * @param salt CREATE2 salt expected from the current configuration (null for CREATE)
+ * @return Finalized manifest entry, or null if the pending deployment failed
+ */
+async function verifyRecordedDeployment(provider, factory, entry, constructorArgs, salt = null) {
+  const expectedArgs = constructorArgs.map((arg) => arg.toString().toLowerCase());
+  const recordedArgs = entry.constructorArgs.map((arg) => arg.toLowerCase());
+  if (expectedArgs.join(",") !== recordedArgs.join(",")) {
+    throw new Error(
+      `Recorded constructor arguments [${entry.constructorArgs.join(", ")}] differ from the current configuration ` +
+      `[${constructorArgs.join(", ")}]. Restore the original configuration or start a fresh deployment (DEPLOY_FRESH=true).`
+    );
+  }
+
+  const recordedSalt = entry.create2 ? entry.create2.salt : null;
+  if (recordedSalt !== salt) {
+    throw new Error(
+      `Recorded deployment ${recordedSalt ? `used CREATE2 salt ${recordedSalt}` : "did not use CREATE2"}, but the current ` +
+      `configuration ${salt ? `uses salt ${salt}` : "does not"}. Restore the original configuration or start a fresh deployment (DEPLOY_FRESH=true).`
+    );
+  }
+  if (salt) {
+    return verifyRecordedCreate2Deployment(provider, factory, entry, constructorArgs);
+  }
+
+  const mined = await waitForRecordedTransaction(provider, entry.txHash);
+  if (!mined) {
+    if (entry.status === "pending") {
+      return null;
+    }
+    throw new Error(`Recorded deployment transaction ${entry.txHash} was not found on this network or failed`);
+  }
+
+  const { tx, receipt } = mined;
+  if (!receipt.contractAddress || receipt.contractAddress.toLowerCase() !== entry.address.toLowerCase()) {
+    throw new Error(`Recorded deployment transaction ${entry.txHash} did not create ${entry.address}`);
+  }
+
+  const code = await provider.getCode(entry.address);
+  if (code === "0x") {
+    throw new Error(`No contract code at recorded address ${entry.address}`);
+  }
+
+  const expectedTx = await factory.getDeployTransaction(...constructorArgs);
+  if (tx.data.toLowerCase() !== expectedTx.data.toLowerCase()) {
+    throw new Error(`Creation bytecode at ${entry.address} does not match the compiled contract and constructor arguments`);
+  }
+
+  return {
+    status: "deployed",
+    address: entry.address,
+    constructorArgs: entry.constructorArgs,
+    txHash: tx.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString()
+  };
+}
+
+/**
+ * @dev Resumes a checkpointed deployment: confirms it on-chain, or reports that it must be deployed again
+ * @notice Shared by every tool that checkpoints deployments in the manifest. A null result means the
+ *         pending transaction was dropped or reverted: the caller replaces the stale entry with a
+ *         new deployment of that contract
+ * @param label Contract description for the log (e.g. "XPassBatchSender")
+ * @param entry Manifest entry (pending or deployed)
+ * @return Finalized manifest entry, or null if the contract must be deployed again
+ */
+async function resumeRecordedDeployment(provider, factory, label, entry, constructorArgs, salt = null) {
+  const deployment = await verifyRecordedDeployment(provider, factory, entry, constructorArgs, salt);
+  if (!deployment) {
+    console.log(`⚠️  Pending ${label} deployment ${entry.txHash} was dropped or reverted, deploying it again...`);
+  }
+  return deployment;
+}
+
+/**
+ * @dev Confirms a checkpointed CREATE2 deployment
+ * @notice The CREATE2 address commits to the salt and the init code, so an address matching the
+ *         compiled contract with the expected arguments and holding code proves the deployment,
+ *         even when it was not created by the recorded transaction (txHash null)
+ */
+async function verifyRecordedCreate2Deployment(provider, factory, entry, constructorArgs) {
+  const initCodeHash = keccak256(await getInitCode(factory, constructorArgs));
+  const expectedAddress = predictCreate2Address(entry.create2.salt, initCodeHash, entry.create2.factory);
+  if (expectedAddress.toLowerCase() !== entry.address.toLowerCase()) {
+    throw new Error(`Creation bytecode at ${entry.address} does not match the compiled contract and constructor arguments`);
+  }
+
+  const mined = entry.txHash ? await waitForRecordedTransaction(provider, entry.txHash) : null;
+  const code = await provider.getCode(entry.address);
+  if (entry.txHash && !mined && entry.status === "pending" && code === "0x") {
+    return null;
+  }
+  if (code === "0x") {
+    throw new Error(`No contract code at recorded address ${entry.address}`);
+  }
+  // Our transaction may have failed because the same contract was deployed meanwhile
+  const receipt = mined ? mined.receipt : null;
+  let blockNumber = receipt ? receipt.blockNumber : entry.blockNumber;
+  if (blockNumber === undefined || blockNumber === null) {
+    blockNumber = await findDeploymentBlock(provider, entry.address);
+  }
+
+  return {
+    status: "deployed",
+    address: entry.address,
+    constructorArgs: entry.constructorArgs,
+    txHash: mined ? mined.tx.hash : null,
+    blockNumber,
+    gasUsed: receipt ? receipt.gasUsed.toString() : "0",
+    create2: { ...entry.create2, initCodeHash }
+  };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  MANIFEST_VERSION,
+  getManifestPath,
+  readManifest,
+  requireManifest,
+  writeManifest,
+  archiveManifest,
+  getGitInfo,
+  getCompilerInfo,
+  resolveFromBlock,
+  describePendingDeployment,
+  describeDeployment,
+  verifyRecordedDeployment,
+  resumeRecordedDeployment
+};
@@ -0,0 +1,266 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { describePendingDeployment, describeDeployment, resumeRecordedDeployment } = require("./deployments");
+const { buildSafeTransaction, buildSafeBatch } = require("./safe-batch");
+
+/**
+ * Treasury batch disbursements through XPassBatchSender
+ *
+ * A disbursement is planned from a validated recipients CSV: recipients are split into
+ * chunks that fit a gas limit, and the balances before sending are recorded. Chunks are then
+ * sent directly (when the signer is the source) or written as one Safe batch per chunk
+ * (approve + batchTransfer). Reconciliation compares the balances after sending with the plan.
+ */
+
+const DISBURSEMENTS_DIR = path.join(__dirname, "..", "..", "disbursements");
+
+// Conservative gas model: transferFrom to a new holder costs ~31k gas (cold SSTOREs, event)
+const DEFAULT_GAS_LIMIT = 5_000_000;
+const BASE_GAS = 60_000;
+const GAS_PER_TRANSFER = 40_000;
+
+/**
+ * @dev Splits recipients into chunks whose estimated gas fits `gasLimit`
+ * @param recipients Recipients returned by parseRecipients
+ * @param options.gasLimit Gas limit per transaction
+ * @param options.baseGas Fixed gas per batch transaction (approve, call overhead)
+ * @param options.gasPerTransfer Estimated gas per recipient
+ * @return Chunks { recipients, total, estimatedGas }
+ */
+function chunkRecipients(recipients, options = {}) {
+  const gasLimit = options.gasLimit || DEFAULT_GAS_LIMIT;
+  const baseGas = options.baseGas || BASE_GAS;
+  const gasPerTransfer = options.gasPerTransfer || GAS_PER_TRANSFER;
+
+  const perChunk = Math.floor((gasLimit - baseGas) / gasPerTransfer);
+  if (perChunk < 1) {
+    throw new Error(`Gas limit ${gasLimit} is too low for a single transfer (${baseGas + gasPerTransfer} needed)`);
+  }
+
+  const chunks = [];
+  for (let start = 0; start < recipients.length; start += perChunk) {
+    const slice = recipients.slice(start, start + perChunk);
+    chunks.push({
+      recipients: slice,
+      total: slice.reduce((sum, recipient) => sum + recipient.amount, 0n),
+      estimatedGas: baseGas + slice.length * gasPerTransfer
+    });
+  }
+  return chunks;
+}
+
+/**
+ * @dev Reads token balances of a list of addresses
+ * @return Object mapping each address to its balance (bigint)
+ */
+async function readBalances(token, addresses, blockTag) {
+  const balances = {};
+  for (const address of addresses) {
+    balances[address] = await token.balanceOf(address, { blockTag });
+  }
+  return balances;
+}
+
+/**
+ * @dev Deploys XPassBatchSender, or reuses the one recorded in the manifest
+ * @param hre Hardhat runtime environment
+ * @param manifest Deployment manifest; updated in place (`batchSender`)
+ * @param options.deployer Signer to deploy from (defaults to the first configured account)
+ * @param options.onCheckpoint Called whenever the manifest changes (used to persist it)
+ * @return XPassBatchSender contract instance
+ */
+async function ensureBatchSender(hre, manifest, options = {}) {
+  const deployer = options.deployer || (await hre.ethers.getSigners())[0];
+  const checkpoint = options.onCheckpoint || (() => {});
+  const XPassBatchSender = await hre.ethers.getContractFactory("XPassBatchSender", deployer);
+
+  const deployment = manifest.batchSender
+    ? await resumeRecordedDeployment(hre.ethers.provider, XPassBatchSender, "XPassBatchSender", manifest.batchSender, [])
+    : null;
+  if (deployment) {
+    manifest.batchSender = deployment;
+    checkpoint(manifest);
+    return XPassBatchSender.attach(manifest.batchSender.address);
+  }
+
+  const sender = await XPassBatchSender.deploy();
+  manifest.batchSender = await describePendingDeployment(sender, []);
+  checkpoint(manifest);
+
+  await sender.waitForDeployment();
+  manifest.batchSender = await describeDeployment(sender, []);
+  checkpoint(manifest);
+  console.log(`✅ XPassBatchSender deployed at ${manifest.batchSender.address}`);
+  return sender;
+}
+
+/**
+ * @dev Plans a disbursement: chunks and balances before sending
+ * @param token XPassToken contract instance
+ * @param sender XPassBatchSender contract instance
+ * @param from Source of the tokens (owner Safe or signer)
+ * @param recipients Recipients returned by parseRecipients
+ * @param options Chunking options (see chunkRecipients)
+ * @return JSON-serializable plan
+ */
+async function planDisbursement(token, sender, from, recipients, options = {}) {
+  const source = ethers.getAddress(from);
+  if (recipients.some((recipient) => recipient.address === source)) {
+    throw new Error(`The source ${source} cannot be a recipient of its own disbursement`);
+  }
+
+  const chunks = chunkRecipients(recipients, options);
+  const total = recipients.reduce((sum, recipient) => sum + recipient.amount, 0n);
+  const sourceBalance = await token.balanceOf(from);
+  if (sourceBalance < total) {
+    throw new Error(`${from} holds ${ethers.formatUnits(sourceBalance, 18)} XPASS, ${ethers.formatUnits(total, 18)} XPASS needed`);
+  }
+
+  const blockNumber = await token.runner.provider.getBlockNumber();
+  const balancesBefore = await readBalances(token, recipients.map((recipient) => recipient.address), blockNumber);
+
+  return {
+    token: await token.getAddress(),
+    batchSender: await sender.getAddress(),
+    from: source,
+    blockNumber,
+    total: total.toString(),
+    sourceBalanceBefore: sourceBalance.toString(),
+    recipients: recipients.map((recipient) => ({
+      address: recipient.address,
+      amount: recipient.amount.toString(),
+      balanceBefore: balancesBefore[recipient.address].toString()
+    })),
+    chunks: chunks.map((chunk) => ({
+      addresses: chunk.recipients.map((recipient) => recipient.address),
+      amounts: chunk.recipients.map((recipient) => recipient.amount.toString()),
+      total: chunk.total.toString(),
+      estimatedGas: chunk.estimatedGas
+    })),
+    sentChunks: []
+  };
+}
+
+/**
+ * @dev Builds one Safe batch per chunk: approve(batchSender, chunk total) + batchTransfer(chunk)
+ * @param plan Plan returned by planDisbursement
+ * @param options.chainId Chain ID of the Safe
+ * @param options.name Disbursement name
+ * @param options.tokenInterface ethers Interface of XPassToken
+ * @param options.senderInterface ethers Interface of XPassBatchSender
+ */
+function buildDisbursementBatches(plan, options) {
+  return plan.chunks.map((chunk, index) => buildSafeBatch({
+    chainId: options.chainId,
+    safeAddress: plan.from,
+    name: `${options.name}-${index + 1}-of-${plan.chunks.length}`,
+    description: `Disbursement "${options.name}" chunk ${index + 1}/${plan.chunks.length}: ` +
+      `${chunk.addresses.length} recipient(s), ${ethers.formatUnits(chunk.total, 18)} XPASS`,
+    transactions: [
+      buildSafeTransaction(plan.token, options.tokenInterface, "approve", [plan.batchSender, chunk.total]),
+      buildSafeTransaction(plan.batchSender, options.senderInterface, "batchTransfer", [plan.token, chunk.addresses, chunk.amounts])
+    ]
+  }));
+}
+
+/**
+ * @dev Sends the chunks of a plan directly from the signer (the plan source)
+ * @param token XPassToken contract instance connected to the signer
+ * @param sender XPassBatchSender contract instance connected to the signer
+ * @param plan Plan returned by planDisbursement
+ * @param options.gasLimit Gas limit per batch transaction
+ * @param options.onChunk Called with the plan after each chunk (used to checkpoint)
+ * @notice Chunks already listed in `plan.sentChunks` are skipped, so an interrupted run resumes
+ * @return Updated plan
+ */
+async function sendDisbursement(token, sender, plan, options = {}) {
+  for (let index = plan.sentChunks.length; index < plan.chunks.length; index++) {
+    const chunk = plan.chunks[index];
+    await (await token.approve(plan.batchSender, chunk.total)).wait();
+    const receipt = await (await sender.batchTransfer(plan.token, chunk.addresses, chunk.amounts, {
+      gasLimit: options.gasLimit
+    })).wait();
+    plan.sentChunks.push(receipt.hash);
+    console.log(`💸 Chunk ${index + 1}/${plan.chunks.length}: ${chunk.addresses.length} transfer(s), gas used ${receipt.gasUsed} (tx ${receipt.hash})`);
+    if (options.onChunk) {
+      options.onChunk(plan);
+    }
+  }
+  return plan;
+}
+
+/**
+ * @dev Compares current balances with the plan
+ * @notice Recipients receiving other transfers in the meantime show up as mismatches
+ * @return Report with per-recipient before/expected/after balances and the source delta
+ */
+async function reconcileDisbursement(token, plan) {
+  const addresses = plan.recipients.map((recipient) => recipient.address);
+  const blockNumber = await token.runner.provider.getBlockNumber();
+  const after = await readBalances(token, addresses, blockNumber);
+  const sourceBalanceAfter = await token.balanceOf(plan.from, { blockTag: blockNumber });
+
+  const recipients = plan.recipients.map((recipient) => {
+    const expected = BigInt(recipient.balanceBefore) + BigInt(recipient.amount);
+    const balanceAfter = after[recipient.address];
+    return {
+      address: recipient.address,
+      amount: recipient.amount,
+      balanceBefore: recipient.balanceBefore,
+      expected: expected.toString(),
+      balanceAfter: balanceAfter.toString(),
+      ok: balanceAfter === expected
+    };
+  });
+
+  const sourceDelta = BigInt(plan.sourceBalanceBefore) - sourceBalanceAfter;
+  const mismatches = recipients.filter((recipient) => !recipient.ok).length;
+  return {
+    token: plan.token,
+    from: plan.from,
+    plannedAtBlock: plan.blockNumber,
+    reconciledAtBlock: blockNumber,
+    total: plan.total,
+    sourceBalanceBefore: plan.sourceBalanceBefore,
+    sourceBalanceAfter: sourceBalanceAfter.toString(),
+    sourceDelta: sourceDelta.toString(),
+    sourceOk: sourceDelta === BigInt(plan.total),
+    mismatches,
+    ok: mismatches === 0 && sourceDelta === BigInt(plan.total),
+    recipients
+  };
+}
+
+/**
+ * @dev Returns the output directory of a disbursement
+ */
+function getDisbursementDir(networkName, name) {
+  return path.join(DISBURSEMENTS_DIR, networkName, name);
+}
+
+/**
+ * @dev Writes a JSON file of a disbursement (plan.json, report.json, ...)
+ * @return Path of the written file
+ */
+function writeDisbursementFile(networkName, name, fileName, content) {
+  const filePath = path.join(getDisbursementDir(networkName, name), fileName);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(content, null, 2) + "\n");
+  return filePath;
+}
+
+module.exports = {
+  DISBURSEMENTS_DIR,
+  DEFAULT_GAS_LIMIT,
+  chunkRecipients,
+  readBalances,
+  ensureBatchSender,
+  planDisbursement,
+  buildDisbursementBatches,
+  sendDisbursement,
+  reconcileDisbursement,
+  getDisbursementDir,
+  writeDisbursementFile
+};
@@ -0,0 +1,211 @@
+const fs = require("fs");
+const path = require("path");
+
+const { DEPLOYMENTS_DIR } = require("./deployments");
+const { deployXPass } = require("./deployer");
+const { predictXPassAddresses } = require("./create2");
+
+/**
+ * Deployment dry run
+ *
+ * Runs the exact deployment pipeline against the in-process Hardhat network (optionally
+ * forking the target chain through FORK_RPC_URL) inside an EVM snapshot, then reverts it.
+ * Nothing is ever broadcast and no deployment manifest is written; instead a report with
+ * gas usage, cost, predicted addresses and the resulting role matrix is produced.
+ */
+
+const TIMELOCK_ROLES = ["PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE", "DEFAULT_ADMIN_ROLE"];
+
+/**
+ * @dev Resolves the deployer signer for the simulation
+ * @notice When PRIVATE_KEY is set, the real deployer address is impersonated so that the
+ *         predicted addresses use its actual nonce (on a fork) and balance checks are meaningful
+ */
+async function getSimulationDeployer(hre) {
+  const { ethers, network } = hre;
+  if (!process.env.PRIVATE_KEY) {
+    return (await ethers.getSigners())[0];
+  }
+
+  const address = new ethers.Wallet(process.env.PRIVATE_KEY).address;
+  await network.provider.send("hardhat_impersonateAccount", [address]);
+  return ethers.getSigner(address);
+}
+
+/**
+ * @dev Returns the gas price used for cost estimates: the target network's configured
+ *      gasPrice, or the current network gas price when it is "auto"
+ */
+async function getTargetGasPrice(hre, targetConfig) {
+  if (typeof targetConfig.gasPrice === "number") {
+    return BigInt(targetConfig.gasPrice);
+  }
+  const feeData = await hre.ethers.provider.getFeeData();
+  return feeData.gasPrice || 0n;
+}
+
+/**
+ * @dev Builds the role matrix of the deployed TimelockController for the relevant accounts
+ */
+async function getRoleMatrix(timelockController, accounts) {
+  const roleIds = {};
+  for (const role of TIMELOCK_ROLES) {
+    roleIds[role] = await timelockController[role]();
+  }
+
+  const matrix = {};
+  for (const [label, address] of Object.entries(accounts)) {
+    matrix[label] = { address };
+    for (const role of TIMELOCK_ROLES) {
+      matrix[label][role] = await timelockController.hasRole(roleIds[role], address);
+    }
+  }
+  return matrix;
+}
+
+/**
+ * @dev Simulates the deployment without broadcasting anything
+ * @param hre Hardhat runtime environment (must be the in-process "hardhat" network)
+ * @param options.target Network whose policy and gas price to simulate (e.g. "mainnet")
+ * @param options.create2 { salt, tokenSalt } of a deterministic deployment (see create2.js)
+ * @return Dry-run report
+ */
+async function dryRunXPass(hre, options = {}) {
+  const { ethers, network, config } = hre;
+
+  if (network.name !== "hardhat") {
+    throw new Error(
+      `Dry runs only execute on the in-process "hardhat" network (got "${network.name}"). ` +
+      "Use --network hardhat with --target <network>, and FORK_RPC_URL to fork the target chain."
+    );
+  }
+
+  const targetName = options.target || network.name;
+  const targetConfig = config.networks[targetName];
+  if (!targetConfig) {
+    throw new Error(`Unknown target network "${targetName}"`);
+  }
+
+  const snapshotId = await network.provider.send("evm_snapshot");
+  try {
+    const deployer = await getSimulationDeployer(hre);
+    const startNonce = await ethers.provider.getTransactionCount(deployer.address);
+    let predicted = {
+      XPassTimelockController: ethers.getCreateAddress({ from: deployer.address, nonce: startNonce }),
+      XPassToken: ethers.getCreateAddress({ from: deployer.address, nonce: startNonce + 1 })
+    };
+
+    const gasPrice = await getTargetGasPrice(hre, targetConfig);
+    const balance = await ethers.provider.getBalance(deployer.address);
+
+    // Fund the simulated deployer if needed so that the simulation can run to the end;
+    // the report still flags the real balance as insufficient
+    const fundedBalance = ethers.parseEther("1000");
+    if (balance < fundedBalance) {
+      await network.provider.send("hardhat_setBalance", [deployer.address, ethers.toQuantity(fundedBalance)]);
+    }
+
+    const manifest = await deployXPass(hre, {
+      dryRun: true,
+      deployer,
+      policyChainId: targetConfig.chainId,
+      create2: options.create2
+    });
+
+    // CREATE2 addresses depend on the salts and init code instead of the deployer nonce
+    if (manifest.create2) {
+      const predictions = await predictXPassAddresses(hre, {
+        minDelay: manifest.minDelay,
+        multisig: manifest.multisig,
+        salts: manifest.create2.salts
+      });
+      predicted = Object.fromEntries(Object.entries(predictions).map(([name, prediction]) => [name, prediction.address]));
+    }
+
+    const steps = {};
+    let totalGas = 0n;
+    for (const [name, entry] of Object.entries(manifest.contracts)) {
+      const gasUsed = BigInt(entry.gasUsed);
+      totalGas += gasUsed;
+      steps[name] = {
+        gasUsed: gasUsed.toString(),
+        cost: ethers.formatEther(gasUsed * gasPrice),
+        predictedAddress: predicted[name],
+        simulatedAddress: entry.address,
+        addressMatches: predicted[name].toLowerCase() === entry.address.toLowerCase()
+      };
+    }
+    const totalCost = totalGas * gasPrice;
+
+    const timelockController = await ethers.getContractAt(
+      "XPassTimelockController",
+      manifest.contracts.XPassTimelockController.address
+    );
+    const roleMatrix = await getRoleMatrix(timelockController, {
+      deployer: deployer.address,
+      multisig: manifest.multisig,
+      timelockController: manifest.contracts.XPassTimelockController.address
+    });
+
+    return {
+      target: targetName,
+      targetChainId: targetConfig.chainId,
+      simulatedChainId: manifest.chainId,
+      forked: Boolean(config.networks.hardhat.forking && config.networks.hardhat.forking.enabled),
+      simulatedAt: new Date().toISOString(),
+      deployer: deployer.address,
+      deployerNonce: startNonce,
+      deployerBalance: ethers.formatEther(balance),
+      sufficientBalance: balance >= totalCost,
+      multisig: manifest.multisig,
+      minDelay: manifest.minDelay,
+      create2: manifest.create2,
+      gasPrice: gasPrice.toString(),
+      steps,
+      totalGasUsed: totalGas.toString(),
+      totalCost: ethers.formatEther(totalCost),
+      roleMatrix,
+      rolesVerified: manifest.steps.rolesVerified
+    };
+  } finally {
+    await network.provider.send("evm_revert", [snapshotId]);
+  }
+}
+
+/**
+ * @dev Prints a dry-run report and writes it to deployments/<target>/dry-run.json
+ * @return Path of the written report
+ */
+function writeDryRunReport(report) {
+  console.log("\n=== Dry Run Report (nothing was broadcast) ===");
+  console.log(`Target: ${report.target} (chain ${report.targetChainId})${report.forked ? ", forked state" : ""}`);
+  console.log(`Deployer: ${report.deployer} (nonce ${report.deployerNonce}, balance ${report.deployerBalance} BNB)`);
+  console.log(`Min Delay: ${report.minDelay} seconds`);
+  if (report.create2) {
+    console.log(`CREATE2 factory: ${report.create2.factory}`);
+  }
+  console.log(`Gas price: ${report.gasPrice} wei`);
+  for (const [name, step] of Object.entries(report.steps)) {
+    console.log(`- ${name}: ${step.gasUsed} gas, ${step.cost} BNB, predicted address ${step.predictedAddress}`);
+  }
+  console.log(`Total: ${report.totalGasUsed} gas, ${report.totalCost} BNB`);
+  console.log(report.sufficientBalance ? "✅ Deployer balance covers the deployment" : "❌ Deployer balance is INSUFFICIENT");
+
+  console.log("\nRole matrix:");
+  for (const [label, roles] of Object.entries(report.roleMatrix)) {
+    const granted = TIMELOCK_ROLES.filter((role) => roles[role]);
+    console.log(`- ${label} (${roles.address}): ${granted.length ? granted.join(", ") : "none"}`);
+  }
+  console.log(report.rolesVerified ? "✅ Role setup is secure" : "❌ Role setup is NOT secure");
+
+  const reportPath = path.join(DEPLOYMENTS_DIR, report.target, "dry-run.json");
+  fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2) + "\n");
+  console.log("\nDry run report:", reportPath);
+  return reportPath;
+}
+
+module.exports = {
+  dryRunXPass,
+  writeDryRunReport
+};
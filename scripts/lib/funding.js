@@ -0,0 +1,76 @@
+const { ethers } = require("ethers");
+
+const { buildSafeTransaction, buildSafeBatch } = require("./safe-batch");
+
+/**
+ * Funding of project contracts (vesting wallets, distributors) from the token owner
+ *
+ * The XPASS supply is minted to the owner (the Multi-Sig). When the deployer is the owner
+ * the transfers are sent directly; otherwise they are returned as a Safe Transaction Builder
+ * batch for the owner to execute.
+ */
+
+/**
+ * @dev Computes how much each target still needs to reach its allocation
+ * @param token XPassToken contract instance
+ * @param targets Array of { name, address, amount, received? }; `received` defaults to the current balance
+ * @return Targets with a positive `shortfall`
+ */
+async function getShortfalls(token, targets) {
+  const shortfalls = [];
+  for (const target of targets) {
+    const received = target.received !== undefined ? target.received : await token.balanceOf(target.address);
+    const shortfall = BigInt(target.amount) - received;
+    if (shortfall > 0n) {
+      shortfalls.push({ ...target, shortfall });
+    }
+  }
+  return shortfalls;
+}
+
+/**
+ * @dev Transfers the missing amounts from the token owner
+ * @param token XPassToken contract instance connected to the deployer
+ * @param shortfalls Targets returned by getShortfalls
+ * @param options.deployer Signer sending the direct transfers
+ * @param options.chainId Chain ID written to the Safe batch
+ * @param options.batchName Safe batch name
+ * @param options.onFunded Called with (target, txHash) after each direct transfer
+ * @return { funded: names funded directly, batch: Safe batch or null }
+ */
+async function fundFromOwner(token, shortfalls, options) {
+  if (shortfalls.length === 0) {
+    return { funded: [], batch: null };
+  }
+
+  const tokenAddress = await token.getAddress();
+  const owner = await token.owner();
+  if (owner.toLowerCase() !== options.deployer.address.toLowerCase()) {
+    const batch = buildSafeBatch({
+      chainId: options.chainId,
+      safeAddress: owner,
+      name: options.batchName,
+      description: `Transfer ${shortfalls.map(({ name, shortfall }) => `${ethers.formatUnits(shortfall, 18)} XPASS to ${name}`).join(", ")}`,
+      transactions: shortfalls.map(({ address, shortfall }) =>
+        buildSafeTransaction(tokenAddress, token.interface, "transfer", [address, shortfall])
+      )
+    });
+    return { funded: [], batch };
+  }
+
+  const funded = [];
+  for (const target of shortfalls) {
+    const receipt = await (await token.connect(options.deployer).transfer(target.address, target.shortfall)).wait();
+    funded.push(target.name);
+    console.log(`💸 ${target.name}: funded with ${ethers.formatUnits(target.shortfall, 18)} XPASS (tx ${receipt.hash})`);
+    if (options.onFunded) {
+      options.onFunded(target, receipt.hash);
+    }
+  }
+  return { funded, batch: null };
+}
+
+module.exports = {
+  getShortfalls,
+  fundFromOwner
+};
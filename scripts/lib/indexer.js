@@ -0,0 +1,273 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const { requireManifest, resolveFromBlock } = require("./deployments");
+const { findProfile } = require("./profiles");
+
+/**
+ * Local event indexer for XPassToken and XPassTimelockController
+ *
+ * Scans the contracts' logs from the deployment block in resumable chunks, decodes them
+ * with the compiled ABIs and stores them in a JSON file that other tooling can query.
+ * Each chunk is appended to an NDJSON journal next to the store, which is folded into the
+ * store when the run completes, so an interrupted run resumes where it stopped without
+ * rewriting the whole store after every chunk.
+ */
+
+const INDEXES_DIR = path.join(__dirname, "..", "..", "indexes");
+const STORE_VERSION = 1;
+const DEFAULT_CHUNK_SIZE = 5000;
+
+/**
+ * @dev Returns the default store path for a network
+ */
+function getStorePath(networkName) {
+  return path.join(INDEXES_DIR, networkName, "events.json");
+}
+
+/**
+ * @dev Returns the path of the chunk journal of a store
+ */
+function getJournalPath(storePath) {
+  return `${storePath}.journal`;
+}
+
+/**
+ * @dev Opens (or initializes) an event store, replaying the chunks journaled by an interrupted run
+ * @param storePath Path of the JSON store
+ * @param meta.chainId Chain the contracts live on
+ * @param meta.contracts Map of contract name to { address, fromBlock }
+ * @notice Refuses to reuse a store that was built for other contract addresses
+ */
+function openStore(storePath, meta) {
+  if (fs.existsSync(storePath)) {
+    const store = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    for (const [name, contract] of Object.entries(meta.contracts)) {
+      const indexed = store.contracts[name];
+      if (!indexed || indexed.address.toLowerCase() !== contract.address.toLowerCase() || store.chainId !== meta.chainId) {
+        throw new Error(`Event store ${storePath} was built for other contracts; delete it to rebuild the index`);
+      }
+    }
+    return replayJournal(storePath, store);
+  }
+
+  const fromBlock = Math.min(...Object.values(meta.contracts).map((contract) => contract.fromBlock));
+  return replayJournal(storePath, {
+    storeVersion: STORE_VERSION,
+    chainId: meta.chainId,
+    contracts: meta.contracts,
+    fromBlock,
+    lastIndexedBlock: fromBlock - 1,
+    events: []
+  });
+}
+
+/**
+ * @dev Applies the journaled chunks that are newer than the store
+ * @notice A line torn by an interruption ends the replay: its chunk is indexed again
+ */
+function replayJournal(storePath, store) {
+  const journalPath = getJournalPath(storePath);
+  if (!fs.existsSync(journalPath)) {
+    return store;
+  }
+  for (const line of fs.readFileSync(journalPath, "utf8").split("\n")) {
+    let chunk;
+    try {
+      chunk = JSON.parse(line);
+    } catch (error) {
+      break;
+    }
+    if (chunk.lastIndexedBlock > store.lastIndexedBlock) {
+      store.events.push(...chunk.events);
+      store.lastIndexedBlock = chunk.lastIndexedBlock;
+    }
+  }
+  return store;
+}
+
+/**
+ * @dev Appends one indexed chunk to the journal of a store
+ * @param events Events of the chunk
+ * @param lastIndexedBlock Last block of the chunk
+ */
+function appendChunk(storePath, events, lastIndexedBlock) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.appendFileSync(getJournalPath(storePath), JSON.stringify({ lastIndexedBlock, events }) + "\n");
+}
+
+/**
+ * @dev Persists an event store and discards its journal, which the store now includes
+ */
+function saveStore(storePath, store) {
+  fs.mkdirSync(path.dirname(storePath), { recursive: true });
+  fs.writeFileSync(storePath, JSON.stringify(store, null, 2) + "\n");
+  fs.rmSync(getJournalPath(storePath), { force: true });
+}
+
+/**
+ * @dev Converts decoded event arguments to a JSON-friendly object keyed by parameter name
+ */
+function serializeArgs(fragment, args) {
+  const result = {};
+  fragment.inputs.forEach((input, index) => {
+    const value = args[index];
+    result[input.name] = typeof value === "bigint" ? value.toString() : value;
+  });
+  return result;
+}
+
+/**
+ * @dev Indexes new events up to `toBlock`, reporting every chunk for checkpointing
+ * @param provider Ethers provider
+ * @param store Store returned by openStore
+ * @param options.interfaces Map of contract name to ethers Interface
+ * @param options.toBlock Last block to index (e.g. latest block minus confirmations)
+ * @param options.chunkSize Maximum block range per eth_getLogs request
+ * @param options.onChunk Called with the store, the chunk's events and its last block after each
+ *        chunk is decoded (used to journal the chunk)
+ * @return Number of new events
+ */
+async function indexEvents(provider, store, options) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const byAddress = {};
+  for (const [name, contract] of Object.entries(store.contracts)) {
+    byAddress[contract.address.toLowerCase()] = { name, iface: options.interfaces[name] };
+  }
+
+  let added = 0;
+  for (let start = store.lastIndexedBlock + 1; start <= options.toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, options.toBlock);
+    const logs = await provider.getLogs({
+      address: Object.values(store.contracts).map((contract) => contract.address),
+      fromBlock: start,
+      toBlock: end
+    });
+
+    const events = [];
+    for (const log of logs) {
+      const source = byAddress[log.address.toLowerCase()];
+      const parsed = source.iface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      events.push({
+        contract: source.name,
+        event: parsed.name,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        args: serializeArgs(parsed.fragment, parsed.args)
+      });
+    }
+
+    store.events.push(...events);
+    store.lastIndexedBlock = end;
+    added += events.length;
+    if (options.onChunk) {
+      options.onChunk(store, events, end);
+    }
+  }
+  return added;
+}
+
+/**
+ * @dev Queries indexed events
+ * @param store Event store
+ * @param filter.contract Contract name (e.g. "XPassToken")
+ * @param filter.event Event name (e.g. "Transfer")
+ * @param filter.fromBlock / filter.toBlock Inclusive block range
+ * @param filter.args Map of argument name to expected value (addresses compared case-insensitively)
+ * @return Matching events in chain order
+ */
+function queryEvents(store, filter = {}) {
+  const matchesArgs = (event) => Object.entries(filter.args || {}).every(([name, expected]) => {
+    const actual = event.args[name];
+    return typeof actual === "string" && typeof expected === "string"
+      ? actual.toLowerCase() === expected.toLowerCase()
+      : actual === expected;
+  });
+
+  return store.events.filter((event) =>
+    (!filter.contract || event.contract === filter.contract) &&
+    (!filter.event || event.event === filter.event) &&
+    (filter.fromBlock === undefined || event.blockNumber >= filter.fromBlock) &&
+    (filter.toBlock === undefined || event.blockNumber <= filter.toBlock) &&
+    matchesArgs(event)
+  );
+}
+
+/**
+ * @dev Builds the ethers Interfaces used for decoding from Hardhat artifacts
+ */
+async function loadInterfaces(artifacts, names) {
+  const interfaces = {};
+  for (const name of names) {
+    interfaces[name] = new ethers.Interface((await artifacts.readArtifact(name)).abi);
+  }
+  return interfaces;
+}
+
+/**
+ * @dev Resolves how many blocks the index stays behind the chain head
+ * @param chainId Indexed chain
+ * @param confirmations Explicit value (e.g. --confirmations), or undefined for the profile default
+ */
+function resolveConfirmations(chainId, confirmations) {
+  if (confirmations !== undefined) {
+    return confirmations;
+  }
+  const profile = findProfile(chainId);
+  return profile ? profile.confirmations : 0;
+}
+
+/**
+ * @dev Brings the event store of the connected network up to date
+ * @param hre Hardhat runtime environment
+ * @param options.confirmations Blocks to stay behind the chain head (reorg safety; defaults to
+ *        the network profile's confirmations, 0 on chains without a profile)
+ * @param options.chunkSize Maximum block range per eth_getLogs request
+ * @param options.storePath Store location (defaults to indexes/<network>/events.json)
+ * @param options.fromBlock First block of a new store (defaults to the deployment blocks)
+ * @return { store, storePath, added, confirmations }
+ */
+async function syncNetworkIndex(hre, options = {}) {
+  const manifest = requireManifest(hre.network.name);
+  const storePath = options.storePath || getStorePath(hre.network.name);
+  // The start block only matters for a new store: an existing one resumes after its last indexed block
+  const resumed = fs.existsSync(storePath);
+  const contracts = {};
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    contracts[name] = { address: entry.address, fromBlock: resumed ? entry.blockNumber : resolveFromBlock(name, entry, options.fromBlock) };
+  }
+
+  const store = openStore(storePath, { chainId: manifest.chainId, contracts });
+  const confirmations = resolveConfirmations(manifest.chainId, options.confirmations);
+  const latest = await hre.ethers.provider.getBlockNumber();
+  const toBlock = latest - confirmations;
+
+  const added = await indexEvents(hre.ethers.provider, store, {
+    interfaces: await loadInterfaces(hre.artifacts, Object.keys(contracts)),
+    toBlock,
+    chunkSize: options.chunkSize,
+    onChunk: (updated, events, lastIndexedBlock) => appendChunk(storePath, events, lastIndexedBlock)
+  });
+  saveStore(storePath, store);
+
+  return { store, storePath, added, confirmations };
+}
+
+module.exports = {
+  INDEXES_DIR,
+  getStorePath,
+  getJournalPath,
+  openStore,
+  appendChunk,
+  saveStore,
+  indexEvents,
+  queryEvents,
+  loadInterfaces,
+  resolveConfirmations,
+  syncNetworkIndex
+};
@@ -0,0 +1,131 @@
+const { ethers } = require("ethers");
+
+/**
+ * Multi-Sig pre-flight validation
+ *
+ * MULTISIG_ADDRESS receives the whole supply and every timelock role, so a typo or an EOA
+ * is unrecoverable. Before deploying, the address is checked for a valid EIP-55 checksum,
+ * for contract code, and probed for the Safe interface (getOwners(), getThreshold()) so the
+ * owners and threshold can be printed and held to a minimum configuration.
+ */
+
+// Read-only part of the Safe (Gnosis Safe) interface
+const SAFE_ABI = [
+  "function getOwners() view returns (address[])",
+  "function getThreshold() view returns (uint256)",
+  "function VERSION() view returns (string)"
+];
+
+/**
+ * @dev Parses an address, rejecting typos
+ * @notice ethers rejects mixed-case addresses with a wrong checksum; all-lowercase (or
+ *         all-uppercase) addresses carry no checksum and are reported as unchecksummed
+ * @throws If the value is not an address, has an invalid checksum or is the zero address
+ * @return { address (checksummed), checksummed (true if the input was already checksummed) }
+ */
+function parseMultisigAddress(value) {
+  if (!ethers.isHexString(value, 20)) {
+    throw new Error(`MULTISIG_ADDRESS "${value}" is not a 20-byte hex address`);
+  }
+
+  let address;
+  try {
+    address = ethers.getAddress(value);
+  } catch (error) {
+    throw new Error(`MULTISIG_ADDRESS ${value} has an invalid EIP-55 checksum (typo?)`);
+  }
+  if (address === ethers.ZeroAddress) {
+    throw new Error("MULTISIG_ADDRESS is the zero address");
+  }
+  return { address, checksummed: value === address };
+}
+
+/**
+ * @dev Reads the on-chain configuration of a Multi-Sig
+ * @param provider ethers Provider connected to the target chain
+ * @param value Multi-Sig address (as configured)
+ * @return { address, checksummed, codeSize, isSafe, owners, threshold, version }
+ *         (owners/threshold are null when the Safe interface is not implemented, version when VERSION() is not)
+ */
+async function inspectMultisig(provider, value) {
+  const { address, checksummed } = parseMultisigAddress(value);
+  const code = await provider.getCode(address);
+  const info = {
+    address,
+    checksummed,
+    codeSize: (code.length - 2) / 2,
+    isSafe: false,
+    owners: null,
+    threshold: null,
+    version: null
+  };
+  if (info.codeSize === 0) {
+    return info;
+  }
+
+  const safe = new ethers.Contract(address, SAFE_ABI, provider);
+  try {
+    const [owners, threshold] = await Promise.all([safe.getOwners(), safe.getThreshold()]);
+    info.owners = [...owners];
+    info.threshold = Number(threshold);
+    info.isSafe = true;
+  } catch (error) {
+    return info;
+  }
+  try {
+    info.version = await safe.VERSION();
+  } catch (error) {
+    // Optional: only reported when available
+  }
+  return info;
+}
+
+/**
+ * @dev Lists the reasons a Multi-Sig does not meet the requirements
+ * @param info Result of inspectMultisig()
+ * @param requirements.minThreshold Minimum number of confirmations
+ * @param requirements.minOwners Minimum number of owners
+ * @return Array of problem descriptions (empty when the Multi-Sig is acceptable)
+ */
+function checkMultisig(info, { minThreshold, minOwners }) {
+  const problems = [];
+  if (!info.checksummed) {
+    problems.push(`MULTISIG_ADDRESS is not checksummed: use ${info.address}`);
+  }
+  if (info.codeSize === 0) {
+    problems.push(`MULTISIG_ADDRESS ${info.address} has no contract code (EOA, typo or wrong network?)`);
+  } else if (!info.isSafe) {
+    problems.push(`MULTISIG_ADDRESS ${info.address} is a contract but does not implement the Safe interface (getOwners/getThreshold)`);
+  } else if (info.threshold < minThreshold || info.owners.length < minOwners) {
+    problems.push(
+      `Safe ${info.address} is ${info.threshold}-of-${info.owners.length}: at least ${minThreshold}-of-${minOwners} is required`
+    );
+  }
+  return problems;
+}
+
+/**
+ * @dev Prints the Multi-Sig configuration
+ */
+function printMultisig(info) {
+  if (info.codeSize === 0) {
+    console.log(`- Multi-Sig: ${info.address} (no contract code)`);
+    return;
+  }
+  if (!info.isSafe) {
+    console.log(`- Multi-Sig: ${info.address} (contract, ${info.codeSize} bytes, not a Safe)`);
+    return;
+  }
+  console.log(`- Multi-Sig: ${info.address} (Safe${info.version ? ` v${info.version}` : ""}, ${info.threshold}-of-${info.owners.length})`);
+  for (const owner of info.owners) {
+    console.log(`  - Owner: ${owner}`);
+  }
+}
+
+module.exports = {
+  SAFE_ABI,
+  parseMultisigAddress,
+  inspectMultisig,
+  checkMultisig,
+  printMultisig
+};
@@ -0,0 +1,116 @@
+const { ethers } = require("ethers");
+
+/**
+ * EIP-2612 permit helpers for XPassToken integrators
+ *
+ * The EIP-712 domain is read from the deployed contract (EIP-5267 `eip712Domain()`) instead of
+ * being hard-coded, so signatures always match the token name, version, chain and address the
+ * contract actually uses. Permits can be validated before submission to avoid paying for a
+ * transaction that reverts (expired deadline, stale nonce, wrong signer).
+ */
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// eip712Domain() fields bitmap: name, version, chainId, verifyingContract
+const DOMAIN_FIELDS = 0x0f;
+
+/**
+ * @dev Reads the EIP-712 domain of a contract from `eip712Domain()`
+ * @param contract XPassToken (or any EIP-5267 contract) instance
+ * @throws If the contract uses a salt or extensions, which this helper does not sign for
+ * @return ethers TypedDataDomain { name, version, chainId, verifyingContract }
+ */
+async function getDomain(contract) {
+  const domain = await contract.eip712Domain();
+  if (Number(ethers.toBigInt(domain.fields)) !== DOMAIN_FIELDS || domain.extensions.length > 0) {
+    throw new Error(`Unsupported EIP-712 domain fields ${domain.fields} on ${domain.verifyingContract}`);
+  }
+  return {
+    name: domain.name,
+    version: domain.version,
+    chainId: domain.chainId,
+    verifyingContract: domain.verifyingContract
+  };
+}
+
+/**
+ * @dev Splits a 65-byte signature into the (v, r, s) arguments of `permit`
+ */
+function splitSignature(signature) {
+  const { v, r, s } = ethers.Signature.from(signature);
+  return { v, r, s };
+}
+
+/**
+ * @dev Signs an EIP-2612 permit
+ * @notice Nothing is checked here so that invalid permits can be signed on purpose (tests);
+ *         call validatePermit before submitting
+ * @param signer Token holder
+ * @param token XPassToken contract instance
+ * @param permit.spender Spender of the allowance
+ * @param permit.value Allowance (wei)
+ * @param permit.deadline Permit deadline (unix timestamp)
+ * @param permit.nonce Token nonce of the holder (read from the token when omitted)
+ * @return Permit { owner, spender, value, nonce, deadline, signature, v, r, s }
+ */
+async function signPermit(signer, token, permit) {
+  const owner = await signer.getAddress();
+  const message = {
+    owner,
+    spender: ethers.getAddress(permit.spender),
+    value: BigInt(permit.value),
+    nonce: permit.nonce !== undefined ? BigInt(permit.nonce) : await token.nonces(owner),
+    deadline: BigInt(permit.deadline)
+  };
+  const signature = await signer.signTypedData(await getDomain(token), PERMIT_TYPES, message);
+  return { ...message, signature, ...splitSignature(signature) };
+}
+
+/**
+ * @dev Checks a signed permit against the current chain state before it is submitted
+ * @param token XPassToken contract instance
+ * @param permit Permit returned by signPermit
+ * @throws With the reason the permit would revert (expired, zero spender, stale nonce, wrong signer)
+ */
+async function validatePermit(token, permit) {
+  const block = await token.runner.provider.getBlock("latest");
+  if (BigInt(permit.deadline) <= BigInt(block.timestamp)) {
+    throw new Error(`Permit expired at ${new Date(Number(permit.deadline) * 1000).toISOString()}`);
+  }
+  if (ethers.getAddress(permit.spender) === ethers.ZeroAddress) {
+    throw new Error("Permit spender is the zero address");
+  }
+
+  const nonce = await token.nonces(permit.owner);
+  if (BigInt(permit.nonce) !== nonce) {
+    throw new Error(`Permit nonce ${permit.nonce} does not match the current nonce ${nonce} of ${permit.owner}`);
+  }
+
+  const message = {
+    owner: permit.owner,
+    spender: permit.spender,
+    value: permit.value,
+    nonce: permit.nonce,
+    deadline: permit.deadline
+  };
+  const signer = ethers.verifyTypedData(await getDomain(token), PERMIT_TYPES, message, permit.signature);
+  if (signer !== ethers.getAddress(permit.owner)) {
+    throw new Error(`Permit is signed by ${signer}, not by the owner ${permit.owner}`);
+  }
+}
+
+module.exports = {
+  PERMIT_TYPES,
+  getDomain,
+  splitSignature,
+  signPermit,
+  validatePermit
+};
@@ -0,0 +1,274 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Deployment profiles
+ *
+ * One JSON file per deployment target in config/networks/ (chain ID, RPC URL environment
+ * variable, required timelock delay, confirmations, gas strategy, explorer URLs). Both
+ * hardhat.config.js (networks, etherscan.customChains) and the deploy/verify scripts are
+ * derived from them, so supporting another chain means adding a profile, not editing code.
+ *
+ * Production profiles must satisfy PRODUCTION_POLICY, and chains listed in
+ * PRODUCTION_CHAINS can only be described by production profiles. Deployments to a chain
+ * without a profile are refused, except on local development chains.
+ *
+ * This module is loaded by hardhat.config.js: it must not require hardhat or ethers.
+ */
+
+const PROFILES_DIR = path.join(__dirname, "..", "..", "config", "networks");
+
+const GAS_STRATEGIES = ["auto", "fixed"];
+
+// Default timelock delay of chains without a profile (hardhat, localhost)
+const DEFAULT_MIN_DELAY = 48 * 60 * 60;
+
+// Etherscan v2 API: one endpoint and one API key for every supported chain, selected by chainid
+const ETHERSCAN_V2_API_URL = "https://api.etherscan.io/v2/api";
+
+// Local development chains (hardhat, localhost): deployable without a profile
+const LOCAL_CHAIN_IDS = [1337, 31337];
+
+// Requirements of every production profile
+const PRODUCTION_POLICY = {
+  minDelay: 48 * 60 * 60,
+  minConfirmations: 5,
+  // Deployment refuses a MULTISIG_ADDRESS that is not a checksummed, deployed Safe with at
+  // least a minSafeThreshold-of-minSafeOwners configuration (see multisig.js)
+  requireSafe: true,
+  minSafeThreshold: 2,
+  minSafeOwners: 3
+};
+
+// Known mainnets: a profile for one of these chains must be a production profile
+const PRODUCTION_CHAINS = {
+  1: "Ethereum",
+  10: "OP Mainnet",
+  56: "BNB Smart Chain",
+  137: "Polygon PoS",
+  204: "opBNB",
+  8453: "Base",
+  42161: "Arbitrum One",
+  43114: "Avalanche C-Chain"
+};
+
+/**
+ * @dev Validates a parsed profile
+ * @param profile Parsed profile file
+ * @param source File name used in error messages
+ * @return The profile, with defaults applied
+ */
+function validateProfile(profile, source) {
+  const fail = (message) => {
+    throw new Error(`Invalid deployment profile ${source}: ${message}`);
+  };
+  const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+  if (!profile.name || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(profile.name)) {
+    fail(`"name" must be an alphanumeric network name (got "${profile.name}")`);
+  }
+  if (!Number.isInteger(profile.chainId) || profile.chainId <= 0) {
+    fail("\"chainId\" must be a positive integer");
+  }
+  if (typeof profile.production !== "boolean") {
+    fail("\"production\" must be true or false");
+  }
+  if (PRODUCTION_CHAINS[profile.chainId] && !profile.production) {
+    fail(`chain ${profile.chainId} (${PRODUCTION_CHAINS[profile.chainId]}) is a production chain: "production" must be true`);
+  }
+  if (LOCAL_CHAIN_IDS.includes(profile.chainId)) {
+    fail(`chain ${profile.chainId} is reserved for local development networks`);
+  }
+  if (!profile.rpc || !profile.rpc.env) {
+    fail("\"rpc.env\" (RPC URL environment variable) is required");
+  }
+  if (!isNonNegativeInteger(profile.minDelay)) {
+    fail("\"minDelay\" must be a number of seconds");
+  }
+  if (typeof profile.allowDelayOverride !== "boolean") {
+    fail("\"allowDelayOverride\" must be true or false");
+  }
+  if (!isNonNegativeInteger(profile.confirmations)) {
+    fail("\"confirmations\" must be a non-negative integer");
+  }
+  if (profile.production) {
+    if (profile.allowDelayOverride) {
+      fail("production profiles cannot allow TIMELOCK_DELAY overrides");
+    }
+    if (profile.minDelay < PRODUCTION_POLICY.minDelay) {
+      fail(`production profiles require "minDelay" >= ${PRODUCTION_POLICY.minDelay} seconds`);
+    }
+    if (profile.confirmations < PRODUCTION_POLICY.minConfirmations) {
+      fail(`production profiles require "confirmations" >= ${PRODUCTION_POLICY.minConfirmations}`);
+    }
+  }
+  const gas = profile.gas || { strategy: "auto" };
+  if (!GAS_STRATEGIES.includes(gas.strategy)) {
+    fail(`"gas.strategy" must be one of ${GAS_STRATEGIES.join(", ")}`);
+  }
+  if (gas.strategy === "fixed" && !(Number.isInteger(gas.gasPrice) && gas.gasPrice > 0)) {
+    fail("\"gas.gasPrice\" (wei) is required with the fixed gas strategy");
+  }
+  if (gas.gasLimit !== undefined && !(Number.isInteger(gas.gasLimit) && gas.gasLimit > 0)) {
+    fail("\"gas.gasLimit\" must be a positive integer (omit it to estimate gas)");
+  }
+  if (profile.explorer && (!profile.explorer.apiURL || !profile.explorer.browserURL)) {
+    fail("\"explorer\" requires both apiURL and browserURL");
+  }
+  if (profile.explorer && profile.explorer.apiURL !== `${ETHERSCAN_V2_API_URL}?chainid=${profile.chainId}`) {
+    fail(`"explorer.apiURL" must be the Etherscan v2 API of the chain (${ETHERSCAN_V2_API_URL}?chainid=${profile.chainId})`);
+  }
+
+  return {
+    aliases: [],
+    description: profile.name,
+    ...profile,
+    gas
+  };
+}
+
+/**
+ * @dev Loads every profile of a directory
+ * @param dir Profiles directory (default: config/networks/)
+ * @throws If a profile is invalid, or two profiles share a name, alias or chain ID
+ * @return Profiles sorted by name
+ */
+function loadProfiles(dir = PROFILES_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const profiles = fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .map((file) => validateProfile(JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")), file));
+
+  const names = new Set();
+  const chainIds = new Set();
+  for (const profile of profiles) {
+    for (const name of [profile.name, ...profile.aliases]) {
+      if (names.has(name)) {
+        throw new Error(`Network name "${name}" is used by more than one deployment profile`);
+      }
+      names.add(name);
+    }
+    if (chainIds.has(profile.chainId)) {
+      throw new Error(`Chain ${profile.chainId} has more than one deployment profile`);
+    }
+    chainIds.add(profile.chainId);
+  }
+  return profiles;
+}
+
+/**
+ * @dev Finds the profile of a network name (or alias) or chain ID
+ * @return Profile, or null when the network has none (e.g. hardhat, localhost)
+ */
+function findProfile(nameOrChainId, profiles = loadProfiles()) {
+  const chainId = typeof nameOrChainId === "string" ? null : Number(nameOrChainId);
+  return profiles.find((profile) =>
+    chainId !== null ? profile.chainId === chainId : profile.name === nameOrChainId || profile.aliases.includes(nameOrChainId)
+  ) || null;
+}
+
+/**
+ * @dev Resolves the deployment policy of a chain, failing closed on unknown chains
+ * @param chainId Chain whose policy applies (connected chain, or the dry-run target)
+ * @throws If the chain has no profile and is not a local development chain
+ * @return { profile (null on local chains), production }
+ */
+function resolveDeploymentPolicy(chainId, profiles = loadProfiles()) {
+  const profile = findProfile(chainId, profiles);
+  if (profile) {
+    return { profile, production: profile.production };
+  }
+  if (LOCAL_CHAIN_IDS.includes(Number(chainId))) {
+    return { profile: null, production: false };
+  }
+
+  const known = PRODUCTION_CHAINS[Number(chainId)];
+  throw new Error(
+    `No deployment profile for chain ${chainId}${known ? ` (${known})` : ""}: ` +
+    "deployments to unknown chains are refused. Add a profile to config/networks/."
+  );
+}
+
+/**
+ * @dev Builds the Hardhat `networks` entries of the profiles (one per name and alias)
+ * @param profiles Loaded profiles
+ * @param env Environment variables (RPC URLs, PRIVATE_KEY)
+ */
+function toHardhatNetworks(profiles, env = process.env) {
+  const networks = {};
+  for (const profile of profiles) {
+    const networkConfig = {
+      url: env[profile.rpc.env] || profile.rpc.default,
+      chainId: profile.chainId,
+      accounts: env.PRIVATE_KEY ? [env.PRIVATE_KEY] : [],
+      timeout: 60000,
+      gasPrice: profile.gas.strategy === "fixed" ? profile.gas.gasPrice : "auto",
+      gas: profile.gas.gasLimit || "auto"
+    };
+    for (const name of [profile.name, ...profile.aliases]) {
+      networks[name] = { ...networkConfig };
+    }
+  }
+  return networks;
+}
+
+/**
+ * @dev Builds the hardhat-verify `customChains` of the profiles with an explorer
+ */
+function toCustomChains(profiles) {
+  return profiles
+    .filter((profile) => profile.explorer)
+    .flatMap((profile) => [profile.name, ...profile.aliases].map((network) => ({
+      network,
+      chainId: profile.chainId,
+      urls: {
+        apiURL: profile.explorer.apiURL,
+        browserURL: profile.explorer.browserURL
+      }
+    })));
+}
+
+/**
+ * @dev Resolves the timelock delay of a deployment
+ * @notice TIMELOCK_DELAY is honoured only when the profile allows overrides; chains without
+ *         a profile (hardhat, localhost) always accept it
+ * @param profile Target profile, or null
+ * @param env Environment variables
+ * @return { minDelay, overridden, ignoredOverride }
+ */
+function resolveMinDelay(profile, env = process.env) {
+  const requested = env.TIMELOCK_DELAY;
+  const defaultDelay = profile ? profile.minDelay : DEFAULT_MIN_DELAY;
+  if (requested === undefined || requested === "") {
+    return { minDelay: defaultDelay, overridden: false, ignoredOverride: false };
+  }
+  if (profile && !profile.allowDelayOverride) {
+    return { minDelay: defaultDelay, overridden: false, ignoredOverride: true };
+  }
+
+  const minDelay = Number(requested);
+  if (!Number.isInteger(minDelay) || minDelay < 0) {
+    throw new Error(`TIMELOCK_DELAY must be a number of seconds (got "${requested}")`);
+  }
+  return { minDelay, overridden: true, ignoredOverride: false };
+}
+
+module.exports = {
+  PROFILES_DIR,
+  GAS_STRATEGIES,
+  DEFAULT_MIN_DELAY,
+  LOCAL_CHAIN_IDS,
+  PRODUCTION_POLICY,
+  PRODUCTION_CHAINS,
+  validateProfile,
+  loadProfiles,
+  findProfile,
+  resolveDeploymentPolicy,
+  toHardhatNetworks,
+  toCustomChains,
+  resolveMinDelay
+};
@@ -0,0 +1,67 @@
+const { ethers } = require("ethers");
+
+const { parseCsv } = require("./csv");
+
+/**
+ * Recipient list validation shared by the airdrop and batch disbursement tooling
+ */
+
+/**
+ * @dev Parses and validates a recipients CSV with `address` and `amount` (whole XPASS) columns
+ * @notice All problems are reported at once, with their CSV line numbers. The zero address is
+ *         rejected because XPassToken reverts with ERC20InvalidReceiver for it.
+ * @param csvText CSV content
+ * @param options.strictChecksum Require EIP-55 checksummed addresses (reject all-lowercase input)
+ * @return Recipients { address (checksummed), amount (wei), line } in file order
+ */
+function parseRecipients(csvText, options = {}) {
+  const rows = parseCsv(csvText);
+  const errors = [];
+  const seen = new Map();
+  const recipients = [];
+
+  for (const row of rows) {
+    let address;
+    let amount;
+    try {
+      address = ethers.getAddress(row.address);
+      if (options.strictChecksum && address !== row.address) {
+        errors.push(`line ${row.line}: address "${row.address}" is not checksummed (expected ${address})`);
+        address = undefined;
+      }
+    } catch (error) {
+      errors.push(`line ${row.line}: invalid address "${row.address}"`);
+    }
+    try {
+      amount = ethers.parseUnits(row.amount, 18);
+    } catch (error) {
+      errors.push(`line ${row.line}: invalid amount "${row.amount}"`);
+    }
+    if (!address || amount === undefined) {
+      continue;
+    }
+
+    if (address === ethers.ZeroAddress) {
+      errors.push(`line ${row.line}: zero address`);
+    } else if (amount <= 0n) {
+      errors.push(`line ${row.line}: amount must be positive`);
+    } else if (seen.has(address)) {
+      errors.push(`line ${row.line}: duplicate address ${address} (first listed on line ${seen.get(address)})`);
+    } else {
+      seen.set(address, row.line);
+      recipients.push({ address, amount, line: row.line });
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid recipients CSV:\n  ${errors.join("\n  ")}`);
+  }
+  if (recipients.length === 0) {
+    throw new Error("Recipients CSV has no recipients");
+  }
+  return recipients;
+}
+
+module.exports = {
+  parseRecipients
+};
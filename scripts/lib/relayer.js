@@ -0,0 +1,193 @@
+const http = require("http");
+const { ethers } = require("ethers");
+
+const { describePendingDeployment, describeDeployment, resumeRecordedDeployment } = require("./deployments");
+const { parseRelayRequest } = require("./signing");
+
+/**
+ * Gasless transfer relayer for XPassPermitRelayer
+ *
+ * The relayer service accepts relay requests signed with scripts/lib/signing.js over HTTP,
+ * checks them (fee, designated relayer, deadline, nonce, simulation) and submits them from
+ * its own account, paying the gas in BNB. It is meant for local development against the
+ * Hardhat node and as a reference for a production relayer.
+ *
+ *   GET  /info   Relayer contract, token, chain ID, relayer account and minimum fee
+ *   POST /relay  Relay request JSON { intent, signature, permit } → { hash, blockNumber }
+ */
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+/**
+ * @dev Deploys XPassPermitRelayer, or reuses the one recorded in the manifest
+ * @param hre Hardhat runtime environment
+ * @param manifest Deployment manifest; updated in place (`permitRelayer`)
+ * @param options.deployer Signer to deploy from (defaults to the first configured account)
+ * @param options.onCheckpoint Called whenever the manifest changes (used to persist it)
+ * @return XPassPermitRelayer contract instance
+ */
+async function ensurePermitRelayer(hre, manifest, options = {}) {
+  const deployer = options.deployer || (await hre.ethers.getSigners())[0];
+  const checkpoint = options.onCheckpoint || (() => {});
+  const XPassPermitRelayer = await hre.ethers.getContractFactory("XPassPermitRelayer", deployer);
+  const args = [manifest.contracts.XPassToken.address];
+
+  const deployment = manifest.permitRelayer
+    ? await resumeRecordedDeployment(hre.ethers.provider, XPassPermitRelayer, "XPassPermitRelayer", manifest.permitRelayer, args)
+    : null;
+  if (deployment) {
+    manifest.permitRelayer = deployment;
+    checkpoint(manifest);
+    return XPassPermitRelayer.attach(manifest.permitRelayer.address);
+  }
+
+  const relayer = await XPassPermitRelayer.deploy(...args);
+  manifest.permitRelayer = await describePendingDeployment(relayer, args);
+  checkpoint(manifest);
+
+  await relayer.waitForDeployment();
+  manifest.permitRelayer = await describeDeployment(relayer, args);
+  checkpoint(manifest);
+  console.log(`✅ XPassPermitRelayer deployed at ${manifest.permitRelayer.address}`);
+  return relayer;
+}
+
+/**
+ * @dev Checks a relay request before submitting it
+ * @param relayer XPassPermitRelayer contract instance connected to the relayer account
+ * @param request Relay request JSON (see signing.buildRelayRequest)
+ * @param options.minFee Minimum fee accepted (wei, default 0)
+ * @throws With a readable reason when the request would not be relayed or would revert
+ * @return Parsed relay request
+ */
+async function validateRelayRequest(relayer, request, options = {}) {
+  const parsed = parseRelayRequest(request);
+  const { intent } = parsed;
+  const account = await relayer.runner.getAddress();
+  const minFee = BigInt(options.minFee || 0);
+
+  if (intent.fee < minFee) {
+    throw new Error(`Fee ${ethers.formatUnits(intent.fee, 18)} XPASS is below the minimum of ${ethers.formatUnits(minFee, 18)} XPASS`);
+  }
+  if (intent.relayer !== ethers.ZeroAddress && intent.relayer !== account) {
+    throw new Error(`Intent is reserved for relayer ${intent.relayer}`);
+  }
+  const block = await relayer.runner.provider.getBlock("latest");
+  if (intent.deadline <= BigInt(block.timestamp)) {
+    throw new Error(`Intent expired at ${new Date(Number(intent.deadline) * 1000).toISOString()}`);
+  }
+  const nonce = await relayer.nonces(intent.owner);
+  if (intent.nonce !== nonce) {
+    throw new Error(`Invalid nonce ${intent.nonce} (current nonce of ${intent.owner} is ${nonce})`);
+  }
+
+  try {
+    await relayer.relay.staticCall(parsed.intent, parsed.signature, parsed.permit);
+  } catch (error) {
+    throw new Error(`Relay would revert: ${error.shortMessage || error.message}`);
+  }
+  return parsed;
+}
+
+/**
+ * @dev Validates and submits a relay request
+ * @return Transaction receipt
+ */
+async function submitRelayRequest(relayer, request, options = {}) {
+  const parsed = await validateRelayRequest(relayer, request, options);
+  const tx = await relayer.relay(parsed.intent, parsed.signature, parsed.permit);
+  return tx.wait();
+}
+
+/**
+ * @dev Reads and parses a JSON request body
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (error) {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @dev Creates the relayer HTTP server (not listening yet)
+ * @param relayer XPassPermitRelayer contract instance connected to the relayer account
+ * @param options.minFee Minimum fee accepted (wei, default 0)
+ * @param options.log Logger (default: console.log)
+ * @notice Requests are submitted one at a time so that the relayer account nonce stays in order
+ * @return http.Server
+ */
+function createRelayerServer(relayer, options = {}) {
+  const log = options.log || console.log;
+  const minFee = BigInt(options.minFee || 0);
+  let queue = Promise.resolve();
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" });
+    res.end(JSON.stringify(body));
+  };
+
+  const info = async () => {
+    const network = await relayer.runner.provider.getNetwork();
+    return {
+      relayer: await relayer.getAddress(),
+      token: await relayer.token(),
+      chainId: network.chainId.toString(),
+      account: await relayer.runner.getAddress(),
+      minFee: minFee.toString()
+    };
+  };
+
+  const relay = async (request) => {
+    const receipt = await submitRelayRequest(relayer, request, { minFee });
+    log(`⛽ Relayed ${ethers.formatUnits(request.intent.amount, 18)} XPASS ${request.intent.owner} → ${request.intent.to} (fee ${ethers.formatUnits(request.intent.fee, 18)} XPASS, tx ${receipt.hash})`);
+    return { hash: receipt.hash, blockNumber: receipt.blockNumber };
+  };
+
+  return http.createServer(async (req, res) => {
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, {
+          "Access-Control-Allow-Origin": "*",
+          "Access-Control-Allow-Methods": "GET, POST",
+          "Access-Control-Allow-Headers": "Content-Type"
+        });
+        res.end();
+      } else if (req.method === "GET" && req.url === "/info") {
+        send(res, 200, await info());
+      } else if (req.method === "POST" && req.url === "/relay") {
+        const request = await readJsonBody(req);
+        const result = queue.then(() => relay(request));
+        queue = result.catch(() => {});
+        send(res, 200, await result);
+      } else {
+        send(res, 404, { error: `No route for ${req.method} ${req.url}` });
+      }
+    } catch (error) {
+      log(`❌ ${error.message}`);
+      send(res, 400, { error: error.message });
+    }
+  });
+}
+
+module.exports = {
+  ensurePermitRelayer,
+  validateRelayRequest,
+  submitRelayRequest,
+  createRelayerServer
+};
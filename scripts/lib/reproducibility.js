@@ -0,0 +1,482 @@
+const { execSync } = require("child_process");
+const { ethers } = require("ethers");
+
+const { CONTRACT_NAMES } = require("./verify");
+const { getCompilerInfo } = require("./deployments");
+const { getInitCode, predictCreate2Address } = require("./create2");
+
+/**
+ * Bytecode reproducibility checker
+ *
+ * Proves that the contracts recorded in a deployment manifest were built from the sources in
+ * contracts/ with the hardhat.config.js compiler settings. The runtime code at each address
+ * is compared with the recompiled deployedBytecode after stripping the CBOR metadata trailer
+ * (which only hashes the source files and compiler settings) and masking immutables (which
+ * the constructor writes into the code). Immutables and constructor arguments are decoded and
+ * compared with their expected values, the creation code of the deployment transaction is
+ * compared with the compiled bytecode, and the storage layouts can be diffed against a
+ * previous report. The result is a machine-readable report, in the format of xpass:audit.
+ */
+
+// Differing byte ranges listed per contract in the report
+const MAX_DIFF_RANGES = 10;
+
+/**
+ * @dev Splits the CBOR metadata trailer off a bytecode
+ * @notice solc appends `cbor(metadata) ++ uint16(length)`; the CBOR map starts with 0xa1-0xa5
+ * @return { code, metadata } as 0x-prefixed hex (metadata is null when there is no trailer)
+ */
+function splitMetadata(bytecode) {
+  const hex = bytecode.replace(/^0x/, "").toLowerCase();
+  if (hex.length >= 4) {
+    const length = parseInt(hex.slice(-4), 16);
+    const start = hex.length - 4 - length * 2;
+    if (start >= 0 && /^a[1-5]/.test(hex.slice(start, start + 2))) {
+      return { code: `0x${hex.slice(0, start)}`, metadata: `0x${hex.slice(start)}` };
+    }
+  }
+  return { code: `0x${hex}`, metadata: null };
+}
+
+/**
+ * @dev Decodes the fields of a metadata trailer used by solc
+ * @return { solc (compiler version), ipfs (CID v0 of the metadata JSON) }, null fields when absent
+ */
+function decodeMetadata(metadata) {
+  const result = { solc: null, ipfs: null };
+  if (!metadata) {
+    return result;
+  }
+  // "solc" => bytes(3): major, minor, patch
+  const solc = metadata.match(/64736f6c6343([0-9a-f]{6})/);
+  if (solc) {
+    result.solc = [0, 2, 4].map((offset) => parseInt(solc[1].slice(offset, offset + 2), 16)).join(".");
+  }
+  // "ipfs" => bytes(34): sha2-256 multihash
+  const ipfs = metadata.match(/64697066735822([0-9a-f]{68})/);
+  if (ipfs) {
+    result.ipfs = ethers.encodeBase58(`0x${ipfs[1]}`);
+  }
+  return result;
+}
+
+/**
+ * @dev Finds the declarations of immutable variables in the build info ASTs
+ * @param buildInfo Hardhat build info of the contract
+ * @param ids AST IDs (keys of immutableReferences)
+ * @return Map of AST ID to { name, type }
+ */
+function findImmutableDeclarations(buildInfo, ids) {
+  const wanted = new Set(ids.map(Number));
+  const found = new Map();
+  const stack = Object.values(buildInfo.output.sources).map((source) => source.ast);
+  while (stack.length > 0 && found.size < wanted.size) {
+    const node = stack.pop();
+    if (!node || typeof node !== "object") {
+      continue;
+    }
+    if (node.nodeType === "VariableDeclaration" && wanted.has(node.id)) {
+      found.set(String(node.id), { name: node.name, type: node.typeDescriptions.typeString });
+    }
+    for (const value of Object.values(node)) {
+      if (value && typeof value === "object") {
+        stack.push(value);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * @dev Decodes the 32-byte word of an immutable for the report
+ * @notice OpenZeppelin ShortString (EIP712 name/version) is decoded to its string
+ */
+function decodeImmutable(type, word) {
+  if (type === "ShortString") {
+    const length = parseInt(word.slice(-2), 16);
+    return length < 32 ? ethers.toUtf8String(`0x${word.slice(2, 2 + length * 2)}`) : word;
+  }
+  if (/^(address|bool|u?int\d*|bytes\d+)$/.test(type)) {
+    return ethers.AbiCoder.defaultAbiCoder().decode([type], word)[0].toString();
+  }
+  return word;
+}
+
+/**
+ * @dev Zeroes the immutable values in a runtime code and returns them
+ * @notice Compiled deployedBytecode holds zeros at every immutable reference
+ * @param code 0x-prefixed runtime code
+ * @param immutableReferences solc evm.deployedBytecode.immutableReferences
+ * @return { code, values } values maps AST ID to the distinct words found at its references
+ */
+function maskImmutables(code, immutableReferences) {
+  let hex = code.slice(2);
+  const values = {};
+  for (const [id, references] of Object.entries(immutableReferences)) {
+    const words = new Set();
+    for (const { start, length } of references) {
+      words.add(`0x${hex.slice(start * 2, (start + length) * 2)}`);
+      hex = hex.slice(0, start * 2) + "0".repeat(length * 2) + hex.slice((start + length) * 2);
+    }
+    values[id] = [...words];
+  }
+  return { code: `0x${hex}`, values };
+}
+
+/**
+ * @dev Lists the byte ranges where two codes differ
+ * @return { compiledLength, onchainLength, differingBytes, ranges: [{ offset, length, compiled, onchain }] }
+ */
+function diffBytecode(compiled, onchain, maxRanges = MAX_DIFF_RANGES) {
+  const a = ethers.getBytes(compiled);
+  const b = ethers.getBytes(onchain);
+  const ranges = [];
+  let differingBytes = 0;
+  let range = null;
+  for (let offset = 0; offset < Math.max(a.length, b.length); offset++) {
+    if (a[offset] === b[offset]) {
+      range = null;
+      continue;
+    }
+    differingBytes++;
+    if (!range) {
+      range = { offset, length: 0 };
+      ranges.push(range);
+    }
+    range.length++;
+  }
+  return {
+    compiledLength: a.length,
+    onchainLength: b.length,
+    differingBytes,
+    ranges: ranges.slice(0, maxRanges).map(({ offset, length }) => ({
+      offset,
+      length,
+      compiled: ethers.hexlify(a.slice(offset, offset + length)),
+      onchain: ethers.hexlify(b.slice(offset, offset + length))
+    }))
+  };
+}
+
+/**
+ * @dev Normalizes a solc storage layout for reports and diffs
+ * @return Array of { label, slot, offset, type }, in declaration order
+ */
+function normalizeStorageLayout(storageLayout) {
+  if (!storageLayout) {
+    return [];
+  }
+  return storageLayout.storage.map((entry) => ({
+    label: entry.label,
+    slot: entry.slot,
+    offset: entry.offset,
+    type: storageLayout.types[entry.type].label
+  }));
+}
+
+/**
+ * @dev Compares two normalized storage layouts by variable name
+ * @return { added, removed, changed } (changed entries hold { label, baseline, current })
+ */
+function diffStorageLayout(baseline, current) {
+  const byLabel = (layout) => new Map(layout.map((entry) => [entry.label, entry]));
+  const before = byLabel(baseline);
+  const after = byLabel(current);
+  const changed = [];
+  for (const [label, entry] of after) {
+    const previous = before.get(label);
+    if (previous && (previous.slot !== entry.slot || previous.offset !== entry.offset || previous.type !== entry.type)) {
+      changed.push({ label, baseline: previous, current: entry });
+    }
+  }
+  return {
+    added: current.filter((entry) => !before.has(entry.label)),
+    removed: baseline.filter((entry) => !after.has(entry.label)),
+    changed
+  };
+}
+
+/**
+ * @dev Returns the expected values of immutables that only depend on the deployment context
+ * @notice EIP-712 (ERC20Permit) caches the domain of the deployed address and chain; the name
+ *         and version are read back with eip712Domain() (EIP-5267)
+ * @return Map of immutable name to expected decoded value
+ */
+async function getExpectedImmutables(provider, abi, address, chainId) {
+  const contract = new ethers.Contract(address, abi, provider);
+  if (!contract.interface.getFunction("eip712Domain")) {
+    return {};
+  }
+  const [, name, version] = await contract.eip712Domain();
+  const domain = { name, version, chainId, verifyingContract: address };
+  return {
+    _cachedDomainSeparator: ethers.TypedDataEncoder.hashDomain(domain),
+    _cachedChainId: String(chainId),
+    _cachedThis: address,
+    _hashedName: ethers.id(name),
+    _hashedVersion: ethers.id(version),
+    _name: name,
+    _version: version
+  };
+}
+
+/**
+ * @dev Reads the creation code and constructor arguments of a recorded deployment transaction
+ * @notice CREATE2 deployments go through the factory: their calldata is `salt ++ initCode`
+ * @return { creationCode, encodedArgs }, or null when the manifest has no transaction
+ */
+async function readCreationData(provider, entry, bytecode) {
+  if (!entry.txHash) {
+    return null;
+  }
+  const tx = await provider.getTransaction(entry.txHash);
+  if (!tx) {
+    throw new Error(`Deployment transaction ${entry.txHash} was not found on this network`);
+  }
+  const initCode = entry.create2 ? `0x${tx.data.slice(2 + 64)}` : tx.data;
+  const codeLength = bytecode.length - 2;
+  return {
+    creationCode: `0x${initCode.slice(2, 2 + codeLength)}`,
+    encodedArgs: `0x${initCode.slice(2 + codeLength)}`
+  };
+}
+
+/**
+ * @dev Checks one deployed contract against the compiled sources
+ * @param hre Hardhat runtime environment (contracts compiled)
+ * @param params.name Contract name (key of the manifest `contracts` object)
+ * @param params.entry Manifest entry ({ address, constructorArgs, txHash, create2 })
+ * @param params.chainId Chain ID of the connected network
+ * @param params.baselineLayout Normalized storage layout to diff against (optional)
+ * @return { contract, checks }
+ */
+async function checkContract(hre, { name, entry, chainId, baselineLayout }) {
+  const provider = hre.ethers.provider;
+  const fullyQualifiedName = CONTRACT_NAMES[name];
+  const [sourceName, contractName] = fullyQualifiedName.split(":");
+  const artifact = await hre.artifacts.readArtifact(fullyQualifiedName);
+  const buildInfo = await hre.artifacts.getBuildInfo(fullyQualifiedName);
+  const output = buildInfo.output.contracts[sourceName][contractName];
+  const address = ethers.getAddress(entry.address);
+
+  const checks = [];
+  const check = (id, description, passed, details, severity = "error") => {
+    checks.push({ id: `${name}-${id}`, description: `${name}: ${description}`, severity, passed, ...details });
+  };
+
+  // Runtime code, without metadata and immutables
+  const onchainCode = await provider.getCode(address);
+  const compiled = splitMetadata(artifact.deployedBytecode);
+  const onchain = splitMetadata(onchainCode);
+  const immutableReferences = output.evm.deployedBytecode.immutableReferences || {};
+  const masked = maskImmutables(onchain.code, onchainCode === "0x" ? {} : immutableReferences);
+  const runtimeMatches = onchainCode !== "0x" && masked.code === compiled.code;
+  const diff = runtimeMatches ? null : diffBytecode(compiled.code, masked.code);
+  check("code", "Contract code is present", onchainCode !== "0x", { expected: "code", actual: onchainCode === "0x" ? "none" : "code" });
+  check("runtime", "Runtime bytecode matches the compiled contract (metadata and immutables excluded)", runtimeMatches, {
+    expected: ethers.keccak256(compiled.code), actual: ethers.keccak256(masked.code)
+  });
+
+  // Metadata: only hashes the sources and settings, so a mismatch alone is a warning
+  const compiledMetadata = decodeMetadata(compiled.metadata);
+  const onchainMetadata = decodeMetadata(onchain.metadata);
+  check("compiler", "Compiler version in the metadata matches", onchainMetadata.solc === compiledMetadata.solc, {
+    expected: compiledMetadata.solc, actual: onchainMetadata.solc
+  });
+  check("metadata", "Metadata hash matches (exact match of sources and settings)", onchain.metadata === compiled.metadata, {
+    expected: compiledMetadata.ipfs, actual: onchainMetadata.ipfs
+  }, "warning");
+
+  // Immutables
+  const declarations = findImmutableDeclarations(buildInfo, Object.keys(immutableReferences));
+  const expectedImmutables = runtimeMatches ? await getExpectedImmutables(provider, artifact.abi, address, chainId) : {};
+  const immutables = Object.entries(masked.values).map(([id, words]) => {
+    const declaration = declarations.get(id) || { name: `#${id}`, type: "unknown" };
+    // Words read from mismatching code are not immutables: reported raw
+    const values = words.map((word) => (runtimeMatches ? decodeImmutable(declaration.type, word) : word));
+    const expected = expectedImmutables[declaration.name];
+    return {
+      name: declaration.name,
+      type: declaration.type,
+      value: values[0],
+      expected: expected !== undefined ? expected : null,
+      // Every reference of an immutable holds the same value
+      consistent: values.length === 1,
+      matches: values.length === 1 && (expected === undefined || String(expected).toLowerCase() === String(values[0]).toLowerCase())
+    };
+  });
+  // Immutables are only meaningful once the code around them matches
+  for (const immutable of runtimeMatches ? immutables : []) {
+    check(`immutable-${immutable.name}`, `Immutable ${immutable.name} holds the expected value`, immutable.matches, {
+      expected: immutable.expected, actual: immutable.value
+    });
+  }
+
+  // Creation code and constructor arguments of the deployment transaction
+  const constructorInputs = new ethers.Interface(artifact.abi).deploy.inputs;
+  const creation = await readCreationData(provider, entry, artifact.bytecode);
+  let constructorArgs = constructorInputs.map((input, index) => ({
+    name: input.name,
+    type: input.type,
+    recorded: entry.constructorArgs[index],
+    onchain: null,
+    matches: null
+  }));
+  const expectedCreationCode = splitMetadata(artifact.bytecode).code;
+  const creationCode = creation ? splitMetadata(creation.creationCode).code : null;
+  if (creation) {
+    check("creation-code", "Creation code of the deployment transaction matches the compiled bytecode (metadata excluded)",
+      creationCode === expectedCreationCode, { expected: ethers.keccak256(expectedCreationCode), actual: ethers.keccak256(creationCode) });
+  }
+  if (creation && creationCode === expectedCreationCode) {
+    // The arguments follow the creation code, whose length is known once it matches
+    const decoded = ethers.AbiCoder.defaultAbiCoder().decode(constructorInputs, creation.encodedArgs);
+    constructorArgs = constructorArgs.map((arg, index) => {
+      const value = decoded[index].toString();
+      return { ...arg, onchain: value, matches: value.toLowerCase() === String(arg.recorded).toLowerCase() };
+    });
+    for (const arg of constructorArgs) {
+      check(`constructor-${arg.name}`, `Constructor argument ${arg.name} matches the manifest`, arg.matches, {
+        expected: arg.recorded, actual: arg.onchain
+      });
+    }
+  } else if (!creation && entry.create2) {
+    // No transaction recorded: the CREATE2 address itself commits to the creation code and arguments
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode);
+    const initCodeHash = ethers.keccak256(await getInitCode(factory, entry.constructorArgs));
+    const predicted = predictCreate2Address(entry.create2.salt, initCodeHash, entry.create2.factory);
+    check("create2-address", "CREATE2 address commits to the compiled creation code and recorded arguments", predicted === address, {
+      expected: predicted, actual: address
+    });
+  } else if (!creation) {
+    check("creation-tx", "Deployment transaction is recorded", false, { expected: "txHash", actual: null }, "warning");
+  }
+
+  // Storage layout
+  const storageLayout = normalizeStorageLayout(output.storageLayout);
+  let storageLayoutDiff = null;
+  if (baselineLayout) {
+    storageLayoutDiff = diffStorageLayout(baselineLayout, storageLayout);
+    const unchanged = storageLayoutDiff.added.length === 0 && storageLayoutDiff.removed.length === 0 && storageLayoutDiff.changed.length === 0;
+    check("storage-layout", "Storage layout matches the baseline", unchanged, {
+      expected: "unchanged", actual: unchanged ? "unchanged" : storageLayoutDiff
+    });
+  }
+
+  return {
+    contract: {
+      name,
+      address,
+      runtimeMatches,
+      exactMatch: runtimeMatches && onchain.metadata === compiled.metadata,
+      metadata: { compiled: compiledMetadata, onchain: onchainMetadata },
+      diff,
+      immutables,
+      constructorArgs,
+      storageLayout,
+      storageLayoutHash: ethers.id(JSON.stringify(storageLayout)),
+      storageLayoutDiff
+    },
+    checks
+  };
+}
+
+/**
+ * @dev Returns the commit of a git ref and the current source state
+ * @return { ref, refCommit, headCommit, dirty }, null fields when git is not available
+ */
+function getSourceRevision(ref) {
+  const git = (command) => execSync(`git ${command}`, { stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+  const revision = { ref: ref || null, refCommit: null, headCommit: null, dirty: null };
+  try {
+    revision.headCommit = git("rev-parse HEAD");
+    revision.dirty = git("status --porcelain -- contracts hardhat.config.js").length > 0;
+    if (ref) {
+      revision.refCommit = git(`rev-parse --verify --quiet "${ref}^{commit}"`);
+    }
+  } catch (error) {
+    // Unknown ref, or not a git checkout
+  }
+  return revision;
+}
+
+/**
+ * @dev Checks every contract of a deployment manifest against the compiled sources
+ * @param hre Hardhat runtime environment (connected to the deployment's network, contracts compiled)
+ * @param manifest Deployment manifest (deployments/<network>/deployment.json)
+ * @param options.ref Git ref (e.g. a release tag) the checked-out sources must correspond to
+ * @param options.baseline Previous report whose storage layouts are diffed against the current ones
+ * @return Reproducibility report ({ ok, errors, warnings, checks, contracts, ... })
+ */
+async function checkReproducibility(hre, manifest, options = {}) {
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const checks = [];
+
+  if (manifest.chainId !== undefined && manifest.chainId !== chainId) {
+    throw new Error(`Manifest was recorded on chain ${manifest.chainId}, but the connected chain is ${chainId}`);
+  }
+
+  // Sources: the checkout must be the requested release, without local contract changes
+  const source = getSourceRevision(options.ref);
+  if (options.ref) {
+    checks.push({
+      id: "source-ref", description: `Checked-out sources are ${options.ref}`, severity: "error",
+      passed: Boolean(source.refCommit) && source.refCommit === source.headCommit,
+      expected: source.refCommit || `${options.ref} (unknown ref)`, actual: source.headCommit
+    });
+  }
+  checks.push({
+    id: "source-clean", description: "contracts/ and hardhat.config.js have no uncommitted changes", severity: "warning",
+    passed: source.dirty === false, expected: false, actual: source.dirty
+  });
+
+  // Compiler settings recorded at deployment time
+  const compiler = getCompilerInfo(hre.config.solidity);
+  if (manifest.compiler) {
+    checks.push({
+      id: "compiler-settings", description: "Compiler version and settings match the deployment", severity: "error",
+      passed: JSON.stringify(manifest.compiler) === JSON.stringify(compiler), expected: manifest.compiler, actual: compiler
+    });
+  }
+
+  const contracts = [];
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    if (!CONTRACT_NAMES[name] || !entry.address) {
+      continue;
+    }
+    const baselineContract = options.baseline && options.baseline.contracts.find((contract) => contract.name === name);
+    const result = await checkContract(hre, {
+      name,
+      entry,
+      chainId,
+      baselineLayout: baselineContract ? baselineContract.storageLayout : null
+    });
+    contracts.push(result.contract);
+    checks.push(...result.checks);
+  }
+
+  const failed = checks.filter((entry) => !entry.passed);
+  return {
+    network: manifest.network,
+    chainId,
+    deployedCommit: manifest.gitCommit || null,
+    source,
+    compiler,
+    ok: failed.every((entry) => entry.severity !== "error"),
+    errors: failed.filter((entry) => entry.severity === "error").length,
+    warnings: failed.filter((entry) => entry.severity === "warning").length,
+    checks,
+    contracts
+  };
+}
+
+module.exports = {
+  splitMetadata,
+  decodeMetadata,
+  maskImmutables,
+  diffBytecode,
+  normalizeStorageLayout,
+  diffStorageLayout,
+  checkContract,
+  checkReproducibility
+};
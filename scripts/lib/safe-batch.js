@@ -0,0 +1,360 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+/**
+ * Safe Transaction Builder batch generator
+ *
+ * Produces JSON files that can be imported into the Safe{Wallet} Transaction Builder app
+ * (BNB Safe included), so that signers never hand-encode calldata for governance actions.
+ * Every transaction carries both the ABI-encoded `data` and the decoded method/arguments,
+ * which the Transaction Builder displays for review.
+ */
+
+const SAFE_BATCHES_DIR = path.join(__dirname, "..", "..", "safe-batches");
+const TX_BUILDER_VERSION = "1.16.5";
+
+// XPassMerkleDistributor is owned by the timelock, so sweeping goes through a scheduled operation
+const DISTRIBUTOR_INTERFACE = new ethers.Interface(["function sweep()"]);
+
+// Roles of XPassTimelockController that can be granted/revoked by name
+const TIMELOCK_ROLES = ["DEFAULT_ADMIN_ROLE", "PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE"];
+
+/**
+ * @dev Converts an ethers argument value to the string form used by the Transaction Builder
+ */
+function formatInputValue(value) {
+  if (Array.isArray(value)) {
+    return JSON.stringify(value.map(formatInputValue));
+  }
+  return value.toString();
+}
+
+/**
+ * @dev Builds one Transaction Builder transaction calling `method` on `to`
+ * @param to Target contract address
+ * @param iface ethers Interface of the target contract
+ * @param method Function name or signature
+ * @param args Function arguments
+ */
+function buildSafeTransaction(to, iface, method, args = []) {
+  const fragment = iface.getFunction(method);
+  const contractInputsValues = {};
+  fragment.inputs.forEach((input, index) => {
+    contractInputsValues[input.name] = formatInputValue(args[index]);
+  });
+
+  return {
+    to: ethers.getAddress(to),
+    value: "0",
+    data: iface.encodeFunctionData(fragment, args),
+    contractMethod: {
+      inputs: fragment.inputs.map((input) => ({
+        internalType: input.type,
+        name: input.name,
+        type: input.type
+      })),
+      name: fragment.name,
+      payable: fragment.payable
+    },
+    contractInputsValues
+  };
+}
+
+/**
+ * @dev Wraps transactions into a Transaction Builder batch file
+ * @param options.chainId Chain the Safe lives on
+ * @param options.safeAddress Safe that will execute the batch
+ * @param options.name Batch name shown in the Transaction Builder
+ * @param options.description Human-readable description for signers
+ * @param options.transactions Transactions built with buildSafeTransaction
+ */
+function buildSafeBatch({ chainId, safeAddress, name, description, transactions }) {
+  return {
+    version: "1.0",
+    chainId: chainId.toString(),
+    createdAt: Date.now(),
+    meta: {
+      name,
+      description: description || "",
+      txBuilderVersion: TX_BUILDER_VERSION,
+      createdFromSafeAddress: ethers.getAddress(safeAddress),
+      createdFromOwnerAddress: ""
+    },
+    transactions
+  };
+}
+
+/**
+ * @dev Writes a batch to safe-batches/<network>/<timestamp>-<name>.json
+ * @return Path of the written batch file
+ */
+function writeSafeBatch(networkName, batch) {
+  const stamp = new Date(batch.createdAt).toISOString().replace(/[:.]/g, "-");
+  const fileName = `${stamp}-${batch.meta.name.replace(/[^a-zA-Z0-9_-]+/g, "-")}.json`;
+  const batchPath = path.join(SAFE_BATCHES_DIR, networkName, fileName);
+  fs.mkdirSync(path.dirname(batchPath), { recursive: true });
+  fs.writeFileSync(batchPath, JSON.stringify(batch, null, 2) + "\n");
+  return batchPath;
+}
+
+/**
+ * @dev Governance actions supported by the generator
+ *
+ * Each builder receives a context with the token/timelock addresses, their interfaces and
+ * the action parameters, and returns { transactions, description }.
+ */
+const SAFE_ACTIONS = {
+  proposePause: (ctx) => ({
+    description: `Propose pausing XPassToken ${ctx.token} through XPassTimelockController ${ctx.timelock}`,
+    transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposePause", [ctx.token])]
+  }),
+
+  proposeUnpause: (ctx) => ({
+    description: `Propose unpausing XPassToken ${ctx.token} through XPassTimelockController ${ctx.timelock}`,
+    transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposeUnpause", [ctx.token])]
+  }),
+
+  proposeTransferOwnership: (ctx) => {
+    if (!ctx.params.newOwner) {
+      throw new Error("proposeTransferOwnership requires the new owner address");
+    }
+    const newOwner = ethers.getAddress(ctx.params.newOwner);
+    requireTimelockOwnsToken("proposeTransferOwnership", "transferOwnership --new-owner", ctx);
+    return {
+      description: `Propose transferring the XPassToken ownership to ${newOwner} through XPassTimelockController ${ctx.timelock}`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposeTransferOwnership", [ctx.token, newOwner])]
+    };
+  },
+
+  proposeChangeTimelockController: (ctx) => {
+    if (!ctx.params.newTimelock) {
+      throw new Error("proposeChangeTimelockController requires the new timelock controller address");
+    }
+    const newTimelock = ethers.getAddress(ctx.params.newTimelock);
+    requireTimelockOwnsToken("proposeChangeTimelockController", "changeTimelockController --new-timelock", ctx);
+    return {
+      description: `Propose changing the XPassToken timelock controller to ${newTimelock} through XPassTimelockController ${ctx.timelock}`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposeChangeTimelockController", [ctx.token, newTimelock])]
+    };
+  },
+
+  proposeUpdateDelay: (ctx) => {
+    if (ctx.params.newDelay === undefined) {
+      throw new Error("proposeUpdateDelay requires the new delay in seconds");
+    }
+    return {
+      description: `Propose updating the XPassTimelockController ${ctx.timelock} minimum delay to ${ctx.params.newDelay} seconds`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposeUpdateDelay", [ctx.params.newDelay])]
+    };
+  },
+
+  proposeGrantRole: (ctx) => {
+    const { name, role, account } = resolveRoleParams("proposeGrantRole", ctx.params);
+    return {
+      description: `Propose granting ${name} on XPassTimelockController ${ctx.timelock} to ${account}`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposeGrantRole", [role, account])]
+    };
+  },
+
+  proposeRevokeRole: (ctx) => {
+    const { name, role, account } = resolveRoleParams("proposeRevokeRole", ctx.params);
+    return {
+      description: `Propose revoking ${name} on XPassTimelockController ${ctx.timelock} from ${account}`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "proposeRevokeRole", [role, account])]
+    };
+  },
+
+  schedule: (ctx) => {
+    const op = resolveOperation(ctx);
+    return {
+      description: `Schedule operation ${op.id} on ${op.target} with a delay of ${op.delay} seconds`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "schedule", [
+        op.target, 0, op.data, op.predecessor, op.salt, op.delay
+      ])]
+    };
+  },
+
+  execute: (ctx) => {
+    const op = resolveOperation(ctx);
+    if (!ctx.params.salt) {
+      throw new Error("execute requires the salt the operation was scheduled with");
+    }
+    return {
+      description: `Execute operation ${op.id} on ${op.target}`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "execute", [
+        op.target, 0, op.data, op.predecessor, op.salt
+      ])]
+    };
+  },
+
+  cancel: (ctx) => {
+    if (!ctx.params.id) {
+      throw new Error("cancel requires the operation id");
+    }
+    return {
+      description: `Cancel operation ${ctx.params.id}`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "cancel", [ctx.params.id])]
+    };
+  },
+
+  proposeSweep: (ctx) => {
+    if (!ctx.params.distributor) {
+      throw new Error("proposeSweep requires the XPassMerkleDistributor address");
+    }
+    const op = resolveOperation({
+      ...ctx,
+      params: { ...ctx.params, target: ctx.params.distributor, calldata: DISTRIBUTOR_INTERFACE.encodeFunctionData("sweep") }
+    });
+    return {
+      description: `Schedule sweeping the unclaimed tokens of distributor ${op.target} to its treasury (operation ${op.id}, delay ${op.delay} seconds)`,
+      transactions: [buildSafeTransaction(ctx.timelock, ctx.timelockInterface, "schedule", [
+        op.target, 0, op.data, op.predecessor, op.salt, op.delay
+      ])]
+    };
+  },
+
+  setGuardian: (ctx) => {
+    if (!ctx.params.guardian) {
+      throw new Error("setGuardian requires the guardian address (zero address to remove it)");
+    }
+    const guardian = ethers.getAddress(ctx.params.guardian);
+    return {
+      description: guardian === ethers.ZeroAddress
+        ? "Remove the XPassToken guardian (disables emergency pauses, immediate owner call)"
+        : `Set the XPassToken guardian to ${guardian} (immediate owner call)`,
+      transactions: [buildSafeTransaction(ctx.token, ctx.tokenInterface, "setGuardian", [guardian])]
+    };
+  },
+
+  transferOwnership: (ctx) => {
+    if (!ctx.params.newOwner) {
+      throw new Error("transferOwnership requires the new owner address");
+    }
+    const newOwner = ethers.getAddress(ctx.params.newOwner);
+    return {
+      description: `Transfer the XPassToken ownership from the Safe to ${newOwner} (immediate owner call)`,
+      transactions: [buildSafeTransaction(ctx.token, ctx.tokenInterface, "transferOwnership", [newOwner])]
+    };
+  },
+
+  changeTimelockController: (ctx) => {
+    if (!ctx.params.newTimelock) {
+      throw new Error("changeTimelockController requires the new timelock controller address");
+    }
+    return {
+      description: `Change the XPassToken timelock controller from ${ctx.timelock} to ${ctx.params.newTimelock} (immediate owner call)`,
+      transactions: [buildSafeTransaction(ctx.token, ctx.tokenInterface, "changeTimelockController", [
+        ethers.getAddress(ctx.params.newTimelock)
+      ])]
+    };
+  }
+};
+
+/**
+ * @dev Refuses ownership and timelock rotation proposals the timelock could never execute
+ * @notice The proposed token functions are owner-only: while the Safe owns the token (as
+ *         deployed), it calls them directly instead (see the direct owner call actions)
+ * @param action Proposal action
+ * @param direct Direct owner call action and parameter to suggest
+ * @param ctx.tokenOwner Current owner() of the token, read on-chain by the caller
+ */
+function requireTimelockOwnsToken(action, direct, ctx) {
+  if (!ctx.tokenOwner) {
+    throw new Error(`${action} requires the current token owner (ctx.tokenOwner)`);
+  }
+  if (ethers.getAddress(ctx.tokenOwner) !== ethers.getAddress(ctx.timelock)) {
+    throw new Error(
+      `${action} can only be executed while XPassTimelockController ${ctx.timelock} owns the token ` +
+      `(owner: ${ctx.tokenOwner}). The owner calls it directly instead: safe:batch ${direct} ...`
+    );
+  }
+}
+
+/**
+ * @dev Resolves the role and account of a role grant/revoke action
+ * @notice The role is either one of TIMELOCK_ROLES or a raw bytes32 role hash
+ * @return { name, role, account }
+ */
+function resolveRoleParams(action, params) {
+  if (!params.role || !params.account) {
+    throw new Error(`${action} requires the role (${TIMELOCK_ROLES.join(", ")} or a bytes32 hash) and the account`);
+  }
+  let role = params.role;
+  if (TIMELOCK_ROLES.includes(params.role)) {
+    role = params.role === "DEFAULT_ADMIN_ROLE" ? ethers.ZeroHash : ethers.id(params.role);
+  } else if (!ethers.isHexString(params.role, 32)) {
+    throw new Error(`Unknown role "${params.role}". Use ${TIMELOCK_ROLES.join(", ")} or a bytes32 hash`);
+  }
+  return { name: params.role, role, account: ethers.getAddress(params.account) };
+}
+
+/**
+ * @dev Resolves the (target, data, predecessor, salt, delay) tuple of a raw timelock operation
+ * @notice `data` defaults to encoding `params.function` (e.g. "pause()") against XPassToken
+ */
+function resolveOperation(ctx) {
+  const { params } = ctx;
+  const target = ethers.getAddress(params.target || ctx.token);
+
+  let data = params.calldata;
+  if (!data) {
+    if (!params.function) {
+      throw new Error("Either the raw calldata or a XPassToken function (e.g. \"pause()\") is required");
+    }
+    data = ctx.tokenInterface.encodeFunctionData(params.function, params.args || []);
+  }
+
+  const predecessor = params.predecessor || ethers.ZeroHash;
+  const salt = params.salt || ethers.hexlify(ethers.randomBytes(32));
+  const delay = params.delay !== undefined ? params.delay : ctx.minDelay;
+  if (delay === undefined) {
+    throw new Error("The operation delay is required when no deployment manifest is available");
+  }
+  const id = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+    ["address", "uint256", "bytes", "bytes32", "bytes32"],
+    [target, 0, data, predecessor, salt]
+  ));
+
+  return { id, target, data, predecessor, salt, delay };
+}
+
+/**
+ * @dev Builds the batch for a governance action
+ * @param action Key of SAFE_ACTIONS
+ * @param ctx.chainId Chain ID of the Safe
+ * @param ctx.safe Safe address
+ * @param ctx.token XPassToken address
+ * @param ctx.timelock XPassTimelockController address
+ * @param ctx.minDelay Default delay for raw schedule operations
+ * @param ctx.tokenInterface ethers Interface of XPassToken
+ * @param ctx.timelockInterface ethers Interface of XPassTimelockController
+ * @param ctx.tokenOwner Current token owner (required by proposeTransferOwnership and proposeChangeTimelockController)
+ * @param ctx.params Action-specific parameters
+ */
+function buildGovernanceBatch(action, ctx) {
+  const builder = SAFE_ACTIONS[action];
+  if (!builder) {
+    throw new Error(`Unknown action "${action}". Supported actions: ${Object.keys(SAFE_ACTIONS).join(", ")}`);
+  }
+
+  const { transactions, description } = builder(ctx);
+  return buildSafeBatch({
+    chainId: ctx.chainId,
+    safeAddress: ctx.safe,
+    name: action,
+    description,
+    transactions
+  });
+}
+
+module.exports = {
+  SAFE_BATCHES_DIR,
+  SAFE_ACTIONS,
+  TIMELOCK_ROLES,
+  buildSafeTransaction,
+  buildSafeBatch,
+  buildGovernanceBatch,
+  resolveOperation,
+  writeSafeBatch
+};
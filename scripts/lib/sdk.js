@@ -0,0 +1,174 @@
+const fs = require("fs");
+const path = require("path");
+
+const { DEPLOYMENTS_DIR } = require("./deployments");
+
+/**
+ * SDK generator
+ *
+ * Builds the generated part of the `sdk/` package from the compiled artifacts and the
+ * deployment manifests: ABIs (sdk/abi/<Contract>.json), TypeScript declarations in the
+ * style of TypeChain (sdk/types/<Contract>.d.ts) and the per-network address registry
+ * (sdk/addresses.json). The hand-written runtime (sdk/index.js) loads these files.
+ */
+
+const SDK_DIR = path.join(__dirname, "..", "..", "sdk");
+
+// Contracts exposed by the SDK, with the manifest location of their address
+const SDK_CONTRACTS = [
+  { name: "XPassToken", address: (manifest) => manifest.contracts.XPassToken && manifest.contracts.XPassToken.address },
+  { name: "XPassTimelockController", address: (manifest) => manifest.contracts.XPassTimelockController && manifest.contracts.XPassTimelockController.address }
+];
+
+// Networks whose manifests are local and never published
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+
+/**
+ * @dev Maps a Solidity ABI parameter to a TypeScript type
+ * @param param ABI parameter ({ type, components })
+ * @param input True for function arguments (ethers accepts wider types), false for results
+ */
+function toTsType(param, input) {
+  const array = param.type.match(/^(.*)\[\d*\]$/);
+  if (array) {
+    return `${toTsType({ ...param, type: array[1] }, input)}[]`;
+  }
+  if (param.type === "tuple") {
+    const fields = param.components.map((component) => `${component.name}: ${toTsType(component, input)}`);
+    return `{ ${fields.join("; ")} }`;
+  }
+  if (param.type === "address") {
+    return input ? "AddressLike" : "string";
+  }
+  if (/^u?int\d*$/.test(param.type)) {
+    return input ? "BigNumberish" : "bigint";
+  }
+  if (param.type === "bool") {
+    return "boolean";
+  }
+  if (/^bytes\d*$/.test(param.type)) {
+    return input ? "BytesLike" : "string";
+  }
+  return "string";
+}
+
+/**
+ * @dev Returns the TypeScript result type of a function's outputs
+ */
+function toResultType(outputs) {
+  if (outputs.length === 0) {
+    return "void";
+  }
+  if (outputs.length === 1) {
+    return toTsType(outputs[0], false);
+  }
+  return `[${outputs.map((output, index) => `${output.name || `output${index}`}: ${toTsType(output, false)}`).join(", ")}]`;
+}
+
+/**
+ * @dev Generates the TypeScript declaration of a contract from its ABI
+ * @notice Overloaded functions are declared by signature (e.g. `"transfer(address,uint256)"`),
+ *         matching how ethers exposes them
+ * @return Content of the .d.ts file
+ */
+function generateTypings(contractName, abi) {
+  const functions = abi.filter((item) => item.type === "function");
+  const events = abi.filter((item) => item.type === "event");
+  const counts = functions.reduce((all, item) => ({ ...all, [item.name]: (all[item.name] || 0) + 1 }), {});
+
+  const methods = functions.map((item) => {
+    const args = item.inputs.map((input, index) => `${input.name || `arg${index}`}: ${toTsType(input, true)}`);
+    const isView = item.stateMutability === "view" || item.stateMutability === "pure";
+    args.push("overrides?: Overrides");
+    const key = counts[item.name] > 1 ? `"${item.name}(${item.inputs.map((input) => input.type).join(",")})"` : item.name;
+    const result = isView ? toResultType(item.outputs) : "ContractTransactionResponse";
+    return `  ${key}(${args.join(", ")}): Promise<${result}>;`;
+  });
+
+  const eventTypes = events.map((item) => {
+    const fields = item.inputs.map((input, index) => `  ${input.name || `arg${index}`}: ${toTsType(input, false)};`);
+    return [`export interface ${contractName}${item.name}Event {`, ...fields, "}"].join("\n");
+  });
+
+  return [
+    `// Generated by \`npx hardhat sdk:build\` from the ${contractName} ABI. Do not edit.`,
+    "import type {",
+    "  AddressLike,",
+    "  BaseContract,",
+    "  BigNumberish,",
+    "  BytesLike,",
+    "  ContractTransactionResponse,",
+    "  Overrides",
+    "} from \"ethers\";",
+    "",
+    `export interface ${contractName} extends BaseContract {`,
+    ...methods,
+    "}",
+    "",
+    ...eventTypes.flatMap((eventType) => [eventType, ""])
+  ].join("\n");
+}
+
+/**
+ * @dev Collects the addresses of completed, non-local deployments
+ * @param deploymentsDir Directory containing <network>/deployment.json manifests
+ * @return Registry { <network>: { chainId, <Contract>: address } }, sorted by network name
+ */
+function collectAddresses(deploymentsDir = DEPLOYMENTS_DIR) {
+  const registry = {};
+  if (!fs.existsSync(deploymentsDir)) {
+    return registry;
+  }
+
+  const networks = fs.readdirSync(deploymentsDir)
+    .filter((network) => !LOCAL_NETWORKS.includes(network))
+    .filter((network) => fs.existsSync(path.join(deploymentsDir, network, "deployment.json")))
+    .sort();
+  for (const network of networks) {
+    const manifest = JSON.parse(fs.readFileSync(path.join(deploymentsDir, network, "deployment.json"), "utf8"));
+    if (manifest.status !== "complete") {
+      continue;
+    }
+    registry[network] = { chainId: manifest.chainId };
+    for (const contract of SDK_CONTRACTS) {
+      registry[network][contract.name] = contract.address(manifest);
+    }
+  }
+  return registry;
+}
+
+/**
+ * @dev Writes the generated SDK files
+ * @param hre Hardhat runtime environment (artifacts must be compiled)
+ * @param options.outDir SDK directory (default: sdk/)
+ * @param options.deploymentsDir Manifests directory (default: deployments/)
+ * @return { files, addresses } written files and the address registry
+ */
+async function buildSdk(hre, options = {}) {
+  const outDir = options.outDir || SDK_DIR;
+  const files = [];
+  const write = (relativePath, content) => {
+    const filePath = path.join(outDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    files.push(filePath);
+  };
+
+  for (const contract of SDK_CONTRACTS) {
+    const { abi } = await hre.artifacts.readArtifact(contract.name);
+    write(path.join("abi", `${contract.name}.json`), JSON.stringify(abi, null, 2) + "\n");
+    write(path.join("types", `${contract.name}.d.ts`), generateTypings(contract.name, abi));
+  }
+
+  const addresses = collectAddresses(options.deploymentsDir);
+  write("addresses.json", JSON.stringify(addresses, null, 2) + "\n");
+  return { files, addresses };
+}
+
+module.exports = {
+  SDK_DIR,
+  SDK_CONTRACTS,
+  generateTypings,
+  collectAddresses,
+  buildSdk
+};
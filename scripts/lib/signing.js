@@ -0,0 +1,126 @@
+const { ethers } = require("ethers");
+
+const { getDomain, signPermit } = require("./permit");
+
+/**
+ * Off-chain signing helpers for gasless transfers through XPassPermitRelayer
+ *
+ * The holder signs two EIP-712 messages: an EIP-2612 permit giving the relayer contract an
+ * allowance of `amount + fee`, and a TransferIntent naming the receiver and the relayer fee.
+ * The resulting relay request is plain JSON (amounts as decimal strings) so that it can be
+ * posted to a relayer service.
+ */
+
+const TRANSFER_INTENT_TYPES = {
+  TransferIntent: [
+    { name: "owner", type: "address" },
+    { name: "to", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "fee", type: "uint256" },
+    { name: "relayer", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Permit fields of a relay request without permit (allowance already set)
+const NO_PERMIT = { value: "0", deadline: "0", v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+/**
+ * @dev Signs a TransferIntent for XPassPermitRelayer
+ * @param signer Holder (must be `intent.owner`)
+ * @param relayer XPassPermitRelayer contract instance
+ * @param intent TransferIntent fields
+ * @return EIP-712 signature
+ */
+async function signTransferIntent(signer, relayer, intent) {
+  return signer.signTypedData(await getDomain(relayer), TRANSFER_INTENT_TYPES, intent);
+}
+
+/**
+ * @dev Signs a complete relay request (intent + permit when the allowance is missing)
+ * @param signer Holder
+ * @param token XPassToken contract instance
+ * @param relayer XPassPermitRelayer contract instance
+ * @param transfer.to Receiver
+ * @param transfer.amount Amount to transfer (wei)
+ * @param transfer.fee Relayer fee (wei, default 0)
+ * @param transfer.relayer Designated relayer account (default: any relayer)
+ * @param transfer.deadline Deadline of the intent and the permit (unix timestamp)
+ * @return JSON-serializable relay request { intent, signature, permit }
+ */
+async function buildRelayRequest(signer, token, relayer, transfer) {
+  const owner = await signer.getAddress();
+  const relayerAddress = await relayer.getAddress();
+  const fee = BigInt(transfer.fee || 0);
+  const intent = {
+    owner,
+    to: ethers.getAddress(transfer.to),
+    amount: BigInt(transfer.amount).toString(),
+    fee: fee.toString(),
+    relayer: transfer.relayer ? ethers.getAddress(transfer.relayer) : ethers.ZeroAddress,
+    nonce: (await relayer.nonces(owner)).toString(),
+    deadline: BigInt(transfer.deadline).toString()
+  };
+
+  const value = BigInt(transfer.amount) + fee;
+  let permit = NO_PERMIT;
+  if ((await token.allowance(owner, relayerAddress)) < value) {
+    const signed = await signPermit(signer, token, { spender: relayerAddress, value, deadline: transfer.deadline });
+    permit = { value: signed.value.toString(), deadline: signed.deadline.toString(), v: signed.v, r: signed.r, s: signed.s };
+  }
+
+  return { intent, signature: await signTransferIntent(signer, relayer, intent), permit };
+}
+
+/**
+ * @dev Validates the shape of a relay request received as JSON
+ * @throws If a field is missing or malformed
+ * @return Relay request with checksummed addresses and bigint amounts
+ */
+function parseRelayRequest(request) {
+  const { intent, signature, permit } = request || {};
+  if (!intent || !permit || typeof signature !== "string") {
+    throw new Error("Relay request must contain intent, signature and permit");
+  }
+
+  const field = (object, key, parse) => {
+    try {
+      return parse(object[key]);
+    } catch (error) {
+      throw new Error(`Invalid ${key}: ${JSON.stringify(object[key])}`);
+    }
+  };
+  return {
+    intent: {
+      owner: field(intent, "owner", ethers.getAddress),
+      to: field(intent, "to", ethers.getAddress),
+      amount: field(intent, "amount", BigInt),
+      fee: field(intent, "fee", BigInt),
+      relayer: field(intent, "relayer", ethers.getAddress),
+      nonce: field(intent, "nonce", BigInt),
+      deadline: field(intent, "deadline", BigInt)
+    },
+    signature: field(request, "signature", (value) => ethers.Signature.from(value).serialized),
+    permit: {
+      value: field(permit, "value", BigInt),
+      deadline: field(permit, "deadline", BigInt),
+      v: field(permit, "v", (value) => {
+        if (!Number.isInteger(value)) {
+          throw new Error("not an integer");
+        }
+        return value;
+      }),
+      r: field(permit, "r", (value) => ethers.zeroPadValue(value, 32)),
+      s: field(permit, "s", (value) => ethers.zeroPadValue(value, 32))
+    }
+  };
+}
+
+module.exports = {
+  TRANSFER_INTENT_TYPES,
+  NO_PERMIT,
+  signTransferIntent,
+  buildRelayRequest,
+  parseRelayRequest
+};
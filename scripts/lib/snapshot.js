@@ -0,0 +1,149 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+const { toCsv } = require("./csv");
+
+/**
+ * Holder balance snapshots
+ *
+ * Rebuilds every XPASS holder's balance at a given block by replaying indexed Transfer
+ * events, cross-checks the result against the on-chain supply and exports CSV/JSON files
+ * together with a Merkle tree of (address, balance) leaves.
+ */
+
+const SNAPSHOTS_DIR = path.join(__dirname, "..", "..", "snapshots");
+const LEAF_ENCODING = ["address", "uint256"];
+
+/**
+ * @dev Replays Transfer events (in chain order) into balances
+ * @param transfers Indexed Transfer events with args { from, to, value }
+ * @return Holders with a non-zero balance, sorted by balance (descending) then address
+ */
+function replayTransfers(transfers) {
+  const balances = new Map();
+  const add = (address, delta) => {
+    const key = ethers.getAddress(address);
+    balances.set(key, (balances.get(key) || 0n) + delta);
+  };
+
+  for (const { args } of transfers) {
+    const value = BigInt(args.value);
+    if (args.from !== ethers.ZeroAddress) {
+      add(args.from, -value);
+    }
+    if (args.to !== ethers.ZeroAddress) {
+      add(args.to, value);
+    }
+  }
+
+  for (const [address, balance] of balances) {
+    if (balance < 0n) {
+      throw new Error(`Replayed balance of ${address} is negative: the event history is incomplete`);
+    }
+  }
+
+  return [...balances.entries()]
+    .filter(([, balance]) => balance > 0n)
+    .map(([address, balance]) => ({ address, balance }))
+    .sort((a, b) => (a.balance === b.balance ? a.address.localeCompare(b.address) : (b.balance > a.balance ? 1 : -1)));
+}
+
+/**
+ * @dev Builds the Merkle tree of (address, balance) leaves
+ * @notice Uses OpenZeppelin's StandardMerkleTree (double-hashed abi.encode leaves),
+ *         verifiable on-chain with MerkleProof
+ */
+function buildBalanceTree(holders) {
+  return StandardMerkleTree.of(
+    holders.map((holder) => [holder.address, holder.balance.toString()]),
+    LEAF_ENCODING
+  );
+}
+
+/**
+ * @dev Takes a snapshot of all holder balances at a block
+ * @param token XPassToken contract instance
+ * @param transfers Indexed Transfer events covering at least the blocks up to `blockNumber`
+ * @param blockNumber Snapshot block height
+ * @return Snapshot with holders, totals, supply checks and Merkle tree
+ */
+async function takeSnapshot(token, transfers, blockNumber) {
+  const holders = replayTransfers(transfers.filter((event) => event.blockNumber <= blockNumber));
+  const total = holders.reduce((sum, holder) => sum + holder.balance, 0n);
+
+  const maxSupply = await token.maxSupply();
+  let totalSupply = null;
+  try {
+    totalSupply = await token.totalSupply({ blockTag: blockNumber });
+  } catch (error) {
+    // Historical state needs an archive node; the fixed supply still bounds the check
+  }
+
+  const checks = {
+    sumEqualsTotalSupply: totalSupply === null ? null : total === totalSupply,
+    sumWithinMaxSupply: total <= maxSupply
+  };
+
+  return {
+    blockNumber,
+    token: await token.getAddress(),
+    holders,
+    holderCount: holders.length,
+    total,
+    totalSupply,
+    maxSupply,
+    checks,
+    tree: buildBalanceTree(holders)
+  };
+}
+
+/**
+ * @dev Writes balances.csv, balances.json and merkle-tree.json for a snapshot
+ * @param outDir Output directory
+ * @return Paths of the written files
+ */
+function writeSnapshot(snapshot, outDir) {
+  fs.mkdirSync(outDir, { recursive: true });
+
+  const csvPath = path.join(outDir, "balances.csv");
+  fs.writeFileSync(csvPath, toCsv(["address", "balance"], snapshot.holders));
+
+  const proofs = {};
+  for (const [index, [address]] of snapshot.tree.entries()) {
+    proofs[address] = snapshot.tree.getProof(index);
+  }
+
+  const jsonPath = path.join(outDir, "balances.json");
+  fs.writeFileSync(jsonPath, JSON.stringify({
+    token: snapshot.token,
+    blockNumber: snapshot.blockNumber,
+    holderCount: snapshot.holderCount,
+    total: snapshot.total.toString(),
+    totalSupply: snapshot.totalSupply === null ? null : snapshot.totalSupply.toString(),
+    maxSupply: snapshot.maxSupply.toString(),
+    checks: snapshot.checks,
+    merkleRoot: snapshot.tree.root,
+    leafEncoding: LEAF_ENCODING,
+    holders: snapshot.holders.map((holder) => ({
+      address: holder.address,
+      balance: holder.balance.toString(),
+      proof: proofs[holder.address]
+    }))
+  }, null, 2) + "\n");
+
+  const treePath = path.join(outDir, "merkle-tree.json");
+  fs.writeFileSync(treePath, JSON.stringify(snapshot.tree.dump(), null, 2) + "\n");
+
+  return { csvPath, jsonPath, treePath };
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  LEAF_ENCODING,
+  replayTransfers,
+  buildBalanceTree,
+  takeSnapshot,
+  writeSnapshot
+};
@@ -0,0 +1,239 @@
+/**
+ * XPassTimelockController operation helpers
+ *
+ * Reconstructs timelock operations from CallScheduled / CallSalt / CallExecuted / Cancelled
+ * events, so that the full (target, value, data, predecessor, salt) tuple needed to execute
+ * an operation can be recovered even when the salt was generated on-chain (propose*).
+ */
+
+// Mirrors TimelockController.OperationState
+const OPERATION_STATES = ["Unset", "Waiting", "Ready", "Done"];
+
+const ZERO_HASH = "0x" + "0".repeat(64);
+const DEFAULT_CHUNK_SIZE = 5000;
+
+/**
+ * @dev Decodes an OperationState value (as returned by getOperationState/getProposalState)
+ * @param value uint8 state (number or bigint)
+ * @return "Unset", "Waiting", "Ready" or "Done"
+ */
+function decodeOperationState(value) {
+  const state = OPERATION_STATES[Number(value)];
+  if (!state) {
+    throw new Error(`Unknown operation state ${value}`);
+  }
+  return state;
+}
+
+/**
+ * @dev Formats a number of seconds as "1d 2h 3m 4s"
+ */
+function formatDuration(seconds) {
+  const units = [["d", 86400], ["h", 3600], ["m", 60], ["s", 1]];
+  const parts = [];
+  let remaining = Number(seconds);
+  for (const [unit, size] of units) {
+    if (remaining >= size) {
+      parts.push(`${Math.floor(remaining / size)}${unit}`);
+      remaining %= size;
+    }
+  }
+  return parts.length > 0 ? parts.join(" ") : "0s";
+}
+
+/**
+ * @dev Queries an event in block chunks (public RPC endpoints limit eth_getLogs ranges)
+ */
+async function queryInChunks(contract, filter, fromBlock, toBlock, chunkSize) {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    events.push(...(await contract.queryFilter(filter, start, end)));
+  }
+  return events;
+}
+
+/**
+ * @dev Reconstructs every operation scheduled on a timelock
+ * @param timelock XPassTimelockController contract instance
+ * @param options.fromBlock First block to scan (use the deployment block from the manifest)
+ * @param options.toBlock Last block to scan (defaults to the latest block)
+ * @param options.chunkSize Maximum block range per eth_getLogs request
+ * @return Operations sorted by schedule block, with their current state
+ */
+async function fetchOperations(timelock, options = {}) {
+  const provider = timelock.runner.provider;
+  const fromBlock = options.fromBlock || 0;
+  const toBlock = options.toBlock !== undefined ? options.toBlock : await provider.getBlockNumber();
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const query = (filter) => queryInChunks(timelock, filter, fromBlock, toBlock, chunkSize);
+
+  const operations = new Map();
+  for (const event of await query(timelock.filters.CallScheduled())) {
+    const { id, index, target, value, data, predecessor, delay } = event.args;
+    if (!operations.has(id)) {
+      operations.set(id, {
+        id,
+        calls: [],
+        predecessor,
+        salt: ZERO_HASH,
+        delay: Number(delay),
+        scheduledBlock: event.blockNumber,
+        scheduledTx: event.transactionHash,
+        executedTx: null,
+        cancelledTx: null
+      });
+    }
+    operations.get(id).calls[Number(index)] = { target, value, data };
+  }
+
+  for (const event of await query(timelock.filters.CallSalt())) {
+    const operation = operations.get(event.args.id);
+    if (operation) {
+      operation.salt = event.args.salt;
+    }
+  }
+  for (const event of await query(timelock.filters.CallExecuted())) {
+    const operation = operations.get(event.args.id);
+    if (operation) {
+      operation.executedTx = event.transactionHash;
+    }
+  }
+  for (const event of await query(timelock.filters.Cancelled())) {
+    const operation = operations.get(event.args.id);
+    if (operation) {
+      operation.cancelledTx = event.transactionHash;
+    }
+  }
+
+  const result = [];
+  for (const operation of operations.values()) {
+    result.push(await refreshOperation(timelock, operation));
+  }
+  return result.sort((a, b) => a.scheduledBlock - b.scheduledBlock);
+}
+
+/**
+ * @dev Updates the on-chain state and ready timestamp of an operation
+ * @notice A cancelled operation is deleted on-chain, so its state reads as "Unset"
+ */
+async function refreshOperation(timelock, operation) {
+  const state = decodeOperationState(await timelock.getOperationState(operation.id));
+  const timestamp = Number(await timelock.getTimestamp(operation.id));
+  return {
+    ...operation,
+    state: operation.cancelledTx && state === "Unset" ? "Cancelled" : state,
+    // getTimestamp returns 1 (DONE_TIMESTAMP) once executed
+    readyAt: state === "Done" ? null : timestamp || null
+  };
+}
+
+/**
+ * @dev Finds an operation by id (case-insensitive)
+ */
+function findOperation(operations, id) {
+  const operation = operations.find((op) => op.id.toLowerCase() === id.toLowerCase());
+  if (!operation) {
+    throw new Error(`Operation ${id} was not found in the timelock's CallScheduled events`);
+  }
+  return operation;
+}
+
+/**
+ * @dev Decodes an operation call against known contract interfaces
+ * @param interfaces List of ethers Interfaces to try (e.g. XPassToken, XPassTimelockController)
+ * @return Human-readable call, e.g. "pause()", or the raw selector if unknown
+ */
+function describeCall(call, interfaces) {
+  for (const iface of interfaces) {
+    try {
+      const parsed = iface.parseTransaction({ data: call.data, value: call.value });
+      if (parsed) {
+        return `${parsed.name}(${parsed.args.map((arg) => arg.toString()).join(", ")})`;
+      }
+    } catch (error) {
+      // Not a function of this interface, try the next one
+    }
+  }
+  return `unknown selector ${call.data.slice(0, 10)}`;
+}
+
+/**
+ * @dev Describes a proposal from XPassTimelockController.describeProposal and its recorded metadata
+ * @param timelock XPassTimelockController contract instance
+ * @param proposalId Proposal (operation) ID
+ * @param interfaces ethers Interfaces used to decode the call arguments
+ * @return { proposalId, state, secondsRemaining, readyAt, selector, functionName, call, target, proposer, createdAt }
+ *         (metadata fields are null for operations without recorded metadata, e.g. scheduleBatch)
+ */
+async function describeProposal(timelock, proposalId, interfaces = []) {
+  const [state, secondsRemaining, selector, functionName] = await timelock.describeProposal(proposalId);
+  const timestamp = Number(await timelock.getTimestamp(proposalId));
+
+  let proposal = null;
+  try {
+    proposal = await timelock.getProposal(proposalId);
+  } catch (error) {
+    // Not recorded (scheduleBatch or unknown id): state only
+  }
+
+  return {
+    proposalId,
+    state,
+    secondsRemaining: Number(secondsRemaining),
+    // getTimestamp returns 1 (DONE_TIMESTAMP) once executed and 0 when unset
+    readyAt: timestamp > 1 ? timestamp : null,
+    selector,
+    functionName,
+    call: proposal ? describeCall({ data: proposal.data, value: proposal.value }, interfaces) : null,
+    target: proposal ? proposal.target : null,
+    proposer: proposal ? proposal.proposer : null,
+    createdAt: proposal ? Number(proposal.createdAt) : null
+  };
+}
+
+/**
+ * @dev Executes a ready operation (single call or batch)
+ * @return Transaction response
+ */
+async function executeOperation(timelock, operation) {
+  if (operation.state !== "Ready") {
+    throw new Error(`Operation ${operation.id} is ${operation.state}, only Ready operations can be executed`);
+  }
+  if (operation.calls.length === 1) {
+    const [call] = operation.calls;
+    return timelock.execute(call.target, call.value, call.data, operation.predecessor, operation.salt);
+  }
+  return timelock.executeBatch(
+    operation.calls.map((call) => call.target),
+    operation.calls.map((call) => call.value),
+    operation.calls.map((call) => call.data),
+    operation.predecessor,
+    operation.salt
+  );
+}
+
+/**
+ * @dev Cancels a pending (Waiting or Ready) operation
+ * @return Transaction response
+ */
+async function cancelOperation(timelock, operation) {
+  if (operation.state !== "Waiting" && operation.state !== "Ready") {
+    throw new Error(`Operation ${operation.id} is ${operation.state}, only pending operations can be cancelled`);
+  }
+  return timelock.cancel(operation.id);
+}
+
+module.exports = {
+  OPERATION_STATES,
+  decodeOperationState,
+  formatDuration,
+  describeProposal,
+  queryInChunks,
+  fetchOperations,
+  refreshOperation,
+  findOperation,
+  describeCall,
+  executeOperation,
+  cancelOperation
+};
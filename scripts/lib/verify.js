@@ -0,0 +1,133 @@
+/**
+ * Block explorer verification helpers
+ *
+ * Runs hardhat-verify in-process (hre.run("verify:verify")) for the contracts recorded
+ * in the deployment manifest, waiting for confirmations and retrying while the
+ * explorer has not indexed the deployment yet.
+ */
+
+// Fully qualified names, so hardhat-verify never has to guess between matching artifacts
+const CONTRACT_NAMES = {
+  XPassTimelockController: "contracts/TimelockController.sol:XPassTimelockController",
+  XPassToken: "contracts/XPassToken.sol:XPassToken"
+};
+
+// Explorer responses meaning "try again later" rather than "verification failed"
+const RETRYABLE_ERRORS = [
+  /does not have bytecode/i,
+  /not yet indexed/i,
+  /unable to locate contractcode/i,
+  /try again later/i,
+  /pending in queue/i
+];
+
+// Confirmations to wait for on chains without a deployment profile
+const DEFAULT_CONFIRMATIONS = 5;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @dev Waits until a transaction has the requested number of confirmations
+ */
+async function waitForConfirmations(hre, txHash, confirmations) {
+  if (confirmations <= 0) {
+    return;
+  }
+  const tx = await hre.ethers.provider.getTransaction(txHash);
+  if (!tx) {
+    throw new Error(`Deployment transaction ${txHash} was not found on this network`);
+  }
+  await tx.wait(confirmations);
+}
+
+/**
+ * @dev Returns the explorer browser URL configured for a chain, or null if none
+ */
+function getExplorerUrl(hre, chainId) {
+  const customChains = (hre.config.etherscan && hre.config.etherscan.customChains) || [];
+  const chain = customChains.find((entry) => entry.chainId === chainId);
+  return chain ? chain.urls.browserURL : null;
+}
+
+/**
+ * @dev Verifies one contract, retrying while the explorer has not indexed it yet
+ * @param hre Hardhat runtime environment
+ * @param name Contract name (key of the manifest `contracts` object)
+ * @param entry Manifest entry of the contract
+ * @param options.retries Maximum number of retries after the first attempt
+ * @param options.retryInterval Seconds to wait between attempts
+ * @return "verified" or "already-verified"
+ */
+async function verifyContract(hre, name, entry, options) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      await hre.run("verify:verify", {
+        address: entry.address,
+        constructorArguments: entry.constructorArgs,
+        contract: CONTRACT_NAMES[name]
+      });
+      return "verified";
+    } catch (error) {
+      const message = error.message || String(error);
+      if (/already verified/i.test(message)) {
+        return "already-verified";
+      }
+      const retryable = RETRYABLE_ERRORS.some((pattern) => pattern.test(message));
+      if (!retryable || attempt >= options.retries) {
+        throw error;
+      }
+      console.log(`   ⏳ ${name} not indexed yet, retrying in ${options.retryInterval}s (${attempt + 1}/${options.retries})...`);
+      await sleep(options.retryInterval * 1000);
+    }
+  }
+}
+
+/**
+ * @dev Verifies every contract of a deployment manifest
+ * @param hre Hardhat runtime environment
+ * @param manifest Deployment manifest
+ * @param options.confirmations Confirmations to wait for before verifying
+ * @param options.retries Maximum number of retries per contract
+ * @param options.retryInterval Seconds to wait between attempts
+ * @return Map of contract name to verification result
+ */
+async function verifyDeployment(hre, manifest, options) {
+  const results = {};
+  const explorerUrl = getExplorerUrl(hre, manifest.chainId);
+
+  for (const [name, entry] of Object.entries(manifest.contracts)) {
+    console.log(`\n🔍 Verifying ${name} at ${entry.address}...`);
+    console.log(`   Constructor arguments: ${entry.constructorArgs.join(", ")}`);
+
+    if (options.confirmations > 0 && !entry.txHash) {
+      // Reused CREATE2 deployment: no transaction of ours, the contract was already on-chain
+      console.log("   No deployment transaction recorded (existing CREATE2 deployment), not waiting for confirmations");
+    } else if (options.confirmations > 0) {
+      console.log(`   Waiting for ${options.confirmations} confirmation(s)...`);
+      await waitForConfirmations(hre, entry.txHash, options.confirmations);
+    }
+
+    try {
+      results[name] = await verifyContract(hre, name, entry, options);
+      console.log(results[name] === "verified" ? `✅ ${name} verified successfully!` : `✅ ${name} is already verified`);
+    } catch (error) {
+      results[name] = "failed";
+      console.error(`❌ ${name} verification failed:`, error.message);
+    }
+
+    if (explorerUrl) {
+      console.log(`   ${explorerUrl}/address/${entry.address}`);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  CONTRACT_NAMES,
+  DEFAULT_CONFIRMATIONS,
+  getExplorerUrl,
+  waitForConfirmations,
+  verifyContract,
+  verifyDeployment
+};
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+
+const { describePendingDeployment, describeDeployment, resumeRecordedDeployment } = require("./deployments");
+const { getShortfalls, fundFromOwner } = require("./funding");
+
+/**
+ * Vesting wallet deployment for the token allocation buckets
+ *
+ * Reads an allocation file (see config/allocation.example.json), deploys one
+ * XPassVestingWallet per bucket and funds it from the token owner. The wallets are
+ * recorded under `vesting` in the deployment manifest, so an interrupted run resumes
+ * and already funded wallets are never funded twice.
+ */
+
+const DAY = 24 * 60 * 60;
+
+/**
+ * @dev Validates an allocation config and converts it to on-chain units
+ * @param config Parsed allocation file: { start, buckets: [{ name, beneficiary, amount, cliffDays, durationDays, revocable, start? }] }
+ * @return Buckets with checksummed beneficiary, amount in wei and times in seconds
+ */
+function parseAllocation(config) {
+  const toTimestamp = (value, name) => {
+    const timestamp = typeof value === "number" ? value : Math.floor(Date.parse(value) / 1000);
+    if (!Number.isInteger(timestamp) || timestamp < 0) {
+      throw new Error(`Bucket "${name}": invalid start "${value}" (ISO date or unix timestamp expected)`);
+    }
+    return timestamp;
+  };
+
+  if (!Array.isArray(config.buckets) || config.buckets.length === 0) {
+    throw new Error("Allocation config has no buckets");
+  }
+
+  const names = new Set();
+  return config.buckets.map((bucket) => {
+    if (!bucket.name || names.has(bucket.name)) {
+      throw new Error(`Bucket names must be present and unique (got "${bucket.name}")`);
+    }
+    names.add(bucket.name);
+
+    const beneficiary = ethers.getAddress(bucket.beneficiary);
+    if (beneficiary === ethers.ZeroAddress) {
+      throw new Error(`Bucket "${bucket.name}": beneficiary cannot be the zero address`);
+    }
+    const amount = ethers.parseUnits(String(bucket.amount), 18);
+    if (amount <= 0n) {
+      throw new Error(`Bucket "${bucket.name}": amount must be positive`);
+    }
+    const cliff = Number(bucket.cliffDays || 0) * DAY;
+    const duration = Number(bucket.durationDays) * DAY;
+    if (!Number.isInteger(duration) || duration < 0 || !Number.isInteger(cliff) || cliff > duration) {
+      throw new Error(`Bucket "${bucket.name}": cliffDays must not exceed durationDays`);
+    }
+
+    return {
+      name: bucket.name,
+      beneficiary,
+      amount,
+      start: toTimestamp(bucket.start !== undefined ? bucket.start : config.start, bucket.name),
+      cliff,
+      duration,
+      revocable: Boolean(bucket.revocable)
+    };
+  });
+}
+
+/**
+ * @dev Reads and validates an allocation file
+ */
+function loadAllocation(allocationPath) {
+  return parseAllocation(JSON.parse(fs.readFileSync(allocationPath, "utf8")));
+}
+
+/**
+ * @dev Deploys one vesting wallet per bucket, resuming from `manifest.vesting`
+ * @param hre Hardhat runtime environment
+ * @param manifest Deployment manifest (XPassToken deployed); updated in place
+ * @param buckets Buckets returned by parseAllocation
+ * @param options.deployer Signer to deploy from (defaults to the first configured account)
+ * @param options.onCheckpoint Called whenever the manifest changes (used to persist it)
+ * @return Updated manifest
+ */
+async function deployVestingWallets(hre, manifest, buckets, options = {}) {
+  const { ethers: hreEthers } = hre;
+  const deployer = options.deployer || (await hreEthers.getSigners())[0];
+  const checkpoint = options.onCheckpoint || (() => {});
+  const XPassVestingWallet = await hreEthers.getContractFactory("XPassVestingWallet", deployer);
+
+  manifest.vesting = manifest.vesting || { wallets: {} };
+  for (const bucket of buckets) {
+    // Revocable wallets can be revoked by the Multi-Sig only
+    const revoker = bucket.revocable ? manifest.multisig : ethers.ZeroAddress;
+    const args = [bucket.beneficiary, bucket.start, bucket.duration, bucket.cliff, revoker];
+    const schedule = {
+      beneficiary: bucket.beneficiary,
+      amount: bucket.amount.toString(),
+      start: bucket.start,
+      cliff: bucket.cliff,
+      duration: bucket.duration,
+      revoker
+    };
+
+    const entry = manifest.vesting.wallets[bucket.name];
+    const deployment = entry
+      ? await resumeRecordedDeployment(hreEthers.provider, XPassVestingWallet, `${bucket.name} vesting wallet`, entry, args)
+      : null;
+    if (deployment) {
+      manifest.vesting.wallets[bucket.name] = { ...deployment, ...schedule, funding: entry.funding || null };
+      console.log(`♻️  ${bucket.name}: vesting wallet already deployed at ${entry.address}, skipping`);
+    } else {
+      const wallet = await XPassVestingWallet.deploy(...args);
+      manifest.vesting.wallets[bucket.name] = { ...(await describePendingDeployment(wallet, args)), ...schedule, funding: null };
+      checkpoint(manifest);
+
+      await wallet.waitForDeployment();
+      manifest.vesting.wallets[bucket.name] = { ...(await describeDeployment(wallet, args)), ...schedule, funding: null };
+      console.log(`✅ ${bucket.name}: vesting wallet deployed at ${await wallet.getAddress()}`);
+    }
+    checkpoint(manifest);
+  }
+  return manifest;
+}
+
+/**
+ * @dev Funds the deployed vesting wallets from the token owner
+ *
+ * Wallets that already hold (or released) their allocation are skipped. When the deployer is
+ * not the token owner, a Safe batch is returned for the owner Multi-Sig (see funding.js).
+ *
+ * @param hre Hardhat runtime environment
+ * @param manifest Deployment manifest with `vesting.wallets`; updated in place
+ * @param options.deployer Signer sending the direct transfers
+ * @param options.onCheckpoint Called whenever the manifest changes (used to persist it)
+ * @return { funded: bucket names funded directly, batch: Safe batch or null }
+ */
+async function fundVestingWallets(hre, manifest, options = {}) {
+  const { ethers: hreEthers } = hre;
+  const deployer = options.deployer || (await hreEthers.getSigners())[0];
+  const checkpoint = options.onCheckpoint || (() => {});
+  const token = await hreEthers.getContractAt("XPassToken", manifest.contracts.XPassToken.address, deployer);
+  const tokenAddress = await token.getAddress();
+
+  const targets = [];
+  for (const [name, entry] of Object.entries(manifest.vesting.wallets)) {
+    const wallet = await hreEthers.getContractAt("XPassVestingWallet", entry.address);
+    const received = (await token.balanceOf(entry.address)) + (await wallet["released(address)"](tokenAddress));
+    targets.push({ name, address: entry.address, amount: entry.amount, received });
+  }
+
+  const shortfalls = await getShortfalls(token, targets);
+  for (const { name } of targets.filter((target) => !shortfalls.some((shortfall) => shortfall.name === target.name))) {
+    manifest.vesting.wallets[name].funding = { ...(manifest.vesting.wallets[name].funding || {}), status: "funded" };
+  }
+
+  const result = await fundFromOwner(token, shortfalls, {
+    deployer,
+    chainId: manifest.chainId,
+    batchName: "fundVestingWallets",
+    onFunded: (target, txHash) => {
+      manifest.vesting.wallets[target.name].funding = { status: "funded", txHash };
+      checkpoint(manifest);
+    }
+  });
+  if (result.batch) {
+    for (const { name } of shortfalls) {
+      manifest.vesting.wallets[name].funding = { status: "pending-safe" };
+    }
+  }
+  checkpoint(manifest);
+  return result;
+}
+
+module.exports = {
+  parseAllocation,
+  loadAllocation,
+  deployVestingWallets,
+  fundVestingWallets
+};
@@ -0,0 +1,102 @@
+import type { AddressLike, BigNumberish, BytesLike, ContractRunner, InterfaceAbi, TransactionReceipt } from "ethers";
+
+import type { XPassToken } from "./types/XPassToken";
+import type { XPassTimelockController } from "./types/XPassTimelockController";
+
+export type { XPassToken } from "./types/XPassToken";
+export type { XPassTimelockController } from "./types/XPassTimelockController";
+
+export type OperationState = "Unset" | "Waiting" | "Ready" | "Done";
+
+export interface XPassAddresses {
+  XPassToken: string;
+  XPassTimelockController: string;
+}
+
+export interface XPassDeployment extends XPassAddresses {
+  network: string;
+  chainId: number;
+}
+
+export interface Proposal {
+  proposalId: string;
+  receipt: TransactionReceipt;
+}
+
+export interface ProposalState {
+  proposalId: string;
+  state: OperationState;
+  readyAt: number;
+}
+
+export type ProposalKind =
+  | "CUSTOM"
+  | "PAUSE"
+  | "UNPAUSE"
+  | "TRANSFER_OWNERSHIP"
+  | "CHANGE_TIMELOCK"
+  | "UPDATE_DELAY"
+  | "GRANT_ROLE"
+  | "REVOKE_ROLE";
+
+export interface ProposalDescription {
+  proposalId: string;
+  state: OperationState | "Cancelled";
+  secondsRemaining: number;
+  selector: string;
+  /** e.g. "pause", "transferOwnership"; "unknown" for other calls */
+  functionName: string;
+}
+
+export interface ProposalDetails {
+  proposalId: string;
+  /** Kind name, or the raw bytes4 tag when unknown to this SDK version */
+  kind: ProposalKind | string;
+  target: string;
+  value: bigint;
+  data: string;
+  predecessor: string;
+  salt: string;
+  proposer: string;
+  createdAt: number;
+  readyAt: number;
+}
+
+export declare const OPERATION_STATES: OperationState[];
+export declare const PROPOSAL_KINDS: Record<string, ProposalKind>;
+export declare const abis: {
+  XPassToken: InterfaceAbi;
+  XPassTimelockController: InterfaceAbi;
+};
+export declare const addresses: Record<string, XPassAddresses & { chainId: number }>;
+
+export declare function getDeployment(network: string | number | bigint): XPassDeployment;
+export declare function getToken(address: string, runner?: ContractRunner | null): XPassToken;
+export declare function getTimelock(address: string, runner?: ContractRunner | null): XPassTimelockController;
+export declare function connect(
+  runner: ContractRunner,
+  options?: { addresses?: XPassAddresses }
+): Promise<{ chainId: number; token: XPassToken; timelock: XPassTimelockController }>;
+
+export declare function proposePause(timelock: XPassTimelockController, token: XPassToken | string): Promise<Proposal>;
+export declare function proposeUnpause(timelock: XPassTimelockController, token: XPassToken | string): Promise<Proposal>;
+export declare function proposeTransferOwnership(
+  timelock: XPassTimelockController,
+  token: XPassToken | string,
+  newOwner: AddressLike
+): Promise<Proposal>;
+export declare function proposeChangeTimelockController(
+  timelock: XPassTimelockController,
+  token: XPassToken | string,
+  newTimelock: AddressLike
+): Promise<Proposal>;
+export declare function proposeUpdateDelay(timelock: XPassTimelockController, newDelay: BigNumberish): Promise<Proposal>;
+export declare function proposeGrantRole(timelock: XPassTimelockController, role: BytesLike, account: AddressLike): Promise<Proposal>;
+export declare function proposeRevokeRole(timelock: XPassTimelockController, role: BytesLike, account: AddressLike): Promise<Proposal>;
+export declare function getProposalState(timelock: XPassTimelockController, proposalId: string): Promise<ProposalState>;
+export declare function describeProposal(timelock: XPassTimelockController, proposalId: string): Promise<ProposalDescription>;
+export declare function getProposal(timelock: XPassTimelockController, proposalId: string): Promise<ProposalDetails>;
+export declare function listProposals(
+  timelock: XPassTimelockController,
+  options?: { state?: OperationState; offset?: number; limit?: number }
+): Promise<ProposalDetails[]>;
@@ -0,0 +1,300 @@
+const { Contract, dataSlice, getAddress, id, resolveAddress } = require("ethers");
+
+const XPassTokenAbi = require("./abi/XPassToken.json");
+const XPassTimelockControllerAbi = require("./abi/XPassTimelockController.json");
+const addresses = require("./addresses.json");
+
+/**
+ * XPASS SDK
+ *
+ * Contract bindings, deployed addresses and governance helpers for services integrating
+ * XPassToken (ethers v6). The ABIs, typings and address registry are generated by
+ * `npx hardhat sdk:build` in the xpass-token repository.
+ */
+
+// TimelockController.OperationState
+const OPERATION_STATES = ["Unset", "Waiting", "Ready", "Done"];
+
+// Proposal kind tags recorded by the propose* functions (bytes4 of the tag hash);
+// operations scheduled directly with schedule() have the zero tag
+const PROPOSAL_KINDS = Object.fromEntries([
+  ["0x00000000", "CUSTOM"],
+  ...["PAUSE", "UNPAUSE", "TRANSFER_OWNERSHIP", "CHANGE_TIMELOCK", "UPDATE_DELAY", "GRANT_ROLE", "REVOKE_ROLE"]
+    .map((name) => [dataSlice(id(name), 0, 4), name])
+]);
+
+/**
+ * @dev Returns the recorded deployment of a network
+ * @param network Network name (e.g. "mainnet") or chain ID
+ * @throws If no deployment is recorded for the network
+ * @return { network, chainId, XPassToken, XPassTimelockController }
+ */
+function getDeployment(network) {
+  const entry = Object.entries(addresses).find(([name, deployment]) =>
+    name === network || deployment.chainId === Number(network)
+  );
+  if (!entry) {
+    throw new Error(`No XPASS deployment recorded for network ${network} (known: ${Object.keys(addresses).join(", ") || "none"})`);
+  }
+  return { network: entry[0], ...entry[1] };
+}
+
+/**
+ * @dev Returns an XPassToken binding
+ * @param address Token address
+ * @param runner ethers Provider (read-only) or Signer
+ */
+function getToken(address, runner) {
+  return new Contract(getAddress(address), XPassTokenAbi, runner);
+}
+
+/**
+ * @dev Returns an XPassTimelockController binding
+ * @param address Timelock address
+ * @param runner ethers Provider (read-only) or Signer
+ */
+function getTimelock(address, runner) {
+  return new Contract(getAddress(address), XPassTimelockControllerAbi, runner);
+}
+
+/**
+ * @dev Connects to the XPASS contracts of the runner's network
+ * @param runner ethers Provider or Signer connected to a provider
+ * @param options.addresses Explicit { XPassToken, XPassTimelockController } (e.g. local node)
+ * @return { chainId, token, timelock }
+ */
+async function connect(runner, options = {}) {
+  const provider = runner.provider || runner;
+  const chainId = Number((await provider.getNetwork()).chainId);
+  const deployment = options.addresses || getDeployment(chainId);
+  return {
+    chainId,
+    token: getToken(deployment.XPassToken, runner),
+    timelock: getTimelock(deployment.XPassTimelockController, runner)
+  };
+}
+
+/**
+ * @dev Sends a propose* transaction and reads the proposal ID from its CallScheduled event
+ * @param args Method arguments; bindings and signers are resolved to their address by ethers
+ */
+async function propose(timelock, method, ...args) {
+  const tx = await timelock[method](...args);
+  const receipt = await tx.wait();
+  const timelockAddress = await timelock.getAddress();
+  const scheduled = receipt.logs
+    .filter((log) => log.address === timelockAddress)
+    .map((log) => timelock.interface.parseLog(log))
+    .find((event) => event && event.name === "CallScheduled");
+  return { proposalId: scheduled.args.id, receipt };
+}
+
+/**
+ * @dev Refuses proposals of owner-only token calls the timelock could never execute
+ * @notice While the Multi-Sig owns the token (as deployed), it calls transferOwnership and
+ *         changeTimelockController on the token directly instead
+ * @param token XPassToken binding or address
+ */
+async function requireTimelockOwnsToken(timelock, token) {
+  const owner = await getToken(await resolveAddress(token), timelock.runner).owner();
+  const timelockAddress = await timelock.getAddress();
+  if (owner !== timelockAddress) {
+    throw new Error(
+      `XPassTimelockController ${timelockAddress} does not own the token (owner: ${owner}): ` +
+      "the owner calls transferOwnership/changeTimelockController on the token directly"
+    );
+  }
+}
+
+/**
+ * @dev Schedules `pause()` on the token through the timelock
+ * @notice The signer must hold PROPOSER_ROLE (the Multi-Sig); execution is possible after the delay
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param token XPassToken binding or address
+ * @return { proposalId, receipt }
+ */
+async function proposePause(timelock, token) {
+  return propose(timelock, "proposePause", token);
+}
+
+/**
+ * @dev Schedules `unpause()` on the token through the timelock
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param token XPassToken binding or address
+ * @return { proposalId, receipt }
+ */
+async function proposeUnpause(timelock, token) {
+  return propose(timelock, "proposeUnpause", token);
+}
+
+/**
+ * @dev Schedules `transferOwnership(newOwner)` on the token through the timelock
+ * @notice Only possible while the timelock owns the token
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param token XPassToken binding or address
+ * @param newOwner New token owner
+ * @throws If the timelock does not own the token
+ * @return { proposalId, receipt }
+ */
+async function proposeTransferOwnership(timelock, token, newOwner) {
+  await requireTimelockOwnsToken(timelock, token);
+  return propose(timelock, "proposeTransferOwnership", token, newOwner);
+}
+
+/**
+ * @dev Schedules `changeTimelockController(newTimelock)` on the token through the timelock
+ * @notice Only possible while the timelock owns the token
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param token XPassToken binding or address
+ * @param newTimelock New timelock controller address
+ * @throws If the timelock does not own the token
+ * @return { proposalId, receipt }
+ */
+async function proposeChangeTimelockController(timelock, token, newTimelock) {
+  await requireTimelockOwnsToken(timelock, token);
+  return propose(timelock, "proposeChangeTimelockController", token, newTimelock);
+}
+
+/**
+ * @dev Schedules `updateDelay(newDelay)` on the timelock itself
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param newDelay New minimum delay (in seconds)
+ * @return { proposalId, receipt }
+ */
+async function proposeUpdateDelay(timelock, newDelay) {
+  return propose(timelock, "proposeUpdateDelay", newDelay);
+}
+
+/**
+ * @dev Schedules `grantRole(role, account)` on the timelock itself
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param role Role hash (e.g. `await timelock.PROPOSER_ROLE()`)
+ * @param account Account receiving the role
+ * @return { proposalId, receipt }
+ */
+async function proposeGrantRole(timelock, role, account) {
+  return propose(timelock, "proposeGrantRole", role, account);
+}
+
+/**
+ * @dev Schedules `revokeRole(role, account)` on the timelock itself
+ * @param timelock XPassTimelockController binding connected to a signer
+ * @param role Role hash (e.g. `await timelock.PROPOSER_ROLE()`)
+ * @param account Account losing the role
+ * @return { proposalId, receipt }
+ */
+async function proposeRevokeRole(timelock, role, account) {
+  return propose(timelock, "proposeRevokeRole", role, account);
+}
+
+/**
+ * @dev Reads the state of a proposal
+ * @param timelock XPassTimelockController binding
+ * @param proposalId Proposal (operation) ID
+ * @return { proposalId, state ("Unset" | "Waiting" | "Ready" | "Done"), readyAt (unix seconds, 0 when unset, 1 when done) }
+ */
+async function getProposalState(timelock, proposalId) {
+  const [state, timestamp] = await Promise.all([
+    timelock.getProposalState(proposalId),
+    timelock.getTimestamp(proposalId)
+  ]);
+  return {
+    proposalId,
+    state: OPERATION_STATES[Number(state)],
+    readyAt: Number(timestamp)
+  };
+}
+
+/**
+ * @dev Describes a proposal in human-readable form (XPassTimelockController.describeProposal)
+ * @param timelock XPassTimelockController binding
+ * @param proposalId Proposal (operation) ID
+ * @return { proposalId, state ("Unset" | "Waiting" | "Ready" | "Done" | "Cancelled"), secondsRemaining, selector, functionName }
+ */
+async function describeProposal(timelock, proposalId) {
+  const [state, secondsRemaining, selector, functionName] = await timelock.describeProposal(proposalId);
+  return {
+    proposalId,
+    state,
+    secondsRemaining: Number(secondsRemaining),
+    selector,
+    functionName
+  };
+}
+
+/**
+ * @dev Reads the metadata recorded for a proposal
+ * @param timelock XPassTimelockController binding
+ * @param proposalId Proposal (operation) ID
+ * @throws If the proposal was not scheduled through schedule() or a propose* function
+ * @return { proposalId, kind, target, value, data, predecessor, salt, proposer, createdAt, readyAt }
+ */
+async function getProposal(timelock, proposalId) {
+  const proposal = await timelock.getProposal(proposalId);
+  return {
+    proposalId,
+    kind: PROPOSAL_KINDS[proposal.kind] || proposal.kind,
+    target: proposal.target,
+    value: proposal.value,
+    data: proposal.data,
+    predecessor: proposal.predecessor,
+    salt: proposal.salt,
+    proposer: proposal.proposer,
+    createdAt: Number(proposal.createdAt),
+    readyAt: Number(proposal.readyAt)
+  };
+}
+
+/**
+ * @dev Lists recorded proposals in scheduling order
+ * @param timelock XPassTimelockController binding
+ * @param options.state Only proposals in this state ("Unset" for cancelled, "Waiting", "Ready", "Done")
+ * @param options.offset First index to scan (default 0)
+ * @param options.limit Maximum number of proposals to scan (default 100)
+ * @return Array of getProposal() results
+ */
+async function listProposals(timelock, options = {}) {
+  const offset = options.offset || 0;
+  const limit = options.limit !== undefined ? options.limit : 100;
+
+  let ids;
+  if (options.state !== undefined) {
+    const state = OPERATION_STATES.indexOf(options.state);
+    if (state === -1) {
+      throw new Error(`Unknown proposal state "${options.state}" (expected ${OPERATION_STATES.join(", ")})`);
+    }
+    ids = await timelock.getProposalIds(state, offset, limit);
+  } else {
+    const count = Number(await timelock.proposalCount());
+    ids = [];
+    for (let index = offset; index < Math.min(count, offset + limit); index++) {
+      ids.push(await timelock.proposalIdAt(index));
+    }
+  }
+  return Promise.all(ids.map((proposalId) => getProposal(timelock, proposalId)));
+}
+
+module.exports = {
+  OPERATION_STATES,
+  PROPOSAL_KINDS,
+  abis: {
+    XPassToken: XPassTokenAbi,
+    XPassTimelockController: XPassTimelockControllerAbi
+  },
+  addresses,
+  getDeployment,
+  getToken,
+  getTimelock,
+  connect,
+  proposePause,
+  proposeUnpause,
+  proposeTransferOwnership,
+  proposeChangeTimelockController,
+  proposeUpdateDelay,
+  proposeGrantRole,
+  proposeRevokeRole,
+  getProposalState,
+  describeProposal,
+  getProposal,
+  listProposals
+};
@@ -0,0 +1,104 @@
+// Generated by `npx hardhat sdk:build` from the XPassTimelockController ABI. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  ContractTransactionResponse,
+  Overrides
+} from "ethers";
+
+export interface XPassTimelockController extends BaseContract {
+  CANCELLER_ROLE(overrides?: Overrides): Promise<string>;
+  DEFAULT_ADMIN_ROLE(overrides?: Overrides): Promise<string>;
+  EXECUTOR_ROLE(overrides?: Overrides): Promise<string>;
+  PROPOSER_ROLE(overrides?: Overrides): Promise<string>;
+  cancel(id: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  describeProposal(proposalId: BytesLike, overrides?: Overrides): Promise<[state: string, secondsRemaining: bigint, selector: string, functionName: string]>;
+  execute(target: AddressLike, value: BigNumberish, payload: BytesLike, predecessor: BytesLike, salt: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  executeBatch(targets: AddressLike[], values: BigNumberish[], payloads: BytesLike[], predecessor: BytesLike, salt: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  getCurrentDelay(overrides?: Overrides): Promise<bigint>;
+  getMinDelay(overrides?: Overrides): Promise<bigint>;
+  getOperationState(id: BytesLike, overrides?: Overrides): Promise<bigint>;
+  getProposal(proposalId: BytesLike, overrides?: Overrides): Promise<{ target: string; value: bigint; data: string; predecessor: string; salt: string; proposer: string; createdAt: bigint; readyAt: bigint; kind: string }>;
+  getProposalIds(state: BigNumberish, offset: BigNumberish, limit: BigNumberish, overrides?: Overrides): Promise<string[]>;
+  getProposalState(proposalId: BytesLike, overrides?: Overrides): Promise<bigint>;
+  getRoleAdmin(role: BytesLike, overrides?: Overrides): Promise<string>;
+  getTimestamp(id: BytesLike, overrides?: Overrides): Promise<bigint>;
+  grantRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  hasRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<boolean>;
+  hashOperation(target: AddressLike, value: BigNumberish, data: BytesLike, predecessor: BytesLike, salt: BytesLike, overrides?: Overrides): Promise<string>;
+  hashOperationBatch(targets: AddressLike[], values: BigNumberish[], payloads: BytesLike[], predecessor: BytesLike, salt: BytesLike, overrides?: Overrides): Promise<string>;
+  isOperation(id: BytesLike, overrides?: Overrides): Promise<boolean>;
+  isOperationDone(id: BytesLike, overrides?: Overrides): Promise<boolean>;
+  isOperationPending(id: BytesLike, overrides?: Overrides): Promise<boolean>;
+  isOperationReady(id: BytesLike, overrides?: Overrides): Promise<boolean>;
+  onERC1155BatchReceived(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish[], arg3: BigNumberish[], arg4: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  onERC1155Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BigNumberish, arg4: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  onERC721Received(arg0: AddressLike, arg1: AddressLike, arg2: BigNumberish, arg3: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposalCount(overrides?: Overrides): Promise<bigint>;
+  proposalIdAt(index: BigNumberish, overrides?: Overrides): Promise<string>;
+  proposeChangeTimelockController(xpassToken: AddressLike, newTimelockController: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposeGrantRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposePause(xpassToken: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposeRevokeRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposeTransferOwnership(xpassToken: AddressLike, newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposeUnpause(xpassToken: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  proposeUpdateDelay(newDelay: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceRole(role: BytesLike, callerConfirmation: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  revokeRole(role: BytesLike, account: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  schedule(target: AddressLike, value: BigNumberish, data: BytesLike, predecessor: BytesLike, salt: BytesLike, delay: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  scheduleBatch(targets: AddressLike[], values: BigNumberish[], payloads: BytesLike[], predecessor: BytesLike, salt: BytesLike, delay: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  supportsInterface(interfaceId: BytesLike, overrides?: Overrides): Promise<boolean>;
+  updateDelay(newDelay: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+}
+
+export interface XPassTimelockControllerCallExecutedEvent {
+  id: string;
+  index: bigint;
+  target: string;
+  value: bigint;
+  data: string;
+}
+
+export interface XPassTimelockControllerCallSaltEvent {
+  id: string;
+  salt: string;
+}
+
+export interface XPassTimelockControllerCallScheduledEvent {
+  id: string;
+  index: bigint;
+  target: string;
+  value: bigint;
+  data: string;
+  predecessor: string;
+  delay: bigint;
+}
+
+export interface XPassTimelockControllerCancelledEvent {
+  id: string;
+}
+
+export interface XPassTimelockControllerMinDelayChangeEvent {
+  oldDuration: bigint;
+  newDuration: bigint;
+}
+
+export interface XPassTimelockControllerRoleAdminChangedEvent {
+  role: string;
+  previousAdminRole: string;
+  newAdminRole: string;
+}
+
+export interface XPassTimelockControllerRoleGrantedEvent {
+  role: string;
+  account: string;
+  sender: string;
+}
+
+export interface XPassTimelockControllerRoleRevokedEvent {
+  role: string;
+  account: string;
+  sender: string;
+}
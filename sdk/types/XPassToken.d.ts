@@ -0,0 +1,107 @@
+// Generated by `npx hardhat sdk:build` from the XPassToken ABI. Do not edit.
+import type {
+  AddressLike,
+  BaseContract,
+  BigNumberish,
+  BytesLike,
+  ContractTransactionResponse,
+  Overrides
+} from "ethers";
+
+export interface XPassToken extends BaseContract {
+  DOMAIN_SEPARATOR(overrides?: Overrides): Promise<string>;
+  EMERGENCY_PAUSE_COOLDOWN(overrides?: Overrides): Promise<bigint>;
+  EMERGENCY_PAUSE_DURATION(overrides?: Overrides): Promise<bigint>;
+  MAX_PAUSE_DURATION(overrides?: Overrides): Promise<bigint>;
+  allowance(owner: AddressLike, spender: AddressLike, overrides?: Overrides): Promise<bigint>;
+  approve(spender: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  balanceOf(account: AddressLike, overrides?: Overrides): Promise<bigint>;
+  changeTimelockController(newTimelockController: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  decimals(overrides?: Overrides): Promise<bigint>;
+  eip712Domain(overrides?: Overrides): Promise<[fields: string, name: string, version: string, chainId: bigint, verifyingContract: string, salt: string, extensions: bigint[]]>;
+  emergencyPause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  emergencyPauseAwaitingReview(overrides?: Overrides): Promise<boolean>;
+  emergencyPauseEndsAt(overrides?: Overrides): Promise<bigint>;
+  getTimelockController(overrides?: Overrides): Promise<string>;
+  guardian(overrides?: Overrides): Promise<string>;
+  lastEmergencyPauseAt(overrides?: Overrides): Promise<bigint>;
+  maxSupply(overrides?: Overrides): Promise<bigint>;
+  name(overrides?: Overrides): Promise<string>;
+  nonces(owner: AddressLike, overrides?: Overrides): Promise<bigint>;
+  owner(overrides?: Overrides): Promise<string>;
+  pause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  paused(overrides?: Overrides): Promise<boolean>;
+  pausedUntil(overrides?: Overrides): Promise<bigint>;
+  permit(owner: AddressLike, spender: AddressLike, value: BigNumberish, deadline: BigNumberish, v: BigNumberish, r: BytesLike, s: BytesLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  rearmEmergencyPause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  renounceOwnership(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  setGuardian(newGuardian: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  symbol(overrides?: Overrides): Promise<string>;
+  timelockController(overrides?: Overrides): Promise<string>;
+  totalSupply(overrides?: Overrides): Promise<bigint>;
+  transfer(to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferFrom(from: AddressLike, to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  transferOwnership(newOwner: AddressLike, overrides?: Overrides): Promise<ContractTransactionResponse>;
+  unpause(overrides?: Overrides): Promise<ContractTransactionResponse>;
+  version(overrides?: Overrides): Promise<string>;
+}
+
+export interface XPassTokenApprovalEvent {
+  owner: string;
+  spender: string;
+  value: bigint;
+}
+
+export interface XPassTokenEIP712DomainChangedEvent {
+}
+
+export interface XPassTokenEmergencyPauseEndedEvent {
+  confirmed: boolean;
+}
+
+export interface XPassTokenEmergencyPauseRearmedEvent {
+}
+
+export interface XPassTokenEmergencyPausedEvent {
+  guardian: string;
+  endsAt: bigint;
+}
+
+export interface XPassTokenGuardianChangedEvent {
+  oldGuardian: string;
+  newGuardian: string;
+}
+
+export interface XPassTokenOwnershipTransferredEvent {
+  previousOwner: string;
+  newOwner: string;
+}
+
+export interface XPassTokenPauseDeadlineSetEvent {
+  pausedUntil: bigint;
+}
+
+export interface XPassTokenPausedEvent {
+  account: string;
+}
+
+export interface XPassTokenTimelockControllerChangedEvent {
+  oldTimelockController: string;
+  newTimelockController: string;
+}
+
+export interface XPassTokenTokensPausedEvent {
+}
+
+export interface XPassTokenTokensUnpausedEvent {
+}
+
+export interface XPassTokenTransferEvent {
+  from: string;
+  to: string;
+  value: bigint;
+}
+
+export interface XPassTokenUnpausedEvent {
+  account: string;
+}
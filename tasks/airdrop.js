@@ -0,0 +1,111 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+
+/**
+ * Merkle airdrop tasks
+ *
+ * - airdrop:build   Validates a recipients CSV and prints the Merkle root (optionally writes the proofs)
+ * - airdrop:deploy  Deploys and funds an XPassMerkleDistributor for a recipients CSV
+ * - airdrop:claim   Claims on behalf of a recipient using the published proofs
+ *
+ * Unclaimed tokens are swept back to the treasury after the deadline through the timelock:
+ * `npx hardhat safe:batch proposeSweep --distributor <address>`, then `timelock:execute`.
+ */
+
+/**
+ * @dev Parses a deadline given as an ISO date or a unix timestamp
+ */
+function parseDeadline(value) {
+  const deadline = /^\d+$/.test(value) ? Number(value) : Math.floor(Date.parse(value) / 1000);
+  if (!Number.isInteger(deadline)) {
+    throw new Error(`Invalid deadline "${value}" (ISO date or unix timestamp expected)`);
+  }
+  return deadline;
+}
+
+task("airdrop:build", "Validates a recipients CSV and computes the Merkle root")
+  .addParam("csv", "Recipients CSV with address,amount columns (amount in whole XPASS)")
+  .addOptionalParam("out", "Write claims.json and merkle-tree.json to this directory")
+  .setAction(async (args, hre) => {
+    const { parseRecipients, buildAirdrop, writeAirdrop } = require("../scripts/lib/airdrop");
+
+    const airdrop = buildAirdrop(parseRecipients(fs.readFileSync(args.csv, "utf8")));
+    console.log(`✅ ${Object.keys(airdrop.claims).length} recipient(s), ${hre.ethers.formatUnits(airdrop.total, 18)} XPASS`);
+    console.log(`   Merkle root: ${airdrop.root}`);
+    if (args.out) {
+      const files = writeAirdrop(airdrop, args.out);
+      console.log(`\n   ${files.claimsPath}\n   ${files.treePath}`);
+    }
+    return airdrop;
+  });
+
+task("airdrop:deploy", "Deploys and funds a Merkle distributor for a recipients CSV")
+  .addParam("name", "Airdrop name (e.g. community-2026-q1)")
+  .addParam("csv", "Recipients CSV with address,amount columns (amount in whole XPASS)")
+  .addParam("deadline", "Claim deadline (ISO date or unix timestamp)")
+  .addOptionalParam("treasury", "Receiver of unclaimed tokens (defaults to the manifest multisig)")
+  .setAction(async (args, hre) => {
+    const { requireManifest, writeManifest } = require("../scripts/lib/deployments");
+    const { writeSafeBatch } = require("../scripts/lib/safe-batch");
+    const { AIRDROPS_DIR, parseRecipients, buildAirdrop, writeAirdrop, deployDistributor } = require("../scripts/lib/airdrop");
+
+    await hre.run("compile");
+
+    const manifest = requireManifest(hre.network.name);
+    const airdrop = buildAirdrop(parseRecipients(fs.readFileSync(args.csv, "utf8")));
+    console.log(`🪂 Airdrop "${args.name}": ${Object.keys(airdrop.claims).length} recipient(s), ${hre.ethers.formatUnits(airdrop.total, 18)} XPASS`);
+    console.log(`   Merkle root: ${airdrop.root}`);
+
+    const save = (updated) => writeManifest(hre.network.name, updated);
+    const { entry, batch } = await deployDistributor(hre, manifest, args.name, airdrop, {
+      deadline: parseDeadline(args.deadline),
+      treasury: args.treasury,
+      onCheckpoint: save
+    });
+
+    const files = writeAirdrop(airdrop, path.join(AIRDROPS_DIR, hre.network.name, args.name), {
+      chainId: manifest.chainId,
+      token: manifest.contracts.XPassToken.address,
+      distributor: entry.address,
+      deadline: entry.deadline
+    });
+    console.log(`\n📄 Claim data (publish for the claim UI):\n   ${files.claimsPath}\n   ${files.treePath}`);
+
+    if (batch) {
+      entry.fundingBatch = writeSafeBatch(hre.network.name, batch);
+      save(manifest);
+      console.log(`\n📝 The deployer is not the token owner: funding batch written to ${entry.fundingBatch}`);
+      console.log("Import it in the Safe Transaction Builder app and re-run this task once executed.");
+    } else {
+      console.log(`\n✅ Distributor ${entry.address} is funded; claims close at ${new Date(entry.deadline * 1000).toISOString()}`);
+    }
+    return entry;
+  });
+
+task("airdrop:claim", "Claims an airdrop on behalf of a recipient")
+  .addParam("name", "Airdrop name")
+  .addParam("account", "Recipient address")
+  .setAction(async (args, hre) => {
+    const { AIRDROPS_DIR } = require("../scripts/lib/airdrop");
+
+    const claimsPath = path.join(AIRDROPS_DIR, hre.network.name, args.name, "claims.json");
+    if (!fs.existsSync(claimsPath)) {
+      throw new Error(`No claim data for airdrop "${args.name}" (expected ${claimsPath})`);
+    }
+    const data = JSON.parse(fs.readFileSync(claimsPath, "utf8"));
+    const account = hre.ethers.getAddress(args.account);
+    const claim = data.claims[account];
+    if (!claim) {
+      throw new Error(`${account} is not a recipient of airdrop "${args.name}"`);
+    }
+
+    const distributor = await hre.ethers.getContractAt("XPassMerkleDistributor", data.distributor);
+    if (await distributor.isClaimed(account)) {
+      throw new Error(`${account} has already claimed airdrop "${args.name}"`);
+    }
+
+    const receipt = await (await distributor.claim(account, claim.amount, claim.proof)).wait();
+    console.log(`✅ Claimed ${hre.ethers.formatUnits(claim.amount, 18)} XPASS for ${account} (tx ${receipt.hash})`);
+    return receipt;
+  });
@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+/**
+ * Governance health monitor
+ *
+ * - xpass:audit  Re-runs the deployment security checks against a live deployment
+ *
+ * Addresses and the expected configuration default to the deployment manifest, so the task
+ * can run on a schedule (cron / CI). Any instance can be audited by passing the addresses
+ * explicitly. The process exits with code 1 when drift is found.
+ */
+
+task("xpass:audit", "Audits the governance configuration of a deployed XPassToken")
+  .addOptionalParam("token", "XPassToken address (defaults to the manifest)")
+  .addOptionalParam("timelock", "XPassTimelockController address (defaults to the manifest)")
+  .addOptionalParam("multisig", "Expected Multi-Sig address (defaults to the manifest, then MULTISIG_ADDRESS)")
+  .addOptionalParam("deployer", "Deployer address expected to hold no roles (defaults to the manifest)")
+  .addOptionalParam("minDelay", "Expected timelock min delay in seconds (defaults to the manifest)", undefined, types.int)
+  .addOptionalParam("fromBlock", "First block to scan (defaults to the deployment block)", undefined, types.int)
+  .addOptionalParam("chunkSize", "Maximum block range per log query", 5000, types.int)
+  .addOptionalParam("out", "Write the JSON report to this file")
+  .addFlag("json", "Print the JSON report instead of the summary")
+  .setAction(async (args, hre) => {
+    const { readManifest, resolveFromBlock } = require("../scripts/lib/deployments");
+    const { auditGovernance } = require("../scripts/lib/audit");
+
+    const manifest = readManifest(hre.network.name);
+    const contracts = manifest ? manifest.contracts : {};
+    const tokenAddress = args.token || (contracts.XPassToken && contracts.XPassToken.address);
+    const timelockAddress = args.timelock || (contracts.XPassTimelockController && contracts.XPassTimelockController.address);
+    if (!tokenAddress || !timelockAddress) {
+      throw new Error(`No deployment manifest for "${hre.network.name}": pass --token and --timelock explicitly`);
+    }
+
+    const timelock = await hre.ethers.getContractAt("XPassTimelockController", timelockAddress);
+    const expected = {
+      multisig: args.multisig || (manifest && manifest.multisig) || process.env.MULTISIG_ADDRESS,
+      deployer: args.deployer || (manifest && manifest.deployer),
+      minDelay: args.minDelay !== undefined ? args.minDelay : manifest && manifest.minDelay
+    };
+    if (!expected.multisig) {
+      throw new Error("Expected Multi-Sig is unknown: pass --multisig or set MULTISIG_ADDRESS");
+    }
+    if (expected.minDelay === undefined) {
+      // Without a manifest, fall back to the production policy
+      expected.minDelay = 48 * 60 * 60;
+    }
+
+    const fromBlock = resolveFromBlock(
+      "XPassTimelockController", args.timelock ? null : contracts.XPassTimelockController, args.fromBlock
+    );
+    const block = await hre.ethers.provider.getBlock("latest");
+
+    const audit = await auditGovernance({
+      token: await hre.ethers.getContractAt("XPassToken", tokenAddress),
+      timelock,
+      expected,
+      fromBlock,
+      chunkSize: args.chunkSize
+    });
+    const report = {
+      network: hre.network.name,
+      chainId: Number((await hre.ethers.provider.getNetwork()).chainId),
+      blockNumber: block.number,
+      auditedAt: new Date().toISOString(),
+      expected,
+      ...audit
+    };
+
+    if (args.out) {
+      fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+      fs.writeFileSync(args.out, JSON.stringify(report, null, 2) + "\n");
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      console.log(`🔍 Governance audit of ${report.token} on ${report.network} (block ${report.blockNumber})\n`);
+      for (const check of report.checks) {
+        const icon = check.supported === false ? "➖" : check.passed ? "✅" : check.severity === "error" ? "❌" : "⚠️ ";
+        const detail = check.passed ? "" : ` (expected ${JSON.stringify(check.expected)}, actual ${JSON.stringify(check.actual)})`;
+        console.log(`${icon} ${check.description}${detail}`);
+      }
+      for (const operation of report.pendingOperations) {
+        const readyAt = operation.readyAt ? new Date(operation.readyAt * 1000).toISOString() : "-";
+        console.log(`   ⏳ ${operation.id} [${operation.state}] ready at: ${readyAt}`);
+      }
+      if (args.out) {
+        console.log(`\n📄 Report written to ${args.out}`);
+      }
+      console.log(report.ok
+        ? `\n✅ No governance drift detected (${report.warnings} warning(s))`
+        : `\n❌ Governance drift detected: ${report.errors} failed check(s)`);
+    }
+
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+    return report;
+  });
@@ -0,0 +1,139 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+/**
+ * Treasury batch disbursement tasks
+ *
+ * - disburse:validate   Validates a recipients CSV and previews the gas-limited chunks
+ * - disburse:send       Plans a disbursement and sends it directly or writes Safe batches
+ * - disburse:reconcile  Compares balances after sending with the plan
+ *
+ * Files are written to disbursements/<network>/<name>/ (plan.json, report.json).
+ */
+
+function addChunkParams(definition) {
+  return definition
+    .addParam("csv", "Recipients CSV with address,amount columns (amount in whole XPASS, checksummed addresses)")
+    .addOptionalParam("gasLimit", "Gas limit per batch transaction", 5_000_000, types.int);
+}
+
+/**
+ * @dev Writes and prints a reconciliation report
+ */
+async function writeReport(hre, name, plan) {
+  const { reconcileDisbursement, writeDisbursementFile } = require("../scripts/lib/disbursement");
+
+  const token = await hre.ethers.getContractAt("XPassToken", plan.token);
+  const report = await reconcileDisbursement(token, plan);
+  const reportPath = writeDisbursementFile(hre.network.name, name, "report.json", report);
+
+  const format = (amount) => hre.ethers.formatUnits(amount, 18);
+  console.log(`\n📊 Reconciliation at block ${report.reconciledAtBlock}`);
+  console.log(`   Source ${report.from}: ${format(report.sourceBalanceBefore)} → ${format(report.sourceBalanceAfter)} XPASS (expected -${format(report.total)})`);
+  for (const recipient of report.recipients.filter((entry) => !entry.ok)) {
+    console.log(`   ❌ ${recipient.address}: expected ${format(recipient.expected)}, actual ${format(recipient.balanceAfter)}`);
+  }
+  console.log(report.ok
+    ? `✅ All ${report.recipients.length} recipient balances match the plan`
+    : `❌ ${report.mismatches} recipient(s) and source ${report.sourceOk ? "ok" : "mismatch"}`);
+  console.log(`   ${reportPath}`);
+  return report;
+}
+
+addChunkParams(task("disburse:validate", "Validates a recipients CSV and previews the batches"))
+  .setAction(async (args, hre) => {
+    const { parseRecipients } = require("../scripts/lib/recipients");
+    const { chunkRecipients } = require("../scripts/lib/disbursement");
+
+    const recipients = parseRecipients(fs.readFileSync(args.csv, "utf8"), { strictChecksum: true });
+    const chunks = chunkRecipients(recipients, { gasLimit: args.gasLimit });
+    const total = recipients.reduce((sum, recipient) => sum + recipient.amount, 0n);
+
+    console.log(`✅ ${recipients.length} recipient(s), ${hre.ethers.formatUnits(total, 18)} XPASS`);
+    chunks.forEach((chunk, index) => {
+      console.log(`   Chunk ${index + 1}: ${chunk.recipients.length} recipient(s), ${hre.ethers.formatUnits(chunk.total, 18)} XPASS, ~${chunk.estimatedGas} gas`);
+    });
+    return chunks;
+  });
+
+addChunkParams(task("disburse:send", "Sends a batch disbursement directly or as Safe batches"))
+  .addParam("name", "Disbursement name (e.g. exchanges-2026-10)")
+  .addOptionalParam("from", "Source of the tokens (defaults to the token owner)")
+  .setAction(async (args, hre) => {
+    const { requireManifest, writeManifest } = require("../scripts/lib/deployments");
+    const { writeSafeBatch } = require("../scripts/lib/safe-batch");
+    const { parseRecipients } = require("../scripts/lib/recipients");
+    const {
+      ensureBatchSender,
+      planDisbursement,
+      buildDisbursementBatches,
+      sendDisbursement,
+      getDisbursementDir,
+      writeDisbursementFile
+    } = require("../scripts/lib/disbursement");
+
+    await hre.run("compile");
+
+    const manifest = requireManifest(hre.network.name);
+    const recipients = parseRecipients(fs.readFileSync(args.csv, "utf8"), { strictChecksum: true });
+    const [signer] = await hre.ethers.getSigners();
+    const token = await hre.ethers.getContractAt("XPassToken", manifest.contracts.XPassToken.address, signer);
+    const from = hre.ethers.getAddress(args.from || (await token.owner()));
+
+    const planPath = path.join(getDisbursementDir(hre.network.name, args.name), "plan.json");
+    let plan;
+    if (fs.existsSync(planPath)) {
+      plan = JSON.parse(fs.readFileSync(planPath, "utf8"));
+      const planned = plan.recipients.map((recipient) => `${recipient.address}:${recipient.amount}`).join(",");
+      const requested = recipients.map((recipient) => `${recipient.address}:${recipient.amount}`).join(",");
+      if (planned !== requested || plan.from !== from) {
+        throw new Error(`Disbursement "${args.name}" was planned with other recipients or source; use a new name`);
+      }
+      console.log(`♻️  Resuming disbursement "${args.name}" (${plan.sentChunks.length}/${plan.chunks.length} chunk(s) sent)`);
+    } else {
+      const sender = await ensureBatchSender(hre, manifest, { onCheckpoint: (updated) => writeManifest(hre.network.name, updated) });
+      plan = await planDisbursement(token, sender, from, recipients, { gasLimit: args.gasLimit });
+      writeDisbursementFile(hre.network.name, args.name, "plan.json", plan);
+    }
+    console.log(`📦 ${plan.recipients.length} recipient(s), ${hre.ethers.formatUnits(plan.total, 18)} XPASS in ${plan.chunks.length} chunk(s)`);
+
+    if (from !== signer.address) {
+      const batches = buildDisbursementBatches(plan, {
+        chainId: manifest.chainId,
+        name: args.name,
+        tokenInterface: token.interface,
+        senderInterface: (await hre.ethers.getContractFactory("XPassBatchSender")).interface
+      });
+      console.log(`\n📝 ${from} is not the configured signer: Safe batches written (one Safe transaction each)`);
+      for (const batch of batches) {
+        console.log(`   ${writeSafeBatch(hre.network.name, batch)}`);
+      }
+      console.log(`\nOnce executed, run: npx hardhat disburse:reconcile --name ${args.name} --network ${hre.network.name}`);
+      return plan;
+    }
+
+    const sender = await hre.ethers.getContractAt("XPassBatchSender", plan.batchSender, signer);
+    await sendDisbursement(token, sender, plan, {
+      gasLimit: args.gasLimit,
+      onChunk: (updated) => writeDisbursementFile(hre.network.name, args.name, "plan.json", updated)
+    });
+    await writeReport(hre, args.name, plan);
+    return plan;
+  });
+
+task("disburse:reconcile", "Compares recipient balances with a disbursement plan")
+  .addParam("name", "Disbursement name")
+  .setAction(async (args, hre) => {
+    const { getDisbursementDir } = require("../scripts/lib/disbursement");
+
+    const planPath = path.join(getDisbursementDir(hre.network.name, args.name), "plan.json");
+    if (!fs.existsSync(planPath)) {
+      throw new Error(`No plan for disbursement "${args.name}" (expected ${planPath})`);
+    }
+    const report = await writeReport(hre, args.name, JSON.parse(fs.readFileSync(planPath, "utf8")));
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+    return report;
+  });
@@ -0,0 +1,50 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * Event indexer tasks
+ *
+ * - events:index  Indexes XPassToken / XPassTimelockController events into indexes/<network>/events.json
+ * - events:query  Prints indexed events, filtered by contract, event name and block range
+ */
+
+task("events:index", "Indexes XPass contract events from the deployment block")
+  .addOptionalParam("chunkSize", "Maximum block range per log query", 5000, types.int)
+  .addOptionalParam("confirmations", "Blocks to stay behind the chain head (defaults to the network profile's confirmations)", undefined, types.int)
+  .addOptionalParam("fromBlock", "First block of a new index (defaults to the deployment blocks)", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const { syncNetworkIndex } = require("../scripts/lib/indexer");
+
+    const { store, storePath, added, confirmations } = await syncNetworkIndex(hre, args);
+    console.log(`✅ Indexed ${added} new event(s) up to block ${store.lastIndexedBlock} (${confirmations} confirmation(s) behind the head)`);
+    console.log(`   ${store.events.length} event(s) stored in ${storePath}`);
+    return store;
+  });
+
+task("events:query", "Prints indexed XPass contract events")
+  .addOptionalParam("contract", "Contract name (XPassToken or XPassTimelockController)")
+  .addOptionalParam("event", "Event name (e.g. Transfer, CallScheduled)")
+  .addOptionalParam("fromBlock", "First block", undefined, types.int)
+  .addOptionalParam("toBlock", "Last block", undefined, types.int)
+  .addFlag("json", "Print the events as JSON")
+  .setAction(async (args, hre) => {
+    const fs = require("fs");
+    const { getStorePath, queryEvents } = require("../scripts/lib/indexer");
+
+    const storePath = getStorePath(hre.network.name);
+    if (!fs.existsSync(storePath)) {
+      throw new Error(`No event index for "${hre.network.name}": run events:index first`);
+    }
+    const store = JSON.parse(fs.readFileSync(storePath, "utf8"));
+    const events = queryEvents(store, args);
+
+    if (args.json) {
+      console.log(JSON.stringify(events, null, 2));
+    } else {
+      for (const event of events) {
+        const values = Object.entries(event.args).map(([name, value]) => `${name}=${value}`).join(", ");
+        console.log(`#${event.blockNumber} ${event.contract}.${event.event}(${values}) ${event.transactionHash}`);
+      }
+      console.log(`\n${events.length} event(s), indexed up to block ${store.lastIndexedBlock}`);
+    }
+    return events;
+  });
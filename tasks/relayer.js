@@ -0,0 +1,94 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * Gasless transfer tasks (XPassPermitRelayer)
+ *
+ * - relayer:deploy  Deploys XPassPermitRelayer, or verifies the one recorded in the manifest
+ * - relayer:serve   Runs the relayer HTTP service, submitting relay requests from the first account
+ * - relayer:send    Signs a gasless transfer with a configured account and posts it to a relayer service
+ */
+
+task("relayer:deploy", "Deploys the XPassPermitRelayer contract")
+  .setAction(async (args, hre) => {
+    const { requireManifest, writeManifest } = require("../scripts/lib/deployments");
+    const { ensurePermitRelayer } = require("../scripts/lib/relayer");
+
+    await hre.run("compile");
+
+    const manifest = requireManifest(hre.network.name);
+    const relayer = await ensurePermitRelayer(hre, manifest, {
+      onCheckpoint: (updated) => writeManifest(hre.network.name, updated)
+    });
+    console.log(`⛽ XPassPermitRelayer: ${await relayer.getAddress()}`);
+    return relayer;
+  });
+
+task("relayer:serve", "Runs a local relayer service for gasless transfers")
+  .addOptionalParam("port", "HTTP port", 8787, types.int)
+  .addOptionalParam("host", "HTTP host", "127.0.0.1")
+  .addOptionalParam("minFee", "Minimum relayer fee in XPASS", "0")
+  .setAction(async (args, hre) => {
+    const { requireManifest, writeManifest } = require("../scripts/lib/deployments");
+    const { ensurePermitRelayer, createRelayerServer } = require("../scripts/lib/relayer");
+
+    await hre.run("compile");
+
+    const manifest = requireManifest(hre.network.name);
+    const [account] = await hre.ethers.getSigners();
+    const relayer = (await ensurePermitRelayer(hre, manifest, {
+      onCheckpoint: (updated) => writeManifest(hre.network.name, updated)
+    })).connect(account);
+
+    const server = createRelayerServer(relayer, { minFee: hre.ethers.parseUnits(args.minFee, 18) });
+    await new Promise((resolve) => server.listen(args.port, args.host, resolve));
+    console.log(`⛽ Relayer service listening on http://${args.host}:${args.port}`);
+    console.log(`   Contract ${await relayer.getAddress()}, relaying from ${account.address}, minimum fee ${args.minFee} XPASS`);
+    console.log("   Press Ctrl+C to stop");
+
+    await new Promise((resolve) => server.on("close", resolve));
+  });
+
+task("relayer:send", "Signs a gasless transfer and posts it to a relayer service")
+  .addParam("to", "Receiver address")
+  .addParam("amount", "Amount in XPASS")
+  .addOptionalParam("fee", "Relayer fee in XPASS (defaults to the service minimum)")
+  .addOptionalParam("account", "Index of the configured account signing the transfer", 1, types.int)
+  .addOptionalParam("url", "Relayer service URL", "http://127.0.0.1:8787")
+  .addOptionalParam("validity", "Validity of the signatures in seconds", 3600, types.int)
+  .setAction(async (args, hre) => {
+    const { buildRelayRequest } = require("../scripts/lib/signing");
+
+    const request = async (path, body) => {
+      const response = await fetch(`${args.url}${path}`, body && {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(`Relayer service: ${result.error}`);
+      }
+      return result;
+    };
+
+    const info = await request("/info");
+    const signer = (await hre.ethers.getSigners())[args.account];
+    if (!signer) {
+      throw new Error(`No configured account at index ${args.account}`);
+    }
+    const token = await hre.ethers.getContractAt("XPassToken", info.token);
+    const relayer = await hre.ethers.getContractAt("XPassPermitRelayer", info.relayer);
+
+    const latest = await hre.ethers.provider.getBlock("latest");
+    const relayRequest = await buildRelayRequest(signer, token, relayer, {
+      to: args.to,
+      amount: hre.ethers.parseUnits(args.amount, 18),
+      fee: args.fee !== undefined ? hre.ethers.parseUnits(args.fee, 18) : BigInt(info.minFee),
+      deadline: latest.timestamp + args.validity
+    });
+    console.log(`✍️  ${signer.address} signed ${args.amount} XPASS → ${relayRequest.intent.to} (fee ${hre.ethers.formatUnits(relayRequest.intent.fee, 18)} XPASS, nonce ${relayRequest.intent.nonce}${relayRequest.permit.deadline === "0" ? ", existing allowance" : ", with permit"})`);
+
+    const result = await request("/relay", relayRequest);
+    console.log(`✅ Relayed in block ${result.blockNumber} (tx ${result.hash})`);
+    return result;
+  });
@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const { task } = require("hardhat/config");
+
+/**
+ * Bytecode reproducibility check
+ *
+ * - xpass:reproduce  Recompiles the sources and compares them with the deployed contracts
+ *
+ * Check out the release tag first (and pass it with --ref): the report then proves for
+ * auditors that the code at the manifest addresses was built from that tag with the
+ * hardhat.config.js compiler settings. The process exits with code 1 when a check fails.
+ */
+
+task("xpass:reproduce", "Checks that the deployed bytecode is reproducible from the sources")
+  .addOptionalParam("ref", "Git ref (e.g. release tag) the checked-out sources must correspond to")
+  .addOptionalParam("token", "XPassToken address (defaults to the manifest)")
+  .addOptionalParam("timelock", "XPassTimelockController address (defaults to the manifest)")
+  .addOptionalParam("baseline", "Previous report whose storage layouts are diffed against the current ones")
+  .addOptionalParam("out", "Write the JSON report to this file")
+  .addFlag("json", "Print the JSON report instead of the summary")
+  .setAction(async (args, hre) => {
+    const { requireManifest } = require("../scripts/lib/deployments");
+    const { checkReproducibility } = require("../scripts/lib/reproducibility");
+
+    // Recompile with the exact hardhat.config.js settings
+    await hre.run("compile", { quiet: true });
+
+    const manifest = requireManifest(hre.network.name);
+    const contracts = { ...manifest.contracts };
+    for (const [name, address] of [["XPassToken", args.token], ["XPassTimelockController", args.timelock]]) {
+      if (address) {
+        // Without a recorded transaction, only the runtime code and immutables are checked
+        contracts[name] = { address, constructorArgs: [], txHash: null };
+      }
+    }
+    const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, "utf8")) : null;
+
+    const report = {
+      checkedAt: new Date().toISOString(),
+      ...(await checkReproducibility(hre, { ...manifest, contracts }, { ref: args.ref, baseline }))
+    };
+
+    if (args.out) {
+      fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+      fs.writeFileSync(args.out, JSON.stringify(report, null, 2) + "\n");
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      const sources = report.source.ref ? `${report.source.ref} (${report.source.headCommit})` : report.source.headCommit;
+      console.log(`🔬 Reproducibility of the ${report.network} deployment from ${sources}, solc ${report.compiler.version}\n`);
+      for (const check of report.checks) {
+        const icon = check.passed ? "✅" : check.severity === "error" ? "❌" : "⚠️ ";
+        const detail = check.passed ? "" : ` (expected ${JSON.stringify(check.expected)}, actual ${JSON.stringify(check.actual)})`;
+        console.log(`${icon} ${check.description}${detail}`);
+      }
+      for (const contract of report.contracts) {
+        console.log(`\n${contract.name} (${contract.address}): ${contract.exactMatch ? "exact match" : contract.runtimeMatches ? "match (metadata differs)" : "MISMATCH"}`);
+        for (const immutable of contract.immutables) {
+          console.log(`   immutable ${immutable.name} (${immutable.type}) = ${immutable.value}`);
+        }
+        for (const arg of contract.constructorArgs) {
+          console.log(`   constructor ${arg.name} (${arg.type}) = ${arg.onchain !== null ? arg.onchain : arg.recorded}`);
+        }
+        console.log(`   storage layout: ${contract.storageLayout.length} variable(s), hash ${contract.storageLayoutHash}`);
+        if (contract.diff) {
+          console.log(`   bytecode diff: ${contract.diff.differingBytes} differing byte(s), compiled ${contract.diff.compiledLength} / on-chain ${contract.diff.onchainLength} bytes`);
+          for (const range of contract.diff.ranges) {
+            console.log(`   @@ offset ${range.offset} (${range.length} byte(s)) @@`);
+            console.log(`   - compiled: ${range.compiled}`);
+            console.log(`   + on-chain: ${range.onchain}`);
+          }
+        }
+      }
+      if (args.out) {
+        console.log(`\n📄 Report written to ${args.out}`);
+      }
+      console.log(report.ok
+        ? `\n✅ Deployed bytecode is reproducible (${report.warnings} warning(s))`
+        : `\n❌ Deployed bytecode is NOT reproducible: ${report.errors} failed check(s)`);
+    }
+
+    if (!report.ok) {
+      process.exitCode = 1;
+    }
+    return report;
+  });
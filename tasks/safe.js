@@ -0,0 +1,73 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * Safe (multisig) batch tasks
+ *
+ * - safe:batch  Generates a Safe Transaction Builder JSON batch for a governance action
+ *
+ * Addresses default to the deployment manifest of the selected network; no transaction
+ * is sent, so the task also works without a PRIVATE_KEY (ownership and timelock rotation
+ * proposals read the token owner from the network).
+ */
+
+task("safe:batch", "Generates a Safe Transaction Builder batch for a governance action")
+  .addPositionalParam("action", "proposePause, proposeUnpause, proposeTransferOwnership, proposeChangeTimelockController, proposeUpdateDelay, proposeGrantRole, proposeRevokeRole, schedule, execute, cancel, proposeSweep, setGuardian, transferOwnership or changeTimelockController")
+  .addOptionalParam("safe", "Safe address (defaults to the manifest multisig)")
+  .addOptionalParam("token", "XPassToken address (defaults to the manifest)")
+  .addOptionalParam("timelock", "XPassTimelockController address (defaults to the manifest)")
+  .addOptionalParam("target", "schedule/execute: call target (defaults to XPassToken)")
+  .addOptionalParam("function", "schedule/execute: XPassToken function to call, e.g. \"pause()\"")
+  .addOptionalParam("calldata", "schedule/execute: raw calldata (instead of --function)")
+  .addOptionalParam("salt", "schedule/execute/proposeSweep: operation salt (schedule defaults to a random salt)")
+  .addOptionalParam("predecessor", "schedule/execute: predecessor operation id")
+  .addOptionalParam("delay", "schedule: delay in seconds (defaults to the manifest min delay)", undefined, types.int)
+  .addOptionalParam("id", "cancel: operation id")
+  .addOptionalParam("distributor", "proposeSweep: XPassMerkleDistributor address")
+  .addOptionalParam("newTimelock", "changeTimelockController/proposeChangeTimelockController: new timelock controller address")
+  .addOptionalParam("newOwner", "transferOwnership/proposeTransferOwnership: new token owner")
+  .addOptionalParam("newDelay", "proposeUpdateDelay: new minimum delay in seconds", undefined, types.int)
+  .addOptionalParam("role", "proposeGrantRole/proposeRevokeRole: PROPOSER_ROLE, EXECUTOR_ROLE, CANCELLER_ROLE, DEFAULT_ADMIN_ROLE or a bytes32 hash")
+  .addOptionalParam("account", "proposeGrantRole/proposeRevokeRole: account receiving/losing the role")
+  .addOptionalParam("guardian", "setGuardian: guardian address (zero address to remove it)")
+  .setAction(async (args, hre) => {
+    const { readManifest } = require("../scripts/lib/deployments");
+    const { buildGovernanceBatch, writeSafeBatch } = require("../scripts/lib/safe-batch");
+
+    const manifest = readManifest(hre.network.name);
+    const token = args.token || (manifest && manifest.contracts.XPassToken.address);
+    const timelock = args.timelock || (manifest && manifest.contracts.XPassTimelockController.address);
+    const safe = args.safe || (manifest && manifest.multisig);
+    if (!token || !timelock || !safe) {
+      throw new Error(`No deployment manifest for "${hre.network.name}": pass --safe, --token and --timelock explicitly`);
+    }
+
+    const tokenArtifact = await hre.artifacts.readArtifact("XPassToken");
+    const timelockArtifact = await hre.artifacts.readArtifact("XPassTimelockController");
+
+    // Owner-only token calls can only be proposed through the timelock while it owns the token
+    const tokenOwner = ["proposeTransferOwnership", "proposeChangeTimelockController"].includes(args.action)
+      ? await (await hre.ethers.getContractAt("XPassToken", token)).owner()
+      : undefined;
+
+    const batch = buildGovernanceBatch(args.action, {
+      chainId: manifest ? manifest.chainId : hre.network.config.chainId,
+      safe,
+      token,
+      timelock,
+      minDelay: manifest ? manifest.minDelay : undefined,
+      tokenInterface: new hre.ethers.Interface(tokenArtifact.abi),
+      timelockInterface: new hre.ethers.Interface(timelockArtifact.abi),
+      tokenOwner,
+      params: args
+    });
+
+    const batchPath = writeSafeBatch(hre.network.name, batch);
+    console.log(`📝 ${batch.meta.description}`);
+    for (const tx of batch.transactions) {
+      console.log(`   ${tx.contractMethod.name}(${Object.values(tx.contractInputsValues).join(", ")}) → ${tx.to}`);
+      console.log(`   data: ${tx.data}`);
+    }
+    console.log(`\n✅ Safe batch written to ${batchPath}`);
+    console.log("Import it in the Safe Transaction Builder app to propose it to the signers.");
+    return batch;
+  });
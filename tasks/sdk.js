@@ -0,0 +1,28 @@
+const { task } = require("hardhat/config");
+
+/**
+ * SDK tasks
+ *
+ * - sdk:build  Regenerates the ABIs, typings and address registry of the sdk/ package
+ *
+ * Run it after changing a contract interface or recording a new public deployment, and
+ * commit the result together with a version bump of sdk/package.json.
+ */
+
+task("sdk:build", "Regenerates the SDK ABIs, typings and address registry")
+  .setAction(async (args, hre) => {
+    const { buildSdk } = require("../scripts/lib/sdk");
+
+    await hre.run("compile");
+
+    const { files, addresses } = await buildSdk(hre);
+    console.log(`📦 SDK generated (${files.length} file(s))`);
+    for (const file of files) {
+      console.log(`   ${file}`);
+    }
+    const networks = Object.keys(addresses);
+    console.log(networks.length > 0
+      ? `   Networks: ${networks.map((network) => `${network} (${addresses[network].chainId})`).join(", ")}`
+      : "   No completed public deployment recorded yet: the address registry is empty");
+    return { files, addresses };
+  });
@@ -0,0 +1,56 @@
+const path = require("path");
+const { task, types } = require("hardhat/config");
+
+/**
+ * Holder snapshot task
+ *
+ * - snapshot:balances  Exports every XPASS holder's balance at a block (CSV, JSON, Merkle tree)
+ *
+ * Transfer events come from the local event index (events:index), which is brought up to
+ * date first.
+ */
+
+task("snapshot:balances", "Exports XPASS holder balances at a block with a Merkle root")
+  .addOptionalParam("block", "Snapshot block height (defaults to the latest confirmed block)", undefined, types.int)
+  .addOptionalParam("out", "Output directory (defaults to snapshots/<network>/block-<N>)")
+  .addOptionalParam("chunkSize", "Maximum block range per log query", 5000, types.int)
+  .setAction(async (args, hre) => {
+    const { requireManifest } = require("../scripts/lib/deployments");
+    const { syncNetworkIndex, queryEvents } = require("../scripts/lib/indexer");
+    const { SNAPSHOTS_DIR, takeSnapshot, writeSnapshot } = require("../scripts/lib/snapshot");
+
+    const manifest = requireManifest(hre.network.name);
+    const latest = await hre.ethers.provider.getBlockNumber();
+    if (args.block !== undefined && args.block > latest) {
+      throw new Error(`Block ${args.block} has not been mined yet (latest: ${latest})`);
+    }
+
+    // The index stays the profile's confirmations behind the head: later transfers are not indexed yet
+    const { store, confirmations } = await syncNetworkIndex(hre, { chunkSize: args.chunkSize });
+    const blockNumber = args.block !== undefined ? args.block : store.lastIndexedBlock;
+    if (blockNumber > store.lastIndexedBlock) {
+      throw new Error(`Block ${blockNumber} does not have ${confirmations} confirmations yet (last confirmed block: ${store.lastIndexedBlock})`);
+    }
+    const transfers = queryEvents(store, { contract: "XPassToken", event: "Transfer", toBlock: blockNumber });
+
+    const token = await hre.ethers.getContractAt("XPassToken", manifest.contracts.XPassToken.address);
+    const snapshot = await takeSnapshot(token, transfers, blockNumber);
+
+    const outDir = args.out || path.join(SNAPSHOTS_DIR, hre.network.name, `block-${blockNumber}`);
+    const files = writeSnapshot(snapshot, outDir);
+
+    const format = (amount) => hre.ethers.formatUnits(amount, 18);
+    console.log(`📸 Snapshot of ${snapshot.token} at block ${blockNumber}`);
+    console.log(`   Holders: ${snapshot.holderCount}`);
+    console.log(`   Sum of balances: ${format(snapshot.total)} XPASS`);
+    console.log(`   totalSupply(): ${snapshot.totalSupply === null ? "unavailable (archive node required)" : format(snapshot.totalSupply) + " XPASS"}`);
+    console.log(`   maxSupply(): ${format(snapshot.maxSupply)} XPASS`);
+    console.log(`   Merkle root: ${snapshot.tree.root}`);
+    console.log(`\n   ${files.csvPath}\n   ${files.jsonPath}\n   ${files.treePath}`);
+
+    if (snapshot.checks.sumEqualsTotalSupply === false || !snapshot.checks.sumWithinMaxSupply) {
+      throw new Error("Snapshot balances do not add up to the on-chain supply");
+    }
+    console.log("\n✅ Snapshot balances match the on-chain supply");
+    return snapshot;
+  });
@@ -0,0 +1,187 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * XPassTimelockController operation lifecycle tasks
+ *
+ * - timelock:list     Lists operations reconstructed from CallScheduled events
+ * - timelock:show     Shows one operation with everything needed to execute it
+ * - timelock:execute  Executes a Ready operation by id
+ * - timelock:cancel   Cancels a pending operation by id
+ * - proposal:status   Shows the state of proposals from the on-chain proposal records
+ *                     (no log scanning), for on-call engineers
+ *
+ * execute/cancel are sent from the configured account, which needs EXECUTOR_ROLE /
+ * CANCELLER_ROLE. When governance roles are held by the Safe, use safe:batch instead.
+ */
+
+/**
+ * @dev Loads the timelock contract and its operations
+ */
+async function loadOperations(args, hre) {
+  const { readManifest, resolveFromBlock } = require("../scripts/lib/deployments");
+  const { fetchOperations } = require("../scripts/lib/timelock-operations");
+
+  const manifest = readManifest(hre.network.name);
+  const timelockEntry = manifest && manifest.contracts.XPassTimelockController;
+  const address = args.timelock || (timelockEntry && timelockEntry.address);
+  if (!address) {
+    throw new Error(`No deployment manifest for "${hre.network.name}": pass --timelock explicitly`);
+  }
+
+  const timelock = await hre.ethers.getContractAt("XPassTimelockController", address);
+  // An explicit --timelock is scanned from genesis unless --fromBlock is given
+  const fromBlock = resolveFromBlock("XPassTimelockController", args.timelock ? null : timelockEntry, args.fromBlock);
+  const operations = await fetchOperations(timelock, { fromBlock, chunkSize: args.chunkSize });
+  return { timelock, operations, manifest };
+}
+
+/**
+ * @dev Prints an operation in a human-readable form
+ */
+function printOperation(operation, interfaces, verbose) {
+  const { describeCall } = require("../scripts/lib/timelock-operations");
+
+  const readyAt = operation.readyAt ? new Date(operation.readyAt * 1000).toISOString() : "-";
+  console.log(`${operation.id}  [${operation.state}]  ready at: ${readyAt}`);
+  for (const call of operation.calls) {
+    console.log(`   → ${call.target}: ${describeCall(call, interfaces)}`);
+  }
+  if (verbose) {
+    console.log(`   predecessor: ${operation.predecessor}`);
+    console.log(`   salt:        ${operation.salt}`);
+    console.log(`   delay:       ${operation.delay} seconds`);
+    console.log(`   scheduled:   block ${operation.scheduledBlock}, tx ${operation.scheduledTx}`);
+    if (operation.executedTx) {
+      console.log(`   executed:    tx ${operation.executedTx}`);
+    }
+    if (operation.cancelledTx) {
+      console.log(`   cancelled:   tx ${operation.cancelledTx}`);
+    }
+    for (const call of operation.calls) {
+      console.log(`   data:        ${call.data}`);
+    }
+  }
+}
+
+async function getInterfaces(hre) {
+  return [
+    new hre.ethers.Interface((await hre.artifacts.readArtifact("XPassToken")).abi),
+    new hre.ethers.Interface((await hre.artifacts.readArtifact("XPassTimelockController")).abi)
+  ];
+}
+
+function addCommonParams(definition) {
+  return definition
+    .addOptionalParam("timelock", "XPassTimelockController address (defaults to the manifest)")
+    .addOptionalParam("fromBlock", "First block to scan (defaults to the deployment block)", undefined, types.int)
+    .addOptionalParam("chunkSize", "Maximum block range per log query", 5000, types.int);
+}
+
+addCommonParams(task("timelock:list", "Lists timelock operations and their state"))
+  .addFlag("all", "Include executed and cancelled operations")
+  .setAction(async (args, hre) => {
+    const { operations } = await loadOperations(args, hre);
+    const interfaces = await getInterfaces(hre);
+
+    const shown = args.all ? operations : operations.filter((op) => op.state === "Waiting" || op.state === "Ready");
+    console.log(`${shown.length} ${args.all ? "" : "pending "}operation(s)\n`);
+    for (const operation of shown) {
+      printOperation(operation, interfaces, false);
+    }
+    return shown;
+  });
+
+addCommonParams(task("timelock:show", "Shows a timelock operation with its full execution tuple"))
+  .addPositionalParam("id", "Operation id")
+  .setAction(async (args, hre) => {
+    const { findOperation } = require("../scripts/lib/timelock-operations");
+
+    const { operations } = await loadOperations(args, hre);
+    const operation = findOperation(operations, args.id);
+    printOperation(operation, await getInterfaces(hre), true);
+    return operation;
+  });
+
+addCommonParams(task("timelock:execute", "Executes a Ready timelock operation"))
+  .addPositionalParam("id", "Operation id")
+  .setAction(async (args, hre) => {
+    const { findOperation, executeOperation } = require("../scripts/lib/timelock-operations");
+
+    const { timelock, operations } = await loadOperations(args, hre);
+    const operation = findOperation(operations, args.id);
+    const tx = await executeOperation(timelock, operation);
+    const receipt = await tx.wait();
+    console.log(`✅ Operation ${operation.id} executed in tx ${receipt.hash}`);
+    return receipt;
+  });
+
+addCommonParams(task("timelock:cancel", "Cancels a pending timelock operation"))
+  .addPositionalParam("id", "Operation id")
+  .setAction(async (args, hre) => {
+    const { findOperation, cancelOperation } = require("../scripts/lib/timelock-operations");
+
+    const { timelock, operations } = await loadOperations(args, hre);
+    const operation = findOperation(operations, args.id);
+    const tx = await cancelOperation(timelock, operation);
+    const receipt = await tx.wait();
+    console.log(`✅ Operation ${operation.id} cancelled in tx ${receipt.hash}`);
+    return receipt;
+  });
+
+/**
+ * @dev Prints a proposal description returned by describeProposal()
+ */
+function printProposal(description) {
+  const { formatDuration } = require("../scripts/lib/timelock-operations");
+
+  const call = description.call || `${description.functionName} (${description.selector})`;
+  console.log(`${description.proposalId}  [${description.state}]  ${call}${description.target ? ` → ${description.target}` : ""}`);
+  if (description.state === "Waiting") {
+    const readyAt = new Date(description.readyAt * 1000).toISOString();
+    console.log(`   ready in:  ${formatDuration(description.secondsRemaining)} (${readyAt})`);
+  } else if (description.state === "Ready") {
+    console.log("   ready:     can be executed now");
+  }
+  if (description.proposer) {
+    console.log(`   proposer:  ${description.proposer}`);
+    console.log(`   created:   ${new Date(description.createdAt * 1000).toISOString()}`);
+  }
+}
+
+task("proposal:status", "Shows the state of XPassTimelockController proposals")
+  .addOptionalPositionalParam("id", "Proposal id (defaults to every pending proposal)")
+  .addOptionalParam("timelock", "XPassTimelockController address (defaults to the manifest)")
+  .addFlag("all", "Include executed and cancelled proposals")
+  .setAction(async (args, hre) => {
+    const { readManifest } = require("../scripts/lib/deployments");
+    const { describeProposal } = require("../scripts/lib/timelock-operations");
+
+    const manifest = readManifest(hre.network.name);
+    const address = args.timelock || (manifest && manifest.contracts.XPassTimelockController.address);
+    if (!address) {
+      throw new Error(`No deployment manifest for "${hre.network.name}": pass --timelock explicitly`);
+    }
+    const timelock = await hre.ethers.getContractAt("XPassTimelockController", address);
+    const interfaces = await getInterfaces(hre);
+
+    if (args.id) {
+      const description = await describeProposal(timelock, args.id, interfaces);
+      if (description.state === "Unset") {
+        throw new Error(`Proposal ${args.id} is not scheduled on ${address}`);
+      }
+      printProposal(description);
+      return [description];
+    }
+
+    const count = Number(await timelock.proposalCount());
+    const descriptions = [];
+    for (let index = 0; index < count; index++) {
+      descriptions.push(await describeProposal(timelock, await timelock.proposalIdAt(index), interfaces));
+    }
+    const shown = args.all ? descriptions : descriptions.filter((item) => item.state === "Waiting" || item.state === "Ready");
+    console.log(`${shown.length} ${args.all ? "" : "pending "}proposal(s)\n`);
+    for (const description of shown) {
+      printProposal(description);
+    }
+    return shown;
+  });
@@ -0,0 +1,72 @@
+const { task } = require("hardhat/config");
+
+/**
+ * Vesting wallet tasks
+ *
+ * - vesting:deploy  Deploys and funds one XPassVestingWallet per allocation bucket
+ * - vesting:status  Shows the vesting progress of the deployed wallets
+ *
+ * Wallets are recorded under `vesting` in deployments/<network>/deployment.json.
+ */
+
+task("vesting:deploy", "Deploys and funds the vesting wallets of the token allocation")
+  .addOptionalParam("allocation", "Allocation config file", "config/allocation.json")
+  .setAction(async (args, hre) => {
+    const { requireManifest, writeManifest } = require("../scripts/lib/deployments");
+    const { writeSafeBatch } = require("../scripts/lib/safe-batch");
+    const { loadAllocation, deployVestingWallets, fundVestingWallets } = require("../scripts/lib/vesting");
+
+    await hre.run("compile");
+
+    const manifest = requireManifest(hre.network.name);
+    const buckets = loadAllocation(args.allocation);
+    const save = (updated) => writeManifest(hre.network.name, updated);
+
+    console.log(`🔐 Deploying ${buckets.length} vesting wallet(s) from ${args.allocation}`);
+    await deployVestingWallets(hre, manifest, buckets, { onCheckpoint: save });
+
+    const { batch } = await fundVestingWallets(hre, manifest, { onCheckpoint: save });
+    if (batch) {
+      const batchPath = writeSafeBatch(hre.network.name, batch);
+      manifest.vesting.fundingBatch = batchPath;
+      save(manifest);
+      console.log(`\n📝 The deployer is not the token owner: funding batch written to ${batchPath}`);
+      console.log("Import it in the Safe Transaction Builder app and re-run this task once executed.");
+    } else {
+      console.log("\n✅ All vesting wallets are funded");
+    }
+    return manifest.vesting;
+  });
+
+task("vesting:status", "Shows the vesting progress of the deployed wallets")
+  .setAction(async (args, hre) => {
+    const { requireManifest } = require("../scripts/lib/deployments");
+
+    const manifest = requireManifest(hre.network.name);
+    if (!manifest.vesting) {
+      throw new Error(`No vesting wallets recorded for "${hre.network.name}": run vesting:deploy first`);
+    }
+
+    const tokenAddress = manifest.contracts.XPassToken.address;
+    const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+    const format = (amount) => hre.ethers.formatUnits(amount, 18);
+    const status = {};
+    for (const [name, entry] of Object.entries(manifest.vesting.wallets)) {
+      const wallet = await hre.ethers.getContractAt("XPassVestingWallet", entry.address);
+      status[name] = {
+        address: entry.address,
+        vested: await wallet["vestedAmount(address,uint64)"](tokenAddress, now),
+        released: await wallet["released(address)"](tokenAddress),
+        releasable: await wallet["releasable(address)"](tokenAddress),
+        revoked: await wallet.revoked(tokenAddress)
+      };
+
+      console.log(`${name} (${entry.address})${status[name].revoked ? " [revoked]" : ""}`);
+      console.log(`   beneficiary: ${entry.beneficiary}`);
+      console.log(`   allocation:  ${format(entry.amount)} XPASS, funding: ${entry.funding ? entry.funding.status : "-"}`);
+      console.log(`   cliff:       ${new Date((entry.start + entry.cliff) * 1000).toISOString()}`);
+      console.log(`   end:         ${new Date((entry.start + entry.duration) * 1000).toISOString()}`);
+      console.log(`   vested: ${format(status[name].vested)}, released: ${format(status[name].released)}, releasable: ${format(status[name].releasable)}`);
+    }
+    return status;
+  });
@@ -0,0 +1,198 @@
+const { task, types } = require("hardhat/config");
+
+/**
+ * XPass deployment tasks
+ *
+ * - xpass:deploy         Deploys (or resumes deploying) TimelockController and XPassToken;
+ *                        with --dry-run, simulates the deployment without broadcasting
+ * - xpass:verify         Verifies the contracts recorded in deployments/<network>/deployment.json
+ * - xpass:deploy-verify  Both of the above in a single in-process run
+ * - xpass:check-multisig Pre-flight check of MULTISIG_ADDRESS (checksum, contract code, Safe threshold)
+ * - xpass:predict        Predicts the CREATE2 addresses of a deterministic deployment
+ * - xpass:mine-salt      Searches for a CREATE2 salt giving a vanity address prefix
+ *
+ * With --salt (or CREATE2_SALT), the contracts are deployed through the CREATE2 factory and
+ * get the same addresses on every chain with the same Multi-Sig and timelock delay.
+ */
+
+task("xpass:deploy", "Deploys XPassTimelockController and XPassToken")
+  .addFlag("fresh", "Archive the existing deployment manifest instead of resuming from it")
+  .addFlag("dryRun", "Simulate the deployment on the in-process network without broadcasting")
+  .addOptionalParam("target", "Network whose policy and gas price a dry run simulates (e.g. mainnet)")
+  .addOptionalParam("salt", "CREATE2 salt (32-byte hex or label): deploy deterministically (defaults to CREATE2_SALT)")
+  .addOptionalParam("tokenSalt", "CREATE2 salt of XPassToken, e.g. a mined vanity salt (defaults to --salt)")
+  .setAction(async (args, hre) => {
+    const { deployXPass } = require("../scripts/lib/deployer");
+    const { dryRunXPass, writeDryRunReport } = require("../scripts/lib/dry-run");
+
+    await hre.run("compile", { quiet: true });
+
+    const create2 = { salt: args.salt, tokenSalt: args.tokenSalt };
+    if (args.dryRun) {
+      const report = await dryRunXPass(hre, { target: args.target, create2 });
+      writeDryRunReport(report);
+      return report;
+    }
+    if (args.target) {
+      throw new Error("--target is only supported together with --dry-run");
+    }
+    return deployXPass(hre, { fresh: args.fresh, create2 });
+  });
+
+task("xpass:verify", "Verifies the deployed XPass contracts on the block explorer")
+  .addOptionalParam("confirmations", "Confirmations to wait for before verifying (defaults to the deployment profile)", undefined, types.int)
+  .addOptionalParam("retries", "Retries while the explorer has not indexed the contracts yet", 5, types.int)
+  .addOptionalParam("retryInterval", "Seconds to wait between verification attempts", 15, types.int)
+  .setAction(async (args, hre) => {
+    const { requireManifest, getManifestPath } = require("../scripts/lib/deployments");
+    const { verifyDeployment, DEFAULT_CONFIRMATIONS } = require("../scripts/lib/verify");
+    const { findProfile } = require("../scripts/lib/profiles");
+
+    const manifest = requireManifest(hre.network.name);
+    console.log(`📍 Deployment manifest: ${getManifestPath(hre.network.name)}`);
+
+    const profile = findProfile(manifest.chainId);
+    const confirmations = args.confirmations !== undefined
+      ? args.confirmations
+      : (profile ? profile.confirmations : DEFAULT_CONFIRMATIONS);
+    const results = await verifyDeployment(hre, manifest, { ...args, confirmations });
+    if (Object.values(results).includes("failed")) {
+      throw new Error("One or more contracts failed verification");
+    }
+    return results;
+  });
+
+task("xpass:deploy-verify", "Deploys the XPass contracts and verifies them on the block explorer")
+  .addFlag("fresh", "Archive the existing deployment manifest instead of resuming from it")
+  .addOptionalParam("salt", "CREATE2 salt (32-byte hex or label): deploy deterministically (defaults to CREATE2_SALT)")
+  .addOptionalParam("tokenSalt", "CREATE2 salt of XPassToken (defaults to --salt)")
+  .addOptionalParam("confirmations", "Confirmations to wait for before verifying (defaults to the deployment profile)", undefined, types.int)
+  .addOptionalParam("retries", "Retries while the explorer has not indexed the contracts yet", 5, types.int)
+  .addOptionalParam("retryInterval", "Seconds to wait between verification attempts", 15, types.int)
+  .setAction(async (args, hre) => {
+    console.log(`🚀 Deploying and verifying on ${hre.network.name}...\n`);
+
+    await hre.run("xpass:deploy", { fresh: args.fresh, salt: args.salt, tokenSalt: args.tokenSalt });
+    const results = await hre.run("xpass:verify", {
+      confirmations: args.confirmations,
+      retries: args.retries,
+      retryInterval: args.retryInterval
+    });
+
+    console.log("\n🎉 Deployment and verification process completed!");
+    return results;
+  });
+
+task("xpass:check-multisig", "Checks that the Multi-Sig is a deployed Safe meeting the production policy")
+  .addOptionalParam("address", "Multi-Sig address (defaults to MULTISIG_ADDRESS)")
+  .setAction(async (args, hre) => {
+    const { inspectMultisig, checkMultisig, printMultisig } = require("../scripts/lib/multisig");
+    const { PRODUCTION_POLICY } = require("../scripts/lib/profiles");
+
+    const address = args.address || process.env.MULTISIG_ADDRESS;
+    if (!address) {
+      throw new Error("Multi-Sig address is unknown: pass --address or set MULTISIG_ADDRESS");
+    }
+
+    console.log(`🔍 Multi-Sig on ${hre.network.name}:`);
+    const info = await inspectMultisig(hre.ethers.provider, address);
+    printMultisig(info);
+    const problems = checkMultisig(info, {
+      minThreshold: PRODUCTION_POLICY.minSafeThreshold,
+      minOwners: PRODUCTION_POLICY.minSafeOwners
+    });
+    if (problems.length > 0) {
+      for (const problem of problems) {
+        console.log(`❌ ${problem}`);
+      }
+      process.exitCode = 1;
+    } else {
+      console.log(`✅ Safe meets the ${PRODUCTION_POLICY.minSafeThreshold}-of-${PRODUCTION_POLICY.minSafeOwners} production policy`);
+    }
+    return { ...info, problems };
+  });
+
+/**
+ * @dev Resolves the inputs of a deterministic deployment on the selected network, as xpass:deploy would
+ * @return { minDelay, multisig, salts } (salts is null without --salt or CREATE2_SALT)
+ */
+async function resolveCreate2Config(args, hre) {
+  const { resolveCreate2Salts } = require("../scripts/lib/create2");
+  const { resolveDeploymentPolicy, resolveMinDelay } = require("../scripts/lib/profiles");
+
+  const multisig = args.multisig || process.env.MULTISIG_ADDRESS;
+  if (!multisig) {
+    throw new Error("Multi-Sig address is unknown: pass --multisig or set MULTISIG_ADDRESS");
+  }
+  const salts = resolveCreate2Salts({ salt: args.salt, tokenSalt: args.tokenSalt });
+
+  // The profile's delay is part of the timelock init code, hence of both addresses
+  const chainId = hre.network.config.chainId || Number((await hre.ethers.provider.getNetwork()).chainId);
+  const { profile } = resolveDeploymentPolicy(chainId);
+  const { minDelay } = resolveMinDelay(profile);
+  return { minDelay, multisig: hre.ethers.getAddress(multisig), salts };
+}
+
+task("xpass:predict", "Predicts the CREATE2 addresses of XPassTimelockController and XPassToken")
+  .addOptionalParam("salt", "CREATE2 salt (defaults to CREATE2_SALT)")
+  .addOptionalParam("tokenSalt", "CREATE2 salt of XPassToken (defaults to --salt)")
+  .addOptionalParam("multisig", "Multi-Sig address (defaults to MULTISIG_ADDRESS)")
+  .setAction(async (args, hre) => {
+    const { CREATE2_FACTORY, predictXPassAddresses } = require("../scripts/lib/create2");
+
+    await hre.run("compile", { quiet: true });
+
+    const config = await resolveCreate2Config(args, hre);
+    if (!config.salts) {
+      throw new Error("CREATE2 salt is unknown: pass --salt or set CREATE2_SALT");
+    }
+    const predicted = await predictXPassAddresses(hre, config);
+    console.log(`🎯 CREATE2 addresses on ${hre.network.name} (factory ${CREATE2_FACTORY}):`);
+    console.log(`- Multi-Sig: ${config.multisig}, min delay: ${config.minDelay} seconds`);
+    for (const [name, prediction] of Object.entries(predicted)) {
+      console.log(`- ${name}: ${prediction.address}`);
+      console.log(`  salt ${prediction.salt}, init code hash ${prediction.initCodeHash}`);
+    }
+    return predicted;
+  });
+
+task("xpass:mine-salt", "Searches for a CREATE2 salt giving a vanity address prefix")
+  .addParam("prefix", "Hex address prefix (e.g. 0x7777)")
+  .addOptionalParam("contract", "Contract to mine for: XPassToken or XPassTimelockController", "XPassToken")
+  .addOptionalParam("salt", "Timelock salt, which fixes the token's constructor argument (defaults to CREATE2_SALT)")
+  .addOptionalParam("multisig", "Multi-Sig address (defaults to MULTISIG_ADDRESS)")
+  .addOptionalParam("start", "First salt to try (resume a previous search)", 0, types.int)
+  .addOptionalParam("maxAttempts", "Attempts before giving up", 1000000, types.int)
+  .setAction(async (args, hre) => {
+    const { mineSalt, getInitCodeHash, predictXPassAddresses } = require("../scripts/lib/create2");
+
+    if (!["XPassToken", "XPassTimelockController"].includes(args.contract)) {
+      throw new Error(`Unknown contract "${args.contract}" (expected XPassToken or XPassTimelockController)`);
+    }
+    await hre.run("compile", { quiet: true });
+
+    // The token's init code contains the timelock address: mine the timelock first, then the token
+    const config = await resolveCreate2Config({ ...args, tokenSalt: undefined }, hre);
+    let initCodeHash;
+    if (args.contract === "XPassTimelockController") {
+      initCodeHash = await getInitCodeHash(hre, "XPassTimelockController", [config.minDelay, config.multisig]);
+    } else if (config.salts) {
+      initCodeHash = (await predictXPassAddresses(hre, config)).XPassToken.initCodeHash;
+    } else {
+      throw new Error("Mining the token salt requires the timelock salt: pass --salt or set CREATE2_SALT");
+    }
+
+    console.log(`⛏️  Mining a ${args.contract} salt for prefix ${args.prefix} (up to ${args.maxAttempts} attempts)...`);
+    const result = mineSalt(initCodeHash, args.prefix, { start: args.start, maxAttempts: args.maxAttempts });
+    if (!result) {
+      console.log(`❌ No salt found: rerun with --start ${args.start + args.maxAttempts} or a shorter prefix`);
+      process.exitCode = 1;
+      return null;
+    }
+    console.log(`✅ ${result.address} after ${result.attempts} attempts`);
+    console.log(`   salt ${result.salt}`);
+    console.log(args.contract === "XPassToken"
+      ? `   Deploy with --salt ${args.salt || process.env.CREATE2_SALT} --token-salt ${result.salt}`
+      : `   Deploy with --salt ${result.salt}, then mine the token salt with --salt ${result.salt}`);
+    return result;
+  });
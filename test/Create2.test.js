@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+
+const { deployXPass } = require("../scripts/lib/deployer");
+const { dryRunXPass } = require("../scripts/lib/dry-run");
+const { verifyRecordedDeployment, resolveFromBlock } = require("../scripts/lib/deployments");
+const { verifyDeployment } = require("../scripts/lib/verify");
+const {
+  CREATE2_FACTORY,
+  toSalt,
+  resolveCreate2Salts,
+  getInitCodeHash,
+  predictCreate2Address,
+  predictXPassAddresses,
+  mineSalt
+} = require("../scripts/lib/create2");
+
+describe("CREATE2 deployment", function () {
+  const SALT = "xpass-v1";
+  const DEV_DELAY = 48 * 60 * 60; // Default delay of chains without a profile
+
+  let signers;
+  let multisigAddress;
+  let snapshotId;
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    multisigAddress = process.env.MULTISIG_ADDRESS;
+    process.env.MULTISIG_ADDRESS = signers[1].address;
+    snapshotId = await network.provider.send("evm_snapshot");
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_revert", [snapshotId]);
+    if (multisigAddress === undefined) {
+      delete process.env.MULTISIG_ADDRESS;
+    } else {
+      process.env.MULTISIG_ADDRESS = multisigAddress;
+    }
+  });
+
+  it("Should normalize salts from labels, hex values and the environment", async function () {
+    const hexSalt = ethers.toBeHex(0xabc, 32);
+    expect(toSalt(SALT)).to.equal(ethers.id(SALT));
+    expect(toSalt(hexSalt.toUpperCase().replace("0X", "0x"))).to.equal(hexSalt);
+    expect(() => toSalt("0x1234")).to.throw("must be 32 bytes");
+    expect(() => toSalt("")).to.throw("non-empty string");
+
+    expect(resolveCreate2Salts({}, {})).to.be.null;
+    expect(resolveCreate2Salts({ salt: SALT, tokenSalt: hexSalt }, {})).to.deep.equal({
+      XPassTimelockController: ethers.id(SALT),
+      XPassToken: hexSalt
+    });
+    expect(resolveCreate2Salts({}, { CREATE2_SALT: SALT }).XPassToken).to.equal(ethers.id(SALT));
+    expect(() => resolveCreate2Salts({ tokenSalt: hexSalt }, {})).to.throw("requires the timelock salt");
+  });
+
+  it("Should mine a salt for a vanity prefix", async function () {
+    const initCodeHash = await getInitCodeHash(hre, "XPassTimelockController", [DEV_DELAY, signers[1].address]);
+    const result = mineSalt(initCodeHash, "0xAB", { maxAttempts: 10000 });
+
+    expect(result.address.toLowerCase().startsWith("0xab")).to.be.true;
+    expect(predictCreate2Address(result.salt, initCodeHash)).to.equal(result.address);
+    expect(mineSalt(initCodeHash, "0xab", { start: result.salt }).salt).to.equal(result.salt);
+    expect(mineSalt(initCodeHash, "0xabcdef", { maxAttempts: 10 })).to.be.null;
+    expect(() => mineSalt(initCodeHash, "0xZZ")).to.throw("must be 1-40 hex characters");
+  });
+
+  it("Should deploy to the predicted addresses and record the salts", async function () {
+    const salts = resolveCreate2Salts({ salt: SALT }, {});
+    const predicted = await predictXPassAddresses(hre, { minDelay: DEV_DELAY, multisig: signers[1].address, salts });
+
+    const manifest = await deployXPass(hre, { create2: { salt: SALT } });
+    expect(await ethers.provider.getCode(CREATE2_FACTORY)).to.not.equal("0x");
+    expect(manifest.create2).to.deep.equal({ factory: CREATE2_FACTORY, salts });
+    for (const name of ["XPassTimelockController", "XPassToken"]) {
+      expect(manifest.contracts[name].address).to.equal(predicted[name].address);
+      expect(manifest.contracts[name].create2).to.deep.equal({
+        factory: CREATE2_FACTORY,
+        salt: salts[name],
+        initCodeHash: predicted[name].initCodeHash
+      });
+    }
+    expect(manifest.status).to.equal("complete");
+
+    const token = await ethers.getContractAt("XPassToken", predicted.XPassToken.address);
+    expect(await token.owner()).to.equal(signers[1].address);
+    expect(await token.timelockController()).to.equal(predicted.XPassTimelockController.address);
+  });
+
+  it("Should give the same addresses whatever the deployer and its nonce", async function () {
+    const first = await deployXPass(hre, { create2: { salt: SALT } });
+    await network.provider.send("evm_revert", [snapshotId]);
+    snapshotId = await network.provider.send("evm_snapshot");
+
+    // Another deployer, with a different nonce
+    await signers[2].sendTransaction({ to: signers[3].address, value: 1n });
+    const second = await deployXPass(hre, { create2: { salt: SALT }, deployer: signers[2] });
+    expect(second.contracts.XPassToken.address).to.equal(first.contracts.XPassToken.address);
+    expect(second.contracts.XPassTimelockController.address).to.equal(first.contracts.XPassTimelockController.address);
+
+    // Deploying again finds the existing contracts instead of reverting
+    const third = await deployXPass(hre, { create2: { salt: SALT } });
+    expect(third.contracts.XPassToken).to.include({ address: first.contracts.XPassToken.address, txHash: null });
+
+    // A different token salt only moves the token
+    const tokenSalt = ethers.toBeHex(1, 32);
+    const fourth = await deployXPass(hre, { create2: { salt: SALT, tokenSalt } });
+    expect(fourth.contracts.XPassTimelockController.address).to.equal(first.contracts.XPassTimelockController.address);
+    expect(fourth.contracts.XPassToken.address).to.not.equal(first.contracts.XPassToken.address);
+  });
+
+  it("Should record the creation block of a reused deployment and verify it without a transaction", async function () {
+    const first = await deployXPass(hre, { create2: { salt: SALT } });
+    const reused = await deployXPass(hre, { create2: { salt: SALT } });
+    for (const name of ["XPassTimelockController", "XPassToken"]) {
+      expect(reused.contracts[name]).to.include({ txHash: null, blockNumber: first.contracts[name].blockNumber });
+    }
+
+    // Explorer verification stubbed out: only the confirmation handling is exercised
+    const verified = [];
+    const stubHre = Object.create(hre, {
+      run: { value: async (name, args) => verified.push([name, args.address]) }
+    });
+    const results = await verifyDeployment(stubHre, reused, { confirmations: 5, retries: 0, retryInterval: 0 });
+    expect(results).to.deep.equal({ XPassTimelockController: "verified", XPassToken: "verified" });
+    expect(verified.map(([name]) => name)).to.deep.equal(["verify:verify", "verify:verify"]);
+
+    // Event scans never fall back to genesis for an entry without a block
+    const entry = { ...reused.contracts.XPassTimelockController, blockNumber: null };
+    expect(resolveFromBlock("XPassTimelockController", reused.contracts.XPassTimelockController)).to.equal(first.contracts.XPassTimelockController.blockNumber);
+    expect(resolveFromBlock("XPassTimelockController", entry, 123)).to.equal(123);
+    expect(() => resolveFromBlock("XPassTimelockController", entry)).to.throw("pass --fromBlock");
+  });
+
+  it("Should verify checkpointed CREATE2 deployments against the configured salt", async function () {
+    const manifest = await deployXPass(hre, { create2: { salt: SALT } });
+    const entry = manifest.contracts.XPassTimelockController;
+    const factory = await ethers.getContractFactory("XPassTimelockController");
+    const args = [DEV_DELAY, signers[1].address];
+
+    const verified = await verifyRecordedDeployment(ethers.provider, factory, entry, args, ethers.id(SALT));
+    expect(verified).to.include({ status: "deployed", address: entry.address, txHash: entry.txHash });
+
+    await expect(verifyRecordedDeployment(ethers.provider, factory, entry, args, ethers.id("other")))
+      .to.be.rejectedWith(`used CREATE2 salt ${ethers.id(SALT)}`);
+    await expect(verifyRecordedDeployment(ethers.provider, factory, entry, args))
+      .to.be.rejectedWith("the current configuration does not");
+    await expect(verifyRecordedDeployment(ethers.provider, factory, { ...entry, address: signers[1].address }, args, ethers.id(SALT)))
+      .to.be.rejectedWith("does not match the compiled contract");
+  });
+
+  it("Should predict the CREATE2 addresses in a dry run", async function () {
+    const report = await dryRunXPass(hre, { target: "testnet", create2: { salt: SALT } });
+    expect(report.create2.salts.XPassToken).to.equal(ethers.id(SALT));
+    for (const step of Object.values(report.steps)) {
+      expect(step.addressMatches).to.be.true;
+    }
+  });
+});
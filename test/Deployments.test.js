@@ -0,0 +1,66 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const {
+  DEPLOYMENTS_DIR,
+  MANIFEST_VERSION,
+  getManifestPath,
+  readManifest,
+  requireManifest,
+  writeManifest,
+  getGitInfo,
+  getCompilerInfo,
+  describeDeployment
+} = require("../scripts/lib/deployments");
+
+describe("Deployment manifest", function () {
+  const NETWORK = "manifest-test"; // Scratch network name, removed after each test
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  afterEach(function () {
+    fs.rmSync(path.join(DEPLOYMENTS_DIR, NETWORK), { recursive: true, force: true });
+  });
+
+  it("Should write and read the manifest of a network", async function () {
+    expect(getManifestPath(NETWORK)).to.equal(path.join(DEPLOYMENTS_DIR, NETWORK, "deployment.json"));
+    expect(readManifest(NETWORK)).to.be.null;
+    expect(() => requireManifest(NETWORK)).to.throw(`No deployment manifest found for network "${NETWORK}"`);
+
+    const manifest = { manifestVersion: MANIFEST_VERSION, network: NETWORK, chainId: 1337, contracts: {} };
+    expect(writeManifest(NETWORK, manifest)).to.equal(getManifestPath(NETWORK));
+    expect(fs.readFileSync(getManifestPath(NETWORK), "utf8")).to.equal(JSON.stringify(manifest, null, 2) + "\n");
+    expect(readManifest(NETWORK)).to.deep.equal(manifest);
+    expect(requireManifest(NETWORK)).to.deep.equal(manifest);
+  });
+
+  it("Should describe a deployed contract with its transaction and constructor arguments", async function () {
+    const [owner] = await ethers.getSigners();
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+    await timelockController.waitForDeployment();
+
+    const entry = await describeDeployment(timelockController, [TEST_DELAY, owner.address]);
+    const receipt = await timelockController.deploymentTransaction().wait();
+    expect(entry).to.include({
+      address: await timelockController.getAddress(),
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    });
+    // Stringified, so that the manifest stays plain JSON
+    expect(entry.constructorArgs).to.deep.equal([TEST_DELAY.toString(), owner.address]);
+  });
+
+  it("Should record the compiler settings and source revision", async function () {
+    const compiler = getCompilerInfo(hre.config.solidity);
+    expect(compiler.version).to.equal(hre.config.solidity.compilers[0].version);
+    expect(compiler.settings.optimizer).to.deep.equal(hre.config.solidity.compilers[0].settings.optimizer);
+
+    const gitInfo = getGitInfo();
+    expect(gitInfo.commit).to.match(/^[0-9a-f]{40}$/);
+    expect(gitInfo.dirty).to.be.a("boolean");
+  });
+});
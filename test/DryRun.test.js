@@ -0,0 +1,107 @@
+const fs = require("fs");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network, config } = hre;
+
+const { dryRunXPass } = require("../scripts/lib/dry-run");
+const { getManifestPath } = require("../scripts/lib/deployments");
+
+describe("Deployment dry run", function () {
+  let signers;
+  let multisigAddress;
+  let privateKey;
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    multisigAddress = process.env.MULTISIG_ADDRESS;
+    privateKey = process.env.PRIVATE_KEY;
+    process.env.MULTISIG_ADDRESS = signers[1].address;
+    delete process.env.PRIVATE_KEY;
+  });
+
+  afterEach(async function () {
+    for (const [name, value] of [["MULTISIG_ADDRESS", multisigAddress], ["PRIVATE_KEY", privateKey]]) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it("Should report gas, cost and predicted addresses at the target gas price", async function () {
+    const deployer = signers[0].address;
+    const report = await dryRunXPass(hre, { target: "testnet" });
+    const gasPrice = BigInt(config.networks.testnet.gasPrice);
+
+    expect(report).to.include({
+      target: "testnet",
+      targetChainId: 97,
+      simulatedChainId: network.config.chainId,
+      deployer,
+      multisig: signers[1].address,
+      gasPrice: gasPrice.toString(),
+      sufficientBalance: true,
+      rolesVerified: true
+    });
+
+    let totalGas = 0n;
+    for (const [index, name] of ["XPassTimelockController", "XPassToken"].entries()) {
+      const step = report.steps[name];
+      expect(BigInt(step.gasUsed)).to.be.greaterThan(0n);
+      expect(step.cost).to.equal(ethers.formatEther(BigInt(step.gasUsed) * gasPrice));
+      expect(step.predictedAddress).to.equal(ethers.getCreateAddress({ from: deployer, nonce: report.deployerNonce + index }));
+      expect(step.addressMatches).to.be.true;
+      totalGas += BigInt(step.gasUsed);
+    }
+    expect(report.totalGasUsed).to.equal(totalGas.toString());
+    expect(report.totalCost).to.equal(ethers.formatEther(totalGas * gasPrice));
+  });
+
+  it("Should report the role matrix of the simulated timelock", async function () {
+    const { roleMatrix } = await dryRunXPass(hre, { target: "testnet" });
+    const roles = ["PROPOSER_ROLE", "EXECUTOR_ROLE", "CANCELLER_ROLE", "DEFAULT_ADMIN_ROLE"];
+    const granted = (label) => roles.filter((role) => roleMatrix[label][role]);
+
+    expect(roleMatrix.deployer.address).to.equal(signers[0].address);
+    expect(granted("deployer")).to.deep.equal([]);
+    expect(granted("multisig")).to.deep.equal(roles);
+    // Self-administered, and a proposer for its propose* helpers
+    expect(granted("timelockController")).to.deep.equal(["PROPOSER_ROLE", "DEFAULT_ADMIN_ROLE"]);
+  });
+
+  it("Should revert the simulation and write no manifest", async function () {
+    const deployer = signers[0].address;
+    const manifests = ["hardhat", "testnet"].map((name) => getManifestPath(name));
+    // Earlier tests deploy on the in-process network, which writes deployments/hardhat/
+    fs.rmSync(manifests[0], { force: true });
+    const before = manifests.map((file) => (fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null));
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const nonce = await ethers.provider.getTransactionCount(deployer);
+    const balance = await ethers.provider.getBalance(deployer);
+
+    const report = await dryRunXPass(hre, { target: "testnet" });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+    expect(await ethers.provider.getTransactionCount(deployer)).to.equal(nonce);
+    expect(await ethers.provider.getBalance(deployer)).to.equal(balance);
+    for (const step of Object.values(report.steps)) {
+      expect(await ethers.provider.getCode(step.simulatedAddress)).to.equal("0x");
+    }
+    expect(manifests.map((file) => (fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null))).to.deep.equal(before);
+  });
+
+  it("Should flag an insufficient balance of the real deployer", async function () {
+    const wallet = ethers.Wallet.createRandom();
+    process.env.PRIVATE_KEY = wallet.privateKey;
+
+    const report = await dryRunXPass(hre, { target: "testnet" });
+    expect(report).to.include({ deployer: wallet.address, deployerNonce: 0, deployerBalance: "0.0", sufficientBalance: false });
+    expect(report.steps.XPassToken.addressMatches).to.be.true;
+    expect(await ethers.provider.getBalance(wallet.address)).to.equal(0n);
+  });
+
+  it("Should refuse unknown target networks", async function () {
+    await expect(dryRunXPass(hre, { target: "nowhere" })).to.be.rejectedWith("Unknown target network \"nowhere\"");
+  });
+});
@@ -0,0 +1,137 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+const { auditGovernance, callIfSupported } = require("../scripts/lib/audit");
+
+describe("Governance audit", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let xpassToken;
+  let timelockController;
+  let deployer;
+  let multisig;
+  let attacker;
+  let tokenAddress;
+
+  const failedChecks = (report) => report.checks.filter((check) => !check.passed).map((check) => check.id);
+
+  const audit = () => auditGovernance({
+    token: xpassToken,
+    timelock: timelockController,
+    expected: { multisig: multisig.address, deployer: deployer.address, minDelay: TEST_DELAY }
+  });
+
+  beforeEach(async function () {
+    [deployer, multisig, attacker] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    timelockController = await XPassTimelockController.deploy(TEST_DELAY, multisig.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(multisig.address, await timelockController.getAddress());
+    tokenAddress = await xpassToken.getAddress();
+  });
+
+  it("Should pass every check on a correctly configured deployment", async function () {
+    const report = await audit();
+
+    expect(report.ok).to.be.true;
+    expect(report.errors).to.equal(0);
+    expect(report.warnings).to.equal(0);
+    expect(failedChecks(report)).to.be.empty;
+    expect(report.pendingOperations).to.be.empty;
+  });
+
+  it("Should detect an unexpected role grant from RoleGranted events", async function () {
+    const executorRole = await timelockController.EXECUTOR_ROLE();
+    await timelockController.connect(multisig).grantRole(executorRole, attacker.address);
+
+    let report = await audit();
+    expect(report.ok).to.be.false;
+    expect(failedChecks(report)).to.deep.equal(["unexpected-EXECUTOR_ROLE"]);
+    expect(report.checks.find((check) => check.id === "unexpected-EXECUTOR_ROLE").actual)
+      .to.deep.equal([attacker.address.toLowerCase()]);
+
+    // Revoking the grant clears the drift
+    await timelockController.connect(multisig).revokeRole(executorRole, attacker.address);
+    report = await audit();
+    expect(report.ok).to.be.true;
+  });
+
+  it("Should detect deployer roles, ownership and min delay drift", async function () {
+    const adminRole = await timelockController.DEFAULT_ADMIN_ROLE();
+    await timelockController.connect(multisig).grantRole(adminRole, deployer.address);
+    await xpassToken.connect(multisig).transferOwnership(attacker.address);
+
+    const report = await auditGovernance({
+      token: xpassToken,
+      timelock: timelockController,
+      expected: { multisig: multisig.address, deployer: deployer.address, minDelay: 48 * 60 * 60 }
+    });
+
+    expect(report.ok).to.be.false;
+    expect(failedChecks(report)).to.include.members([
+      "deployer-no-DEFAULT_ADMIN_ROLE", "token-owner", "min-delay", "unexpected-DEFAULT_ADMIN_ROLE"
+    ]);
+  });
+
+  it("Should detect a token wired to another timelock", async function () {
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const otherTimelock = await XPassTimelockController.deploy(TEST_DELAY, attacker.address);
+    await xpassToken.connect(multisig).changeTimelockController(await otherTimelock.getAddress());
+
+    const report = await audit();
+    expect(report.ok).to.be.false;
+    expect(failedChecks(report)).to.deep.equal(["token-timelock"]);
+  });
+
+  it("Should flag the deployer as guardian", async function () {
+    await xpassToken.connect(multisig).setGuardian(deployer.address);
+    expect(failedChecks(await audit())).to.deep.equal(["guardian-not-deployer"]);
+
+    await xpassToken.connect(multisig).setGuardian(attacker.address);
+    expect((await audit()).ok).to.be.true;
+  });
+
+  it("Should detect tokens deployed before the guardian was introduced", async function () {
+    const MockLegacyToken = await ethers.getContractFactory("MockLegacyToken");
+    const legacy = await MockLegacyToken.deploy(multisig.address, await timelockController.getAddress());
+    // Audited through the current ABI, as xpass:audit does
+    const legacyToken = await ethers.getContractAt("XPassToken", await legacy.getAddress());
+
+    expect(await callIfSupported(legacyToken, "guardian")).to.deep.equal({ supported: false, value: null });
+    expect(await callIfSupported(xpassToken, "guardian")).to.deep.equal({ supported: true, value: ethers.ZeroAddress });
+    expect(await callIfSupported(legacyToken, "owner")).to.deep.equal({ supported: true, value: multisig.address });
+
+    // No code at all: the call succeeds with empty return data
+    const noCode = await ethers.getContractAt("XPassToken", attacker.address);
+    expect(await callIfSupported(noCode, "guardian")).to.deep.equal({ supported: false, value: null });
+  });
+
+  it("Should audit tokens deployed before the guardian and timed pauses", async function () {
+    const MockLegacyToken = await ethers.getContractFactory("MockLegacyToken");
+    const legacy = await MockLegacyToken.deploy(multisig.address, await timelockController.getAddress());
+
+    const report = await auditGovernance({
+      token: await ethers.getContractAt("XPassToken", await legacy.getAddress()),
+      timelock: timelockController,
+      expected: { multisig: multisig.address, deployer: deployer.address, minDelay: TEST_DELAY }
+    });
+    expect(report.ok).to.be.true;
+    expect(failedChecks(report)).to.be.empty;
+    expect(report.checks.find((check) => check.id === "guardian-not-deployer")).to.include({ supported: false, actual: "not supported" });
+    expect(report.checks.find((check) => check.id === "not-paused")).to.include({ passed: true, pausedUntil: null });
+  });
+
+  it("Should report pending operations and paused state as warnings", async function () {
+    await timelockController.connect(multisig).proposePause(tokenAddress);
+
+    const report = await audit();
+    expect(report.ok).to.be.true;
+    expect(report.warnings).to.equal(1);
+    expect(failedChecks(report)).to.deep.equal(["no-pending-operations"]);
+    expect(report.pendingOperations).to.have.length(1);
+    expect(report.pendingOperations[0].state).to.equal("Waiting");
+    expect(report.pendingOperations[0].calls[0].target).to.equal(tokenAddress);
+  });
+});
@@ -0,0 +1,166 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  getJournalPath,
+  openStore,
+  appendChunk,
+  saveStore,
+  indexEvents,
+  queryEvents,
+  loadInterfaces,
+  resolveConfirmations
+} = require("../scripts/lib/indexer");
+
+describe("Event indexer", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let xpassToken;
+  let timelockController;
+  let owner;
+  let addr1;
+  let storePath;
+  let meta;
+  let interfaces;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+    const timelockReceipt = await timelockController.deploymentTransaction().wait();
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+    const tokenReceipt = await xpassToken.deploymentTransaction().wait();
+
+    storePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "xpass-index-")), "events.json");
+    meta = {
+      chainId: 1337,
+      contracts: {
+        XPassTimelockController: { address: await timelockController.getAddress(), fromBlock: timelockReceipt.blockNumber },
+        XPassToken: { address: await xpassToken.getAddress(), fromBlock: tokenReceipt.blockNumber }
+      }
+    };
+    interfaces = await loadInterfaces(artifacts, Object.keys(meta.contracts));
+  });
+
+  afterEach(function () {
+    fs.rmSync(path.dirname(storePath), { recursive: true, force: true });
+  });
+
+  async function sync(chunkSize) {
+    const store = openStore(storePath, meta);
+    const added = await indexEvents(ethers.provider, store, {
+      interfaces,
+      toBlock: await ethers.provider.getBlockNumber(),
+      chunkSize,
+      onChunk: (updated, events, lastIndexedBlock) => appendChunk(storePath, events, lastIndexedBlock)
+    });
+    saveStore(storePath, store);
+    return { store, added };
+  }
+
+  it("Should index and decode events of both contracts from the deployment block", async function () {
+    await xpassToken.transfer(addr1.address, 1000n);
+    await timelockController.proposePause(await xpassToken.getAddress());
+
+    const { store } = await sync(1);
+
+    const roleGrants = queryEvents(store, { contract: "XPassTimelockController", event: "RoleGranted" });
+    expect(roleGrants.length).to.be.greaterThan(0);
+
+    const transfers = queryEvents(store, { contract: "XPassToken", event: "Transfer" });
+    expect(transfers).to.have.length(2); // mint + transfer
+    expect(transfers[1].args).to.deep.equal({ from: owner.address, to: addr1.address, value: "1000" });
+
+    expect(queryEvents(store, { event: "CallScheduled" })).to.have.length(1);
+    expect(queryEvents(store, { event: "CallSalt" })).to.have.length(1);
+  });
+
+  it("Should resume from the last indexed block without duplicating events", async function () {
+    await xpassToken.transfer(addr1.address, 1n);
+    const first = await sync(2);
+    expect(fs.existsSync(storePath)).to.be.true;
+
+    await xpassToken.transfer(addr1.address, 2n);
+    const second = await sync(2);
+
+    expect(second.added).to.equal(1);
+    expect(second.store.events).to.have.length(first.store.events.length + 1);
+    expect(second.store.lastIndexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should resume an interrupted run from its journal without rewriting the store", async function () {
+    await xpassToken.transfer(addr1.address, 1n);
+    await xpassToken.transfer(addr1.address, 2n);
+    const toBlock = await ethers.provider.getBlockNumber();
+
+    // Interrupted after two one-block chunks: only the journal was written
+    let chunks = 0;
+    const interrupted = openStore(storePath, meta);
+    await expect(indexEvents(ethers.provider, interrupted, {
+      interfaces,
+      toBlock,
+      chunkSize: 1,
+      onChunk: (updated, events, lastIndexedBlock) => {
+        appendChunk(storePath, events, lastIndexedBlock);
+        if (++chunks === 2) {
+          throw new Error("interrupted");
+        }
+      }
+    })).to.be.rejectedWith("interrupted");
+    expect(fs.existsSync(storePath)).to.be.false;
+    // A line torn by the interruption is ignored
+    fs.appendFileSync(getJournalPath(storePath), "{\"lastIndexedBlock\":");
+
+    const reopened = openStore(storePath, meta);
+    expect(reopened.lastIndexedBlock).to.equal(interrupted.lastIndexedBlock);
+    expect(reopened.events).to.deep.equal(interrupted.events);
+
+    const { store, added } = await sync(1);
+    expect(added).to.equal(store.events.length - interrupted.events.length);
+    expect(store.lastIndexedBlock).to.equal(toBlock);
+    expect(fs.existsSync(getJournalPath(storePath))).to.be.false;
+
+    // Same events as an uninterrupted run
+    fs.rmSync(storePath);
+    expect((await sync(100)).store.events).to.deep.equal(store.events);
+  });
+
+  it("Should stay the network profile's confirmations behind the chain head by default", async function () {
+    expect(resolveConfirmations(56)).to.equal(5);
+    expect(resolveConfirmations(204)).to.equal(10);
+    expect(resolveConfirmations(1337)).to.equal(0);
+    expect(resolveConfirmations(56, 0)).to.equal(0);
+    expect(resolveConfirmations(1337, 15)).to.equal(15);
+  });
+
+  it("Should filter events by block range and arguments", async function () {
+    await xpassToken.transfer(addr1.address, 5n);
+    await xpassToken.approve(addr1.address, 7n);
+    const { store } = await sync(100);
+
+    const toAddr1 = queryEvents(store, { event: "Transfer", args: { to: addr1.address.toLowerCase() } });
+    expect(toAddr1).to.have.length(1);
+
+    const approvals = queryEvents(store, { event: "Approval", fromBlock: toAddr1[0].blockNumber + 1 });
+    expect(approvals).to.have.length(1);
+    expect(approvals[0].args.value).to.equal("7");
+
+    expect(queryEvents(store, { event: "Transfer", toBlock: toAddr1[0].blockNumber - 1 })).to.have.length(1);
+  });
+
+  it("Should refuse to reuse a store built for other contracts", async function () {
+    await sync(100);
+
+    const otherMeta = {
+      ...meta,
+      contracts: { ...meta.contracts, XPassToken: { address: addr1.address, fromBlock: 0 } }
+    };
+    expect(() => openStore(storePath, otherMeta)).to.throw("built for other contracts");
+  });
+});
@@ -0,0 +1,117 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+
+const { deployXPass } = require("../scripts/lib/deployer");
+const { parseMultisigAddress, inspectMultisig, checkMultisig } = require("../scripts/lib/multisig");
+
+describe("Multi-Sig pre-flight", function () {
+  const POLICY = { minThreshold: 2, minOwners: 3 };
+
+  let signers;
+  let owners;
+
+  const deploySafe = async (safeOwners, threshold) => {
+    const MockSafe = await ethers.getContractFactory("MockSafe");
+    const safe = await MockSafe.deploy(safeOwners, threshold);
+    return safe.getAddress();
+  };
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    owners = signers.slice(1, 4).map((signer) => signer.address);
+  });
+
+  it("Should reject malformed addresses and invalid checksums", async function () {
+    const address = owners[0];
+    // Flip the case of the first letter: still hex, but the EIP-55 checksum no longer matches
+    const index = address.slice(2).search(/[a-fA-F]/) + 2;
+    const flipped = address[index] === address[index].toLowerCase() ? address[index].toUpperCase() : address[index].toLowerCase();
+    const typo = address.slice(0, index) + flipped + address.slice(index + 1);
+
+    expect(() => parseMultisigAddress(typo)).to.throw("invalid EIP-55 checksum");
+    expect(() => parseMultisigAddress(address.slice(0, -1))).to.throw("is not a 20-byte hex address");
+    expect(() => parseMultisigAddress(undefined)).to.throw("is not a 20-byte hex address");
+    expect(() => parseMultisigAddress(ethers.ZeroAddress)).to.throw("zero address");
+
+    expect(parseMultisigAddress(address)).to.deep.equal({ address, checksummed: true });
+    expect(parseMultisigAddress(address.toLowerCase())).to.deep.equal({ address, checksummed: false });
+  });
+
+  it("Should read the owners and threshold of a Safe", async function () {
+    const safeAddress = await deploySafe(owners, 2);
+    const info = await inspectMultisig(ethers.provider, safeAddress);
+
+    expect(info).to.include({ address: safeAddress, checksummed: true, isSafe: true, threshold: 2, version: "1.4.1" });
+    expect(info.codeSize).to.be.greaterThan(0);
+    expect(info.owners).to.deep.equal(owners);
+    expect(checkMultisig(info, POLICY)).to.deep.equal([]);
+  });
+
+  it("Should report EOAs, non-Safe contracts, low thresholds and unchecksummed addresses", async function () {
+    const eoa = await inspectMultisig(ethers.provider, owners[0]);
+    expect(eoa).to.include({ codeSize: 0, isSafe: false, owners: null, threshold: null });
+    expect(checkMultisig(eoa, POLICY)).to.deep.equal([
+      `MULTISIG_ADDRESS ${owners[0]} has no contract code (EOA, typo or wrong network?)`
+    ]);
+
+    const XPassBatchSender = await ethers.getContractFactory("XPassBatchSender");
+    const batchSender = await XPassBatchSender.deploy();
+    const contract = await inspectMultisig(ethers.provider, await batchSender.getAddress());
+    expect(contract.isSafe).to.be.false;
+    expect(checkMultisig(contract, POLICY)[0]).to.contain("does not implement the Safe interface");
+
+    const weakSafe = await deploySafe(owners, 1);
+    expect(checkMultisig(await inspectMultisig(ethers.provider, weakSafe), POLICY)).to.deep.equal([
+      `Safe ${weakSafe} is 1-of-3: at least 2-of-3 is required`
+    ]);
+    const smallSafe = await deploySafe(owners.slice(0, 2), 2);
+    expect(checkMultisig(await inspectMultisig(ethers.provider, smallSafe), POLICY)[0]).to.contain("is 2-of-2");
+
+    const safeAddress = await deploySafe(owners, 2);
+    expect(checkMultisig(await inspectMultisig(ethers.provider, safeAddress.toLowerCase()), POLICY)).to.deep.equal([
+      `MULTISIG_ADDRESS is not checksummed: use ${safeAddress}`
+    ]);
+  });
+
+  describe("Deployment", function () {
+    let multisigAddress;
+
+    beforeEach(function () {
+      multisigAddress = process.env.MULTISIG_ADDRESS;
+    });
+
+    afterEach(function () {
+      if (multisigAddress === undefined) {
+        delete process.env.MULTISIG_ADDRESS;
+      } else {
+        process.env.MULTISIG_ADDRESS = multisigAddress;
+      }
+    });
+
+    it("Should refuse a Safe below the production threshold", async function () {
+      process.env.MULTISIG_ADDRESS = await deploySafe(owners, 1);
+      await expect(deployXPass(hre, { policyChainId: 204 })).to.be.rejectedWith("is 1-of-3: at least 2-of-3 is required");
+
+      process.env.MULTISIG_ADDRESS = (await deploySafe(owners, 2)).toLowerCase();
+      await expect(deployXPass(hre, { policyChainId: 204 })).to.be.rejectedWith("is not checksummed");
+    });
+
+    it("Should always refuse an address with an invalid checksum", async function () {
+      process.env.MULTISIG_ADDRESS = "0x" + owners[0].slice(2, 12).toLowerCase() + owners[0].slice(12).toUpperCase();
+      await expect(deployXPass(hre)).to.be.rejectedWith("invalid EIP-55 checksum");
+    });
+
+    it("Should deploy with a 2-of-3 Safe under the production policy", async function () {
+      const safeAddress = await deploySafe(owners, 2);
+      process.env.MULTISIG_ADDRESS = safeAddress;
+
+      const manifest = await deployXPass(hre, { policyChainId: 204, dryRun: true });
+      expect(manifest.status).to.equal("complete");
+      expect(manifest.multisig).to.equal(safeAddress);
+
+      const token = await ethers.getContractAt("XPassToken", manifest.contracts.XPassToken.address);
+      expect(await token.owner()).to.equal(safeAddress);
+    });
+  });
+});
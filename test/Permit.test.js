@@ -0,0 +1,67 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { getDomain, splitSignature, signPermit, validatePermit } = require("../scripts/lib/permit");
+
+describe("Permit helpers", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+  const VALUE = ethers.parseUnits("1000", 18);
+
+  let xpassToken;
+  let owner;
+  let spender;
+  let other;
+  let deadline;
+
+  beforeEach(async function () {
+    [owner, spender, other] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+    deadline = (await time.latest()) + 3600;
+  });
+
+  it("Should read the EIP-712 domain from the deployed token", async function () {
+    expect(await getDomain(xpassToken)).to.deep.equal({
+      name: "XPASS Token",
+      version: "1",
+      chainId: 1337n,
+      verifyingContract: await xpassToken.getAddress()
+    });
+  });
+
+  it("Should sign a permit accepted by the token", async function () {
+    const permit = await signPermit(owner, xpassToken, { spender: spender.address, value: VALUE, deadline });
+    expect(permit.nonce).to.equal(0n);
+    expect(splitSignature(permit.signature)).to.deep.equal({ v: permit.v, r: permit.r, s: permit.s });
+    await validatePermit(xpassToken, permit);
+
+    await xpassToken.permit(permit.owner, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+    expect(await xpassToken.allowance(owner.address, spender.address)).to.equal(VALUE);
+
+    // The same permit cannot be used twice
+    await expect(validatePermit(xpassToken, permit)).to.be.rejectedWith("does not match the current nonce 1");
+  });
+
+  it("Should reject expired permits and zero spenders before submission", async function () {
+    const expired = await signPermit(owner, xpassToken, { spender: spender.address, value: VALUE, deadline });
+    await time.increaseTo(deadline);
+    await expect(validatePermit(xpassToken, expired)).to.be.rejectedWith("Permit expired");
+
+    const zeroSpender = await signPermit(owner, xpassToken, { spender: ethers.ZeroAddress, value: VALUE, deadline: deadline + 3600 });
+    await expect(validatePermit(xpassToken, zeroSpender)).to.be.rejectedWith("zero address");
+  });
+
+  it("Should reject permits not signed by the owner", async function () {
+    const permit = await signPermit(other, xpassToken, { spender: spender.address, value: VALUE, deadline });
+    const forged = { ...permit, owner: owner.address };
+
+    await expect(validatePermit(xpassToken, forged)).to.be.rejectedWith(`not by the owner ${owner.address}`);
+    await expect(xpassToken.permit(forged.owner, forged.spender, forged.value, forged.deadline, forged.v, forged.r, forged.s))
+      .to.be.revertedWithCustomError(xpassToken, "ERC2612InvalidSigner");
+  });
+});
@@ -0,0 +1,189 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { deployXPass } = require("../scripts/lib/deployer");
+const {
+  PRODUCTION_CHAINS,
+  loadProfiles,
+  findProfile,
+  resolveDeploymentPolicy,
+  toHardhatNetworks,
+  toCustomChains,
+  resolveMinDelay
+} = require("../scripts/lib/profiles");
+
+describe("Deployment profiles", function () {
+  const PROFILE = {
+    name: "opbnb",
+    aliases: ["opBNB"],
+    chainId: 204,
+    production: true,
+    rpc: { env: "OPBNB_RPC_URL", default: "https://opbnb-mainnet-rpc.bnbchain.org" },
+    minDelay: 172800,
+    allowDelayOverride: false,
+    confirmations: 10,
+    gas: { strategy: "auto" },
+    explorer: { apiURL: "https://api.etherscan.io/v2/api?chainid=204", browserURL: "https://opbnb.bscscan.com" }
+  };
+
+  // The profile moved to another chain, with that chain's explorer API
+  const onChain = (chainId) => ({
+    chainId,
+    explorer: { ...PROFILE.explorer, apiURL: `https://api.etherscan.io/v2/api?chainid=${chainId}` }
+  });
+
+  let dir;
+
+  function writeProfiles(...profiles) {
+    profiles.forEach((profile, index) => {
+      fs.writeFileSync(path.join(dir, `${index}.json`), JSON.stringify(profile));
+    });
+    return loadProfiles(dir);
+  }
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "xpass-profiles-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should configure the Hardhat networks and explorers from the committed profiles", async function () {
+    const mainnet = findProfile("bscMainnet");
+    expect(mainnet.name).to.equal("mainnet");
+    expect(findProfile(97n).name).to.equal("testnet");
+    expect(findProfile(1337)).to.be.null;
+
+    for (const name of ["mainnet", "bscMainnet"]) {
+      expect(hre.config.networks[name].chainId).to.equal(56);
+      expect(hre.config.networks[name].gasPrice).to.equal(mainnet.gas.gasPrice);
+    }
+    const customChain = hre.config.etherscan.customChains.find((chain) => chain.network === "testnet");
+    expect(customChain).to.deep.equal({
+      network: "testnet",
+      chainId: 97,
+      urls: { apiURL: "https://api.etherscan.io/v2/api?chainid=97", browserURL: "https://testnet.bscscan.com" }
+    });
+  });
+
+  it("Should mark every committed mainnet profile as production", async function () {
+    const profiles = loadProfiles();
+    expect(profiles.map((profile) => profile.chainId)).to.include.members([56, 97, 204, 5611, 1, 11155111, 8453, 42161]);
+    for (const profile of profiles) {
+      expect(profile.production, profile.name).to.equal(Boolean(PRODUCTION_CHAINS[profile.chainId]));
+      expect(profile.explorer, profile.name).to.not.be.undefined;
+    }
+  });
+
+  it("Should build network entries for every name and alias", async function () {
+    const profiles = writeProfiles(PROFILE);
+    const networks = toHardhatNetworks(profiles, { OPBNB_RPC_URL: "http://rpc.example", PRIVATE_KEY: "0x01" });
+
+    expect(Object.keys(networks)).to.deep.equal(["opbnb", "opBNB"]);
+    expect(networks.opBNB).to.deep.equal({
+      url: "http://rpc.example",
+      chainId: 204,
+      accounts: ["0x01"],
+      timeout: 60000,
+      gasPrice: "auto",
+      gas: "auto"
+    });
+    expect(toHardhatNetworks(profiles, {}).opbnb.url).to.equal(PROFILE.rpc.default);
+    expect(toCustomChains(profiles).map((chain) => chain.network)).to.deep.equal(["opbnb", "opBNB"]);
+  });
+
+  it("Should only honour TIMELOCK_DELAY when the profile allows it", async function () {
+    const [locked] = writeProfiles(PROFILE);
+    const open = { ...locked, allowDelayOverride: true };
+
+    expect(resolveMinDelay(locked, { TIMELOCK_DELAY: "60" }))
+      .to.deep.equal({ minDelay: 172800, overridden: false, ignoredOverride: true });
+    expect(resolveMinDelay(open, { TIMELOCK_DELAY: "60" }))
+      .to.deep.equal({ minDelay: 60, overridden: true, ignoredOverride: false });
+    expect(resolveMinDelay(open, {}).minDelay).to.equal(172800);
+
+    // No profile (hardhat, localhost): 48 hours unless overridden
+    expect(resolveMinDelay(null, {}).minDelay).to.equal(48 * 60 * 60);
+    expect(resolveMinDelay(null, { TIMELOCK_DELAY: "300" }).minDelay).to.equal(300);
+    expect(() => resolveMinDelay(open, { TIMELOCK_DELAY: "1h" })).to.throw("TIMELOCK_DELAY must be a number of seconds");
+  });
+
+  it("Should reject invalid and conflicting profiles", async function () {
+    expect(() => writeProfiles({ ...PROFILE, chainId: "204" })).to.throw("\"chainId\" must be a positive integer");
+    fs.rmSync(path.join(dir, "0.json"));
+
+    expect(() => writeProfiles({ ...PROFILE, gas: { strategy: "fixed" } })).to.throw("\"gas.gasPrice\" (wei) is required");
+    fs.rmSync(path.join(dir, "0.json"));
+
+    expect(() => writeProfiles({ ...PROFILE, rpc: undefined })).to.throw("\"rpc.env\"");
+    fs.rmSync(path.join(dir, "0.json"));
+
+    const v1Explorer = { apiURL: "https://api-opbnb.bscscan.com/api", browserURL: "https://opbnb.bscscan.com" };
+    expect(() => writeProfiles({ ...PROFILE, explorer: v1Explorer })).to.throw("must be the Etherscan v2 API of the chain");
+    fs.rmSync(path.join(dir, "0.json"));
+
+    const otherChain = { ...PROFILE.explorer, apiURL: "https://api.etherscan.io/v2/api?chainid=56" };
+    expect(() => writeProfiles({ ...PROFILE, explorer: otherChain })).to.throw("?chainid=204");
+    fs.rmSync(path.join(dir, "0.json"));
+
+    expect(() => writeProfiles(PROFILE, { ...PROFILE, name: "opbnb2", aliases: [] }))
+      .to.throw("Chain 204 has more than one deployment profile");
+    expect(() => writeProfiles(PROFILE, { ...PROFILE, name: "other", aliases: ["opBNB"], ...onChain(5611) }))
+      .to.throw("Network name \"opBNB\" is used by more than one deployment profile");
+  });
+
+  it("Should enforce the production policy", async function () {
+    const rejected = (profile, message) => {
+      expect(() => writeProfiles(profile)).to.throw(message);
+      fs.rmSync(path.join(dir, "0.json"));
+    };
+
+    rejected({ ...PROFILE, production: false }, "chain 204 (opBNB) is a production chain");
+    rejected({ ...PROFILE, allowDelayOverride: true }, "cannot allow TIMELOCK_DELAY overrides");
+    rejected({ ...PROFILE, minDelay: 3600 }, "\"minDelay\" >= 172800 seconds");
+    rejected({ ...PROFILE, confirmations: 1 }, "\"confirmations\" >= 5");
+    rejected({ ...PROFILE, chainId: 31337, production: false }, "reserved for local development networks");
+
+    // A testnet may relax all of them
+    const [testnet] = writeProfiles({ ...PROFILE, ...onChain(5611), production: false, allowDelayOverride: true, minDelay: 60, confirmations: 1 });
+    expect(testnet.production).to.be.false;
+  });
+
+  it("Should fail closed on chains without a profile", async function () {
+    expect(resolveDeploymentPolicy(56).production).to.be.true;
+    expect(resolveDeploymentPolicy(97).production).to.be.false;
+    expect(resolveDeploymentPolicy(1337)).to.deep.equal({ profile: null, production: false });
+
+    expect(() => resolveDeploymentPolicy(10)).to.throw("No deployment profile for chain 10 (OP Mainnet)");
+    expect(() => resolveDeploymentPolicy(424242)).to.throw("deployments to unknown chains are refused");
+  });
+
+  describe("Deployment policy", function () {
+    let multisigAddress;
+
+    beforeEach(async function () {
+      multisigAddress = process.env.MULTISIG_ADDRESS;
+      process.env.MULTISIG_ADDRESS = (await hre.ethers.getSigners())[1].address;
+    });
+
+    afterEach(function () {
+      if (multisigAddress === undefined) {
+        delete process.env.MULTISIG_ADDRESS;
+      } else {
+        process.env.MULTISIG_ADDRESS = multisigAddress;
+      }
+    });
+
+    it("Should refuse to deploy to an unknown chain", async function () {
+      await expect(deployXPass(hre, { policyChainId: 424242 })).to.be.rejectedWith("No deployment profile for chain 424242");
+    });
+
+    it("Should refuse an EOA Multi-Sig on production chains", async function () {
+      await expect(deployXPass(hre, { policyChainId: 204 })).to.be.rejectedWith("has no contract code");
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+
+const { deployXPass } = require("../scripts/lib/deployer");
+const {
+  splitMetadata,
+  decodeMetadata,
+  maskImmutables,
+  diffBytecode,
+  diffStorageLayout,
+  checkReproducibility
+} = require("../scripts/lib/reproducibility");
+
+describe("Bytecode reproducibility", function () {
+  let signers;
+  let multisigAddress;
+  let snapshotId;
+
+  const failedChecks = (report) => report.checks.filter((check) => !check.passed).map((check) => check.id);
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    multisigAddress = process.env.MULTISIG_ADDRESS;
+    process.env.MULTISIG_ADDRESS = signers[1].address;
+    snapshotId = await network.provider.send("evm_snapshot");
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_revert", [snapshotId]);
+    if (multisigAddress === undefined) {
+      delete process.env.MULTISIG_ADDRESS;
+    } else {
+      process.env.MULTISIG_ADDRESS = multisigAddress;
+    }
+  });
+
+  it("Should split and decode the metadata trailer", async function () {
+    const { deployedBytecode } = await hre.artifacts.readArtifact("XPassToken");
+    const { code, metadata } = splitMetadata(deployedBytecode);
+
+    expect(code + metadata.slice(2)).to.equal(deployedBytecode.toLowerCase());
+    expect(decodeMetadata(metadata).solc).to.equal(hre.config.solidity.compilers[0].version);
+    expect(decodeMetadata(metadata).ipfs).to.match(/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/);
+    expect(splitMetadata("0x6080")).to.deep.equal({ code: "0x6080", metadata: null });
+  });
+
+  it("Should mask immutables and diff bytecode", async function () {
+    const masked = maskImmutables("0x60aabbccdd60", { 7: [{ start: 1, length: 2 }], 9: [{ start: 3, length: 2 }] });
+    expect(masked).to.deep.equal({ code: "0x600000000060", values: { 7: ["0xaabb"], 9: ["0xccdd"] } });
+
+    expect(diffBytecode("0x60006001", "0x6001600200")).to.deep.equal({
+      compiledLength: 4,
+      onchainLength: 5,
+      differingBytes: 3,
+      ranges: [
+        { offset: 1, length: 1, compiled: "0x00", onchain: "0x01" },
+        { offset: 3, length: 2, compiled: "0x01", onchain: "0x0200" }
+      ]
+    });
+  });
+
+  it("Should diff storage layouts by variable name", async function () {
+    const baseline = [
+      { label: "_owner", slot: "0", offset: 0, type: "address" },
+      { label: "guardian", slot: "1", offset: 0, type: "address" }
+    ];
+    const current = [
+      { label: "_owner", slot: "0", offset: 0, type: "address" },
+      { label: "guardian", slot: "2", offset: 0, type: "address" },
+      { label: "pausedUntil", slot: "3", offset: 0, type: "uint64" }
+    ];
+    expect(diffStorageLayout(baseline, current)).to.deep.equal({
+      added: [current[2]],
+      removed: [],
+      changed: [{ label: "guardian", baseline: baseline[1], current: current[1] }]
+    });
+  });
+
+  it("Should reproduce a deployment from the sources", async function () {
+    const manifest = await deployXPass(hre, { dryRun: true });
+    const report = await checkReproducibility(hre, manifest, { ref: "HEAD" });
+
+    expect(failedChecks(report).filter((id) => id !== "source-clean")).to.deep.equal([]);
+    expect(report.ok).to.be.true;
+
+    const [timelock, token] = report.contracts;
+    expect(timelock).to.include({ name: "XPassTimelockController", exactMatch: true, diff: null });
+    expect(timelock.immutables).to.deep.equal([]);
+    expect(timelock.constructorArgs.map((arg) => arg.onchain)).to.deep.equal(manifest.contracts.XPassTimelockController.constructorArgs);
+
+    expect(token).to.include({ name: "XPassToken", exactMatch: true });
+    const immutables = Object.fromEntries(token.immutables.map((immutable) => [immutable.name, immutable.value]));
+    expect(immutables).to.include({
+      _cachedThis: token.address,
+      _cachedChainId: String(network.config.chainId),
+      _name: "XPASS Token",
+      _version: "1",
+      _hashedName: ethers.id("XPASS Token")
+    });
+    expect(token.storageLayout.map((entry) => entry.label)).to.include.members(["_owner", "guardian", "timelockController"]);
+  });
+
+  it("Should reproduce a CREATE2 deployment, with or without its transaction", async function () {
+    const manifest = await deployXPass(hre, { dryRun: true, create2: { salt: "xpass-v1" } });
+    expect((await checkReproducibility(hre, manifest)).ok).to.be.true;
+
+    const entry = { ...manifest.contracts.XPassToken, txHash: null };
+    const report = await checkReproducibility(hre, { ...manifest, contracts: { XPassToken: entry } });
+    expect(report.ok).to.be.true;
+    expect(report.checks.find((check) => check.id === "XPassToken-create2-address").passed).to.be.true;
+  });
+
+  it("Should report mismatching code, constructor arguments, sources and storage layouts", async function () {
+    const manifest = await deployXPass(hre, { dryRun: true });
+    const timelockEntry = manifest.contracts.XPassTimelockController;
+
+    const tampered = await checkReproducibility(hre, {
+      ...manifest,
+      contracts: {
+        // Wrong recorded admin
+        XPassTimelockController: { ...timelockEntry, constructorArgs: [timelockEntry.constructorArgs[0], signers[2].address] },
+        // The timelock's code recorded as the token
+        XPassToken: { ...timelockEntry }
+      }
+    }, { ref: "no-such-ref" });
+
+    expect(tampered.ok).to.be.false;
+    expect(failedChecks(tampered)).to.include.members([
+      "source-ref",
+      "XPassTimelockController-constructor-admin",
+      "XPassToken-runtime",
+      "XPassToken-creation-code"
+    ]);
+    const token = tampered.contracts.find((contract) => contract.name === "XPassToken");
+    expect(token.runtimeMatches).to.be.false;
+    expect(token.diff.differingBytes).to.be.greaterThan(0);
+    expect(token.diff.ranges[0]).to.have.keys(["offset", "length", "compiled", "onchain"]);
+
+    // Storage layout drift against a baseline report
+    const baseline = await checkReproducibility(hre, manifest);
+    const moved = baseline.contracts.map((contract) => ({
+      ...contract,
+      storageLayout: contract.storageLayout.map((entry) => (entry.label === "guardian" ? { ...entry, slot: "42" } : entry))
+    }));
+    const drifted = await checkReproducibility(hre, manifest, { baseline: { contracts: moved } });
+    expect(failedChecks(drifted)).to.include("XPassToken-storage-layout");
+    expect(drifted.contracts[1].storageLayoutDiff.changed.map((change) => change.label)).to.deep.equal(["guardian"]);
+    expect(failedChecks(drifted)).to.not.include("XPassTimelockController-storage-layout");
+  });
+});
@@ -0,0 +1,217 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+
+const { deployXPass } = require("../scripts/lib/deployer");
+const {
+  DEPLOYMENTS_DIR,
+  getManifestPath,
+  readManifest,
+  writeManifest,
+  archiveManifest,
+  describePendingDeployment,
+  verifyRecordedDeployment
+} = require("../scripts/lib/deployments");
+
+describe("Resumable deployment", function () {
+  const DEV_DELAY = 48 * 60 * 60; // Default delay of chains without a profile
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let signers;
+  let multisigAddress;
+  let snapshotId;
+
+  // Rewrites the checkpoint as if the run had stopped before the token step
+  const interruptAfterTimelock = (manifest, timelockEntry) => writeManifest(network.name, {
+    ...manifest,
+    status: "in-progress",
+    completedAt: null,
+    steps: { timelockDeployed: Boolean(timelockEntry && timelockEntry.status === "deployed"), tokenDeployed: false, rolesVerified: false },
+    contracts: timelockEntry ? { XPassTimelockController: timelockEntry } : {}
+  });
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    multisigAddress = process.env.MULTISIG_ADDRESS;
+    process.env.MULTISIG_ADDRESS = signers[1].address;
+    snapshotId = await network.provider.send("evm_snapshot");
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_setAutomine", [true]);
+    await network.provider.send("evm_revert", [snapshotId]);
+    if (multisigAddress === undefined) {
+      delete process.env.MULTISIG_ADDRESS;
+    } else {
+      process.env.MULTISIG_ADDRESS = multisigAddress;
+    }
+  });
+
+  it("Should finalize a checkpointed deployment once its transaction is mined", async function () {
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockArgs = [TEST_DELAY, signers[1].address];
+
+    await network.provider.send("evm_setAutomine", [false]);
+    const timelock = await XPassTimelockController.deploy(...timelockArgs);
+    const pending = await describePendingDeployment(timelock, timelockArgs);
+    expect(pending).to.deep.equal({
+      status: "pending",
+      address: await timelock.getAddress(),
+      constructorArgs: [TEST_DELAY.toString(), signers[1].address],
+      txHash: timelock.deploymentTransaction().hash
+    });
+
+    await network.provider.send("evm_mine");
+    const entry = await verifyRecordedDeployment(ethers.provider, XPassTimelockController, pending, timelockArgs);
+    const receipt = await ethers.provider.getTransactionReceipt(pending.txHash);
+    expect(entry).to.deep.equal({
+      status: "deployed",
+      address: pending.address,
+      constructorArgs: pending.constructorArgs,
+      txHash: pending.txHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString()
+    });
+
+    // A finalized entry verifies again on the next resume
+    expect(await verifyRecordedDeployment(ethers.provider, XPassTimelockController, entry, timelockArgs)).to.deep.equal(entry);
+  });
+
+  it("Should refuse a checkpoint that does not match the chain or the configuration", async function () {
+    const [owner, multisig] = signers;
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockArgs = [TEST_DELAY, multisig.address];
+
+    const timelock = await XPassTimelockController.deploy(...timelockArgs);
+    await timelock.waitForDeployment();
+    const entry = await describePendingDeployment(timelock, timelockArgs);
+
+    // Another multisig than the recorded one
+    await expect(verifyRecordedDeployment(ethers.provider, XPassTimelockController, entry, [TEST_DELAY, owner.address]))
+      .to.be.rejectedWith("differ from the current configuration");
+
+    // Same arguments, but the recorded transaction created another contract
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    const token = await XPassToken.deploy(multisig.address, entry.address);
+    const tokenEntry = { ...(await describePendingDeployment(token, timelockArgs)), constructorArgs: entry.constructorArgs };
+    await expect(verifyRecordedDeployment(ethers.provider, XPassTimelockController, tokenEntry, timelockArgs))
+      .to.be.rejectedWith("does not match the compiled contract and constructor arguments");
+
+    // Recorded address that the transaction did not create
+    await expect(verifyRecordedDeployment(ethers.provider, XPassTimelockController, { ...entry, address: owner.address }, timelockArgs))
+      .to.be.rejectedWith(`did not create ${owner.address}`);
+
+    // Transaction unknown to this network (e.g. wrong network)
+    const unknown = { ...entry, status: "deployed", txHash: ethers.id("unknown") };
+    await expect(verifyRecordedDeployment(ethers.provider, XPassTimelockController, unknown, timelockArgs))
+      .to.be.rejectedWith("was not found on this network");
+  });
+
+  it("Should archive the manifest of a fresh deployment", async function () {
+    const name = "resume-test"; // Scratch network name
+    try {
+      expect(archiveManifest(name)).to.be.null;
+
+      writeManifest(name, { network: name, status: "in-progress" });
+      const archivePath = archiveManifest(name);
+      expect(path.dirname(archivePath)).to.equal(path.dirname(getManifestPath(name)));
+      expect(path.basename(archivePath)).to.match(/^deployment\..+\.json$/);
+      expect(JSON.parse(fs.readFileSync(archivePath, "utf8"))).to.deep.equal({ network: name, status: "in-progress" });
+      expect(readManifest(name)).to.be.null;
+    } finally {
+      fs.rmSync(path.join(DEPLOYMENTS_DIR, name), { recursive: true, force: true });
+    }
+  });
+
+  it("Should resume after the timelock without redeploying it", async function () {
+    const first = await deployXPass(hre, {});
+    const timelockEntry = first.contracts.XPassTimelockController;
+    interruptAfterTimelock(first, timelockEntry);
+
+    const nonce = await ethers.provider.getTransactionCount(signers[0].address);
+    const resumed = await deployXPass(hre, { resume: true });
+    expect(resumed.contracts.XPassTimelockController).to.deep.equal(timelockEntry);
+    expect(resumed.contracts.XPassToken.address).to.not.equal(first.contracts.XPassToken.address);
+    expect(resumed.contracts.XPassToken.constructorArgs).to.deep.equal([signers[1].address, timelockEntry.address]);
+    expect(resumed.status).to.equal("complete");
+    // Only the token was deployed
+    expect(await ethers.provider.getTransactionCount(signers[0].address)).to.equal(nonce + 1);
+    expect(readManifest(network.name).contracts.XPassToken.address).to.equal(resumed.contracts.XPassToken.address);
+  });
+
+  it("Should finalize a pending deployment that was mined after the interruption", async function () {
+    const manifest = await deployXPass(hre, {});
+    const factory = await ethers.getContractFactory("XPassTimelockController");
+    const timelockArgs = [DEV_DELAY, signers[1].address];
+
+    await network.provider.send("evm_setAutomine", [false]);
+    const timelock = await factory.deploy(...timelockArgs);
+    interruptAfterTimelock(manifest, await describePendingDeployment(timelock, timelockArgs));
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_setAutomine", [true]);
+
+    const resumed = await deployXPass(hre, { resume: true });
+    const entry = resumed.contracts.XPassTimelockController;
+    expect(entry).to.include({ status: "deployed", address: await timelock.getAddress(), txHash: timelock.deploymentTransaction().hash });
+    expect(entry.blockNumber).to.be.a("number");
+    expect(resumed.contracts.XPassToken.constructorArgs[1]).to.equal(entry.address);
+  });
+
+  it("Should redeploy only a pending contract whose transaction was dropped or reverted", async function () {
+    const manifest = await deployXPass(hre, {});
+    const factory = await ethers.getContractFactory("XPassTimelockController");
+    const timelockArgs = [DEV_DELAY, signers[1].address];
+
+    // Dropped: the recorded transaction is unknown to the network
+    const dropped = {
+      status: "pending",
+      address: signers[5].address,
+      constructorArgs: timelockArgs.map((arg) => arg.toString()),
+      txHash: ethers.id("dropped")
+    };
+    interruptAfterTimelock(manifest, dropped);
+    const afterDrop = await deployXPass(hre, { resume: true });
+    expect(afterDrop.contracts.XPassTimelockController.address).to.not.equal(dropped.address);
+    expect(await ethers.provider.getCode(afterDrop.contracts.XPassTimelockController.address)).to.not.equal("0x");
+    expect(afterDrop.status).to.equal("complete");
+
+    // Reverted: the creation ran out of gas (just above the calldata floor)
+    await network.provider.send("evm_setAutomine", [false]);
+    const reverted = await factory.deploy(...timelockArgs, { gasLimit: 600000 });
+    const revertedEntry = await describePendingDeployment(reverted, timelockArgs);
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_setAutomine", [true]);
+    expect((await ethers.provider.getTransactionReceipt(revertedEntry.txHash)).status).to.equal(0);
+
+    interruptAfterTimelock(manifest, revertedEntry);
+    const afterRevert = await deployXPass(hre, { resume: true });
+    const redeployed = afterRevert.contracts.XPassTimelockController;
+    expect(redeployed.address).to.not.equal(revertedEntry.address);
+    expect(redeployed).to.include({ status: "deployed" });
+    expect(afterRevert.contracts.XPassToken.constructorArgs[1]).to.equal(redeployed.address);
+
+    // A deployed entry whose transaction is missing is never silently replaced
+    interruptAfterTimelock(manifest, { ...dropped, status: "deployed" });
+    await expect(deployXPass(hre, { resume: true })).to.be.rejectedWith("was not found on this network or failed");
+  });
+
+  it("Should refuse to resume with other constructor arguments or another salt", async function () {
+    const manifest = await deployXPass(hre, {});
+    const timelockEntry = manifest.contracts.XPassTimelockController;
+
+    interruptAfterTimelock(manifest, timelockEntry);
+    process.env.MULTISIG_ADDRESS = signers[2].address;
+    await expect(deployXPass(hre, { resume: true })).to.be.rejectedWith("differ from the current configuration");
+    process.env.MULTISIG_ADDRESS = signers[1].address;
+
+    interruptAfterTimelock(manifest, timelockEntry);
+    await expect(deployXPass(hre, { resume: true, create2: { salt: "xpass-v1" } })).to.be.rejectedWith("did not use CREATE2");
+
+    const deterministic = await deployXPass(hre, { create2: { salt: "xpass-v1" } });
+    interruptAfterTimelock(deterministic, deterministic.contracts.XPassTimelockController);
+    await expect(deployXPass(hre, { resume: true, create2: { salt: "xpass-v2" } })).to.be.rejectedWith("used CREATE2 salt");
+    await expect(deployXPass(hre, { resume: true })).to.be.rejectedWith("the current configuration does not");
+  });
+});
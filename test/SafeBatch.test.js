@@ -0,0 +1,180 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { buildGovernanceBatch } = require("../scripts/lib/safe-batch");
+
+describe("Safe Transaction Builder batches", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let xpassToken;
+  let timelockController;
+  let safe; // EOA standing in for the Multi-Sig Safe
+  let other;
+  let ctx;
+
+  // Executes every transaction of a batch the way the Safe would
+  async function executeBatch(batch) {
+    for (const tx of batch.transactions) {
+      await safe.sendTransaction({ to: tx.to, value: tx.value, data: tx.data });
+    }
+  }
+
+  function contextFor(params) {
+    return { ...ctx, params };
+  }
+
+  beforeEach(async function () {
+    [safe, other] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    timelockController = await XPassTimelockController.deploy(TEST_DELAY, safe.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(safe.address, await timelockController.getAddress());
+
+    ctx = {
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      safe: safe.address,
+      token: await xpassToken.getAddress(),
+      timelock: await timelockController.getAddress(),
+      minDelay: TEST_DELAY,
+      tokenInterface: xpassToken.interface,
+      timelockInterface: timelockController.interface
+    };
+  });
+
+  it("Should produce a Transaction Builder compatible batch", async function () {
+    const batch = buildGovernanceBatch("proposePause", contextFor({}));
+
+    expect(batch.version).to.equal("1.0");
+    expect(batch.chainId).to.equal(ctx.chainId.toString());
+    expect(batch.meta.createdFromSafeAddress).to.equal(safe.address);
+    expect(batch.transactions).to.have.length(1);
+
+    const [tx] = batch.transactions;
+    expect(tx.to).to.equal(ctx.timelock);
+    expect(tx.value).to.equal("0");
+    expect(tx.contractMethod.name).to.equal("proposePause");
+    expect(tx.contractInputsValues).to.deep.equal({ xpassToken: ctx.token });
+
+    const decoded = timelockController.interface.decodeFunctionData("proposePause", tx.data);
+    expect(decoded[0]).to.equal(ctx.token);
+  });
+
+  it("Should schedule a pause when the proposePause batch is executed", async function () {
+    const batch = buildGovernanceBatch("proposePause", contextFor({}));
+
+    const [tx] = batch.transactions;
+    await expect(safe.sendTransaction({ to: tx.to, value: tx.value, data: tx.data }))
+      .to.emit(timelockController, "CallScheduled");
+  });
+
+  it("Should pause the token through schedule and execute batches", async function () {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+
+    await executeBatch(buildGovernanceBatch("schedule", contextFor({ function: "pause()", salt })));
+    await time.increase(TEST_DELAY + 1);
+    await executeBatch(buildGovernanceBatch("execute", contextFor({ function: "pause()", salt })));
+
+    expect(await xpassToken.paused()).to.be.true;
+  });
+
+  it("Should cancel a scheduled operation with the cancel batch", async function () {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const pauseData = xpassToken.interface.encodeFunctionData("pause");
+    const id = await timelockController.hashOperation(ctx.token, 0, pauseData, ethers.ZeroHash, salt);
+
+    await executeBatch(buildGovernanceBatch("schedule", contextFor({ calldata: pauseData, salt })));
+    expect(await timelockController.isOperationPending(id)).to.be.true;
+
+    await executeBatch(buildGovernanceBatch("cancel", contextFor({ id })));
+    expect(await timelockController.isOperation(id)).to.be.false;
+  });
+
+  it("Should change the timelock controller with a direct owner call batch", async function () {
+    const batch = buildGovernanceBatch("changeTimelockController", contextFor({ newTimelock: other.address }));
+    expect(batch.transactions[0].to).to.equal(ctx.token);
+
+    await executeBatch(batch);
+    expect(await xpassToken.timelockController()).to.equal(other.address);
+  });
+
+  it("Should set the guardian with a direct owner call batch", async function () {
+    await executeBatch(buildGovernanceBatch("setGuardian", contextFor({ guardian: other.address })));
+    expect(await xpassToken.guardian()).to.equal(other.address);
+
+    const removal = buildGovernanceBatch("setGuardian", contextFor({ guardian: ethers.ZeroAddress }));
+    expect(removal.meta.description).to.contain("disables emergency pauses");
+    await executeBatch(removal);
+    expect(await xpassToken.guardian()).to.equal(ethers.ZeroAddress);
+  });
+
+  it("Should schedule ownership and timelock rotation proposals once the timelock owns the token", async function () {
+    await xpassToken.transferOwnership(ctx.timelock);
+    ctx.tokenOwner = ctx.timelock;
+
+    const ownership = buildGovernanceBatch("proposeTransferOwnership", contextFor({ newOwner: other.address }));
+    expect(ownership.meta.description).to.contain(`to ${other.address} through XPassTimelockController ${ctx.timelock}`);
+    expect(ownership.transactions[0].contractInputsValues).to.deep.equal({ xpassToken: ctx.token, newOwner: other.address });
+
+    const rotation = buildGovernanceBatch("proposeChangeTimelockController", contextFor({ newTimelock: other.address }));
+    const delay = buildGovernanceBatch("proposeUpdateDelay", contextFor({ newDelay: TEST_DELAY * 2 }));
+    expect(delay.transactions[0].contractInputsValues).to.deep.equal({ newDelay: (TEST_DELAY * 2).toString() });
+
+    for (const batch of [ownership, rotation, delay]) {
+      expect(batch.transactions[0].to).to.equal(ctx.timelock);
+      const [tx] = batch.transactions;
+      await expect(safe.sendTransaction({ to: tx.to, value: tx.value, data: tx.data }))
+        .to.emit(timelockController, "CallScheduled");
+    }
+  });
+
+  it("Should refuse ownership and timelock rotation proposals while the Safe owns the token", async function () {
+    ctx.tokenOwner = safe.address;
+    expect(() => buildGovernanceBatch("proposeTransferOwnership", contextFor({ newOwner: other.address })))
+      .to.throw(`can only be executed while XPassTimelockController ${ctx.timelock} owns the token (owner: ${safe.address})`);
+    expect(() => buildGovernanceBatch("proposeChangeTimelockController", contextFor({ newTimelock: other.address })))
+      .to.throw("safe:batch changeTimelockController --new-timelock");
+
+    delete ctx.tokenOwner;
+    expect(() => buildGovernanceBatch("proposeTransferOwnership", contextFor({ newOwner: other.address })))
+      .to.throw("requires the current token owner");
+
+    // The Safe transfers the ownership directly instead
+    const transfer = buildGovernanceBatch("transferOwnership", contextFor({ newOwner: other.address }));
+    expect(transfer.transactions[0].to).to.equal(ctx.token);
+    expect(transfer.transactions[0].contractInputsValues).to.deep.equal({ newOwner: other.address });
+    await executeBatch(transfer);
+    expect(await xpassToken.owner()).to.equal(other.address);
+  });
+
+  it("Should resolve role names for role grant and revoke proposals", async function () {
+    const grant = buildGovernanceBatch("proposeGrantRole", contextFor({ role: "EXECUTOR_ROLE", account: other.address }));
+    const decoded = timelockController.interface.decodeFunctionData("proposeGrantRole", grant.transactions[0].data);
+    expect(decoded[0]).to.equal(await timelockController.EXECUTOR_ROLE());
+    expect(decoded[1]).to.equal(other.address);
+    await executeBatch(grant);
+
+    const adminRole = await timelockController.DEFAULT_ADMIN_ROLE();
+    const revoke = buildGovernanceBatch("proposeRevokeRole", contextFor({ role: "DEFAULT_ADMIN_ROLE", account: safe.address }));
+    expect(timelockController.interface.decodeFunctionData("proposeRevokeRole", revoke.transactions[0].data)[0]).to.equal(adminRole);
+    expect(revoke.meta.description).to.contain(`DEFAULT_ADMIN_ROLE on XPassTimelockController ${ctx.timelock} from ${safe.address}`);
+
+    const raw = buildGovernanceBatch("proposeRevokeRole", contextFor({ role: adminRole, account: safe.address }));
+    expect(raw.transactions[0].data).to.equal(revoke.transactions[0].data);
+  });
+
+  it("Should reject unknown actions and incomplete parameters", async function () {
+    expect(() => buildGovernanceBatch("mint", contextFor({}))).to.throw("Unknown action");
+    expect(() => buildGovernanceBatch("execute", contextFor({ function: "pause()" }))).to.throw("salt");
+    expect(() => buildGovernanceBatch("cancel", contextFor({}))).to.throw("operation id");
+    expect(() => buildGovernanceBatch("setGuardian", contextFor({}))).to.throw("guardian address");
+    expect(() => buildGovernanceBatch("proposeTransferOwnership", contextFor({}))).to.throw("new owner address");
+    expect(() => buildGovernanceBatch("transferOwnership", contextFor({}))).to.throw("new owner address");
+    expect(() => buildGovernanceBatch("proposeUpdateDelay", contextFor({}))).to.throw("new delay");
+    expect(() => buildGovernanceBatch("proposeGrantRole", contextFor({ role: "PROPOSER_ROLE" }))).to.throw("requires the role");
+    expect(() => buildGovernanceBatch("proposeGrantRole", contextFor({ role: "MINTER_ROLE", account: other.address })))
+      .to.throw("Unknown role \"MINTER_ROLE\"");
+  });
+});
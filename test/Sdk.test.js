@@ -0,0 +1,176 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const sdk = require("../sdk");
+const { SDK_DIR, SDK_CONTRACTS, generateTypings, collectAddresses } = require("../scripts/lib/sdk");
+
+describe("SDK", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  describe("Generator", function () {
+    it("Should generate typings from the ABI", async function () {
+      const { abi } = await hre.artifacts.readArtifact("XPassToken");
+      const typings = generateTypings("XPassToken", abi);
+
+      expect(typings).to.contain("export interface XPassToken extends BaseContract {");
+      expect(typings).to.contain("  balanceOf(account: AddressLike, overrides?: Overrides): Promise<bigint>;");
+      expect(typings).to.contain("  transfer(to: AddressLike, value: BigNumberish, overrides?: Overrides): Promise<ContractTransactionResponse>;");
+      expect(typings).to.contain("export interface XPassTokenTransferEvent {");
+
+      const overloaded = generateTypings("Overloaded", [
+        { type: "function", name: "get", stateMutability: "view", inputs: [], outputs: [{ type: "uint256[]" }] },
+        { type: "function", name: "get", stateMutability: "view", inputs: [{ type: "address" }], outputs: [{ name: "a", type: "bool" }, { name: "b", type: "bytes32" }] }
+      ]);
+      expect(overloaded).to.contain("  \"get()\"(overrides?: Overrides): Promise<bigint[]>;");
+      expect(overloaded).to.contain("  \"get(address)\"(arg0: AddressLike, overrides?: Overrides): Promise<[a: boolean, b: string]>;");
+    });
+
+    it("Should keep the committed ABIs in sync with the contracts", async function () {
+      for (const contract of SDK_CONTRACTS) {
+        const { abi } = await hre.artifacts.readArtifact(contract.name);
+        const committed = JSON.parse(fs.readFileSync(path.join(SDK_DIR, "abi", `${contract.name}.json`), "utf8"));
+        expect(committed, `${contract.name} ABI is outdated, run npx hardhat sdk:build`).to.deep.equal(abi);
+        expect(fs.readFileSync(path.join(SDK_DIR, "types", `${contract.name}.d.ts`), "utf8"))
+          .to.equal(generateTypings(contract.name, abi));
+      }
+    });
+
+    it("Should register completed public deployments only", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "xpass-sdk-"));
+      const manifest = (network, chainId, status) => {
+        fs.mkdirSync(path.join(dir, network));
+        fs.writeFileSync(path.join(dir, network, "deployment.json"), JSON.stringify({
+          network,
+          chainId,
+          status,
+          contracts: {
+            XPassToken: { address: "0x0000000000000000000000000000000000000001" },
+            XPassTimelockController: { address: "0x0000000000000000000000000000000000000002" }
+          }
+        }));
+      };
+      manifest("mainnet", 56, "complete");
+      manifest("testnet", 97, "in-progress");
+      manifest("localhost", 1337, "complete");
+
+      try {
+        expect(collectAddresses(dir)).to.deep.equal({
+          mainnet: {
+            chainId: 56,
+            XPassToken: "0x0000000000000000000000000000000000000001",
+            XPassTimelockController: "0x0000000000000000000000000000000000000002"
+          }
+        });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe("Runtime", function () {
+    let owner;
+    let addresses;
+
+    beforeEach(async function () {
+      [owner] = await ethers.getSigners();
+
+      const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+      const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+      const XPassToken = await ethers.getContractFactory("XPassToken");
+      const xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+
+      addresses = {
+        XPassToken: await xpassToken.getAddress(),
+        XPassTimelockController: await timelockController.getAddress()
+      };
+    });
+
+    it("Should connect to explicit addresses and reject unknown networks", async function () {
+      const { chainId, token } = await sdk.connect(owner, { addresses });
+      expect(chainId).to.equal(1337);
+      expect(await token.symbol()).to.equal("XPASS");
+      expect(await token.balanceOf(owner.address)).to.equal(ethers.parseUnits("1000000000", 18));
+
+      await expect(sdk.connect(owner)).to.be.rejectedWith("No XPASS deployment recorded for network 1337");
+    });
+
+    it("Should propose a pause and track the proposal state", async function () {
+      const { token, timelock } = await sdk.connect(owner, { addresses });
+
+      const { proposalId } = await sdk.proposePause(timelock, token);
+      const waiting = await sdk.getProposalState(timelock, proposalId);
+      expect(waiting.state).to.equal("Waiting");
+      expect(waiting.readyAt).to.equal((await time.latest()) + TEST_DELAY);
+
+      await time.increaseTo(waiting.readyAt);
+      expect((await sdk.getProposalState(timelock, proposalId)).state).to.equal("Ready");
+
+      // A second proposal gets its own ID
+      const unpause = await sdk.proposeUnpause(timelock, addresses.XPassToken);
+      expect(unpause.proposalId).to.not.equal(proposalId);
+    });
+
+    it("Should propose ownership, timelock, delay and role changes", async function () {
+      const { token, timelock } = await sdk.connect(owner, { addresses });
+      const [, other] = await ethers.getSigners();
+      const proposerRole = await timelock.PROPOSER_ROLE();
+
+      // Owner-only token calls are refused while the Multi-Sig owns the token
+      await expect(sdk.proposeTransferOwnership(timelock, token, other.address))
+        .to.be.rejectedWith(`XPassTimelockController ${addresses.XPassTimelockController} does not own the token (owner: ${owner.address})`);
+      await expect(sdk.proposeChangeTimelockController(timelock, token, other)).to.be.rejectedWith("does not own the token");
+      await token.transferOwnership(timelock);
+
+      const proposals = [
+        await sdk.proposeTransferOwnership(timelock, token, other.address),
+        await sdk.proposeChangeTimelockController(timelock, addresses.XPassToken, other),
+        await sdk.proposeUpdateDelay(timelock, TEST_DELAY * 2),
+        await sdk.proposeGrantRole(timelock, proposerRole, other.address),
+        await sdk.proposeRevokeRole(timelock, proposerRole, owner.address)
+      ];
+
+      const ids = proposals.map((proposal) => proposal.proposalId);
+      expect(new Set(ids).size).to.equal(ids.length);
+      for (const id of ids) {
+        expect((await sdk.getProposalState(timelock, id)).state).to.equal("Waiting");
+      }
+    });
+
+    it("Should decode and list recorded proposals", async function () {
+      const { token, timelock } = await sdk.connect(owner, { addresses });
+
+      const pause = await sdk.proposePause(timelock, token);
+      const delay = await sdk.proposeUpdateDelay(timelock, TEST_DELAY * 2);
+      await timelock.cancel(delay.proposalId);
+
+      const proposal = await sdk.getProposal(timelock, pause.proposalId);
+      expect(proposal).to.include({
+        proposalId: pause.proposalId,
+        kind: "PAUSE",
+        target: addresses.XPassToken,
+        data: token.interface.encodeFunctionData("pause"),
+        proposer: owner.address,
+        readyAt: proposal.createdAt + TEST_DELAY
+      });
+
+      expect((await sdk.listProposals(timelock)).map((item) => item.kind)).to.deep.equal(["PAUSE", "UPDATE_DELAY"]);
+      expect((await sdk.listProposals(timelock, { offset: 1 })).map((item) => item.proposalId)).to.deep.equal([delay.proposalId]);
+      expect((await sdk.listProposals(timelock, { state: "Waiting" })).map((item) => item.proposalId)).to.deep.equal([pause.proposalId]);
+      await expect(sdk.listProposals(timelock, { state: "Pending" })).to.be.rejectedWith("Unknown proposal state");
+
+      expect(await sdk.describeProposal(timelock, delay.proposalId)).to.deep.equal({
+        proposalId: delay.proposalId,
+        state: "Cancelled",
+        secondsRemaining: 0,
+        selector: timelock.interface.getFunction("updateDelay").selector,
+        functionName: "updateDelay"
+      });
+    });
+  });
+});
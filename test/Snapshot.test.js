@@ -0,0 +1,97 @@
+const { expect } = require("chai");
+const { ethers, artifacts } = require("hardhat");
+const { StandardMerkleTree } = require("@openzeppelin/merkle-tree");
+
+const { openStore, indexEvents, queryEvents, loadInterfaces } = require("../scripts/lib/indexer");
+const { replayTransfers, takeSnapshot } = require("../scripts/lib/snapshot");
+
+describe("Holder balance snapshots", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let xpassToken;
+  let owner;
+  let addr1;
+  let addr2;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+  });
+
+  async function indexTransfers() {
+    const store = openStore("unused.json", {
+      chainId: 1337,
+      contracts: { XPassToken: { address: await xpassToken.getAddress(), fromBlock: 0 } }
+    });
+    await indexEvents(ethers.provider, store, {
+      interfaces: await loadInterfaces(artifacts, ["XPassToken"]),
+      toBlock: await ethers.provider.getBlockNumber()
+    });
+    return queryEvents(store, { event: "Transfer" });
+  }
+
+  it("Should reconstruct balances at an arbitrary block", async function () {
+    await xpassToken.transfer(addr1.address, 1000n);
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    await xpassToken.transfer(addr2.address, 500n);
+    await xpassToken.connect(addr1).transfer(addr2.address, 400n);
+
+    const transfers = await indexTransfers();
+    const snapshot = await takeSnapshot(xpassToken, transfers, snapshotBlock);
+
+    const balances = Object.fromEntries(snapshot.holders.map((holder) => [holder.address, holder.balance]));
+    expect(balances[addr1.address]).to.equal(1000n);
+    expect(balances[addr2.address]).to.be.undefined;
+    expect(balances[owner.address]).to.equal((await xpassToken.maxSupply()) - 1000n);
+
+    // Replaying up to the latest block must match live balances
+    const latest = await takeSnapshot(xpassToken, transfers, await ethers.provider.getBlockNumber());
+    for (const holder of latest.holders) {
+      expect(holder.balance).to.equal(await xpassToken.balanceOf(holder.address));
+    }
+  });
+
+  it("Should cross-check the sum of balances against totalSupply and maxSupply", async function () {
+    await xpassToken.transfer(addr1.address, 1000n);
+
+    const snapshot = await takeSnapshot(xpassToken, await indexTransfers(), await ethers.provider.getBlockNumber());
+
+    expect(snapshot.total).to.equal(await xpassToken.totalSupply());
+    expect(snapshot.checks.sumEqualsTotalSupply).to.be.true;
+    expect(snapshot.checks.sumWithinMaxSupply).to.be.true;
+  });
+
+  it("Should build a Merkle tree whose proofs verify every holder", async function () {
+    await xpassToken.transfer(addr1.address, 1000n);
+    await xpassToken.transfer(addr2.address, 2000n);
+
+    const snapshot = await takeSnapshot(xpassToken, await indexTransfers(), await ethers.provider.getBlockNumber());
+    expect(snapshot.holderCount).to.equal(3);
+
+    for (const [index, [address, balance]] of snapshot.tree.entries()) {
+      const proof = snapshot.tree.getProof(index);
+      expect(StandardMerkleTree.verify(snapshot.tree.root, ["address", "uint256"], [address, balance], proof)).to.be.true;
+    }
+  });
+
+  it("Should sort holders by balance and drop emptied accounts", function () {
+    const transfers = [
+      { args: { from: ethers.ZeroAddress, to: owner.address, value: "100" } },
+      { args: { from: owner.address, to: addr1.address, value: "30" } },
+      { args: { from: owner.address, to: addr2.address, value: "70" } }
+    ];
+
+    const holders = replayTransfers(transfers);
+    expect(holders.map((holder) => holder.address)).to.deep.equal([addr2.address, addr1.address]);
+  });
+
+  it("Should reject an incomplete event history", function () {
+    const transfers = [{ args: { from: owner.address, to: addr1.address, value: "1" } }];
+    expect(() => replayTransfers(transfers)).to.throw("history is incomplete");
+  });
+});
@@ -0,0 +1,182 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const {
+  decodeOperationState,
+  formatDuration,
+  describeProposal,
+  fetchOperations,
+  findOperation,
+  describeCall,
+  executeOperation,
+  cancelOperation
+} = require("../scripts/lib/timelock-operations");
+
+describe("Timelock operation lifecycle", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let xpassToken;
+  let timelockController;
+  let owner;
+  let addr1;
+  let tokenAddress;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+    tokenAddress = await xpassToken.getAddress();
+  });
+
+  it("Should reconstruct a proposePause operation including its on-chain salt", async function () {
+    await timelockController.proposePause(tokenAddress);
+
+    const operations = await fetchOperations(timelockController);
+    expect(operations).to.have.length(1);
+
+    const [operation] = operations;
+    expect(operation.state).to.equal("Waiting");
+    expect(operation.calls).to.have.length(1);
+    expect(operation.calls[0].target).to.equal(tokenAddress);
+    expect(operation.salt).to.not.equal(ethers.ZeroHash);
+    expect(operation.delay).to.equal(TEST_DELAY);
+
+    // The recovered tuple must hash to the operation id
+    const recomputed = await timelockController.hashOperation(
+      operation.calls[0].target, operation.calls[0].value, operation.calls[0].data, operation.predecessor, operation.salt
+    );
+    expect(recomputed).to.equal(operation.id);
+    expect(operation.readyAt).to.equal(Number(await timelockController.getTimestamp(operation.id)));
+  });
+
+  it("Should execute a Ready operation by id", async function () {
+    await timelockController.proposePause(tokenAddress);
+    let [operation] = await fetchOperations(timelockController);
+
+    await expect(executeOperation(timelockController, operation)).to.be.rejectedWith("only Ready operations");
+
+    await time.increase(TEST_DELAY + 1);
+    [operation] = await fetchOperations(timelockController);
+    expect(operation.state).to.equal("Ready");
+
+    await (await executeOperation(timelockController, operation)).wait();
+    expect(await xpassToken.paused()).to.be.true;
+
+    [operation] = await fetchOperations(timelockController);
+    expect(operation.state).to.equal("Done");
+    expect(operation.executedTx).to.not.be.null;
+    expect(operation.readyAt).to.be.null;
+  });
+
+  it("Should cancel a pending operation and report it as Cancelled", async function () {
+    await timelockController.proposePause(tokenAddress);
+    let [operation] = await fetchOperations(timelockController);
+
+    await (await cancelOperation(timelockController, operation)).wait();
+
+    [operation] = await fetchOperations(timelockController);
+    expect(operation.state).to.equal("Cancelled");
+    await expect(cancelOperation(timelockController, operation)).to.be.rejectedWith("only pending operations");
+  });
+
+  it("Should reconstruct and execute batch operations", async function () {
+    const pauseData = xpassToken.interface.encodeFunctionData("pause");
+    const unpauseData = xpassToken.interface.encodeFunctionData("unpause");
+    const salt = ethers.id("batch");
+
+    await timelockController.scheduleBatch(
+      [tokenAddress, tokenAddress], [0, 0], [pauseData, unpauseData], ethers.ZeroHash, salt, TEST_DELAY
+    );
+    await time.increase(TEST_DELAY + 1);
+
+    const [operation] = await fetchOperations(timelockController);
+    expect(operation.calls).to.have.length(2);
+    expect(operation.salt).to.equal(salt);
+
+    await (await executeOperation(timelockController, operation)).wait();
+    expect(await xpassToken.paused()).to.be.false;
+    expect(await timelockController.isOperationDone(operation.id)).to.be.true;
+  });
+
+  it("Should scan logs in chunks and find operations by id", async function () {
+    await timelockController.proposePause(tokenAddress);
+    await timelockController.proposeUnpause(tokenAddress);
+
+    const operations = await fetchOperations(timelockController, { fromBlock: 0, chunkSize: 1 });
+    expect(operations).to.have.length(2);
+
+    const operation = findOperation(operations, operations[1].id.toUpperCase().replace("0X", "0x"));
+    expect(operation.id).to.equal(operations[1].id);
+    expect(() => findOperation(operations, ethers.ZeroHash)).to.throw("was not found");
+  });
+
+  it("Should describe operation calls with known interfaces", async function () {
+    await timelockController.proposePause(tokenAddress);
+    const [operation] = await fetchOperations(timelockController);
+
+    expect(describeCall(operation.calls[0], [xpassToken.interface])).to.equal("pause()");
+    expect(describeCall({ data: "0xdeadbeef", value: 0n }, [xpassToken.interface])).to.equal("unknown selector 0xdeadbeef");
+  });
+
+  it("Should decode operation states and format durations", async function () {
+    expect([0, 1, 2, 3n].map(decodeOperationState)).to.deep.equal(["Unset", "Waiting", "Ready", "Done"]);
+    expect(() => decodeOperationState(4)).to.throw("Unknown operation state 4");
+
+    expect(formatDuration(0)).to.equal("0s");
+    expect(formatDuration(59)).to.equal("59s");
+    expect(formatDuration(172800)).to.equal("2d");
+    expect(formatDuration(90061n)).to.equal("1d 1h 1m 1s");
+  });
+
+  it("Should describe a proposal with its state, remaining time and decoded call", async function () {
+    // Ownership proposals require the timelock to own the token
+    await xpassToken.transferOwnership(await timelockController.getAddress());
+    await timelockController.proposeTransferOwnership(tokenAddress, addr1.address);
+    const proposalId = await timelockController.proposalIdAt(0);
+    const interfaces = [xpassToken.interface, timelockController.interface];
+
+    const waiting = await describeProposal(timelockController, proposalId, interfaces);
+    expect(waiting).to.include({
+      proposalId,
+      state: "Waiting",
+      secondsRemaining: TEST_DELAY,
+      readyAt: (await time.latest()) + TEST_DELAY,
+      functionName: "transferOwnership",
+      call: `transferOwnership(${addr1.address})`,
+      target: tokenAddress,
+      proposer: owner.address
+    });
+    expect(waiting.selector).to.equal(xpassToken.interface.getFunction("transferOwnership").selector);
+
+    await timelockController.cancel(proposalId);
+    const cancelled = await describeProposal(timelockController, proposalId, interfaces);
+    expect(cancelled.state).to.equal("Cancelled");
+    expect(cancelled.readyAt).to.be.null;
+  });
+
+  it("Should describe batch operations without recorded metadata", async function () {
+    const salt = ethers.id("batch");
+    const pauseData = xpassToken.interface.encodeFunctionData("pause");
+    await timelockController.scheduleBatch([tokenAddress], [0], [pauseData], ethers.ZeroHash, salt, TEST_DELAY);
+    const id = await timelockController.hashOperationBatch([tokenAddress], [0], [pauseData], ethers.ZeroHash, salt);
+
+    const description = await describeProposal(timelockController, id);
+    expect(description).to.include({ state: "Waiting", functionName: "unknown", call: null, proposer: null });
+    expect(description.selector).to.equal("0x00000000");
+  });
+
+  it("Should not allow non-executors to execute operations", async function () {
+    await timelockController.proposePause(tokenAddress);
+    await time.increase(TEST_DELAY + 1);
+    const [operation] = await fetchOperations(timelockController);
+
+    await expect(
+      executeOperation(timelockController.connect(addr1), operation)
+    ).to.be.revertedWithCustomError(timelockController, "AccessControlUnauthorizedAccount");
+  });
+});
@@ -0,0 +1,110 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers, network } = hre;
+
+const { deployXPass } = require("../scripts/lib/deployer");
+const { CONTRACT_NAMES, verifyContract, verifyDeployment } = require("../scripts/lib/verify");
+
+describe("Block explorer verification", function () {
+  const NO_WAIT = { confirmations: 0, retries: 3, retryInterval: 0 };
+
+  let signers;
+  let multisigAddress;
+  let snapshotId;
+
+  /**
+   * @dev Runtime environment whose verify:verify subtask answers with the given responses in turn
+   * @param responses Error messages to throw, or null for a successful verification
+   */
+  const stubExplorer = (responses) => {
+    const calls = [];
+    const stub = Object.create(hre, {
+      run: {
+        value: async (name, args) => {
+          calls.push({ name, ...args });
+          const response = responses.length > 1 ? responses.shift() : responses[0];
+          if (response) {
+            throw new Error(response);
+          }
+        }
+      }
+    });
+    return { hre: stub, calls };
+  };
+
+  beforeEach(async function () {
+    signers = await ethers.getSigners();
+    multisigAddress = process.env.MULTISIG_ADDRESS;
+    process.env.MULTISIG_ADDRESS = signers[1].address;
+    snapshotId = await network.provider.send("evm_snapshot");
+  });
+
+  afterEach(async function () {
+    await network.provider.send("evm_revert", [snapshotId]);
+    if (multisigAddress === undefined) {
+      delete process.env.MULTISIG_ADDRESS;
+    } else {
+      process.env.MULTISIG_ADDRESS = multisigAddress;
+    }
+  });
+
+  it("Should retry while the explorer has not indexed the contract", async function () {
+    const entry = { address: signers[2].address, constructorArgs: ["172800", signers[1].address] };
+    const explorer = stubExplorer([
+      "The address provided does not have bytecode",
+      "Contract source code not yet indexed",
+      null
+    ]);
+
+    expect(await verifyContract(explorer.hre, "XPassTimelockController", entry, NO_WAIT)).to.equal("verified");
+    expect(explorer.calls).to.have.length(3);
+    expect(explorer.calls[0]).to.deep.equal({
+      name: "verify:verify",
+      address: entry.address,
+      constructorArguments: entry.constructorArgs,
+      contract: CONTRACT_NAMES.XPassTimelockController
+    });
+
+    // Gives up after the configured number of retries
+    const unindexed = stubExplorer(["Unable to locate ContractCode"]);
+    await expect(verifyContract(unindexed.hre, "XPassTimelockController", entry, NO_WAIT))
+      .to.be.rejectedWith("Unable to locate ContractCode");
+    expect(unindexed.calls).to.have.length(NO_WAIT.retries + 1);
+  });
+
+  it("Should accept already verified contracts and fail fast on other errors", async function () {
+    const entry = { address: signers[2].address, constructorArgs: [] };
+
+    const verified = stubExplorer(["Contract source code already verified"]);
+    expect(await verifyContract(verified.hre, "XPassToken", entry, NO_WAIT)).to.equal("already-verified");
+    expect(verified.calls).to.have.length(1);
+
+    const mismatch = stubExplorer(["The contract verification failed: bytecode does not match"]);
+    await expect(verifyContract(mismatch.hre, "XPassToken", entry, NO_WAIT)).to.be.rejectedWith("bytecode does not match");
+    expect(mismatch.calls).to.have.length(1);
+  });
+
+  it("Should verify every contract with the constructor arguments of the manifest", async function () {
+    const manifest = await deployXPass(hre, {});
+    const explorer = stubExplorer(["Already Verified", null]);
+
+    // xpass:verify reads deployments/<network>/deployment.json
+    const results = await hre.tasks["xpass:verify"].action({ confirmations: 1, retries: 0, retryInterval: 0 }, explorer.hre);
+    expect(results).to.deep.equal({ XPassTimelockController: "already-verified", XPassToken: "verified" });
+    expect(explorer.calls.map((call) => [call.address, call.constructorArguments, call.contract])).to.deep.equal([
+      [manifest.contracts.XPassTimelockController.address, ["172800", signers[1].address], CONTRACT_NAMES.XPassTimelockController],
+      [manifest.contracts.XPassToken.address, [signers[1].address, manifest.contracts.XPassTimelockController.address], CONTRACT_NAMES.XPassToken]
+    ]);
+  });
+
+  it("Should report failed contracts without stopping the others", async function () {
+    const manifest = await deployXPass(hre, {});
+    const explorer = stubExplorer(["Fail - Unable to verify", null]);
+
+    const results = await verifyDeployment(explorer.hre, manifest, NO_WAIT);
+    expect(results).to.deep.equal({ XPassTimelockController: "failed", XPassToken: "verified" });
+
+    await expect(hre.tasks["xpass:verify"].action({ confirmations: 0, retries: 0, retryInterval: 0 }, stubExplorer(["Fail"]).hre))
+      .to.be.rejectedWith("One or more contracts failed verification");
+  });
+});
@@ -0,0 +1,171 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+const { parseRecipients } = require("../scripts/lib/recipients");
+const {
+  ensureBatchSender,
+  chunkRecipients,
+  planDisbursement,
+  buildDisbursementBatches,
+  sendDisbursement,
+  reconcileDisbursement
+} = require("../scripts/lib/disbursement");
+
+const { ethers } = hre;
+
+describe("XPassBatchSender", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+
+  let xpassToken;
+  let batchSender;
+  let owner;
+  let safe;
+  let recipients;
+  let tokenAddress;
+  let senderAddress;
+
+  const toCsv = (rows) => ["address,amount", ...rows.map(([address, amount]) => `${address},${amount}`)].join("\n");
+
+  beforeEach(async function () {
+    [owner, safe] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+    tokenAddress = await xpassToken.getAddress();
+
+    const XPassBatchSender = await ethers.getContractFactory("XPassBatchSender");
+    batchSender = await XPassBatchSender.deploy();
+    senderAddress = await batchSender.getAddress();
+
+    // Fresh addresses: every transfer creates a new holder (worst case gas)
+    recipients = Array.from({ length: 12 }, (_, index) => [ethers.Wallet.createRandom().address, `${index + 1}`]);
+  });
+
+  describe("Contract", function () {
+    it("Should transfer from the caller to every recipient", async function () {
+      const addresses = recipients.slice(0, 3).map(([address]) => address);
+      const amounts = [1n, 2n, 3n];
+      await xpassToken.approve(senderAddress, 6n);
+
+      await expect(batchSender.batchTransfer(tokenAddress, addresses, amounts))
+        .to.emit(batchSender, "BatchTransferred")
+        .withArgs(tokenAddress, owner.address, 3, 6);
+      expect(await xpassToken.balanceOf(addresses[2])).to.equal(3n);
+      expect(await xpassToken.allowance(owner.address, senderAddress)).to.equal(0);
+    });
+
+    it("Should revert the whole batch on a zero address receiver", async function () {
+      await xpassToken.approve(senderAddress, 3n);
+
+      await expect(batchSender.batchTransfer(tokenAddress, [recipients[0][0], ethers.ZeroAddress], [1n, 2n]))
+        .to.be.revertedWithCustomError(xpassToken, "ERC20InvalidReceiver")
+        .withArgs(ethers.ZeroAddress);
+      expect(await xpassToken.balanceOf(recipients[0][0])).to.equal(0);
+    });
+
+    it("Should reject empty, mismatched and unapproved batches", async function () {
+      await expect(batchSender.batchTransfer(tokenAddress, [], []))
+        .to.be.revertedWith("XPassBatchSender: no recipients");
+      await expect(batchSender.batchTransfer(tokenAddress, [recipients[0][0]], [1n, 2n]))
+        .to.be.revertedWith("XPassBatchSender: recipients and amounts length mismatch");
+      await expect(batchSender.batchTransfer(tokenAddress, [recipients[0][0]], [1n]))
+        .to.be.revertedWithCustomError(xpassToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Disbursement tooling", function () {
+    it("Should require checksummed addresses in strict mode", async function () {
+      const lowercase = recipients[0][0].toLowerCase();
+
+      expect(parseRecipients(toCsv([[lowercase, "1"]]))[0].address).to.equal(recipients[0][0]);
+      expect(() => parseRecipients(toCsv([[lowercase, "1"]]), { strictChecksum: true }))
+        .to.throw("line 2: address");
+    });
+
+    it("Should chunk by gas limit and stay within the estimate", async function () {
+      const parsed = parseRecipients(toCsv(recipients), { strictChecksum: true });
+      const gasLimit = 300_000;
+      const chunks = chunkRecipients(parsed, { gasLimit });
+      expect(chunks.map((chunk) => chunk.recipients.length)).to.deep.equal([6, 6]);
+      expect(() => chunkRecipients(parsed, { gasLimit: 50_000 })).to.throw("too low");
+
+      const plan = await planDisbursement(xpassToken, batchSender, owner.address, parsed, { gasLimit });
+      await sendDisbursement(xpassToken, batchSender, plan, { gasLimit });
+      expect(plan.sentChunks).to.have.length(2);
+
+      for (const hash of plan.sentChunks) {
+        const receipt = await ethers.provider.getTransactionReceipt(hash);
+        expect(receipt.gasUsed).to.be.lessThan(BigInt(plan.chunks[0].estimatedGas));
+      }
+    });
+
+    it("Should send directly and reconcile the balances", async function () {
+      const parsed = parseRecipients(toCsv(recipients), { strictChecksum: true });
+      await xpassToken.transfer(recipients[0][0], ethers.parseUnits("5", 18)); // pre-existing balance
+
+      const plan = await planDisbursement(xpassToken, batchSender, owner.address, parsed);
+      expect(plan.recipients[0].balanceBefore).to.equal(ethers.parseUnits("5", 18).toString());
+
+      await sendDisbursement(xpassToken, batchSender, plan);
+      const report = await reconcileDisbursement(xpassToken, plan);
+      expect(report.ok).to.be.true;
+      expect(report.sourceDelta).to.equal(ethers.parseUnits("78", 18).toString()); // 1 + 2 + ... + 12
+      expect(report.recipients[0].balanceAfter).to.equal(ethers.parseUnits("6", 18).toString());
+
+      // Re-sending a completed plan is a no-op
+      await sendDisbursement(xpassToken, batchSender, plan);
+      expect((await reconcileDisbursement(xpassToken, plan)).ok).to.be.true;
+    });
+
+    it("Should build Safe batches per chunk and flag missing transfers", async function () {
+      await xpassToken.transfer(safe.address, ethers.parseUnits("1000", 18));
+      const parsed = parseRecipients(toCsv(recipients), { strictChecksum: true });
+
+      const plan = await planDisbursement(xpassToken, batchSender, safe.address, parsed, { gasLimit: 300_000 });
+      const batches = buildDisbursementBatches(plan, {
+        chainId: 1337,
+        name: "partners",
+        tokenInterface: xpassToken.interface,
+        senderInterface: batchSender.interface
+      });
+      expect(batches).to.have.length(2);
+      expect(batches[0].meta.createdFromSafeAddress).to.equal(safe.address);
+      expect(batches[0].transactions.map((tx) => tx.contractMethod.name)).to.deep.equal(["approve", "batchTransfer"]);
+
+      // The Safe executes only the first chunk
+      for (const tx of batches[0].transactions) {
+        await safe.sendTransaction({ to: tx.to, data: tx.data });
+      }
+      const report = await reconcileDisbursement(xpassToken, plan);
+      expect(report.ok).to.be.false;
+      expect(report.sourceOk).to.be.false;
+      expect(report.mismatches).to.equal(6);
+      expect(report.recipients.slice(0, 6).every((recipient) => recipient.ok)).to.be.true;
+    });
+
+    it("Should redeploy the batch sender when its pending deployment was dropped", async function () {
+      const dropped = { status: "pending", address: safe.address, constructorArgs: [], txHash: ethers.id("dropped") };
+      const manifest = { batchSender: dropped };
+
+      const sender = await ensureBatchSender(hre, manifest, { deployer: owner });
+      expect(manifest.batchSender.status).to.equal("deployed");
+      expect(manifest.batchSender.address).to.equal(await sender.getAddress());
+      expect(manifest.batchSender.address).to.not.equal(dropped.address);
+      expect(await ethers.provider.getCode(manifest.batchSender.address)).to.not.equal("0x");
+
+      // The redeployed sender is reused afterwards
+      expect(await (await ensureBatchSender(hre, manifest, { deployer: owner })).getAddress()).to.equal(manifest.batchSender.address);
+    });
+
+    it("Should refuse a source without enough balance or listed as recipient", async function () {
+      const parsed = parseRecipients(toCsv(recipients));
+      await expect(planDisbursement(xpassToken, batchSender, safe.address, parsed)).to.be.rejectedWith("XPASS needed");
+
+      const withSource = parseRecipients(toCsv([[owner.address, "1"]]));
+      await expect(planDisbursement(xpassToken, batchSender, owner.address, withSource)).to.be.rejectedWith("cannot be a recipient");
+    });
+  });
+});
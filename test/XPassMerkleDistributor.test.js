@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { parseRecipients, buildAirdrop, deployDistributor } = require("../scripts/lib/airdrop");
+const { buildGovernanceBatch } = require("../scripts/lib/safe-batch");
+
+const { ethers } = hre;
+
+describe("XPassMerkleDistributor", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+  const DAY = 24 * 60 * 60;
+
+  let xpassToken;
+  let timelockController;
+  let distributor;
+  let airdrop;
+  let owner;
+  let alice;
+  let bob;
+  let relayer;
+  let tokenAddress;
+  let timelockAddress;
+  let deadline;
+
+  beforeEach(async function () {
+    [owner, alice, bob, relayer] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+    timelockAddress = await timelockController.getAddress();
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, timelockAddress);
+    tokenAddress = await xpassToken.getAddress();
+
+    airdrop = buildAirdrop(parseRecipients(`address,amount\n${alice.address},100\n${bob.address},250.5\n`));
+    deadline = (await time.latest()) + 30 * DAY;
+
+    const XPassMerkleDistributor = await ethers.getContractFactory("XPassMerkleDistributor");
+    distributor = await XPassMerkleDistributor.deploy(tokenAddress, airdrop.root, deadline, owner.address, timelockAddress);
+    await xpassToken.transfer(await distributor.getAddress(), airdrop.total);
+  });
+
+  describe("Claims", function () {
+    it("Should let a recipient claim its amount once", async function () {
+      const { amount, proof } = airdrop.claims[alice.address];
+
+      await expect(distributor.connect(alice).claim(alice.address, amount, proof))
+        .to.emit(distributor, "Claimed")
+        .withArgs(alice.address, amount, alice.address);
+      expect(await xpassToken.balanceOf(alice.address)).to.equal(ethers.parseUnits("100", 18));
+      expect(await distributor.isClaimed(alice.address)).to.be.true;
+
+      await expect(distributor.connect(alice).claim(alice.address, amount, proof))
+        .to.be.revertedWith("XPassMerkleDistributor: already claimed");
+    });
+
+    it("Should let anyone claim on behalf of a recipient", async function () {
+      const { amount, proof } = airdrop.claims[bob.address];
+
+      await expect(distributor.connect(relayer).claim(bob.address, amount, proof))
+        .to.emit(distributor, "Claimed")
+        .withArgs(bob.address, amount, relayer.address);
+      expect(await xpassToken.balanceOf(bob.address)).to.equal(ethers.parseUnits("250.5", 18));
+      expect(await xpassToken.balanceOf(relayer.address)).to.equal(0);
+    });
+
+    it("Should reject invalid proofs and amounts", async function () {
+      const { amount, proof } = airdrop.claims[alice.address];
+
+      await expect(distributor.claim(alice.address, BigInt(amount) + 1n, proof))
+        .to.be.revertedWith("XPassMerkleDistributor: invalid proof");
+      await expect(distributor.claim(relayer.address, amount, proof))
+        .to.be.revertedWith("XPassMerkleDistributor: invalid proof");
+    });
+
+    it("Should reject claims after the deadline", async function () {
+      const { amount, proof } = airdrop.claims[alice.address];
+
+      await time.increaseTo(deadline + 1);
+      await expect(distributor.claim(alice.address, amount, proof))
+        .to.be.revertedWith("XPassMerkleDistributor: claim period has ended");
+    });
+  });
+
+  describe("Sweep", function () {
+    it("Should only allow the timelock to sweep, after the deadline", async function () {
+      await expect(distributor.connect(owner).sweep())
+        .to.be.revertedWithCustomError(distributor, "OwnableUnauthorizedAccount");
+
+      // Scheduled through the timelock with the proposeSweep Safe action
+      const batch = buildGovernanceBatch("proposeSweep", {
+        chainId: 1337,
+        safe: owner.address,
+        token: tokenAddress,
+        timelock: timelockAddress,
+        minDelay: TEST_DELAY,
+        tokenInterface: xpassToken.interface,
+        timelockInterface: timelockController.interface,
+        params: { distributor: await distributor.getAddress() }
+      });
+      const [scheduleTx] = batch.transactions;
+      await owner.sendTransaction({ to: scheduleTx.to, data: scheduleTx.data });
+
+      const { target, data, predecessor, salt } = scheduleTx.contractInputsValues;
+      await time.increase(TEST_DELAY + 1);
+      await expect(timelockController.execute(target, 0, data, predecessor, salt))
+        .to.be.revertedWith("XPassMerkleDistributor: claim period has not ended");
+
+      const { amount, proof } = airdrop.claims[alice.address];
+      await distributor.claim(alice.address, amount, proof);
+
+      await time.increaseTo(deadline + 1);
+      const ownerBalance = await xpassToken.balanceOf(owner.address);
+      await expect(timelockController.execute(target, 0, data, predecessor, salt))
+        .to.emit(distributor, "Swept")
+        .withArgs(owner.address, ethers.parseUnits("250.5", 18));
+      expect(await xpassToken.balanceOf(owner.address)).to.equal(ownerBalance + ethers.parseUnits("250.5", 18));
+    });
+  });
+
+  describe("Airdrop generator", function () {
+    it("Should report every invalid CSV row with its line number", async function () {
+      const csv = [
+        "address,amount",
+        `${alice.address},10`,
+        "0x123,10",
+        `${ethers.ZeroAddress},10`,
+        `${bob.address},0`,
+        `${alice.address.toLowerCase()},5`,
+        `${bob.address},abc`
+      ].join("\n");
+
+      let message;
+      try {
+        parseRecipients(csv);
+      } catch (error) {
+        message = error.message;
+      }
+      expect(message).to.include("line 3: invalid address");
+      expect(message).to.include("line 4: zero address");
+      expect(message).to.include("line 5: amount must be positive");
+      expect(message).to.include("line 6: duplicate address");
+      expect(message).to.include("line 7: invalid amount");
+    });
+
+    it("Should deploy, fund and resume a distributor from the manifest", async function () {
+      const manifest = {
+        chainId: 1337,
+        multisig: owner.address,
+        contracts: {
+          XPassToken: { address: tokenAddress },
+          XPassTimelockController: { address: timelockAddress }
+        }
+      };
+
+      const { entry, batch } = await deployDistributor(hre, manifest, "community", airdrop, { deadline, deployer: owner });
+      expect(batch).to.be.null;
+      expect(entry.funding.status).to.equal("funded");
+      expect(await xpassToken.balanceOf(entry.address)).to.equal(airdrop.total);
+
+      // Claimed tokens count as funded, so a re-run transfers nothing
+      const claim = airdrop.claims[alice.address];
+      await (await ethers.getContractAt("XPassMerkleDistributor", entry.address)).claim(alice.address, claim.amount, claim.proof);
+      const resumed = await deployDistributor(hre, manifest, "community", airdrop, { deadline, deployer: owner });
+      expect(resumed.entry.address).to.equal(entry.address);
+      expect(await xpassToken.balanceOf(entry.address)).to.equal(airdrop.total - BigInt(claim.amount));
+
+      const other = buildAirdrop(parseRecipients(`address,amount\n${alice.address},1\n`));
+      await expect(deployDistributor(hre, manifest, "community", other, { deadline, deployer: owner }))
+        .to.be.rejectedWith("use a new airdrop name");
+    });
+
+    it("Should redeploy and fund a distributor whose pending deployment was dropped", async function () {
+      const dropped = {
+        status: "pending",
+        address: alice.address,
+        constructorArgs: [tokenAddress, airdrop.root, deadline, owner.address, timelockAddress].map(String),
+        txHash: ethers.id("dropped"),
+        merkleRoot: airdrop.root,
+        funding: null
+      };
+      const manifest = {
+        chainId: 1337,
+        multisig: owner.address,
+        contracts: {
+          XPassToken: { address: tokenAddress },
+          XPassTimelockController: { address: timelockAddress }
+        },
+        airdrops: { community: dropped }
+      };
+
+      const { entry } = await deployDistributor(hre, manifest, "community", airdrop, { deadline, deployer: owner });
+      expect(entry).to.include({ status: "deployed", merkleRoot: airdrop.root });
+      expect(entry.address).to.not.equal(dropped.address);
+      expect(entry.funding.status).to.equal("funded");
+      expect(await xpassToken.balanceOf(entry.address)).to.equal(airdrop.total);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { signPermit } = require("../scripts/lib/permit");
+const { NO_PERMIT, signTransferIntent, buildRelayRequest, parseRelayRequest } = require("../scripts/lib/signing");
+const { ensurePermitRelayer, validateRelayRequest, createRelayerServer } = require("../scripts/lib/relayer");
+
+const { ethers } = hre;
+
+describe("XPassPermitRelayer", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+  const AMOUNT = ethers.parseUnits("100", 18);
+  const FEE = ethers.parseUnits("2", 18);
+
+  let xpassToken;
+  let relayer;
+  let owner;
+  let holder;
+  let receiver;
+  let relayerAccount;
+  let attacker;
+  let relayerAddress;
+  let deadline;
+
+  beforeEach(async function () {
+    [owner, holder, receiver, relayerAccount, attacker] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+
+    const XPassPermitRelayer = await ethers.getContractFactory("XPassPermitRelayer");
+    relayer = await XPassPermitRelayer.deploy(await xpassToken.getAddress());
+    relayerAddress = await relayer.getAddress();
+
+    // The holder has XPASS but no BNB is needed to move it
+    await xpassToken.transfer(holder.address, ethers.parseUnits("1000", 18));
+    deadline = (await time.latest()) + 3600;
+  });
+
+  const relayAs = async (account, request) => {
+    const parsed = parseRelayRequest(request);
+    return relayer.connect(account).relay(parsed.intent, parsed.signature, parsed.permit);
+  };
+
+  describe("Relaying", function () {
+    it("Should transfer with permit and pay the fee to the relayer", async function () {
+      const request = await buildRelayRequest(holder, xpassToken, relayer, {
+        to: receiver.address,
+        amount: AMOUNT,
+        fee: FEE,
+        deadline
+      });
+      expect(request.permit.value).to.equal((AMOUNT + FEE).toString());
+
+      const holderEth = await ethers.provider.getBalance(holder.address);
+      await expect(relayAs(relayerAccount, request))
+        .to.emit(relayer, "TransferRelayed")
+        .withArgs(holder.address, receiver.address, relayerAccount.address, AMOUNT, FEE, 0);
+
+      expect(await xpassToken.balanceOf(receiver.address)).to.equal(AMOUNT);
+      expect(await xpassToken.balanceOf(relayerAccount.address)).to.equal(FEE);
+      expect(await xpassToken.allowance(holder.address, relayerAddress)).to.equal(0);
+      expect(await relayer.nonces(holder.address)).to.equal(1);
+      expect(await ethers.provider.getBalance(holder.address)).to.equal(holderEth);
+    });
+
+    it("Should relay when the permit was front-run", async function () {
+      const request = await buildRelayRequest(holder, xpassToken, relayer, {
+        to: receiver.address,
+        amount: AMOUNT,
+        fee: FEE,
+        deadline
+      });
+
+      // An observer submits the permit from the mempool first
+      const { permit } = request;
+      await xpassToken.connect(attacker).permit(holder.address, relayerAddress, permit.value, permit.deadline, permit.v, permit.r, permit.s);
+
+      await expect(relayAs(relayerAccount, request)).to.emit(relayer, "TransferRelayed");
+      expect(await xpassToken.balanceOf(receiver.address)).to.equal(AMOUNT);
+    });
+
+    it("Should relay without permit when the allowance is already set", async function () {
+      await xpassToken.connect(holder).approve(relayerAddress, AMOUNT);
+      const request = await buildRelayRequest(holder, xpassToken, relayer, { to: receiver.address, amount: AMOUNT, deadline });
+      expect(request.permit).to.deep.equal(NO_PERMIT);
+
+      await relayAs(relayerAccount, request);
+      expect(await xpassToken.balanceOf(receiver.address)).to.equal(AMOUNT);
+      expect(await xpassToken.nonces(holder.address)).to.equal(0);
+    });
+  });
+
+  describe("Rejections", function () {
+    it("Should reject replayed, expired and tampered intents", async function () {
+      const request = await buildRelayRequest(holder, xpassToken, relayer, { to: receiver.address, amount: AMOUNT, fee: FEE, deadline });
+
+      const tampered = { ...request, intent: { ...request.intent, to: attacker.address } };
+      await expect(relayAs(relayerAccount, tampered)).to.be.revertedWith("XPassPermitRelayer: invalid intent signature");
+
+      await relayAs(relayerAccount, request);
+      await expect(relayAs(relayerAccount, request)).to.be.revertedWith("XPassPermitRelayer: invalid nonce");
+
+      const late = await buildRelayRequest(holder, xpassToken, relayer, { to: receiver.address, amount: AMOUNT, deadline });
+      await time.increaseTo(deadline + 1);
+      await expect(relayAs(relayerAccount, late)).to.be.revertedWith("XPassPermitRelayer: intent expired");
+    });
+
+    it("Should restrict an intent to its designated relayer", async function () {
+      const request = await buildRelayRequest(holder, xpassToken, relayer, {
+        to: receiver.address,
+        amount: AMOUNT,
+        fee: FEE,
+        relayer: relayerAccount.address,
+        deadline
+      });
+
+      await expect(relayAs(attacker, request)).to.be.revertedWith("XPassPermitRelayer: caller is not the designated relayer");
+      await relayAs(relayerAccount, request);
+      expect(await xpassToken.balanceOf(relayerAccount.address)).to.equal(FEE);
+    });
+
+    it("Should revert when the permit does not cover the fee", async function () {
+      const intent = {
+        owner: holder.address,
+        to: receiver.address,
+        amount: AMOUNT,
+        fee: FEE,
+        relayer: ethers.ZeroAddress,
+        nonce: 0,
+        deadline
+      };
+      const permit = await signPermit(holder, xpassToken, { spender: relayerAddress, value: AMOUNT, deadline });
+      const signature = await signTransferIntent(holder, relayer, intent);
+
+      await expect(relayer.connect(relayerAccount).relay(intent, signature, permit))
+        .to.be.revertedWithCustomError(xpassToken, "ERC20InsufficientAllowance");
+    });
+  });
+
+  describe("Relayer deployment", function () {
+    it("Should redeploy the relayer when its pending deployment was dropped", async function () {
+      const tokenAddress = await xpassToken.getAddress();
+      const dropped = { status: "pending", address: attacker.address, constructorArgs: [tokenAddress], txHash: ethers.id("dropped") };
+      const manifest = { contracts: { XPassToken: { address: tokenAddress } }, permitRelayer: dropped };
+
+      const deployed = await ensurePermitRelayer(hre, manifest, { deployer: owner });
+      expect(manifest.permitRelayer.status).to.equal("deployed");
+      expect(manifest.permitRelayer.address).to.equal(await deployed.getAddress());
+      expect(manifest.permitRelayer.address).to.not.equal(dropped.address);
+      expect(await deployed.token()).to.equal(tokenAddress);
+    });
+  });
+
+  describe("Relayer service", function () {
+    let server;
+    let url;
+    const logs = [];
+
+    beforeEach(async function () {
+      server = createRelayerServer(relayer.connect(relayerAccount), { minFee: FEE, log: (line) => logs.push(line) });
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    const post = async (body) => {
+      const response = await fetch(`${url}/relay`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    it("Should publish its configuration and relay signed requests", async function () {
+      const info = await (await fetch(`${url}/info`)).json();
+      expect(info).to.deep.equal({
+        relayer: relayerAddress,
+        token: await xpassToken.getAddress(),
+        chainId: "1337",
+        account: relayerAccount.address,
+        minFee: FEE.toString()
+      });
+
+      const request = await buildRelayRequest(holder, xpassToken, relayer, { to: receiver.address, amount: AMOUNT, fee: FEE, deadline });
+      const { status, body } = await post(request);
+      expect(status).to.equal(200);
+      expect((await ethers.provider.getTransactionReceipt(body.hash)).from).to.equal(relayerAccount.address);
+      expect(await xpassToken.balanceOf(receiver.address)).to.equal(AMOUNT);
+    });
+
+    it("Should refuse low fees, stale nonces and malformed requests", async function () {
+      const cheap = await buildRelayRequest(holder, xpassToken, relayer, { to: receiver.address, amount: AMOUNT, fee: 1n, deadline });
+      expect((await post(cheap)).body.error).to.contain("below the minimum");
+
+      const request = await buildRelayRequest(holder, xpassToken, relayer, { to: receiver.address, amount: AMOUNT, fee: FEE, deadline });
+      await post(request);
+      const replay = await post(request);
+      expect(replay.status).to.equal(400);
+      expect(replay.body.error).to.contain("Invalid nonce");
+
+      expect((await post({ intent: {} })).body.error).to.contain("must contain");
+      await expect(validateRelayRequest(relayer.connect(relayerAccount), { ...request, signature: "0x1234" }))
+        .to.be.rejectedWith("Invalid signature");
+    });
+  });
+});
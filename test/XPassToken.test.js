@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+const { signPermit } = require("../scripts/lib/permit");
 
 describe("XPassToken", function () {
   // Global delay constants
@@ -46,6 +49,15 @@ describe("XPassToken", function () {
     // No need for additional transfer as owner already has all tokens
   });
 
+  // Schedules an XPassToken call through the TimelockController and executes it after the delay
+  async function executeThroughTimelock(functionName, salt = ethers.ZeroHash) {
+    const data = xpassToken.interface.encodeFunctionData(functionName);
+    const target = await xpassToken.getAddress();
+    await timelockController.schedule(target, 0, data, ethers.ZeroHash, salt, PRODUCTION_DELAY);
+    await time.increase(PRODUCTION_DELAY + 1);
+    return timelockController.execute(target, 0, data, ethers.ZeroHash, salt);
+  }
+
   describe("Deployment", function () {
     it("Should deploy with owner as owner", async function () {
       expect(await xpassToken.owner()).to.equal(owner.address);
@@ -382,38 +394,217 @@ describe("XPassToken", function () {
     });
   });
 
+  describe("Emergency Pause (Guardian)", function () {
+    const EMERGENCY_PAUSE_DURATION = 72 * 60 * 60;
+    const EMERGENCY_PAUSE_COOLDOWN = 7 * 24 * 60 * 60;
+    let guardian;
+
+    beforeEach(async function () {
+      guardian = addrs[0];
+      await xpassToken.setGuardian(guardian.address);
+    });
+
+    it("Should let only the owner set the guardian", async function () {
+      expect(await xpassToken.guardian()).to.equal(guardian.address);
+      await expect(xpassToken.connect(addr1).setGuardian(addr1.address))
+        .to.be.revertedWithCustomError(xpassToken, "OwnableUnauthorizedAccount");
+      await expect(xpassToken.setGuardian(guardian.address))
+        .to.be.revertedWith("XPassToken: new guardian cannot be current guardian");
+      await expect(xpassToken.setGuardian(addr1.address))
+        .to.emit(xpassToken, "GuardianChanged")
+        .withArgs(guardian.address, addr1.address);
+    });
+
+    it("Should pause transfers immediately and expire on its own", async function () {
+      await expect(xpassToken.connect(addr1).emergencyPause())
+        .to.be.revertedWith("XPassToken: caller is not the guardian");
+
+      const tx = await xpassToken.connect(guardian).emergencyPause();
+      const pausedAt = await time.latest();
+      await expect(tx).to.emit(xpassToken, "EmergencyPaused").withArgs(guardian.address, pausedAt + EMERGENCY_PAUSE_DURATION);
+      expect(await xpassToken.paused()).to.be.true;
+      await expect(xpassToken.transfer(addr1.address, 1n))
+        .to.be.revertedWithCustomError(xpassToken, "EnforcedPause");
+
+      await time.increaseTo(pausedAt + EMERGENCY_PAUSE_DURATION);
+      expect(await xpassToken.paused()).to.be.false;
+      await expect(xpassToken.transfer(addr1.address, 1n)).to.not.be.reverted;
+    });
+
+    it("Should not let the guardian unpause or renounce the pause", async function () {
+      await xpassToken.connect(guardian).emergencyPause();
+      await expect(xpassToken.connect(guardian).unpause())
+        .to.be.revertedWith("XPassToken: caller is not the timelock controller");
+      await expect(xpassToken.renounceOwnership())
+        .to.be.revertedWith("XPassToken: cannot renounce ownership while paused");
+    });
+
+    it("Should stay paused after expiry once confirmed through the TimelockController", async function () {
+      await xpassToken.connect(guardian).emergencyPause();
+
+      await expect(executeThroughTimelock("pause", ethers.ZeroHash))
+        .to.emit(xpassToken, "EmergencyPauseEnded")
+        .withArgs(true);
+      expect(await xpassToken.emergencyPauseEndsAt()).to.equal(0);
+
+      await time.increase(EMERGENCY_PAUSE_DURATION);
+      expect(await xpassToken.paused()).to.be.true;
+
+      await executeThroughTimelock("unpause", ethers.id("unpause"));
+      expect(await xpassToken.paused()).to.be.false;
+    });
+
+    it("Should be lifted early through the TimelockController", async function () {
+      await xpassToken.connect(guardian).emergencyPause();
+
+      const tx = await executeThroughTimelock("unpause", ethers.ZeroHash);
+      await expect(tx).to.emit(xpassToken, "EmergencyPauseEnded").withArgs(false);
+      await expect(tx).to.emit(xpassToken, "TokensUnpaused");
+      expect(await xpassToken.paused()).to.be.false;
+    });
+
+    it("Should rate-limit repeated guardian pauses", async function () {
+      await xpassToken.connect(guardian).emergencyPause();
+      const pausedAt = await time.latest();
+
+      // While active
+      await expect(xpassToken.connect(guardian).emergencyPause())
+        .to.be.revertedWithCustomError(xpassToken, "EnforcedPause");
+
+      // Expired, but within the cooldown (also after lifting it early or rotating the guardian)
+      await time.increaseTo(pausedAt + EMERGENCY_PAUSE_DURATION);
+      await expect(xpassToken.connect(guardian).emergencyPause())
+        .to.be.revertedWith("XPassToken: emergency pause cooldown");
+      await xpassToken.setGuardian(addr1.address);
+      await expect(xpassToken.connect(addr1).emergencyPause())
+        .to.be.revertedWith("XPassToken: emergency pause cooldown");
+
+      await time.increaseTo(pausedAt + EMERGENCY_PAUSE_DURATION + EMERGENCY_PAUSE_COOLDOWN);
+      await executeThroughTimelock("rearmEmergencyPause", ethers.ZeroHash);
+      await expect(xpassToken.connect(addr1).emergencyPause()).to.emit(xpassToken, "EmergencyPaused");
+    });
+
+    it("Should require a TimelockController review before the next emergency pause", async function () {
+      await xpassToken.connect(guardian).emergencyPause();
+      const pausedAt = await time.latest();
+      expect(await xpassToken.emergencyPauseAwaitingReview()).to.be.true;
+      await expect(executeThroughTimelock("rearmEmergencyPause", ethers.ZeroHash))
+        .to.be.revertedWith("XPassToken: emergency pause still active");
+
+      // Expired without review: the guardian alone cannot freeze transfers again
+      await time.increaseTo(pausedAt + EMERGENCY_PAUSE_DURATION + EMERGENCY_PAUSE_COOLDOWN);
+      await expect(xpassToken.connect(guardian).emergencyPause())
+        .to.be.revertedWith("XPassToken: previous emergency pause awaits timelock review");
+      await expect(xpassToken.connect(guardian).rearmEmergencyPause())
+        .to.be.revertedWith("XPassToken: caller is not the timelock controller");
+
+      await expect(executeThroughTimelock("rearmEmergencyPause", ethers.id("rearm")))
+        .to.emit(xpassToken, "EmergencyPauseRearmed");
+      expect(await xpassToken.emergencyPauseAwaitingReview()).to.be.false;
+      await expect(executeThroughTimelock("rearmEmergencyPause", ethers.id("rearm-again")))
+        .to.be.revertedWith("XPassToken: no emergency pause awaits review");
+
+      // Lifting (or confirming) an active emergency pause also counts as a review
+      await xpassToken.connect(guardian).emergencyPause();
+      await expect(executeThroughTimelock("unpause", ethers.id("lift")))
+        .to.emit(xpassToken, "EmergencyPauseRearmed");
+      expect(await xpassToken.emergencyPauseAwaitingReview()).to.be.false;
+    });
+
+    it("Should not emergency pause while already paused by the TimelockController", async function () {
+      await executeThroughTimelock("pause", ethers.ZeroHash);
+      await expect(xpassToken.connect(guardian).emergencyPause())
+        .to.be.revertedWithCustomError(xpassToken, "EnforcedPause");
+    });
+
+    it("Should disable emergency pauses when the guardian is removed or ownership renounced", async function () {
+      await xpassToken.setGuardian(ethers.ZeroAddress);
+      await expect(xpassToken.connect(guardian).emergencyPause())
+        .to.be.revertedWith("XPassToken: caller is not the guardian");
+
+      await xpassToken.setGuardian(guardian.address);
+      await expect(xpassToken.renounceOwnership())
+        .to.emit(xpassToken, "GuardianChanged")
+        .withArgs(guardian.address, ethers.ZeroAddress);
+      expect(await xpassToken.guardian()).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Bounded Pause Duration", function () {
+    const MAX_PAUSE_DURATION = 30 * 24 * 60 * 60;
+
+    it("Should expose the pause deadline", async function () {
+      expect(await xpassToken.MAX_PAUSE_DURATION()).to.equal(MAX_PAUSE_DURATION);
+      expect(await xpassToken.pausedUntil()).to.equal(0);
+
+      const tx = await executeThroughTimelock("pause");
+      const pausedAt = await time.latest();
+      await expect(tx).to.emit(xpassToken, "PauseDeadlineSet").withArgs(pausedAt + MAX_PAUSE_DURATION);
+      expect(await xpassToken.pausedUntil()).to.equal(pausedAt + MAX_PAUSE_DURATION);
+
+      await executeThroughTimelock("unpause", ethers.id("unpause"));
+      expect(await xpassToken.pausedUntil()).to.equal(0);
+    });
+
+    it("Should resume transfers automatically after the maximum duration", async function () {
+      await executeThroughTimelock("pause");
+      const pausedAt = await time.latest();
+
+      await time.increaseTo(pausedAt + MAX_PAUSE_DURATION - 2);
+      await expect(xpassToken.transfer(addr1.address, 1n))
+        .to.be.revertedWithCustomError(xpassToken, "EnforcedPause");
+
+      await time.increaseTo(pausedAt + MAX_PAUSE_DURATION);
+      expect(await xpassToken.paused()).to.be.false;
+      expect(await xpassToken.pausedUntil()).to.equal(0);
+      await expect(xpassToken.transfer(addr1.address, 1n)).to.not.be.reverted;
+
+      // Already resumed: there is nothing to unpause, but a new pause can be executed
+      const unpauseData = xpassToken.interface.encodeFunctionData("unpause");
+      await timelockController.schedule(await xpassToken.getAddress(), 0, unpauseData, ethers.ZeroHash, ethers.ZeroHash, PRODUCTION_DELAY);
+      await time.increase(PRODUCTION_DELAY + 1);
+      await expect(timelockController.execute(await xpassToken.getAddress(), 0, unpauseData, ethers.ZeroHash, ethers.ZeroHash))
+        .to.be.revertedWithCustomError(xpassToken, "ExpectedPause");
+
+      await executeThroughTimelock("pause", ethers.id("pause again"));
+      expect(await xpassToken.paused()).to.be.true;
+    });
+
+    it("Should renew the deadline when a fresh pause is executed while paused", async function () {
+      await executeThroughTimelock("pause");
+      await time.increase(MAX_PAUSE_DURATION - PRODUCTION_DELAY - 3600);
+
+      const tx = await executeThroughTimelock("pause", ethers.id("renewal"));
+      const renewedAt = await time.latest();
+      await expect(tx).to.emit(xpassToken, "PauseDeadlineSet").withArgs(renewedAt + MAX_PAUSE_DURATION);
+      await expect(tx).to.not.emit(xpassToken, "Paused");
+
+      await time.increase(3600 * 2);
+      expect(await xpassToken.paused()).to.be.true;
+      expect(await xpassToken.pausedUntil()).to.equal(renewedAt + MAX_PAUSE_DURATION);
+    });
+
+    it("Should bound a confirmed emergency pause", async function () {
+      const guardian = addrs[0];
+      await xpassToken.setGuardian(guardian.address);
+      await xpassToken.connect(guardian).emergencyPause();
+      expect(await xpassToken.pausedUntil()).to.equal(await xpassToken.emergencyPauseEndsAt());
+
+      await executeThroughTimelock("pause");
+      const confirmedAt = await time.latest();
+      expect(await xpassToken.pausedUntil()).to.equal(confirmedAt + MAX_PAUSE_DURATION);
+
+      await time.increaseTo(confirmedAt + MAX_PAUSE_DURATION);
+      expect(await xpassToken.paused()).to.be.false;
+      await expect(xpassToken.renounceOwnership()).to.not.be.reverted;
+    });
+  });
+
   describe("Permit-based Transfer", function () {
     it("Should be able to transfer using permit", async function () {
       const deadline = Math.floor(Date.now() / 1000) + PERMIT_DEADLINE_OFFSET;
-      const nonce = await xpassToken.nonces(owner.address);
-      const domain = {
-        name: await xpassToken.name(),
-        version: await xpassToken.version(),
-        chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-        verifyingContract: await xpassToken.getAddress()
-      };
-      
-      const types = {
-        Permit: [
-          { name: 'owner', type: 'address' },
-          { name: 'spender', type: 'address' },
-          { name: 'value', type: 'uint256' },
-          { name: 'nonce', type: 'uint256' },
-          { name: 'deadline', type: 'uint256' }
-        ]
-      };
-      
       const value = ethers.parseUnits("1000", 18);
-      const message = {
-        owner: owner.address,
-        spender: addr1.address,
-        value: value,
-        nonce: nonce,
-        deadline: deadline
-      };
-      
-      const signature = await owner.signTypedData(domain, types, message);
-      const { v, r, s } = ethers.Signature.from(signature);
+      const { v, r, s } = await signPermit(owner, xpassToken, { spender: addr1.address, value, deadline });
       
       await xpassToken.permit(owner.address, addr1.address, value, deadline, v, r, s);
       
@@ -428,18 +619,15 @@ describe("XPassToken", function () {
       const PROPOSER_ROLE = await timelockController.PROPOSER_ROLE();
       await timelockController.grantRole(PROPOSER_ROLE, addr1.address);
       
+      // Ownership proposals require the timelock to own the token
+      await xpassToken.transferOwnership(await timelockController.getAddress());
+
       // addr1 should be able to propose ownership transfer
       const transferData = xpassToken.interface.encodeFunctionData("transferOwnership", [addr2.address]);
       await expect(
-        timelockController.connect(addr1).schedule(
-          await xpassToken.getAddress(),
-          0,
-          transferData,
-          ethers.ZeroHash,
-          ethers.ZeroHash,
-          PRODUCTION_DELAY // 48 hours delay
-        )
-      ).to.not.be.reverted;
+        timelockController.connect(addr1).proposeTransferOwnership(await xpassToken.getAddress(), addr2.address)
+      ).to.emit(timelockController, "CallScheduled")
+        .withArgs(anyValue, 0, await xpassToken.getAddress(), 0, transferData, ethers.ZeroHash, PRODUCTION_DELAY);
     });
 
     it("Should be able to propose pause through TimelockController", async function () {
@@ -902,35 +1090,8 @@ describe("XPassToken", function () {
     describe("Permit Error Cases", function () {
       it("Should revert permit with expired deadline", async function () {
         const deadline = Math.floor(Date.now() / 1000) - 3600 * 24; // 24 hours ago (expired)
-        const nonce = await xpassToken.nonces(owner.address);
-        const domain = {
-          name: await xpassToken.name(),
-          version: await xpassToken.version(),
-          chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-          verifyingContract: await xpassToken.getAddress()
-        };
-        
-        const types = {
-          Permit: [
-            { name: 'owner', type: 'address' },
-            { name: 'spender', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint256' }
-          ]
-        };
-        
         const value = ethers.parseUnits("1000", 18);
-        const message = {
-          owner: owner.address,
-          spender: addr1.address,
-          value: value,
-          nonce: nonce,
-          deadline: deadline
-        };
-        
-        const signature = await owner.signTypedData(domain, types, message);
-        const { v, r, s } = ethers.Signature.from(signature);
+        const { v, r, s } = await signPermit(owner, xpassToken, { spender: addr1.address, value, deadline });
         
         await expect(
           xpassToken.permit(owner.address, addr1.address, value, deadline, v, r, s)
@@ -955,34 +1116,8 @@ describe("XPassToken", function () {
       it("Should revert permit with wrong nonce", async function () {
         const deadline = Math.floor(Date.now() / 1000) + 3600 * 24 * 365;
         const wrongNonce = 999; // Wrong nonce
-        const domain = {
-          name: await xpassToken.name(),
-          version: await xpassToken.version(),
-          chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-          verifyingContract: await xpassToken.getAddress()
-        };
-        
-        const types = {
-          Permit: [
-            { name: 'owner', type: 'address' },
-            { name: 'spender', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint256' }
-          ]
-        };
-        
         const value = ethers.parseUnits("1000", 18);
-        const message = {
-          owner: owner.address,
-          spender: addr1.address,
-          value: value,
-          nonce: wrongNonce,
-          deadline: deadline
-        };
-        
-        const signature = await owner.signTypedData(domain, types, message);
-        const { v, r, s } = ethers.Signature.from(signature);
+        const { v, r, s } = await signPermit(owner, xpassToken, { spender: addr1.address, value, deadline, nonce: wrongNonce });
         
         await expect(
           xpassToken.permit(owner.address, addr1.address, value, deadline, v, r, s)
@@ -991,35 +1126,8 @@ describe("XPassToken", function () {
 
       it("Should revert permit to zero address", async function () {
         const deadline = Math.floor(Date.now() / 1000) + 3600 * 24 * 365;
-        const nonce = await xpassToken.nonces(owner.address);
-        const domain = {
-          name: await xpassToken.name(),
-          version: await xpassToken.version(),
-          chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-          verifyingContract: await xpassToken.getAddress()
-        };
-        
-        const types = {
-          Permit: [
-            { name: 'owner', type: 'address' },
-            { name: 'spender', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint256' }
-          ]
-        };
-        
         const value = ethers.parseUnits("1000", 18);
-        const message = {
-          owner: owner.address,
-          spender: ethers.ZeroAddress,
-          value: value,
-          nonce: nonce,
-          deadline: deadline
-        };
-        
-        const signature = await owner.signTypedData(domain, types, message);
-        const { v, r, s } = ethers.Signature.from(signature);
+        const { v, r, s } = await signPermit(owner, xpassToken, { spender: ethers.ZeroAddress, value, deadline });
         
         await expect(
           xpassToken.permit(owner.address, ethers.ZeroAddress, value, deadline, v, r, s)
@@ -1257,34 +1365,8 @@ describe("XPassToken", function () {
         
         // Perform a permit operation to increment nonce
         const deadline = Math.floor(Date.now() / 1000) + 3600 * 24 * 365;
-        const domain = {
-          name: await xpassToken.name(),
-          version: await xpassToken.version(),
-          chainId: await ethers.provider.getNetwork().then(n => n.chainId),
-          verifyingContract: await xpassToken.getAddress()
-        };
-        
-        const types = {
-          Permit: [
-            { name: 'owner', type: 'address' },
-            { name: 'spender', type: 'address' },
-            { name: 'value', type: 'uint256' },
-            { name: 'nonce', type: 'uint256' },
-            { name: 'deadline', type: 'uint256' }
-          ]
-        };
-        
         const value = ethers.parseUnits("1000", 18);
-        const message = {
-          owner: owner.address,
-          spender: addr1.address,
-          value: value,
-          nonce: initialNonce,
-          deadline: deadline
-        };
-        
-        const signature = await owner.signTypedData(domain, types, message);
-        const { v, r, s } = ethers.Signature.from(signature);
+        const { v, r, s } = await signPermit(owner, xpassToken, { spender: addr1.address, value, deadline, nonce: initialNonce });
         
         // Execute permit
         await xpassToken.permit(owner.address, addr1.address, value, deadline, v, r, s);
@@ -2447,4 +2529,275 @@ describe("XPassToken", function () {
       expect(SELECTOR_UNPAUSE).to.equal("0x3f4ba83a");
     });
   });
+
+  describe("XPassTimelockController (governance proposals)", function () {
+    let timelock;
+    let xpass;
+    let newTimelock;
+    let PROPOSER_ROLE;
+
+    // Calls a propose* function and returns the scheduled operation (id, target, data, salt)
+    async function propose(method, ...args) {
+      const receipt = await (await timelock[method](...args)).wait();
+      const events = receipt.logs.map((log) => timelock.interface.parseLog(log)).filter(Boolean);
+      const scheduled = events.find((event) => event.name === "CallScheduled");
+      const salt = events.find((event) => event.name === "CallSalt");
+      return {
+        id: scheduled.args.id,
+        target: scheduled.args.target,
+        data: scheduled.args.data,
+        delay: scheduled.args.delay,
+        salt: salt.args.salt
+      };
+    }
+
+    async function proposeAndExecute(method, ...args) {
+      const op = await propose(method, ...args);
+      await time.increase(op.delay);
+      await timelock.execute(op.target, 0, op.data, ethers.ZeroHash, op.salt);
+      return op;
+    }
+
+    beforeEach(async function () {
+      timelock = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+      xpass = await XPassToken.deploy(owner.address, await timelock.getAddress());
+      newTimelock = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+      PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
+
+      // The timelock owns the token, as required for ownership proposals
+      await xpass.transferOwnership(await timelock.getAddress());
+    });
+
+    it("Should transfer the token ownership through proposeTransferOwnership", async function () {
+      const op = await proposeAndExecute("proposeTransferOwnership", await xpass.getAddress(), addr1.address);
+
+      expect(op.target).to.equal(await xpass.getAddress());
+      expect(op.delay).to.equal(TEST_DELAY);
+      expect(await xpass.owner()).to.equal(addr1.address);
+    });
+
+    it("Should rotate the token timelock controller through proposeChangeTimelockController", async function () {
+      await proposeAndExecute("proposeChangeTimelockController", await xpass.getAddress(), await newTimelock.getAddress());
+      expect(await xpass.timelockController()).to.equal(await newTimelock.getAddress());
+    });
+
+    it("Should update the minimum delay through proposeUpdateDelay", async function () {
+      const op = await proposeAndExecute("proposeUpdateDelay", PRODUCTION_DELAY);
+
+      expect(op.target).to.equal(await timelock.getAddress());
+      expect(await timelock.getMinDelay()).to.equal(PRODUCTION_DELAY);
+
+      // Later proposals use the new delay
+      const next = await propose("proposePause", await xpass.getAddress());
+      expect(next.delay).to.equal(PRODUCTION_DELAY);
+    });
+
+    it("Should grant and revoke roles through proposeGrantRole and proposeRevokeRole", async function () {
+      await proposeAndExecute("proposeGrantRole", PROPOSER_ROLE, addr1.address);
+      expect(await timelock.hasRole(PROPOSER_ROLE, addr1.address)).to.be.true;
+
+      await proposeAndExecute("proposeRevokeRole", PROPOSER_ROLE, addr1.address);
+      expect(await timelock.hasRole(PROPOSER_ROLE, addr1.address)).to.be.false;
+    });
+
+    it("Should generate a unique proposal ID for identical proposals", async function () {
+      const first = await propose("proposeTransferOwnership", await xpass.getAddress(), addr1.address);
+      const second = await propose("proposeTransferOwnership", await xpass.getAddress(), addr1.address);
+
+      expect(second.salt).to.not.equal(first.salt);
+      expect(second.id).to.not.equal(first.id);
+      expect(await timelock.isOperationPending(first.id)).to.be.true;
+      expect(await timelock.isOperationPending(second.id)).to.be.true;
+    });
+
+    it("Should return the proposal ID of the scheduled operation", async function () {
+      const args = [await xpass.getAddress(), addr1.address];
+      const proposalId = await timelock.proposeTransferOwnership.staticCall(...args);
+      const op = await propose("proposeTransferOwnership", ...args);
+      expect(op.id).to.equal(proposalId);
+    });
+
+    it("Should refuse ownership and timelock proposals while the timelock does not own the token", async function () {
+      // Multi-Sig owned token, as deployed: the proposals could never execute
+      const multisigOwned = await XPassToken.deploy(owner.address, await timelock.getAddress());
+      const tokenAddress = await multisigOwned.getAddress();
+
+      await expect(timelock.proposeTransferOwnership(tokenAddress, addr1.address))
+        .to.be.revertedWith("XPassTimelockController: timelock does not own the token");
+      await expect(timelock.proposeChangeTimelockController(tokenAddress, await newTimelock.getAddress()))
+        .to.be.revertedWith("XPassTimelockController: timelock does not own the token");
+
+      // The Multi-Sig calls the owner-only functions directly instead
+      await multisigOwned.changeTimelockController(await newTimelock.getAddress());
+      await multisigOwned.transferOwnership(addr1.address);
+      expect(await multisigOwned.owner()).to.equal(addr1.address);
+    });
+
+    it("Should reject invalid proposals and non-proposers", async function () {
+      const tokenAddress = await xpass.getAddress();
+
+      await expect(timelock.proposeTransferOwnership(tokenAddress, ethers.ZeroAddress))
+        .to.be.revertedWith("XPassTimelockController: new owner cannot be zero address");
+      await expect(timelock.proposeChangeTimelockController(tokenAddress, ethers.ZeroAddress))
+        .to.be.revertedWith("XPassTimelockController: new timelock controller cannot be zero address");
+      await expect(timelock.proposeGrantRole(PROPOSER_ROLE, ethers.ZeroAddress))
+        .to.be.revertedWith("XPassTimelockController: account cannot be zero address");
+      await expect(timelock.proposeRevokeRole(PROPOSER_ROLE, addr1.address))
+        .to.be.revertedWith("XPassTimelockController: account does not have the role");
+      await expect(timelock.proposeRevokeRole(PROPOSER_ROLE, await timelock.getAddress()))
+        .to.be.revertedWith("XPassTimelockController: cannot revoke its own proposer role");
+
+      await expect(timelock.connect(addr1).proposeUpdateDelay(PRODUCTION_DELAY))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount")
+        .withArgs(addr1.address, PROPOSER_ROLE);
+    });
+  });
+
+  describe("XPassTimelockController (proposal metadata)", function () {
+    const PAUSE_KIND = ethers.dataSlice(ethers.id("PAUSE"), 0, 4);
+    const UNPAUSE_KIND = ethers.dataSlice(ethers.id("UNPAUSE"), 0, 4);
+    const STATE = { Unset: 0, Waiting: 1, Ready: 2, Done: 3 };
+
+    let timelock;
+    let xpass;
+    let tokenAddress;
+
+    // Calls a propose* function and returns the proposal ID
+    async function propose(signer, method, ...args) {
+      const proposalId = await timelock.connect(signer)[method].staticCall(...args);
+      await timelock.connect(signer)[method](...args);
+      return proposalId;
+    }
+
+    beforeEach(async function () {
+      timelock = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+      xpass = await XPassToken.deploy(owner.address, await timelock.getAddress());
+      tokenAddress = await xpass.getAddress();
+    });
+
+    it("Should record the metadata of propose* proposals", async function () {
+      const PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
+      await timelock.grantRole(PROPOSER_ROLE, addr1.address);
+
+      const proposalId = await propose(addr1, "proposePause", tokenAddress);
+      const createdAt = await time.latest();
+      const proposal = await timelock.getProposal(proposalId);
+
+      expect(proposal.target).to.equal(tokenAddress);
+      expect(proposal.value).to.equal(0);
+      expect(proposal.data).to.equal(xpass.interface.encodeFunctionData("pause"));
+      expect(proposal.predecessor).to.equal(ethers.ZeroHash);
+      expect(proposal.proposer).to.equal(addr1.address);
+      expect(proposal.createdAt).to.equal(createdAt);
+      expect(proposal.readyAt).to.equal(createdAt + TEST_DELAY);
+      expect(proposal.readyAt).to.equal(await timelock.getTimestamp(proposalId));
+      expect(proposal.kind).to.equal(PAUSE_KIND);
+
+      // The recorded salt is enough to execute the proposal
+      await time.increaseTo(proposal.readyAt);
+      await timelock.execute(proposal.target, proposal.value, proposal.data, proposal.predecessor, proposal.salt);
+      expect(await xpass.paused()).to.be.true;
+    });
+
+    it("Should record operations scheduled directly with schedule()", async function () {
+      const data = xpass.interface.encodeFunctionData("pause");
+      const salt = ethers.id("direct");
+      const proposalId = await timelock.hashOperation(tokenAddress, 0, data, ethers.ZeroHash, salt);
+
+      await timelock.schedule(tokenAddress, 0, data, ethers.ZeroHash, salt, PRODUCTION_DELAY);
+      const proposal = await timelock.getProposal(proposalId);
+
+      expect(proposal.proposer).to.equal(owner.address);
+      expect(proposal.salt).to.equal(salt);
+      expect(proposal.readyAt).to.equal((await time.latest()) + PRODUCTION_DELAY);
+      expect(proposal.kind).to.equal("0x00000000");
+    });
+
+    it("Should enumerate proposals by index and by state", async function () {
+      const pauseId = await propose(owner, "proposePause", tokenAddress);
+      const unpauseId = await propose(owner, "proposeUnpause", tokenAddress);
+      const cancelledId = await propose(owner, "proposePause", tokenAddress);
+      await timelock.cancel(cancelledId);
+
+      expect(await timelock.proposalCount()).to.equal(3);
+      expect(await timelock.proposalIdAt(0)).to.equal(pauseId);
+      expect(await timelock.proposalIdAt(1)).to.equal(unpauseId);
+      expect((await timelock.getProposal(unpauseId)).kind).to.equal(UNPAUSE_KIND);
+
+      expect(await timelock.getProposalIds(STATE.Waiting, 0, 10)).to.deep.equal([pauseId, unpauseId]);
+      expect(await timelock.getProposalIds(STATE.Unset, 0, 10)).to.deep.equal([cancelledId]);
+
+      // Execute the pause: Done, while the unpause becomes Ready
+      const pause = await timelock.getProposal(pauseId);
+      await time.increaseTo(pause.readyAt);
+      await timelock.execute(pause.target, 0, pause.data, pause.predecessor, pause.salt);
+      expect(await timelock.getProposalIds(STATE.Done, 0, 10)).to.deep.equal([pauseId]);
+      expect(await timelock.getProposalIds(STATE.Ready, 0, 10)).to.deep.equal([unpauseId]);
+
+      // Paging scans an index window
+      expect(await timelock.getProposalIds(STATE.Ready, 0, 1)).to.deep.equal([]);
+      expect(await timelock.getProposalIds(STATE.Ready, 1, 1)).to.deep.equal([unpauseId]);
+      expect(await timelock.getProposalIds(STATE.Ready, 5, ethers.MaxUint256)).to.deep.equal([]);
+      expect(await timelock.getProposalIds(STATE.Ready, 0, ethers.MaxUint256)).to.deep.equal([unpauseId]);
+    });
+
+    it("Should refresh the metadata of a cancelled operation scheduled again", async function () {
+      const data = xpass.interface.encodeFunctionData("pause");
+      const proposalId = await timelock.hashOperation(tokenAddress, 0, data, ethers.ZeroHash, ethers.ZeroHash);
+
+      await timelock.schedule(tokenAddress, 0, data, ethers.ZeroHash, ethers.ZeroHash, TEST_DELAY);
+      await timelock.cancel(proposalId);
+      await time.increase(3600);
+      await timelock.schedule(tokenAddress, 0, data, ethers.ZeroHash, ethers.ZeroHash, PRODUCTION_DELAY);
+
+      expect(await timelock.proposalCount()).to.equal(1);
+      const proposal = await timelock.getProposal(proposalId);
+      expect(proposal.createdAt).to.equal(await time.latest());
+      expect(proposal.readyAt).to.equal((await time.latest()) + PRODUCTION_DELAY);
+    });
+
+    it("Should describe proposals in human-readable form", async function () {
+      const pauseId = await propose(owner, "proposePause", tokenAddress);
+      expect(await timelock.describeProposal(pauseId))
+        .to.deep.equal(["Waiting", TEST_DELAY, "0x8456cb59", "pause"]);
+
+      await time.increase(TEST_DELAY - 10);
+      expect((await timelock.describeProposal(pauseId))[1]).to.equal(10);
+
+      const pause = await timelock.getProposal(pauseId);
+      await time.increaseTo(pause.readyAt);
+      expect((await timelock.describeProposal(pauseId))[0]).to.equal("Ready");
+      await timelock.execute(pause.target, 0, pause.data, pause.predecessor, pause.salt);
+      expect(await timelock.describeProposal(pauseId)).to.deep.equal(["Done", 0, "0x8456cb59", "pause"]);
+
+      const delayId = await propose(owner, "proposeUpdateDelay", PRODUCTION_DELAY);
+      await timelock.cancel(delayId);
+      expect(await timelock.describeProposal(delayId))
+        .to.deep.equal(["Cancelled", 0, timelock.interface.getFunction("updateDelay").selector, "updateDelay"]);
+
+      expect(await timelock.describeProposal(ethers.ZeroHash)).to.deep.equal(["Unset", 0, "0x00000000", "unknown"]);
+    });
+
+    it("Should name every function of the propose* API", async function () {
+      const PROPOSER_ROLE = await timelock.PROPOSER_ROLE();
+      await xpass.transferOwnership(await timelock.getAddress());
+      const proposals = [
+        [await propose(owner, "proposeUnpause", tokenAddress), "unpause"],
+        [await propose(owner, "proposeTransferOwnership", tokenAddress, addr1.address), "transferOwnership"],
+        [await propose(owner, "proposeChangeTimelockController", tokenAddress, addr1.address), "changeTimelockController"],
+        [await propose(owner, "proposeGrantRole", PROPOSER_ROLE, addr1.address), "grantRole"],
+        [await propose(owner, "proposeRevokeRole", PROPOSER_ROLE, owner.address), "revokeRole"]
+      ];
+      for (const [proposalId, functionName] of proposals) {
+        expect((await timelock.describeProposal(proposalId))[3]).to.equal(functionName);
+      }
+    });
+
+    it("Should reject unknown proposals and out of bounds indexes", async function () {
+      await expect(timelock.getProposal(ethers.ZeroHash))
+        .to.be.revertedWith("XPassTimelockController: unknown proposal");
+      await expect(timelock.proposalIdAt(0))
+        .to.be.revertedWith("XPassTimelockController: proposal index out of bounds");
+    });
+  });
 });
@@ -0,0 +1,217 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+const { parseAllocation, deployVestingWallets, fundVestingWallets } = require("../scripts/lib/vesting");
+
+const { ethers } = hre;
+
+describe("XPassVestingWallet", function () {
+  const TEST_DELAY = 60; // 1 minute (for testing)
+  const DAY = 24 * 60 * 60;
+  const ALLOCATION = ethers.parseUnits("1000000", 18);
+  const CLIFF = 90 * DAY;
+  const DURATION = 360 * DAY;
+
+  let xpassToken;
+  let owner;
+  let beneficiary;
+  let multisig;
+  let other;
+  let tokenAddress;
+  let start;
+
+  async function deployWallet(revoker) {
+    const XPassVestingWallet = await ethers.getContractFactory("XPassVestingWallet");
+    const wallet = await XPassVestingWallet.deploy(beneficiary.address, start, DURATION, CLIFF, revoker);
+    await xpassToken.transfer(await wallet.getAddress(), ALLOCATION);
+    return wallet;
+  }
+
+  beforeEach(async function () {
+    [owner, beneficiary, multisig, other] = await ethers.getSigners();
+
+    const XPassTimelockController = await ethers.getContractFactory("XPassTimelockController");
+    const timelockController = await XPassTimelockController.deploy(TEST_DELAY, owner.address);
+
+    const XPassToken = await ethers.getContractFactory("XPassToken");
+    xpassToken = await XPassToken.deploy(owner.address, await timelockController.getAddress());
+    tokenAddress = await xpassToken.getAddress();
+
+    start = (await time.latest()) + DAY;
+  });
+
+  describe("Vesting schedule", function () {
+    it("Should release nothing before the cliff", async function () {
+      const wallet = await deployWallet(ethers.ZeroAddress);
+
+      await time.increaseTo(start + CLIFF - 2);
+      expect(await wallet["releasable(address)"](tokenAddress)).to.equal(0);
+
+      await wallet["release(address)"](tokenAddress); // mined one second before the cliff
+      expect(await xpassToken.balanceOf(beneficiary.address)).to.equal(0);
+    });
+
+    it("Should unlock the linearly vested amount at the cliff and release linearly afterwards", async function () {
+      const wallet = await deployWallet(ethers.ZeroAddress);
+
+      expect(await wallet["vestedAmount(address,uint64)"](tokenAddress, start + CLIFF)).to.equal(ALLOCATION / 4n);
+      expect(await wallet["vestedAmount(address,uint64)"](tokenAddress, start + DURATION / 2)).to.equal(ALLOCATION / 2n);
+
+      await time.increaseTo(start + DURATION / 2 - 1);
+      await wallet["release(address)"](tokenAddress); // mined at start + DURATION / 2
+      expect(await xpassToken.balanceOf(beneficiary.address)).to.equal(ALLOCATION / 2n);
+      expect(await wallet["released(address)"](tokenAddress)).to.equal(ALLOCATION / 2n);
+    });
+
+    it("Should release the full allocation after the end", async function () {
+      const wallet = await deployWallet(ethers.ZeroAddress);
+
+      await time.increaseTo(start + DURATION);
+      await wallet.connect(other)["release(address)"](tokenAddress);
+      expect(await xpassToken.balanceOf(beneficiary.address)).to.equal(ALLOCATION);
+      expect(await xpassToken.balanceOf(await wallet.getAddress())).to.equal(0);
+    });
+
+    it("Should reject a cliff longer than the duration", async function () {
+      const XPassVestingWallet = await ethers.getContractFactory("XPassVestingWallet");
+      await expect(
+        XPassVestingWallet.deploy(beneficiary.address, start, CLIFF, DURATION, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(XPassVestingWallet, "InvalidCliffDuration");
+    });
+  });
+
+  describe("Revocation", function () {
+    it("Should send the unvested amount to the revoker and keep the vested amount releasable", async function () {
+      const wallet = await deployWallet(multisig.address);
+      expect(await wallet.revocable()).to.be.true;
+
+      await time.increaseTo(start + DURATION / 4 - 1);
+      await wallet["release(address)"](tokenAddress); // ALLOCATION / 4 released
+      await time.increaseTo(start + DURATION / 2 - 1);
+
+      await expect(wallet.connect(multisig).revoke(tokenAddress))
+        .to.emit(wallet, "VestingRevoked")
+        .withArgs(tokenAddress, multisig.address, ALLOCATION / 2n);
+
+      expect(await wallet.revoked(tokenAddress)).to.be.true;
+      expect(await xpassToken.balanceOf(multisig.address)).to.equal(ALLOCATION / 2n);
+
+      // Vesting stops: only the vested remainder is left and it stays releasable
+      await time.increaseTo(start + DURATION);
+      expect(await wallet["releasable(address)"](tokenAddress)).to.equal(ALLOCATION / 4n);
+      await wallet["release(address)"](tokenAddress);
+      expect(await xpassToken.balanceOf(beneficiary.address)).to.equal(ALLOCATION / 2n);
+    });
+
+    it("Should only allow the revoker to revoke, once", async function () {
+      const wallet = await deployWallet(multisig.address);
+
+      await expect(wallet.connect(beneficiary).revoke(tokenAddress))
+        .to.be.revertedWith("XPassVestingWallet: caller is not the revoker");
+
+      await wallet.connect(multisig).revoke(tokenAddress);
+      await expect(wallet.connect(multisig).revoke(tokenAddress))
+        .to.be.revertedWith("XPassVestingWallet: vesting already revoked");
+    });
+
+    it("Should not allow revoking a non-revocable wallet", async function () {
+      const wallet = await deployWallet(ethers.ZeroAddress);
+      expect(await wallet.revocable()).to.be.false;
+
+      await expect(wallet.connect(multisig).revoke(tokenAddress))
+        .to.be.revertedWith("XPassVestingWallet: vesting is not revocable");
+    });
+  });
+
+  describe("Allocation deployment", function () {
+    const allocation = () => ({
+      start: new Date(start * 1000).toISOString(),
+      buckets: [
+        { name: "team", beneficiary: beneficiary.address, amount: "150000000", cliffDays: 365, durationDays: 1460, revocable: true },
+        { name: "community", beneficiary: other.address, amount: "200000000", cliffDays: 0, durationDays: 730, revocable: false }
+      ]
+    });
+
+    const buildManifest = async () => ({
+      chainId: 1337,
+      multisig: multisig.address,
+      contracts: { XPassToken: { address: tokenAddress } }
+    });
+
+    it("Should validate the allocation config", async function () {
+      const config = allocation();
+      const [team] = parseAllocation(config);
+      expect(team.amount).to.equal(ethers.parseUnits("150000000", 18));
+      expect(team.start).to.equal(start);
+      expect(team.cliff).to.equal(365 * DAY);
+
+      config.buckets[1].name = "team";
+      expect(() => parseAllocation(config)).to.throw("unique");
+      expect(() => parseAllocation({ start, buckets: [{ ...allocation().buckets[0], cliffDays: 2000 }] }))
+        .to.throw("must not exceed");
+    });
+
+    it("Should deploy and fund one wallet per bucket from the owner, without funding twice", async function () {
+      const manifest = await buildManifest();
+      await deployVestingWallets(hre, manifest, parseAllocation(allocation()), { deployer: owner });
+
+      const team = manifest.vesting.wallets.team;
+      const wallet = await ethers.getContractAt("XPassVestingWallet", team.address);
+      expect(await wallet.owner()).to.equal(beneficiary.address);
+      expect(await wallet.revoker()).to.equal(multisig.address);
+      const community = await ethers.getContractAt("XPassVestingWallet", manifest.vesting.wallets.community.address);
+      expect(await community.revocable()).to.be.false;
+
+      const { funded, batch } = await fundVestingWallets(hre, manifest, { deployer: owner });
+      expect(funded).to.deep.equal(["team", "community"]);
+      expect(batch).to.be.null;
+      expect(await xpassToken.balanceOf(team.address)).to.equal(ethers.parseUnits("150000000", 18));
+      expect(team.funding.status).to.equal("funded");
+
+      // Re-running neither redeploys nor re-funds
+      await deployVestingWallets(hre, manifest, parseAllocation(allocation()), { deployer: owner });
+      expect(manifest.vesting.wallets.team.address).to.equal(team.address);
+      expect((await fundVestingWallets(hre, manifest, { deployer: owner })).funded).to.be.empty;
+      expect(await xpassToken.balanceOf(team.address)).to.equal(ethers.parseUnits("150000000", 18));
+    });
+
+    it("Should redeploy a wallet whose pending deployment was dropped", async function () {
+      const manifest = await buildManifest();
+      const [team] = parseAllocation(allocation());
+      const dropped = {
+        status: "pending",
+        address: other.address,
+        constructorArgs: [team.beneficiary, team.start, team.duration, team.cliff, multisig.address].map(String),
+        txHash: ethers.id("dropped"),
+        funding: null
+      };
+      manifest.vesting = { wallets: { team: dropped } };
+
+      await deployVestingWallets(hre, manifest, parseAllocation(allocation()), { deployer: owner });
+      const entry = manifest.vesting.wallets.team;
+      expect(entry).to.include({ status: "deployed", beneficiary: beneficiary.address, funding: null });
+      expect(entry.address).to.not.equal(dropped.address);
+      expect(await (await ethers.getContractAt("XPassVestingWallet", entry.address)).owner()).to.equal(beneficiary.address);
+
+      expect((await fundVestingWallets(hre, manifest, { deployer: owner })).funded).to.deep.equal(["team", "community"]);
+      expect(await xpassToken.balanceOf(entry.address)).to.equal(ethers.parseUnits("150000000", 18));
+    });
+
+    it("Should produce a Safe batch when the deployer is not the token owner", async function () {
+      const manifest = await buildManifest();
+      await deployVestingWallets(hre, manifest, parseAllocation(allocation()), { deployer: other });
+
+      const { funded, batch } = await fundVestingWallets(hre, manifest, { deployer: other });
+      expect(funded).to.be.empty;
+      expect(batch.meta.createdFromSafeAddress).to.equal(owner.address);
+      expect(batch.transactions).to.have.length(2);
+      expect(batch.transactions[0].to).to.equal(tokenAddress);
+      expect(batch.transactions[0].contractInputsValues).to.deep.equal({
+        to: manifest.vesting.wallets.team.address,
+        value: ethers.parseUnits("150000000", 18).toString()
+      });
+      expect(manifest.vesting.wallets.team.funding.status).to.equal("pending-safe");
+    });
+  });
+});